@@ -1,29 +1,382 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch, getSessionToken, setSessionToken, clearSessionToken, readFieldErrors } from './api';
+import { hasRole } from './roles';
+import { WEEKDAYS, EMPTY_RECURRENCE, toFormRecurrence, fromFormRecurrence, describeRecurrence } from './recurrence';
+import { EMPTY_FILTERS, DATE_RANGES, hasFilters, filterParams, toggleFilter } from './filters';
+import { CALENDAR_MODES, isoDay, periodDays, shiftPeriod, periodLabel, dayLabel } from './calendar';
+import { subscribeToEvents } from './live';
+import { DEFAULT_TIME_ZONE, TIME_ZONES, formatEventWhen, formatDuration, eventCoversDay } from './when';
+
+const STATUS_BADGES = {
+  pending: { label: 'Pending Approval', className: 'bg-yellow-100 text-yellow-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-700' },
+  cancelled: { label: 'Cancelled', className: 'bg-gray-200 text-gray-700' }
+};
+
+// Events are requested a page at a time
+const PAGE_SIZE = 20;
+// Suggestions are requested once typing pauses, not on every keystroke
+const SUGGEST_DELAY_MS = 200;
+
+// The event lists shown on the page and the GET /api/events query behind each
+const EVENT_LISTS = {
+  upcoming: { when: 'upcoming' },
+  past: { when: 'past' },
+  // Moderators only
+  pending: { status: 'pending' }
+};
+const EMPTY_LIST = { events: [], total: 0, nextOffset: null };
+// The statuses each list shows; a live update that moves an event out of them removes it
+const LIST_STATUSES = {
+  upcoming: ['approved'],
+  past: ['approved'],
+  pending: ['pending'],
+  search: ['approved'],
+  calendar: ['approved']
+};
+// Upcoming and past lists also depend on whether the event is over, which the server decides
+const LIST_PAST = { upcoming: false, past: true };
+const belongsInList = (name, event) => LIST_STATUSES[name].includes(event.status)
+  && (LIST_PAST[name] === undefined || event.isPast === LIST_PAST[name]);
+const EMPTY_LISTS = { upcoming: EMPTY_LIST, past: EMPTY_LIST, pending: EMPTY_LIST, search: EMPTY_LIST, calendar: EMPTY_LIST };
+// Lists narrowed by the facet filters; facet counts come from the upcoming list
+const FILTERED_LISTS = ['upcoming', 'past', 'calendar'];
+// Month cells show this many events before collapsing the rest into "+N more"
+const MONTH_CELL_EVENTS = 3;
+// Views of the event column; only list and calendar are remembered between visits
+const VIEWS = [
+  { value: 'list', label: 'List' },
+  { value: 'calendar', label: 'Calendar' },
+  { value: 'mine', label: 'My Events' }
+];
+
+// Occurrences of a series share the event id, so they are keyed by date as well
+const eventKey = (event) => (event.occurrenceDate ? `${event.id}-${event.occurrenceDate}` : event.id);
+
+// Applies the server's copy of an event to a row in a list; occurrence rows keep their own
+// date and overrides, and search results their highlights
+const applyEventUpdate = (row, updated) => (row.occurrenceDate
+  ? {
+      ...updated,
+      title: row.title,
+      description: row.description,
+      date: row.date,
+      time: row.time,
+      endDate: row.endDate,
+      endTime: row.endTime,
+      startsAt: row.startsAt,
+      endsAt: row.endsAt,
+      isPast: row.isPast,
+      occurrenceDate: row.occurrenceDate,
+      isModifiedOccurrence: row.isModifiedOccurrence,
+      series: row.series
+    }
+  : { ...updated, highlights: row.highlights });
+
+// Renders search highlight segments ([{ text, match }]) with the matched parts marked
+const Highlight = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match
+      ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>))}
+  </>
+);
+
+// A validation message shown under the input for `field`, if the server rejected it
+const FieldError = ({ errors, field }) => (errors[field]
+  ? <p className="mt-1 text-xs text-red-600">{errors[field]}</p>
+  : null);
+
+// Event form fields the server may report errors for, shown under their inputs
+const EVENT_FORM_FIELDS = ['title', 'description', 'date', 'time', 'endDate', 'endTime', 'timeZone', 'capacity', 'recurrence', 'category', 'tags',
+  'roomId', 'location', 'location.building', 'location.room', 'location.url', 'conflictNote'];
+
+// An event already booked into the same room, as the server reports it, e.g. "Orientation, 2026-11-02 at 14:00 (approved)"
+const describeConflict = (conflict) => `${conflict.title}, ${conflict.date}${conflict.time ? ` at ${conflict.time.slice(0, 5)}` : ' (all day)'} (${conflict.status})`;
+
+// --- Recurrence Form Fields ---
+const RecurrenceFields = ({ value, onChange }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+  const toggleDay = (code) => update({
+    byDay: value.byDay.includes(code) ? value.byDay.filter(day => day !== code) : [...value.byDay, code]
+  });
+  const inputClass = "p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="space-y-2">
+      <label htmlFor="frequency" className="block text-sm font-medium text-gray-700 mb-1">Repeats</label>
+      <select
+        id="frequency"
+        value={value.frequency}
+        // Weekday choices mean something different per frequency, so they do not carry over
+        onChange={(e) => update({ frequency: e.target.value, byDay: [] })}
+        className={`w-full bg-white ${inputClass}`}
+      >
+        <option value="">Does not repeat</option>
+        <option value="daily">Daily</option>
+        <option value="weekly">Weekly</option>
+        <option value="monthly">Monthly</option>
+      </select>
+
+      {value.frequency && (
+        <>
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              className={`w-20 ${inputClass}`}
+              aria-label="Repeat interval"
+            />
+            <span>{{ daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' }[value.frequency]}</span>
+          </div>
+
+          {value.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map(day => (
+                <label key={day.code} className="flex items-center space-x-1 text-sm text-gray-700">
+                  <input type="checkbox" checked={value.byDay.includes(day.code)} onChange={() => toggleDay(day.code)} />
+                  <span>{day.label}</span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Ends</span>
+            <select
+              value={value.ends}
+              onChange={(e) => update({ ends: e.target.value })}
+              className={`bg-white ${inputClass}`}
+              aria-label="Series end"
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {value.ends === 'until' && (
+              <input
+                type="date"
+                value={value.until}
+                onChange={(e) => update({ until: e.target.value })}
+                className={inputClass}
+                aria-label="Series end date"
+                required
+              />
+            )}
+            {value.ends === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  value={value.count}
+                  onChange={(e) => update({ count: e.target.value })}
+                  className={`w-20 ${inputClass}`}
+                  aria-label="Number of occurrences"
+                  required
+                />
+                <span>times</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- Moderation History Component ---
+const EventHistory = ({ eventId }) => {
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch(`/api/events/${eventId}/history`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to load history');
+        setHistory(data);
+      })
+      .catch(err => setError(err.message));
+  }, [eventId]);
+
+  if (error) return <p className="mt-3 text-xs text-red-600">{error}</p>;
+  if (!history) return <p className="mt-3 text-xs text-gray-400">Loading history...</p>;
+
+  return (
+    <ol className="mt-3 space-y-1 text-xs text-gray-600 border-l-2 border-gray-200 pl-3">
+      {history.map(entry => (
+        <li key={entry.id}>
+          <span className="font-semibold capitalize">{entry.action}</span>
+          {entry.actorUsername && ` by ${entry.actorUsername}`}
+          {' '}<span className="text-gray-400">{new Date(entry.createdAt).toLocaleString()}</span>
+          {entry.reason && <div className="text-gray-500 italic">“{entry.reason}”</div>}
+        </li>
+      ))}
+    </ol>
+  );
+};
 
 // --- Event Card Component ---
-const EventCard = ({ event, onDelete, onApprove, currentUser, isPending }) => {
-  const isAdmin = currentUser && currentUser.username === "FAUadmin";
+// --- Attendance Summary & RSVP Controls ---
+const Attendance = ({ event, onRsvp }) => {
+  const isFull = event.capacity && event.seatsRemaining === 0;
+
+  let summary = `${event.goingCount || 0} going`;
+  if (event.capacity) {
+    summary = isFull
+      ? `Full${event.waitlistCount ? ` · ${event.waitlistCount} on waitlist` : ''}`
+      : `${event.seatsRemaining} of ${event.capacity} seats left`;
+  }
+
+  let button = null;
+  if (onRsvp && event.myRsvp === 'going') {
+    button = { label: "Going ✓ · Cancel RSVP", join: false, className: 'bg-green-600 text-white hover:bg-green-700' };
+  } else if (onRsvp && event.myRsvp === 'waitlisted') {
+    button = { label: 'Waitlisted · Leave', join: false, className: 'bg-yellow-500 text-white hover:bg-yellow-600' };
+  } else if (onRsvp) {
+    button = { label: isFull ? 'Join Waitlist' : 'RSVP', join: true, className: 'bg-indigo-600 text-white hover:bg-indigo-700' };
+  }
+
+  return (
+    <div className="mt-3 flex items-center justify-between text-sm">
+      <span className={isFull ? 'text-red-600 font-medium' : 'text-gray-600'}>{summary}</span>
+      {button && (
+        <button
+          onClick={() => onRsvp(event.id, button.join)}
+          className={`px-3 py-1 rounded-lg font-semibold transition duration-200 ${button.className}`}
+        >
+          {button.label}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// --- Event Card Component ---
+const EventCard = ({ event, onDelete, onApprove, onReject, onCancel, onEdit, onEditOccurrence, onSkipOccurrence, onRsvp, onBookmark, onExportAttendees, onOpenDetails, currentUser, isPending }) => {
+  const [showHistory, setShowHistory] = useState(false);
+  const canModerate = hasRole(currentUser, 'moderator');
+  const isOwner = Boolean(currentUser) && currentUser.username === event.userId;
+  const canEdit = canModerate || isOwner;
+  const status = event.status || (event.approved ? 'approved' : 'pending');
+  const badge = STATUS_BADGES[status];
+  const isOccurrence = Boolean(event.occurrenceDate);
   
   return (
     <div className={`p-4 bg-white rounded-xl shadow-md transition duration-300 hover:shadow-lg border flex flex-col justify-between ${
       isPending ? 'border-yellow-300 bg-yellow-50' : 'border-gray-100'
     }`}>
       <div>
-        {isPending && (
-          <div className="mb-2 px-2 py-1 bg-yellow-100 text-yellow-800 text-xs font-semibold rounded-full inline-block">
-            Pending Approval
+        {badge && (
+          <div className={`mb-2 px-2 py-1 text-xs font-semibold rounded-full inline-block ${badge.className}`}>
+            {badge.label}
           </div>
         )}
-        <h3 className="text-lg font-semibold text-gray-800">{event.title}</h3>
+        <h3 className="text-lg font-semibold text-gray-800">
+          {event.highlights && event.highlights.title ? <Highlight segments={event.highlights.title} /> : event.title}
+        </h3>
         <p className="text-sm text-indigo-600 font-medium mt-1">
-          {new Date(event.date).toLocaleDateString()} {event.time ? `@ ${event.time}` : ''}
+          {formatEventWhen(event)}
+          {formatDuration(event) && <span className="ml-2 text-xs text-gray-500 font-normal">({formatDuration(event)})</span>}
         </p>
-        <p className="text-gray-500 text-sm mt-2">{event.description}</p>
+        {event.recurrence && (
+          <p className="text-xs text-gray-500 mt-1">
+            {describeRecurrence(event.recurrence)}
+            {event.isModifiedOccurrence && ' (this date changed)'}
+          </p>
+        )}
+        {(event.category || event.location) && (
+          <p className="text-xs text-gray-600 mt-2 flex flex-wrap items-center gap-2">
+            {event.category && (
+              <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded-full font-semibold">{event.category.name}</span>
+            )}
+            {event.location && event.location.building && (
+              <span>
+                {event.highlights && event.highlights.location
+                  ? <Highlight segments={event.highlights.location} />
+                  : [event.location.building, event.location.room].filter(Boolean).join(', ')}
+              </span>
+            )}
+            {event.room && event.room.accessible && (
+              <span className="text-green-700" title={event.room.accessibilityNotes || 'Wheelchair accessible'}>♿ Accessible</span>
+            )}
+            {event.location && event.location.url && (
+              <a href={event.location.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 font-medium">
+                Join online
+              </a>
+            )}
+          </p>
+        )}
+        {status === 'pending' && event.conflicts && event.conflicts.length > 0 && (
+          <div className="mt-2 p-2 text-xs text-orange-800 bg-orange-50 border border-orange-200 rounded-lg">
+            <p className="font-semibold">Room already booked:</p>
+            <ul className="list-disc list-inside">
+              {event.conflicts.map(conflict => <li key={conflict.id}>{describeConflict(conflict)}</li>)}
+            </ul>
+          </div>
+        )}
+        <p className="text-gray-500 text-sm mt-2">
+          {event.highlights && event.highlights.description ? <Highlight segments={event.highlights.description} /> : event.description}
+        </p>
+        {event.tags && event.tags.length > 0 && (
+          <div className="mt-2 flex flex-wrap gap-1">
+            {event.tags.map(tag => (
+              <span key={tag} className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded-full">#{tag}</span>
+            ))}
+          </div>
+        )}
+        {onOpenDetails && (
+          <button
+            onClick={() => onOpenDetails(event)}
+            className="mt-2 text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+            title="Show the event's details, questions and comments"
+          >
+            💬 {event.commentCount ? `${event.commentCount} comment${event.commentCount === 1 ? '' : 's'}` : 'Questions & comments'}
+          </button>
+        )}
+        {status === 'rejected' && event.rejectionReason && (
+          <p className="mt-2 p-2 text-sm text-red-700 bg-red-50 rounded-lg">
+            <span className="font-semibold">Reason:</span> {event.rejectionReason}
+          </p>
+        )}
+        {event.moderation && event.moderation.action === status && (
+          <p className="mt-2 text-xs text-gray-500">
+            {status === 'approved' ? 'Approved' : 'Rejected'} by {event.moderation.actorUsername} on {new Date(event.moderation.createdAt).toLocaleDateString()}
+            {status === 'approved' && event.moderation.reason && ` (${event.moderation.reason})`}
+          </p>
+        )}
+        {status === 'approved' && <Attendance event={event} onRsvp={onRsvp} />}
+        {status === 'approved' && (
+          <div className="mt-2 flex items-center space-x-3 text-sm">
+            <a
+              href={`/api/events/${event.id}/calendar.ics`}
+              download
+              className="text-indigo-600 hover:text-indigo-800 font-medium"
+              title={event.recurrence ? 'Download every date of the series as an .ics file' : 'Download as an .ics file'}
+            >
+              Add to calendar
+            </a>
+            {onBookmark && (
+              <button
+                onClick={() => onBookmark(event.id, !event.bookmarked)}
+                className={`font-medium ${event.bookmarked ? 'text-yellow-600 hover:text-yellow-700' : 'text-gray-500 hover:text-gray-700'}`}
+                title="Bookmarked events appear in your calendar subscription"
+              >
+                {event.bookmarked ? '★ Bookmarked' : '☆ Bookmark'}
+              </button>
+            )}
+          </div>
+        )}
+        {showHistory && <EventHistory eventId={event.id} />}
       </div>
       
       <div className="mt-4 flex justify-between items-center border-t border-gray-100 pt-3">
         <div className="flex space-x-2 text-xs">
-          {isAdmin && (
+          {canModerate && (
             <span className="px-2 py-1 bg-green-100 text-green-700 rounded-full">
               ID: {event.id}
             </span>
@@ -32,8 +385,53 @@ const EventCard = ({ event, onDelete, onApprove, currentUser, isPending }) => {
             User: {event.userId}
           </span>
         </div>
-        <div className="flex space-x-2">
-          {isPending && isAdmin && onApprove && (
+        <div className="flex flex-wrap justify-end gap-2">
+          {canEdit && (
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="text-gray-500 hover:text-gray-700 text-sm font-semibold px-3 py-1 rounded hover:bg-gray-50 transition duration-200"
+              title="Show moderation history"
+            >
+              {showHistory ? 'Hide History' : 'History'}
+            </button>
+          )}
+          {canEdit && onExportAttendees && status === 'approved' && (
+            <button
+              onClick={() => onExportAttendees(event)}
+              className="text-gray-500 hover:text-gray-700 text-sm font-semibold px-3 py-1 rounded hover:bg-gray-50 transition duration-200"
+              title="Download the attendee list as CSV"
+            >
+              Export Attendees
+            </button>
+          )}
+          {canEdit && isOccurrence && onEditOccurrence && (
+            <button
+              onClick={() => onEditOccurrence(event)}
+              className="text-indigo-600 hover:text-indigo-800 text-sm font-semibold px-3 py-1 rounded hover:bg-indigo-50 transition duration-200"
+              title="Edit only this date of the series"
+            >
+              Edit Date
+            </button>
+          )}
+          {canEdit && isOccurrence && onSkipOccurrence && (
+            <button
+              onClick={() => onSkipOccurrence(event)}
+              className="text-gray-600 hover:text-gray-800 text-sm font-semibold px-3 py-1 rounded hover:bg-gray-100 transition duration-200"
+              title="Cancel only this date of the series"
+            >
+              Skip Date
+            </button>
+          )}
+          {canEdit && onEdit && (
+            <button
+              onClick={() => onEdit(event)}
+              className="text-indigo-600 hover:text-indigo-800 text-sm font-semibold px-3 py-1 rounded hover:bg-indigo-50 transition duration-200"
+              title={isOccurrence ? 'Edit every date of the series' : 'Edit Event'}
+            >
+              {isOccurrence ? 'Edit Series' : 'Edit'}
+            </button>
+          )}
+          {isPending && canModerate && onApprove && (
             <button
               onClick={() => onApprove(event.id)}
               className="text-green-600 hover:text-green-800 text-sm font-semibold px-3 py-1 rounded hover:bg-green-50 transition duration-200 border border-green-200"
@@ -42,7 +440,25 @@ const EventCard = ({ event, onDelete, onApprove, currentUser, isPending }) => {
               Approve
             </button>
           )}
-          {isAdmin && (
+          {status === 'pending' && canModerate && onReject && (
+            <button
+              onClick={() => onReject(event.id)}
+              className="text-orange-600 hover:text-orange-800 text-sm font-semibold px-3 py-1 rounded hover:bg-orange-50 transition duration-200 border border-orange-200"
+              title="Reject Event"
+            >
+              Reject
+            </button>
+          )}
+          {isOwner && onCancel && (status === 'pending' || status === 'approved') && (
+            <button
+              onClick={() => onCancel(event.id)}
+              className="text-gray-600 hover:text-gray-800 text-sm font-semibold px-3 py-1 rounded hover:bg-gray-100 transition duration-200"
+              title="Cancel Event"
+            >
+              Cancel Event
+            </button>
+          )}
+          {canModerate && (
             <button
               onClick={() => onDelete(event.id)}
               className="text-red-500 hover:text-red-700 text-sm font-semibold px-3 py-1 rounded hover:bg-red-50 transition duration-200"
@@ -52,25 +468,1382 @@ const EventCard = ({ event, onDelete, onApprove, currentUser, isPending }) => {
             </button>
           )}
         </div>
-      </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Event Details: the whole event with its questions and comments ---
+const EventDetailPanel = ({ event, currentUser, onClose, onCommentCount, onSessionExpired }) => {
+  // { threads: [{ ...comment, replies }], total } from GET /api/events/:id/comments
+  const [discussion, setDiscussion] = useState(null);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState('');
+  // Top-level comment being answered, and the answer so far
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyDraft, setReplyDraft] = useState('');
+  // Own comment being edited: { id, body }
+  const [editing, setEditing] = useState(null);
+  const canComment = event.status === 'approved' && currentUser.emailVerified;
+
+  const load = async () => {
+    try {
+      const response = await apiFetch(`${API_URL}/${event.id}/comments`);
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || data.message || 'Failed to load comments.');
+      setDiscussion(data);
+      onCommentCount(event.id, data.total);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [event.id]);
+
+  // Sends one change to the discussion and reloads it; returns true once it is saved
+  const send = async (url, method, body) => {
+    setError(null);
+    try {
+      const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || data.message || 'Failed to save the comment.');
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (await send(`${API_URL}/${event.id}/comments`, 'POST', { body: draft })) setDraft('');
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (await send(`${API_URL}/${event.id}/comments`, 'POST', { body: replyDraft, parentId: replyTo })) {
+      setReplyTo(null);
+      setReplyDraft('');
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (await send(`/api/comments/${editing.id}`, 'PUT', { body: editing.body })) setEditing(null);
+  };
+
+  const handleDelete = (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+    send(`/api/comments/${comment.id}`, 'DELETE');
+  };
+
+  const handleHide = (comment) => {
+    if (comment.hidden) {
+      send(`/api/comments/${comment.id}/hide`, 'PUT', { hidden: false });
+      return;
+    }
+    const reason = window.prompt('Why is this comment being hidden? Its author will see this reason.');
+    if (reason === null) return;
+    send(`/api/comments/${comment.id}/hide`, 'PUT', { hidden: true, reason });
+  };
+
+  const textareaClass = "w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+  const linkClass = "text-indigo-600 hover:text-indigo-800 font-medium";
+
+  const renderComment = (comment, isReply) => (
+    <div
+      key={comment.id}
+      className={`p-2 rounded-lg ${comment.pinned ? 'bg-green-50 border border-green-200' : 'bg-gray-50'} ${comment.hidden ? 'opacity-70' : ''}`}
+    >
+      <div className="flex flex-wrap justify-between items-center gap-2 text-xs text-gray-500">
+        <span>
+          <span className="font-semibold text-gray-700">{comment.deleted ? '[deleted]' : comment.username}</span>
+          {' · '}{formatInstant(comment.createdAt)}
+          {comment.editedAt && ' · edited'}
+          {comment.pinned && <span className="ml-2 font-semibold text-green-700">{isReply ? '✓ Answer' : '📌 Pinned'}</span>}
+          {comment.hidden && (
+            <span className="ml-2 font-semibold text-red-600">
+              Hidden{comment.hiddenBy ? ` by ${comment.hiddenBy}` : ''}{comment.hiddenReason ? `: ${comment.hiddenReason}` : ''}
+            </span>
+          )}
+        </span>
+        <span className="space-x-2">
+          {!isReply && canComment && !comment.deleted && (
+            <button onClick={() => { setReplyTo(comment.id); setReplyDraft(''); }} className={linkClass}>Reply</button>
+          )}
+          {comment.canPin && (
+            <button onClick={() => send(`/api/comments/${comment.id}/pin`, 'PUT', { pinned: !comment.pinned })} className={linkClass}>
+              {comment.pinned ? 'Unpin' : (isReply ? 'Pin as answer' : 'Pin')}
+            </button>
+          )}
+          {comment.canEdit && (
+            <button onClick={() => setEditing({ id: comment.id, body: comment.body })} className={linkClass}>Edit</button>
+          )}
+          {comment.canHide && (
+            <button onClick={() => handleHide(comment)} className="text-orange-600 hover:text-orange-800 font-medium">
+              {comment.hidden ? 'Unhide' : 'Hide'}
+            </button>
+          )}
+          {comment.canDelete && (
+            <button onClick={() => handleDelete(comment)} className="text-red-500 hover:text-red-700 font-medium">Delete</button>
+          )}
+        </span>
+      </div>
+      {editing && editing.id === comment.id ? (
+        <form onSubmit={handleSaveEdit} className="mt-1 space-y-1">
+          <textarea
+            value={editing.body}
+            onChange={(e) => setEditing({ ...editing, body: e.target.value })}
+            rows="2"
+            className={textareaClass}
+            required
+          />
+          <div className="space-x-3 text-sm">
+            <button type="submit" className={linkClass}>Save</button>
+            <button type="button" onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700 font-medium">Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <p className="mt-1 text-sm text-gray-800 whitespace-pre-wrap">
+          {comment.body !== null
+            ? comment.body
+            : <span className="italic text-gray-500">{comment.deleted ? 'This comment was deleted.' : 'This comment was hidden by a moderator.'}</span>}
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-40" onClick={onClose}>
+      <aside
+        className="w-full max-w-lg h-full overflow-y-auto bg-white p-6 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+        aria-label="Event details"
+      >
+        <div className="flex justify-between items-start mb-2">
+          <h2 className="text-xl font-bold text-gray-800">{event.title}</h2>
+          <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+        </div>
+        <p className="text-sm text-indigo-600 font-medium">
+          {formatEventWhen(event)}
+          {formatDuration(event) && <span className="ml-2 text-xs text-gray-500 font-normal">({formatDuration(event)})</span>}
+        </p>
+        {event.recurrence && <p className="text-xs text-gray-500 mt-1">{describeRecurrence(event.recurrence)}</p>}
+        {event.location && event.location.building && (
+          <p className="text-sm text-gray-600 mt-2">
+            {[event.location.building, event.location.room].filter(Boolean).join(', ')}
+            {event.room && event.room.accessible && (
+              <span className="ml-2 text-green-700">♿ {event.room.accessibilityNotes || 'Wheelchair accessible'}</span>
+            )}
+          </p>
+        )}
+        {event.location && event.location.url && (
+          <a href={event.location.url} target="_blank" rel="noopener noreferrer" className="block mt-1 text-sm text-indigo-600 hover:text-indigo-800 font-medium">
+            Join online
+          </a>
+        )}
+        {event.description && <p className="text-sm text-gray-700 mt-3 whitespace-pre-wrap">{event.description}</p>}
+        {(event.category || (event.tags && event.tags.length > 0)) && (
+          <div className="mt-2 flex flex-wrap gap-1 text-xs">
+            {event.category && (
+              <span className="px-2 py-0.5 bg-purple-100 text-purple-700 rounded-full font-semibold">{event.category.name}</span>
+            )}
+            {(event.tags || []).map(tag => (
+              <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded-full">#{tag}</span>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-gray-500 mt-3">Organized by {event.userId}</p>
+
+        <h3 className="mt-6 mb-3 text-lg font-semibold text-gray-700 border-t pt-4">
+          Questions & Comments{discussion ? ` (${discussion.total})` : ''}
+        </h3>
+        {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+        {canComment ? (
+          <form onSubmit={handlePost} className="mb-4 space-y-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              rows="2"
+              placeholder="Ask a question or leave a comment"
+              className={textareaClass}
+              required
+            />
+            <button type="submit" className="py-1.5 px-3 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700">Post</button>
+          </form>
+        ) : (
+          <p className="mb-4 text-sm text-gray-500">
+            {event.status !== 'approved'
+              ? 'Comments open once the event is approved.'
+              : 'Verify your email address to join the discussion.'}
+          </p>
+        )}
+        {!discussion && !error && <p className="text-sm text-gray-500">Loading...</p>}
+        {discussion && discussion.threads.length === 0 && <p className="text-sm text-gray-500">No questions yet.</p>}
+        <div className="space-y-4">
+          {discussion && discussion.threads.map(thread => (
+            <div key={thread.id} className="space-y-2">
+              {renderComment(thread, false)}
+              <div className="ml-6 space-y-2">
+                {thread.replies.map(reply => renderComment(reply, true))}
+                {replyTo === thread.id && (
+                  <form onSubmit={handleReply} className="space-y-1">
+                    <textarea
+                      value={replyDraft}
+                      onChange={(e) => setReplyDraft(e.target.value)}
+                      rows="2"
+                      placeholder={`Reply to ${thread.username || 'this comment'}`}
+                      className={textareaClass}
+                      required
+                    />
+                    <div className="space-x-3 text-sm">
+                      <button type="submit" className={linkClass}>Reply</button>
+                      <button type="button" onClick={() => setReplyTo(null)} className="text-gray-500 hover:text-gray-700 font-medium">Cancel</button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+// --- My Events: the user's own submissions, grouped by status ---
+const MY_EVENT_GROUPS = [
+  { status: 'pending', title: 'Awaiting Review', className: 'text-yellow-700' },
+  { status: 'approved', title: 'Approved', className: 'text-green-700' },
+  { status: 'rejected', title: 'Rejected', className: 'text-red-700' },
+  { status: 'cancelled', title: 'Cancelled', className: 'text-gray-600' }
+];
+
+// `submissions` is the GET /api/users/me/events response; `cardProps` the EventCard handlers
+const MyEvents = ({ submissions, cardProps }) => {
+  if (!submissions) return <p className="text-sm text-gray-500">Loading your events...</p>;
+
+  if (submissions.total === 0) {
+    return (
+      <div className="p-6 text-center bg-white rounded-lg shadow-inner text-gray-500">
+        You have not submitted any events yet.
+      </div>
+    );
+  }
+
+  return MY_EVENT_GROUPS.filter(group => submissions.groups[group.status].length > 0).map(group => (
+    <div key={group.status} className="mb-8">
+      <h3 className={`text-lg font-semibold mb-4 ${group.className}`}>
+        {group.title} ({submissions.groups[group.status].length})
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {submissions.groups[group.status].map(event => (
+          <EventCard key={eventKey(event)} event={event} {...cardProps} isPending={event.status === 'pending'} />
+        ))}
+      </div>
+    </div>
+  ));
+};
+
+// --- Calendar View: month grid, week columns or agenda list of the events in a period ---
+const CalendarView = ({ mode, cursor, events, onModeChange, onCursorChange, onSelectEvent, onCreateOnDay, selectedKey }) => {
+  const today = isoDay(new Date());
+  const days = periodDays(mode, cursor);
+  // Multi-day events appear on each of their days, with their time only on the first
+  const timeOn = (event, day) => (event.time && event.date === day ? event.time : '');
+  const eventsOn = (day) => events
+    .filter(event => eventCoversDay(event, day))
+    .sort((a, b) => timeOn(a, day).localeCompare(timeOn(b, day)) || a.title.localeCompare(b.title));
+
+  const eventButton = (event, day) => (
+    <button
+      key={eventKey(event)}
+      onClick={(e) => { e.stopPropagation(); onSelectEvent(event); }}
+      className={`block w-full truncate text-left px-1 py-0.5 text-xs rounded ${
+        eventKey(event) === selectedKey ? 'bg-indigo-600 text-white' : 'bg-indigo-50 text-indigo-800 hover:bg-indigo-100'
+      }`}
+      title={event.title}
+    >
+      {timeOn(event, day) ? `${event.time.slice(0, 5)} ` : ''}{event.date < day ? '↳ ' : ''}{event.title}
+    </button>
+  );
+
+  // Empty days open the form for a new event on that date; days with events offer a button for it
+  const addButton = (day) => onCreateOnDay && (
+    <button
+      onClick={(e) => { e.stopPropagation(); onCreateOnDay(day); }}
+      className="text-xs text-gray-400 hover:text-indigo-600"
+      title="Schedule an event on this day"
+    >
+      + Add
+    </button>
+  );
+
+  const dayNumber = (day) => (
+    <span className={`inline-flex items-center justify-center w-6 h-6 text-xs font-semibold rounded-full ${
+      day === today ? 'bg-indigo-600 text-white' : 'text-gray-700'
+    }`}>
+      {Number(day.slice(8))}
+    </span>
+  );
+
+  return (
+    <div className="mb-8 bg-white rounded-xl shadow-md border border-gray-100 p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <div className="flex items-center space-x-2">
+          <button onClick={() => onCursorChange(shiftPeriod(mode, cursor, -1))} className="px-2 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50" aria-label="Previous">‹</button>
+          <button onClick={() => onCursorChange(today)} className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50">Today</button>
+          <button onClick={() => onCursorChange(shiftPeriod(mode, cursor, 1))} className="px-2 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50" aria-label="Next">›</button>
+          <h3 className="ml-2 text-lg font-semibold text-gray-700">{periodLabel(mode, cursor)}</h3>
+        </div>
+        <div className="flex rounded-md border border-gray-300 overflow-hidden">
+          {CALENDAR_MODES.map(option => (
+            <button
+              key={option.value}
+              onClick={() => onModeChange(option.value)}
+              className={`px-3 py-1 text-sm ${mode === option.value ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mode === 'agenda' ? (
+        <div className="divide-y divide-gray-100">
+          {days.filter(day => eventsOn(day).length > 0).map(day => (
+            <div key={day} className={`py-2 flex gap-4 ${day === today ? 'bg-indigo-50 rounded-lg px-2' : ''}`}>
+              <div className="w-32 shrink-0 text-sm font-semibold text-gray-700">
+                {dayLabel(day, { weekday: 'short', month: 'short', day: 'numeric' })}
+                {day === today && <span className="block text-xs text-indigo-600">Today</span>}
+              </div>
+              <div className="flex-1 space-y-1">{eventsOn(day).map(event => eventButton(event, day))}</div>
+            </div>
+          ))}
+          {days.every(day => eventsOn(day).length === 0) && (
+            <p className="py-6 text-center text-gray-500">No events this month.</p>
+          )}
+        </div>
+      ) : (
+        <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+          {WEEKDAYS.map(day => (
+            <div key={day.code} className="bg-gray-50 py-1 text-center text-xs font-semibold text-gray-500">{day.label}</div>
+          ))}
+          {days.map(day => {
+            const dayEvents = eventsOn(day);
+            const shown = mode === 'month' ? dayEvents.slice(0, MONTH_CELL_EVENTS) : dayEvents;
+            const outsideMonth = mode === 'month' && day.slice(0, 7) !== cursor.slice(0, 7);
+            return (
+              <div
+                key={day}
+                onClick={() => dayEvents.length === 0 && onCreateOnDay && onCreateOnDay(day)}
+                className={`p-1 space-y-1 ${mode === 'week' ? 'min-h-[12rem]' : 'min-h-[6rem]'} ${
+                  outsideMonth ? 'bg-gray-50 text-gray-400' : 'bg-white'
+                } ${dayEvents.length === 0 && onCreateOnDay ? 'cursor-pointer hover:bg-indigo-50' : ''}`}
+                title={dayEvents.length === 0 && onCreateOnDay ? 'Schedule an event on this day' : undefined}
+              >
+                <div className="flex justify-between items-center">
+                  {dayNumber(day)}
+                  {dayEvents.length > 0 && addButton(day)}
+                </div>
+                {shown.map(event => eventButton(event, day))}
+                {dayEvents.length > shown.length && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); onModeChange('week'); onCursorChange(day); }}
+                    className="text-xs text-gray-500 hover:text-indigo-600"
+                  >
+                    +{dayEvents.length - shown.length} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Facet filters: date range, category, building, online and tags, with counts ---
+const FilterBar = ({ facets, filters, onChange, showRange }) => {
+  const chip = (active) => `px-2 py-1 text-xs font-medium rounded-full border transition duration-150 ${
+    active ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+  }`;
+  // Values with no upcoming events are hidden unless already chosen
+  const visible = (items, name, valueOf) => items.filter(item => item.count > 0 || filters[name].includes(valueOf(item)));
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {showRange && DATE_RANGES.map(range => (
+          <button key={range.value} onClick={() => onChange({ ...filters, range: range.value })} className={chip(filters.range === range.value)}>
+            {range.label}
+          </button>
+        ))}
+        {facets && (facets.online > 0 || filters.online) && (
+          <button onClick={() => onChange({ ...filters, online: !filters.online })} className={chip(filters.online)}>
+            Online ({facets.online})
+          </button>
+        )}
+        {hasFilters(filters) && (
+          <button onClick={() => onChange(EMPTY_FILTERS)} className="px-2 py-1 text-xs font-medium text-gray-500 hover:text-gray-700">
+            Clear filters
+          </button>
+        )}
+      </div>
+      {facets && (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {visible(facets.categories, 'category', c => c.slug).map(category => (
+              <button
+                key={category.slug}
+                onClick={() => onChange(toggleFilter(filters, 'category', category.slug))}
+                className={chip(filters.category.includes(category.slug))}
+              >
+                {category.name} ({category.count})
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {visible(facets.buildings, 'building', b => b.building.toLowerCase()).map(({ building, count }) => (
+              <button
+                key={building}
+                onClick={() => onChange(toggleFilter(filters, 'building', building.toLowerCase()))}
+                className={chip(filters.building.includes(building.toLowerCase()))}
+              >
+                {building} ({count})
+              </button>
+            ))}
+            {visible(facets.tags, 'tag', t => t.tag).map(({ tag, count }) => (
+              <button key={tag} onClick={() => onChange(toggleFilter(filters, 'tag', tag))} className={chip(filters.tag.includes(tag))}>
+                #{tag} ({count})
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- Email Settings: per-type notification opt-outs ---
+const NotificationSettings = ({ onClose, onSessionExpired }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+
+  const request = async (options) => {
+    setError(null);
+    try {
+      const response = await apiFetch('/api/users/me/notifications', options);
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || data.message || 'Failed to load email settings.');
+      setPreferences(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    request();
+  }, []);
+
+  const toggle = (type, enabled) => request({
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ [type]: enabled })
+  });
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Email Settings</h3>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+      </div>
+      <p className="text-sm text-gray-500 mb-3">Choose which emails you receive.</p>
+      {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+      {preferences === null && !error && <p className="text-sm text-gray-500">Loading...</p>}
+      {preferences && (
+        <ul className="space-y-2">
+          {preferences.map(preference => (
+            <li key={preference.type}>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={preference.enabled}
+                  onChange={(e) => toggle(preference.type, e.target.checked)}
+                  className="rounded border-gray-300 text-indigo-600"
+                />
+                <span>{preference.label}</span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// --- Profile: display name, email address and the time zone new events start in ---
+const ProfileSettings = ({ profile, onSaved, onClose, onSessionExpired }) => {
+  const [displayName, setDisplayName] = useState(profile.displayName || '');
+  const [email, setEmail] = useState(profile.email);
+  const [timeZone, setTimeZone] = useState(profile.preferences.timeZone || '');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setNotice(null);
+    setFieldErrors({});
+    setSaving(true);
+    try {
+      const response = await apiFetch('/api/users/me', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ displayName, email, preferences: { timeZone: timeZone || null } }),
+      });
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const { fieldErrors: errors, message } = readFieldErrors(data, ['displayName', 'email', 'preferences.timeZone']);
+        setFieldErrors(errors);
+        if (message || Object.keys(errors).length === 0) throw new Error(message || 'Failed to save your profile.');
+        return;
+      }
+      onSaved(data);
+      setNotice(data.email !== profile.email
+        ? `Profile saved. We have emailed a link to ${data.email}; verify it to keep submitting events.`
+        : 'Profile saved.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = "w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Profile</h3>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-3 max-w-md">
+        <div>
+          <label htmlFor="profileDisplayName" className="block text-sm font-medium text-gray-700 mb-1">Display name</label>
+          <input
+            type="text"
+            id="profileDisplayName"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder={profile.username}
+            className={inputClass}
+          />
+          <FieldError errors={fieldErrors} field="displayName" />
+        </div>
+        <div>
+          <label htmlFor="profileEmail" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+          <input
+            type="email"
+            id="profileEmail"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className={inputClass}
+            required
+          />
+          <FieldError errors={fieldErrors} field="email" />
+        </div>
+        <div>
+          <label htmlFor="profileTimeZone" className="block text-sm font-medium text-gray-700 mb-1">Time zone for new events</label>
+          <select id="profileTimeZone" value={timeZone} onChange={(e) => setTimeZone(e.target.value)} className={`${inputClass} bg-white`}>
+            <option value="">Default ({DEFAULT_TIME_ZONE})</option>
+            {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+          </select>
+          <FieldError errors={fieldErrors} field="preferences.timeZone" />
+        </div>
+        {error && <p className="p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+        {notice && <p className="p-2 text-sm text-green-700 bg-green-50 rounded-lg">{notice}</p>}
+        <button
+          type="submit"
+          disabled={saving}
+          className="py-2 px-4 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700 disabled:bg-indigo-400"
+        >
+          {saving ? 'Saving...' : 'Save Profile'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// --- Change Password ---
+const ChangePasswordForm = ({ onClose, onSessionExpired }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setNotice(null);
+    setError(null);
+    if (newPassword !== confirmPassword) {
+      setFieldErrors({ confirmPassword: 'The new passwords do not match.' });
+      return;
+    }
+    setFieldErrors({});
+    setSaving(true);
+
+    try {
+      const response = await apiFetch('/api/users/me/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword }),
+      });
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const { fieldErrors: errors, message } = readFieldErrors(data, ['currentPassword', 'newPassword']);
+        setFieldErrors(errors);
+        if (message || Object.keys(errors).length === 0) throw new Error(message || 'Failed to change password.');
+        return;
+      }
+      setNotice(data.message);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Change Password</h3>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+      </div>
+      {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+      {notice && <p className="mb-3 p-2 text-sm text-green-800 bg-green-50 rounded-lg">{notice}</p>}
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Current password</label>
+          <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} className={inputClass} required />
+          <FieldError errors={fieldErrors} field="currentPassword" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">New password</label>
+          <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className={inputClass} required />
+          <FieldError errors={fieldErrors} field="newPassword" />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Confirm new password</label>
+          <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} required />
+          <FieldError errors={fieldErrors} field="confirmPassword" />
+        </div>
+        <p className="text-xs text-gray-500">At least 8 characters, with letters and a number or symbol. Any other devices logged in to your account will be logged out.</p>
+        <button
+          type="submit"
+          disabled={saving}
+          className="py-2 px-4 bg-indigo-600 text-white text-sm font-semibold rounded-lg shadow-md hover:bg-indigo-700 disabled:bg-indigo-400"
+        >
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// --- Reminder Jobs (Admins) ---
+// e.g. "1 day before", "2 hours before", "30 min before"
+const formatOffset = (minutes) => {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+  return `${minutes} min before`;
+};
+
+const formatInstant = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const ReminderTable = ({ jobs, timeLabel, timeOf, empty }) => (
+  jobs.length === 0 ? <p className="text-sm text-gray-500">{empty}</p> : (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="py-1 pr-2 font-medium">Event</th>
+          <th className="py-1 pr-2 font-medium">Recipient</th>
+          <th className="py-1 pr-2 font-medium">Reminder</th>
+          <th className="py-1 font-medium">{timeLabel}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {jobs.map(job => (
+          <tr key={job.id} className="border-t border-gray-100 text-gray-700">
+            <td className="py-1 pr-2">{job.eventTitle} <span className="text-gray-400">({job.occurrenceDate})</span></td>
+            <td className="py-1 pr-2">{job.username}</td>
+            <td className="py-1 pr-2">{formatOffset(job.offsetMinutes)}</td>
+            <td className="py-1">
+              {formatInstant(timeOf(job))}
+              {job.status === 'skipped' && <span className="ml-1 text-xs text-gray-400">(skipped: opted out)</span>}
+              {job.status === 'sending' && <span className="ml-1 text-xs text-gray-400">(sending)</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+);
+
+const ReminderJobs = ({ onClose, onSessionExpired }) => {
+  const [jobs, setJobs] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    setError(null);
+    try {
+      const response = await apiFetch('/api/reminders');
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || data.message || 'Failed to load reminders.');
+      setJobs(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Reminders</h3>
+        <div className="space-x-3">
+          <button onClick={load} className="text-sm text-indigo-600 hover:text-indigo-800 font-medium">Refresh</button>
+          <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+        </div>
+      </div>
+      {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+      {jobs === null && !error && <p className="text-sm text-gray-500">Loading...</p>}
+      {jobs && (
+        <>
+          <p className="text-sm text-gray-500 mb-3">
+            People who RSVP or bookmark an event are reminded {jobs.offsets.map(formatOffset).join(' and ')} it starts.
+          </p>
+          <h4 className="font-medium text-gray-700 mb-1">Scheduled</h4>
+          <ReminderTable jobs={jobs.scheduled} timeLabel="Sends at" timeOf={job => job.sendAt} empty="No reminders are scheduled." />
+          <h4 className="font-medium text-gray-700 mt-4 mb-1">Recently sent</h4>
+          <ReminderTable jobs={jobs.sent} timeLabel="Sent at" timeOf={job => job.sentAt} empty="No reminders have been sent yet." />
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- Auth Log (Admins) ---
+const AUTH_OUTCOME_STYLES = {
+  success: 'bg-green-100 text-green-700',
+  failure: 'bg-red-100 text-red-700',
+  lockout: 'bg-amber-100 text-amber-900'
+};
+const EMPTY_AUTH_FILTERS = { username: '', ip: '', outcome: '' };
+
+const AuthLog = ({ onClose, onSessionExpired }) => {
+  const [filters, setFilters] = useState(EMPTY_AUTH_FILTERS);
+  const [entries, setEntries] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Loads the newest entries matching the filters, or the page after the last shown with `more`
+  const load = async (more = false) => {
+    setError(null);
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => { if (value.trim()) params.set(key, value.trim()); });
+    if (more) params.set('beforeId', entries[entries.length - 1].id);
+    try {
+      const response = await apiFetch(`/api/auth-events?${params}`);
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.error || data.message || 'Failed to load the auth log.');
+      setEntries(more ? [...entries, ...data.events] : data.events);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    load();
+  };
+
+  const inputClass = "p-1.5 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Auth Log</h3>
+        <div className="space-x-3">
+          <button onClick={() => load()} className="text-sm text-indigo-600 hover:text-indigo-800 font-medium">Refresh</button>
+          <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+        </div>
+      </div>
+      <form onSubmit={handleSearch} className="flex flex-wrap gap-2 mb-3">
+        <input
+          type="text"
+          placeholder="Username"
+          value={filters.username}
+          onChange={(e) => setFilters({ ...filters, username: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="text"
+          placeholder="IP address"
+          value={filters.ip}
+          onChange={(e) => setFilters({ ...filters, ip: e.target.value })}
+          className={inputClass}
+        />
+        <select value={filters.outcome} onChange={(e) => setFilters({ ...filters, outcome: e.target.value })} className={inputClass}>
+          <option value="">All outcomes</option>
+          {Object.keys(AUTH_OUTCOME_STYLES).map(outcome => <option key={outcome} value={outcome}>{outcome}</option>)}
+        </select>
+        <button type="submit" className="py-1.5 px-3 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700">Search</button>
+      </form>
+      {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+      {entries === null && !error && <p className="text-sm text-gray-500">Loading...</p>}
+      {entries && entries.length === 0 && <p className="text-sm text-gray-500">No matching logins or registrations.</p>}
+      {entries && entries.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 pr-2 font-medium">Time</th>
+              <th className="py-1 pr-2 font-medium">Action</th>
+              <th className="py-1 pr-2 font-medium">Outcome</th>
+              <th className="py-1 pr-2 font-medium">Username</th>
+              <th className="py-1 pr-2 font-medium">IP</th>
+              <th className="py-1 font-medium">User agent</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id} className="border-t border-gray-100 text-gray-700">
+                <td className="py-1 pr-2 whitespace-nowrap">{formatInstant(entry.createdAt)}</td>
+                <td className="py-1 pr-2">{entry.action}</td>
+                <td className="py-1 pr-2">
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${AUTH_OUTCOME_STYLES[entry.outcome]}`}>{entry.outcome}</span>
+                </td>
+                <td className="py-1 pr-2">{entry.username}</td>
+                <td className="py-1 pr-2">{entry.ip}</td>
+                <td className="py-1 text-xs text-gray-500 break-all">{entry.userAgent}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {hasMore && (
+        <button onClick={() => load(true)} className="mt-3 text-sm text-indigo-600 hover:text-indigo-800 font-medium">Show older</button>
+      )}
+    </div>
+  );
+};
+
+// --- Venue Registry (Admins): venues and their bookable rooms ---
+const EMPTY_ROOM = { name: '', capacity: '', accessible: false, accessibilityNotes: '' };
+
+const VenueManager = ({ venues, onChanged, onClose, onSessionExpired }) => {
+  const [venueName, setVenueName] = useState('');
+  const [venueAddress, setVenueAddress] = useState('');
+  // Room being added or edited: { venueId, id (null when new), ...EMPTY_ROOM }
+  const [roomForm, setRoomForm] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState(null);
+
+  // Sends one change; returns true once it is saved and the venues are reloaded
+  const send = async (url, method, body) => {
+    setError(null);
+    setFieldErrors({});
+    try {
+      const response = await apiFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (response.status === 401) return onSessionExpired();
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const { fieldErrors: errors, message } = readFieldErrors(data, ['name', 'address', 'capacity', 'accessible', 'accessibilityNotes']);
+        setFieldErrors(errors);
+        if (message || Object.keys(errors).length === 0) throw new Error(message || 'Failed to save the venue.');
+        return false;
+      }
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAddVenue = async (e) => {
+    e.preventDefault();
+    if (await send('/api/venues', 'POST', { name: venueName, address: venueAddress || null })) {
+      setVenueName('');
+      setVenueAddress('');
+    }
+  };
+
+  const handleRenameVenue = (venue) => {
+    const name = window.prompt('New name for the venue. Events booked into its rooms are renamed too.', venue.name);
+    if (name === null || !name.trim()) return;
+    send(`/api/venues/${venue.id}`, 'PUT', { name: name.trim(), address: venue.address });
+  };
+
+  const handleDeleteVenue = (venue) => {
+    if (!window.confirm(`Delete ${venue.name} and its rooms? Events booked there keep their location as text.`)) return;
+    send(`/api/venues/${venue.id}`, 'DELETE');
+  };
+
+  const handleSaveRoom = async (e) => {
+    e.preventDefault();
+    const { venueId, id, ...values } = roomForm;
+    const body = { ...values, capacity: values.capacity === '' ? null : Number(values.capacity) };
+    const saved = id
+      ? await send(`/api/rooms/${id}`, 'PUT', body)
+      : await send(`/api/venues/${venueId}/rooms`, 'POST', body);
+    if (saved) setRoomForm(null);
+  };
+
+  const handleDeleteRoom = (venue, room) => {
+    if (!window.confirm(`Delete ${venue.name} ${room.name}? Events booked there keep their location as text.`)) return;
+    send(`/api/rooms/${room.id}`, 'DELETE');
+  };
+
+  const editRoom = (venueId, room = null) => {
+    setFieldErrors({});
+    setRoomForm(room
+      ? { venueId, id: room.id, name: room.name, capacity: room.capacity ? String(room.capacity) : '', accessible: room.accessible, accessibilityNotes: room.accessibilityNotes || '' }
+      : { venueId, id: null, ...EMPTY_ROOM });
+  };
+
+  const inputClass = "p-1.5 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+  const renderRoomForm = () => (
+    <form onSubmit={handleSaveRoom} className="mt-2 p-2 bg-gray-50 rounded-lg flex flex-wrap items-start gap-2">
+      <div>
+        <input
+          type="text"
+          placeholder="Room"
+          value={roomForm.name}
+          onChange={(e) => setRoomForm({ ...roomForm, name: e.target.value })}
+          className={`${inputClass} w-24`}
+          required
+        />
+        <FieldError errors={fieldErrors} field="name" />
+      </div>
+      <div>
+        <input
+          type="number"
+          min="1"
+          placeholder="Seats"
+          value={roomForm.capacity}
+          onChange={(e) => setRoomForm({ ...roomForm, capacity: e.target.value })}
+          className={`${inputClass} w-20`}
+        />
+        <FieldError errors={fieldErrors} field="capacity" />
+      </div>
+      <label className="flex items-center gap-1 text-sm text-gray-700 py-1.5">
+        <input
+          type="checkbox"
+          checked={roomForm.accessible}
+          onChange={(e) => setRoomForm({ ...roomForm, accessible: e.target.checked })}
+        />
+        Accessible
+      </label>
+      <div className="flex-1 min-w-[10rem]">
+        <input
+          type="text"
+          placeholder="Accessibility notes"
+          value={roomForm.accessibilityNotes}
+          onChange={(e) => setRoomForm({ ...roomForm, accessibilityNotes: e.target.value })}
+          className={`${inputClass} w-full`}
+        />
+        <FieldError errors={fieldErrors} field="accessibilityNotes" />
+      </div>
+      <button type="submit" className="py-1.5 px-3 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700">
+        {roomForm.id ? 'Save Room' : 'Add Room'}
+      </button>
+      <button type="button" onClick={() => setRoomForm(null)} className="py-1.5 text-sm text-gray-500 hover:text-gray-700 font-medium">Cancel</button>
+    </form>
+  );
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold text-gray-700">Venues</h3>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700 font-medium">Close</button>
+      </div>
+      <p className="text-sm text-gray-500 mb-3">
+        Rooms listed here can be picked in the event form; their capacity caps an event's seats and overlapping bookings are flagged.
+      </p>
+      <form onSubmit={handleAddVenue} className="flex flex-wrap items-start gap-2 mb-3">
+        <div>
+          <input
+            type="text"
+            placeholder="Venue name"
+            value={venueName}
+            onChange={(e) => setVenueName(e.target.value)}
+            className={inputClass}
+            required
+          />
+          {!roomForm && <FieldError errors={fieldErrors} field="name" />}
+        </div>
+        <input
+          type="text"
+          placeholder="Address"
+          value={venueAddress}
+          onChange={(e) => setVenueAddress(e.target.value)}
+          className={`${inputClass} flex-1`}
+        />
+        <button type="submit" className="py-1.5 px-3 bg-indigo-600 text-white text-sm font-semibold rounded-lg hover:bg-indigo-700">Add Venue</button>
+      </form>
+      {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+      {venues.length === 0 && <p className="text-sm text-gray-500">No venues yet.</p>}
+      <ul className="space-y-3">
+        {venues.map(venue => (
+          <li key={venue.id} className="border-t border-gray-100 pt-2">
+            <div className="flex justify-between items-center">
+              <p className="text-sm font-semibold text-gray-800">
+                {venue.name}
+                {venue.address && <span className="ml-2 font-normal text-gray-500">{venue.address}</span>}
+              </p>
+              <div className="space-x-3 text-sm">
+                <button onClick={() => editRoom(venue.id)} className="text-indigo-600 hover:text-indigo-800 font-medium">Add Room</button>
+                <button onClick={() => handleRenameVenue(venue)} className="text-indigo-600 hover:text-indigo-800 font-medium">Rename</button>
+                <button onClick={() => handleDeleteVenue(venue)} className="text-red-500 hover:text-red-700 font-medium">Delete</button>
+              </div>
+            </div>
+            {venue.rooms.length > 0 && (
+              <table className="mt-1 w-full text-sm">
+                <tbody>
+                  {venue.rooms.map(room => (
+                    <tr key={room.id} className="text-gray-700">
+                      <td className="py-0.5 pr-2">{room.name}</td>
+                      <td className="py-0.5 pr-2 text-gray-500">{room.capacity ? `${room.capacity} seats` : 'No seat limit'}</td>
+                      <td className="py-0.5 pr-2 text-gray-500">
+                        {room.accessible ? '♿ Accessible' : 'Not accessible'}
+                        {room.accessibilityNotes && ` (${room.accessibilityNotes})`}
+                      </td>
+                      <td className="py-0.5 text-right space-x-3 whitespace-nowrap">
+                        <button onClick={() => editRoom(venue.id, room)} className="text-indigo-600 hover:text-indigo-800 font-medium">Edit</button>
+                        <button onClick={() => handleDeleteRoom(venue, room)} className="text-red-500 hover:text-red-700 font-medium">Delete</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {roomForm && roomForm.venueId === venue.id && renderRoomForm()}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// --- Bulk Import Panel (Admins) ---
+const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title *' },
+  { key: 'date', label: 'Start date *' },
+  { key: 'time', label: 'Start time' },
+  { key: 'endDate', label: 'End date' },
+  { key: 'endTime', label: 'End time' },
+  { key: 'timeZone', label: 'Time zone' },
+  { key: 'description', label: 'Description' },
+  { key: 'capacity', label: 'Capacity' },
+  { key: 'category', label: 'Category' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'building', label: 'Building' },
+  { key: 'room', label: 'Room' },
+  { key: 'url', label: 'Online link' }
+];
+
+const IMPORT_ROW_STYLES = {
+  ok: { label: 'Ready', className: 'bg-green-100 text-green-700' },
+  duplicate: { label: 'Duplicate', className: 'bg-yellow-100 text-yellow-800' },
+  invalid: { label: 'Error', className: 'bg-red-100 text-red-700' }
+};
+
+const ImportPanel = ({ onImported, onSessionExpired }) => {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [excluded, setExcluded] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const post = async (url, body) => {
+    const response = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (response.status === 401) {
+      onSessionExpired();
+      return null;
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || data.message || `Request failed (Status: ${response.status})`);
+    return data;
+  };
+
+  const requestBody = (selected, columnMapping) => ({
+    format: selected.name.toLowerCase().endsWith('.ics') ? 'ics' : 'csv',
+    content: selected.content,
+    mapping: columnMapping
+  });
+
+  const loadPreview = async (selected, columnMapping) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await post('/api/events/import/preview', requestBody(selected, columnMapping));
+      if (!data) return;
+      setPreview(data);
+      if (data.mapping) setMapping(data.mapping);
+      setExcluded([]);
+    } catch (err) {
+      setError(err.message);
+      setPreview(null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+    const selected = { name: chosen.name, content: await chosen.text() };
+    setFile(selected);
+    setMapping({});
+    await loadPreview(selected, {});
+  };
+
+  const handleMappingChange = (field, column) => {
+    const next = { ...mapping, [field]: column };
+    setMapping(next);
+    loadPreview(file, next);
+  };
+
+  const toggleRow = (row) =>
+    setExcluded(excluded.includes(row) ? excluded.filter(r => r !== row) : [...excluded, row]);
+
+  const readyCount = preview ? preview.rows.filter(row => row.status === 'ok' && !excluded.includes(row.row)).length : 0;
+
+  const handleConfirm = async () => {
+    if (!window.confirm(`Import ${readyCount} event${readyCount === 1 ? '' : 's'} as pending?`)) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const data = await post('/api/events/import', { ...requestBody(file, mapping), exclude: excluded });
+      if (!data) return;
+      alert(data.message);
+      setFile(null);
+      setPreview(null);
+      setMapping({});
+      onImported();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mb-8 p-4 bg-white rounded-xl shadow-md border border-gray-100">
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">Import Events</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        Upload a CSV or iCalendar (.ics) file. Imported events are added as pending and go through review.
+      </p>
+      <input
+        type="file"
+        accept=".csv,.ics,text/csv,text/calendar"
+        onChange={handleFileChange}
+        disabled={busy}
+        className="text-sm"
+      />
+
+      {error && <p className="mt-3 p-2 text-sm text-red-700 bg-red-50 rounded-lg">{error}</p>}
+
+      {preview && preview.columns && (
+        <div className="mt-4 grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {IMPORT_FIELDS.map(field => (
+            <label key={field.key} className="text-xs text-gray-600">
+              {field.label}
+              <select
+                value={mapping[field.key] || ''}
+                onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                disabled={busy}
+                className="mt-1 w-full p-1 text-sm border border-gray-300 rounded-lg bg-white"
+              >
+                <option value="">(not imported)</option>
+                {preview.columns.map(column => <option key={column} value={column}>{column}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {preview && (
+        <>
+          <p className="mt-4 text-sm text-gray-600">
+            {preview.summary.total} rows: {preview.summary.ok} ready, {preview.summary.duplicate} duplicates, {preview.summary.invalid} with errors
+          </p>
+          <div className="mt-2 max-h-80 overflow-y-auto border border-gray-100 rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-left text-gray-600">
+                <tr>
+                  <th className="p-2">Import</th>
+                  <th className="p-2">Row</th>
+                  <th className="p-2">Event</th>
+                  <th className="p-2">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map(row => {
+                  const style = IMPORT_ROW_STYLES[row.status];
+                  return (
+                    <tr key={row.row} className="border-t border-gray-100 align-top">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={row.status === 'ok' && !excluded.includes(row.row)}
+                          disabled={row.status !== 'ok'}
+                          onChange={() => toggleRow(row.row)}
+                        />
+                      </td>
+                      <td className="p-2 text-gray-500">{row.row}</td>
+                      <td className="p-2">
+                        <div className="font-medium text-gray-800">{row.input.title || '(no title)'}</div>
+                        <div className="text-xs text-gray-500">{row.input.date} {row.input.time}</div>
+                      </td>
+                      <td className="p-2">
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${style.className}`}>{style.label}</span>
+                        {row.errors.map(message => <div key={message} className="text-xs text-red-600 mt-1">{message}</div>)}
+                        {row.duplicateOf && (
+                          <div className="text-xs text-yellow-700 mt-1">
+                            {row.duplicateOf.eventId ? `Matches event #${row.duplicateOf.eventId}` : `Repeats row ${row.duplicateOf.row}`}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <button
+            onClick={handleConfirm}
+            disabled={busy || readyCount === 0}
+            className="mt-3 py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
+          >
+            {busy ? 'Working...' : `Import ${readyCount} Event${readyCount === 1 ? '' : 's'}`}
+          </button>
+        </>
+      )}
     </div>
   );
 };
 
 // --- Auth Component (Login/Register) ---
-const AuthScreen = ({ onLogin }) => {
+// e.g. "14:59" or "0:08" until a throttled or locked login may be retried
+const formatCountdown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const AuthScreen = ({ onLogin, notice: initialNotice = null }) => {
   const [isLogin, setIsLogin] = useState(true);
+  // Login mode can switch to asking for a password reset link
+  const [forgotPassword, setForgotPassword] = useState(false);
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [email, setEmail] = useState('');
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [notice, setNotice] = useState(initialNotice);
   const [loading, setLoading] = useState(false);
+  // Set while the server turns attempts away (429): { reason: 'locked' | 'throttled', until }
+  const [blocked, setBlocked] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
 
   const API_BASE = ''; 
 
+  useEffect(() => {
+    if (!blocked) return undefined;
+    const tick = () => {
+      const left = Math.ceil((blocked.until - Date.now()) / 1000);
+      if (left <= 0) setBlocked(null);
+      else setSecondsLeft(left);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [blocked]);
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setFieldErrors({});
+    setLoading(true);
+
+    try {
+      const response = await fetch(API_BASE + '/api/password-reset', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const { fieldErrors: errors, message } = readFieldErrors(data, ['username']);
+        setFieldErrors(errors);
+        if (message || Object.keys(errors).length === 0) throw new Error(message || 'Failed to request a password reset');
+        return;
+      }
+      setNotice(data.message);
+      setForgotPassword(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
+    setFieldErrors({});
+    setNotice(null);
     setLoading(true);
 
     const endpoint = isLogin ? '/api/login' : '/api/register';
@@ -85,14 +1858,23 @@ const AuthScreen = ({ onLogin }) => {
 
       const data = await response.json();
 
+      if (response.status === 429) {
+        setBlocked({ reason: data.reason, until: Date.now() + (data.retryAfter || 1) * 1000 });
+        setSecondsLeft(data.retryAfter || 1);
+        return;
+      }
       if (!response.ok) {
-        throw new Error(data.message || 'Authentication failed');
+        const { fieldErrors: errors, message } = readFieldErrors(data, ['username', 'email', 'password']);
+        setFieldErrors(errors);
+        if (message || Object.keys(errors).length === 0) throw new Error(message || 'Authentication failed');
+        return;
       }
 
       if (isLogin) {
+        setSessionToken(data.token);
         onLogin(data.user);
       } else {
-        alert('Registration successful! Please login.');
+        alert(data.message);
         setIsLogin(true);
       }
     } catch (err) {
@@ -106,7 +1888,7 @@ const AuthScreen = ({ onLogin }) => {
     <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
       <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md border border-gray-200">
         <h2 className="text-2xl font-bold text-indigo-900 mb-6 text-center">
-          {isLogin ? 'Login to FAU Events' : 'Create Account'}
+          {forgotPassword ? 'Reset Password' : (isLogin ? 'Login to FAU Events' : 'Create Account')}
         </h2>
         
         {error && (
@@ -114,70 +1896,262 @@ const AuthScreen = ({ onLogin }) => {
             {typeof error === 'string' ? error : 'An error occurred'}
           </div>
         )}
-
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
-            <input
-              type="text"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-              required
-            />
+        {notice && (
+          <div className="mb-4 p-3 bg-green-100 text-green-800 text-sm rounded-lg">{notice}</div>
+        )}
+        {blocked && !forgotPassword && (
+          <div className="mb-4 p-3 bg-amber-100 text-amber-900 text-sm rounded-lg">
+            {blocked.reason === 'locked' ? (
+              <>
+                <p className="font-semibold">Account temporarily locked</p>
+                <p>There were too many failed login attempts for this account. You can try again in {formatCountdown(secondsLeft)}.</p>
+              </>
+            ) : (
+              <>
+                <p className="font-semibold">Too many attempts</p>
+                <p>Please wait {formatCountdown(secondsLeft)} before trying again.</p>
+              </>
+            )}
           </div>
+        )}
+
+        {forgotPassword ? (
+          <form onSubmit={handleForgotPassword} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Enter your username and we will email you a link to choose a new password.
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+              <FieldError errors={fieldErrors} field="username" />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
+            >
+              {loading ? 'Processing...' : 'Email Reset Link'}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setForgotPassword(false); setError(null); setFieldErrors({}); }}
+              className="w-full text-sm text-indigo-600 font-semibold hover:underline"
+            >
+              Back to login
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+              <input
+                type="text"
+                value={username}
+                onChange={(e) => {
+                  setUsername(e.target.value);
+                  // A lockout is for one account; another may be tried
+                  if (blocked && blocked.reason === 'locked') setBlocked(null);
+                }}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                required
+              />
+              <FieldError errors={fieldErrors} field="username" />
+            </div>
           
-          {!isLogin && (
+            {!isLogin && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                  required
+                />
+                <FieldError errors={fieldErrors} field="email" />
+              </div>
+            )}
+
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
               <input
-                type="email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
                 className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                 required
               />
+              <FieldError errors={fieldErrors} field="password" />
+              {!isLogin && (
+                <p className="mt-1 text-xs text-gray-500">At least 8 characters, with letters and a number or symbol.</p>
+              )}
+              {isLogin && (
+                <button
+                  type="button"
+                  onClick={() => { setForgotPassword(true); setError(null); setNotice(null); }}
+                  className="mt-1 text-sm text-indigo-600 hover:underline"
+                >
+                  Forgot password?
+                </button>
+              )}
             </div>
-          )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-              required
-            />
+            <button
+              type="submit"
+              disabled={loading || blocked !== null}
+              className="w-full py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
+            >
+              {loading ? 'Processing...' : (blocked ? `Try again in ${formatCountdown(secondsLeft)}` : (isLogin ? 'Login' : 'Register'))}
+            </button>
+          </form>
+        )}
+
+        {!forgotPassword && (
+          <div className="mt-6 text-center text-sm text-gray-600">
+            {isLogin ? "Don't have an account? " : "Already have an account? "}
+            <button
+              onClick={() => { setIsLogin(!isLogin); setError(null); setFieldErrors({}); }}
+              className="text-indigo-600 font-semibold hover:underline"
+            >
+              {isLogin ? 'Register' : 'Login'}
+            </button>
           </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// The token of an emailed link (e.g. /reset-password?token=...) when the page was opened from one
+const linkToken = (pathname) => (window.location.pathname === pathname
+  ? new URLSearchParams(window.location.search).get('token')
+  : null);
+
+// --- Verify Email Screen: opened from the emailed /verify-email?token=... link ---
+// The token works once, so it is only sent when the user confirms rather than on load
+const VerifyEmailScreen = ({ token, onDone }) => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleVerify = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/verify-email', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token }),
+      });
+      const data = await response.json().catch(() => ({}));
+      setResult({ ok: response.ok, message: data.message || 'Failed to verify email address', user: data.user });
+    } catch (err) {
+      setResult({ ok: false, message: err.message });
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md border border-gray-200 text-center">
+        <h2 className="text-2xl font-bold text-indigo-900 mb-6">Verify Email</h2>
+        {!result && (
           <button
-            type="submit"
+            onClick={handleVerify}
             disabled={loading}
             className="w-full py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
           >
-            {loading ? 'Processing...' : (isLogin ? 'Login' : 'Register')}
+            {loading ? 'Verifying...' : 'Verify My Email Address'}
           </button>
-        </form>
-
-        <div className="mt-6 text-center text-sm text-gray-600">
-          {isLogin ? "Don't have an account? " : "Already have an account? "}
-          <button
-            onClick={() => { setIsLogin(!isLogin); setError(null); }}
-            className="text-indigo-600 font-semibold hover:underline"
-          >
-            {isLogin ? 'Register' : 'Login'}
+        )}
+        {result && (
+          <div className={`mb-6 p-3 text-sm rounded-lg ${result.ok ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-700'}`}>
+            {result.message}
+          </div>
+        )}
+        {result && (
+          <button onClick={() => onDone(result.ok ? result.user : null)} className="text-indigo-600 font-semibold hover:underline">
+            Continue to FAU Events
           </button>
-        </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// --- Reset Password Screen: opened from the emailed /reset-password?token=... link ---
+const ResetPasswordScreen = ({ token, onDone }) => {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    if (password !== confirmPassword) {
+      setFieldErrors({ confirmPassword: 'The passwords do not match.' });
+      return;
+    }
+    setFieldErrors({});
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/password-reset/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const { fieldErrors: errors, message } = readFieldErrors(data, ['password']);
+        setFieldErrors(errors);
+        if (message || Object.keys(errors).length === 0) throw new Error(message || 'Failed to reset password');
+        return;
+      }
+      onDone(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-        {/* Bypass Button */}
-        <div className="mt-4 pt-4 border-t border-gray-200">
+  const inputClass = "w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500";
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-md border border-gray-200">
+        <h2 className="text-2xl font-bold text-indigo-900 mb-6 text-center">Choose a New Password</h2>
+        {error && <div className="mb-4 p-3 bg-red-100 text-red-700 text-sm rounded-lg">{error}</div>}
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">New password</label>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} required />
+            <FieldError errors={fieldErrors} field="password" />
+            <p className="mt-1 text-xs text-gray-500">At least 8 characters, with letters and a number or symbol.</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Confirm new password</label>
+            <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} className={inputClass} required />
+            <FieldError errors={fieldErrors} field="confirmPassword" />
+          </div>
           <button
-            onClick={() => onLogin({ username: 'bypass', id: 0, email: 'bypass@example.com' })}
-            className="w-full py-2 px-4 bg-gray-500 text-white font-semibold rounded-lg shadow-md hover:bg-gray-600 transition duration-150 text-sm"
+            type="submit"
+            disabled={loading}
+            className="w-full py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
           >
-            Bypass Login (Skip Authentication)
+            {loading ? 'Processing...' : 'Reset Password'}
           </button>
+        </form>
+        <div className="mt-6 text-center text-sm">
+          <button onClick={() => onDone(null)} className="text-indigo-600 font-semibold hover:underline">Back to login</button>
         </div>
       </div>
     </div>
@@ -190,48 +2164,198 @@ const App = () => {
 
   // Auth State
   const [currentUser, setCurrentUser] = useState(null);
-
-  const [events, setEvents] = useState([]);
+  // Display name and preferences, from GET /api/users/me
+  const [profile, setProfile] = useState(null);
+  const [restoringSession, setRestoringSession] = useState(() => Boolean(getSessionToken()));
+  // Set when the page was opened from an emailed password reset or verification link
+  const [resetToken, setResetToken] = useState(() => linkToken('/reset-password'));
+  const [verifyToken, setVerifyToken] = useState(() => linkToken('/verify-email'));
+  // Shown on the login screen, e.g. after a password reset
+  const [authNotice, setAuthNotice] = useState(null);
+
+  // One entry per EVENT_LISTS query; later pages are appended as they load
+  const [lists, setLists] = useState(EMPTY_LISTS);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const pastEndRef = useRef(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+
+  // Filter State: the chosen facets, their counts, and the categories events can be filed under
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [facets, setFacets] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [venues, setVenues] = useState([]);
   
   // Sorting State
   const [sortOrder, setSortOrder] = useState('asc');
+
+  // View State: the card list or the calendar, remembered per user
+  const [view, setView] = useState('list');
+  const [calendarMode, setCalendarMode] = useState('month');
+  // A day within the period the calendar shows
+  const [calendarCursor, setCalendarCursor] = useState(() => isoDay(new Date()));
+  const [selectedEventKey, setSelectedEventKey] = useState(null);
+  const [showEmailSettings, setShowEmailSettings] = useState(false);
+  const [showReminders, setShowReminders] = useState(false);
+  const [showAuthLog, setShowAuthLog] = useState(false);
+  const [showVenues, setShowVenues] = useState(false);
+  const [showProfile, setShowProfile] = useState(false);
+  // Event whose detail panel is open
+  const [detailEvent, setDetailEvent] = useState(null);
+  // The user's own submissions for the My Events view, grouped by status
+  const [myEvents, setMyEvents] = useState(null);
+  const [showChangePassword, setShowChangePassword] = useState(false);
+
+  // Live updates: whether the stream is connected, and approved events that arrived since
+  // the lists loaded (shown as a "new events" banner rather than moving the list around)
+  const [liveStatus, setLiveStatus] = useState('connected');
+  const [newEventIds, setNewEventIds] = useState([]);
+  const liveMessageRef = useRef(null);
   
   // Search State
   const [searchTerm, setSearchTerm] = useState('');
+  // The query whose ranked results are shown; set when a search is submitted
+  const [activeSearch, setActiveSearch] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
 
   // Form State
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [date, setDate] = useState('');
   const [time, setTime] = useState('09:00');
+  const [allDay, setAllDay] = useState(false);
+  const [endDate, setEndDate] = useState('');
+  const [endTime, setEndTime] = useState('');
+  const [timeZone, setTimeZone] = useState(DEFAULT_TIME_ZONE);
+  const [capacity, setCapacity] = useState('');
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
+  const [category, setCategory] = useState('');
+  const [tags, setTags] = useState('');
+  // A room from the venue registry; '' when the building and room are typed in
+  const [roomId, setRoomId] = useState('');
+  const [building, setBuilding] = useState('');
+  const [room, setRoom] = useState('');
+  const [onlineUrl, setOnlineUrl] = useState('');
+  // Bookings the room clashes with, from a refused save: { conflicts, canOverride }
+  const [roomConflicts, setRoomConflicts] = useState(null);
+  const [conflictNote, setConflictNote] = useState('');
+  // Messages the server gave for single fields of the form, by field name
+  const [formErrors, setFormErrors] = useState({});
+  const titleInputRef = useRef(null);
+  // Event being edited; null while the form schedules a new event
+  const [editingEvent, setEditingEvent] = useState(null);
+  // Set to an occurrence date when only that date of a series is being edited
+  const [editingOccurrence, setEditingOccurrence] = useState(null);
 
   // --- Fetch Data (GET) ---
+  // Loads one page of a list; offset 0 replaces the list, later offsets append to it.
+  // The 'search' list holds ranked results for activeSearch.
+  const fetchList = async (name, offset = 0) => {
+    const params = { ...EVENT_LISTS[name], order: sortOrder, offset, limit: PAGE_SIZE };
+    if (FILTERED_LISTS.includes(name)) Object.assign(params, filterParams(filters));
+    if (name === 'upcoming' && offset === 0) params.facets = 'true';
+    // The calendar loads every event of its period at once, in date order
+    if (name === 'calendar') {
+      const days = periodDays(calendarMode, calendarCursor);
+      Object.assign(params, { from: days[0], to: days[days.length - 1], order: 'asc', offset: 0 });
+      delete params.limit;
+    }
+
+    const url = name === 'search'
+      ? `${API_URL}/search?${new URLSearchParams({ q: activeSearch, offset, limit: PAGE_SIZE })}`
+      : `${API_URL}?${new URLSearchParams(params)}`;
+
+    const response = await apiFetch(url);
+
+    if (response.status === 401) return expireSession();
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.facets) setFacets(data.facets);
+    // Search results carry highlight segments alongside each event
+    const events = name === 'search'
+      ? data.results.map(result => ({ ...result.event, highlights: result.highlights }))
+      : data.events;
+    setLists(prev => ({
+      ...prev,
+      [name]: {
+        events: offset === 0 ? events : [...prev[name].events, ...events],
+        total: data.total,
+        nextOffset: data.nextOffset
+      }
+    }));
+  };
+
+  // The lists on screen for the current user and view
+  const shownLists = () => {
+    const names = ['upcoming', 'past'];
+    if (hasRole(currentUser, 'moderator')) names.push('pending');
+    if (activeSearch) names.push('search');
+    if (view === 'calendar') names.push('calendar');
+    return names;
+  };
+
+  const fetchMyEvents = async () => {
+    const response = await apiFetch('/api/users/me/events');
+    if (response.status === 401) return expireSession();
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    setMyEvents(await response.json());
+  };
+
   const fetchEvents = async () => {
     setLoading(true);
     setError(null);
+    setNewEventIds([]);
     try {
-      // Include pending events if user is admin
-      const isAdmin = currentUser && currentUser.username === 'FAUadmin';
-      const url = isAdmin ? `${API_URL}?includePending=true` : API_URL;
-      
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
-      setEvents(data);
+      await Promise.all([...shownLists().map(name => fetchList(name)), view === 'mine' && fetchMyEvents()]);
     } catch (err) {
       setError(`Failed to fetch events: ${err.message}`);
-      setEvents([]);
+      setLists(EMPTY_LISTS);
     } finally {
       setLoading(false);
     }
   };
 
+  const loadMore = async (name) => {
+    if (loadingMore || lists[name].nextOffset === null) return;
+
+    setLoadingMore(true);
+    try {
+      await fetchList(name, lists[name].nextOffset);
+    } catch (err) {
+      setError(`Failed to load more events: ${err.message}`);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Reloads the lists without the loading banner, for live updates that cannot be applied in place
+  const refreshLists = () => {
+    setNewEventIds([]);
+    Promise.all([...shownLists().map(name => fetchList(name)), view === 'mine' && fetchMyEvents()])
+      .catch(err => setError(`Failed to fetch events: ${err.message}`));
+  };
+
+  // Applies a change to every list an event may appear in, keeping the totals in step
+  const updateLists = (change) => {
+    setLists(prev => Object.fromEntries(Object.entries(prev).map(([name, list]) => {
+      const events = change(list.events);
+      return [name, { ...list, events, total: list.total + events.length - list.events.length }];
+    })));
+    setMyEvents(prev => {
+      if (!prev) return prev;
+      const groups = Object.fromEntries(Object.entries(prev.groups).map(([status, events]) => [status, change(events)]));
+      const counts = Object.fromEntries(Object.entries(groups).map(([status, events]) => [status, events.length]));
+      return { ...prev, groups, counts, total: Object.values(counts).reduce((sum, count) => sum + count, 0) };
+    });
+  };
+
   // Load Tailwind CSS on mount (regardless of auth state)
   useEffect(() => {
     const scriptId = 'tailwind-cdn';
@@ -243,14 +2367,297 @@ const App = () => {
     }
   }, []); // Empty dependency array - runs once on mount
 
-  // Fetch events when user is logged in
-  useEffect(() => {
-    if (currentUser) {
-      fetchEvents();
-    }
-  }, [currentUser]);
+  // Restore the session from a stored token on reload
+  useEffect(() => {
+    if (!getSessionToken()) return;
+
+    apiFetch('/api/session')
+      .then(response => (response.ok ? response.json() : Promise.reject(response)))
+      .then(data => setCurrentUser(data.user))
+      .catch(() => clearSessionToken())
+      .finally(() => setRestoringSession(false));
+  }, []);
+
+  // Drop the local session when the server no longer accepts it
+  const expireSession = () => {
+    clearSessionToken();
+    setCurrentUser(null);
+    setProfile(null);
+    setLists(EMPTY_LISTS);
+    setMyEvents(null);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/logout', { method: 'POST' });
+    } catch (err) {
+      // The local session is cleared regardless of whether the server call succeeds
+    }
+    expireSession();
+  };
+
+  // Fetch events when user is logged in, and again whenever the sort or filters change
+  useEffect(() => {
+    if (currentUser) {
+      fetchEvents();
+    }
+  }, [currentUser, sortOrder, filters]);
+
+  // Applies a message from the live update stream. Changed events are updated in place, or
+  // removed from lists they no longer belong in; other people's newly approved events are
+  // counted for the banner, and their new submissions join a moderator's pending queue.
+  const handleLiveMessage = ({ event: kind, data }) => {
+    if (kind === 'reset') return refreshLists();
+    if (kind !== 'change') return;
+
+    const { eventId, event, actor } = data;
+    const isShown = (name) => lists[name].events.some(row => row.id === eventId);
+
+    // Moderators' decisions on the user's own events move them between My Events groups
+    if (view === 'mine' && (event ? event.userId === currentUser.username : myEvents && myEvents.total > 0)) {
+      fetchMyEvents().catch(err => setError(`Failed to fetch events: ${err.message}`));
+    }
+
+    if (!event) {
+      updateLists(events => events.filter(row => row.id !== eventId));
+      setNewEventIds(ids => ids.filter(id => id !== eventId));
+      return;
+    }
+
+    // Series are listed as occurrences the server expands, so their lists are reloaded
+    if (event.recurrence && Object.keys(lists).some(isShown)) return refreshLists();
+
+    setLists(prev => Object.fromEntries(Object.entries(prev).map(([name, list]) => {
+      if (!list.events.some(row => row.id === eventId)) return [name, list];
+      const events = belongsInList(name, event)
+        // The stream's copy does not know this user's RSVP or bookmark, so those are kept
+        ? list.events.map(row => (row.id === eventId
+          ? { ...applyEventUpdate(row, event), myRsvp: row.myRsvp, bookmarked: row.bookmarked }
+          : row))
+        : list.events.filter(row => row.id !== eventId);
+      return [name, { ...list, events, total: list.total + events.length - list.events.length }];
+    })));
+
+    // The user's own changes are already on screen
+    if (actor === currentUser.username) return;
+    if (event.status === 'approved' && !isShown('upcoming') && !isShown('past')) {
+      setNewEventIds(ids => (ids.includes(eventId) ? ids : [...ids, eventId]));
+    }
+    if (event.status === 'pending' && hasRole(currentUser, 'moderator') && !isShown('pending')) {
+      setLists(prev => ({ ...prev, pending: { ...prev.pending, events: [...prev.pending.events, event], total: prev.pending.total + 1 } }));
+    }
+  };
+  liveMessageRef.current = handleLiveMessage;
+
+  // Listen for changes made by everyone else while logged in
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    return subscribeToEvents({
+      onMessage: message => liveMessageRef.current(message),
+      onStatus: setLiveStatus,
+      onUnauthorized: expireSession
+    });
+  }, [currentUser]);
+
+  // Load the user's profile, restoring their list/calendar choice and the form's time zone
+  useEffect(() => {
+    if (!currentUser) return;
+    apiFetch('/api/users/me')
+      .then(response => (response.ok ? response.json() : Promise.reject(response)))
+      .then(data => {
+        const { view: savedView, calendarMode: savedMode, timeZone: savedZone } = data.preferences;
+        setProfile(data);
+        setView(view === 'mine' ? 'mine' : savedView || 'list');
+        if (savedMode) setCalendarMode(savedMode);
+        if (savedZone && !editingEvent) setTimeZone(savedZone);
+      })
+      .catch(() => setProfile(null));
+  }, [currentUser]);
+
+  // Load the user's submissions when My Events is opened
+  useEffect(() => {
+    if (!currentUser || view !== 'mine') return;
+    fetchMyEvents().catch(err => setError(`Failed to fetch your events: ${err.message}`));
+  }, [currentUser, view]);
+
+  // Remembers view choices on the server; a failed save only loses the preference
+  const savePreferences = (preferences) => {
+    apiFetch('/api/users/me', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ preferences }),
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => { if (data) setProfile(data); })
+      .catch(() => {});
+  };
+
+  // Keeps the comment count on the event's cards in step with its detail panel
+  const handleCommentCount = (id, count) => {
+    updateLists(events => events.map(event => (event.id === id && event.commentCount !== count ? { ...event, commentCount: count } : event)));
+  };
+
+  const handleProfileSaved = (data) => {
+    setProfile(data);
+    // A new email address needs verifying before the user can submit again
+    if (data.email !== currentUser.email || data.emailVerified !== currentUser.emailVerified) {
+      setCurrentUser({ ...currentUser, email: data.email, emailVerified: data.emailVerified });
+    }
+  };
+
+  // Load the calendar's period when it is shown or moved
+  useEffect(() => {
+    if (!currentUser || view !== 'calendar') return;
+    fetchList('calendar').catch(err => setError(`Failed to fetch events: ${err.message}`));
+  }, [currentUser, view, calendarMode, calendarCursor]);
+
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    if (nextView !== 'mine') savePreferences({ view: nextView });
+  };
+
+  const handleCalendarModeChange = (mode) => {
+    setCalendarMode(mode);
+    savePreferences({ calendarMode: mode });
+  };
+
+  // Categories for the form
+  useEffect(() => {
+    if (!currentUser) return;
+    apiFetch('/api/categories')
+      .then(response => (response.ok ? response.json() : []))
+      .then(setCategories)
+      .catch(() => setCategories([]));
+  }, [currentUser]);
+
+  // Venues and rooms for the form
+  const fetchVenues = () => apiFetch('/api/venues')
+    .then(response => (response.ok ? response.json() : []))
+    .then(setVenues)
+    .catch(() => setVenues([]));
+
+  useEffect(() => {
+    if (currentUser) fetchVenues();
+  }, [currentUser]);
+
+  // Run a submitted search
+  useEffect(() => {
+    if (!currentUser) return;
+    if (!activeSearch) {
+      setLists(prev => ({ ...prev, search: EMPTY_LIST }));
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    fetchList('search')
+      .catch(err => setError(`Search failed: ${err.message}`))
+      .finally(() => setLoading(false));
+  }, [currentUser, activeSearch]);
+
+  // Suggest event titles as the search is typed
+  useEffect(() => {
+    if (!currentUser || !searchTerm.trim()) {
+      setSuggestions([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(`${API_URL}/suggest?${new URLSearchParams({ q: searchTerm })}`);
+        if (response.ok) setSuggestions(await response.json());
+      } catch (err) {
+        // Suggestions are a convenience; a failed request just shows none
+      }
+    }, SUGGEST_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [currentUser, searchTerm]);
+
+  const runSearch = (query) => {
+    setSearchTerm(query);
+    setActiveSearch(query.trim());
+    setShowSuggestions(false);
+  };
+
+  // Infinite scroll: load the next page of past events as the end of the list comes into view
+  useEffect(() => {
+    const end = pastEndRef.current;
+    if (!end || lists.past.nextOffset === null) return undefined;
+
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore('past');
+    }, { rootMargin: '200px' });
+    observer.observe(end);
+    return () => observer.disconnect();
+  }, [lists.past.nextOffset, loadingMore]);
+
+  const resetForm = () => {
+    setTitle('');
+    setDescription('');
+    setDate('');
+    setTime('09:00');
+    setAllDay(false);
+    setEndDate('');
+    setEndTime('');
+    setTimeZone((profile && profile.preferences.timeZone) || DEFAULT_TIME_ZONE);
+    setCapacity('');
+    setRecurrence(EMPTY_RECURRENCE);
+    setCategory('');
+    setTags('');
+    setRoomId('');
+    setBuilding('');
+    setRoom('');
+    setOnlineUrl('');
+    setEditingEvent(null);
+    setEditingOccurrence(null);
+    setFormErrors({});
+    setRoomConflicts(null);
+    setConflictNote('');
+  };
+
+  // --- Calendar: open the form for a new event on the clicked day ---
+  const handleCreateOnDay = (day) => {
+    resetForm();
+    setDate(day);
+    setError(null);
+    if (titleInputRef.current) {
+      titleInputRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      titleInputRef.current.focus();
+    }
+  };
+
+  // --- Edit Event: load it (or, for an occurrence, its whole series) into the form ---
+  const handleEdit = (event) => {
+    const values = event.series || event;
+    setTitle(values.title);
+    setDescription(values.description || '');
+    setDate(values.date);
+    setTime(values.time ? values.time.slice(0, 5) : '09:00');
+    setAllDay(!values.time);
+    setEndDate(values.endDate || '');
+    setEndTime(values.endTime ? values.endTime.slice(0, 5) : '');
+    setTimeZone(event.timeZone || DEFAULT_TIME_ZONE);
+    setCapacity(event.capacity ? String(event.capacity) : '');
+    setRecurrence(toFormRecurrence(event.recurrence));
+    setCategory(event.category ? event.category.slug : '');
+    setTags((event.tags || []).join(', '));
+    setRoomId(event.roomId ? String(event.roomId) : '');
+    setBuilding(event.location && event.location.building ? event.location.building : '');
+    setRoom(event.location && event.location.room ? event.location.room : '');
+    setOnlineUrl(event.location && event.location.url ? event.location.url : '');
+    setEditingEvent(event);
+    setEditingOccurrence(null);
+    setError(null);
+    setFormErrors({});
+    setRoomConflicts(null);
+    setConflictNote('');
+  };
+
+  // --- Edit Occurrence: load a single date of a series into the form ---
+  const handleEditOccurrence = (event) => {
+    handleEdit({ ...event, series: null });
+    setEditingOccurrence(event.occurrenceDate);
+  };
 
-  // --- Submit Data (POST) ---
+  // --- Submit Data (POST, or PUT when editing) ---
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -260,7 +2667,7 @@ const App = () => {
     }
 
     let timeValue = time;
-    if (!timeValue || timeValue.trim() === '') {
+    if (allDay || !timeValue || timeValue.trim() === '') {
         timeValue = null; 
     } 
 
@@ -268,36 +2675,69 @@ const App = () => {
       title, 
       description, 
       date, 
-      time: timeValue, 
-      userId: currentUser ? currentUser.username : "anonymous" 
+      time: timeValue
     };
+    // A single occurrence only overrides the fields above, and keeps the series' length;
+    // the rest belong to the series
+    if (!editingOccurrence) {
+      newEvent.endDate = endDate || null;
+      newEvent.endTime = timeValue && endTime ? endTime : null;
+      newEvent.timeZone = timeZone;
+      newEvent.capacity = capacity === '' ? null : Number(capacity);
+      newEvent.recurrence = fromFormRecurrence(recurrence);
+      newEvent.category = category || null;
+      newEvent.tags = tags;
+      // A registry room fills in the building and room on the server
+      newEvent.roomId = roomId ? Number(roomId) : null;
+      newEvent.location = roomId ? { url: onlineUrl } : { building, room, url: onlineUrl };
+      if (conflictNote.trim()) newEvent.conflictNote = conflictNote.trim();
+    }
+
+    let url = API_URL;
+    if (editingOccurrence) url = `${API_URL}/${editingEvent.id}/occurrences/${editingOccurrence}`;
+    else if (editingEvent) url = `${API_URL}/${editingEvent.id}`;
     
     setLoading(true);
     setError(null);
+    setFormErrors({});
 
     try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
+      const response = await apiFetch(url, {
+        method: editingEvent ? 'PUT' : 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(newEvent),
       });
 
+      if (response.status === 401) return expireSession();
+
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || data.message || 'Failed to add event.');
+        if (response.status === 409 && data.conflicts) {
+          setRoomConflicts({ conflicts: data.conflicts, canOverride: data.canOverride });
+          return;
+        }
+        const { fieldErrors, message } = readFieldErrors(data, EVENT_FORM_FIELDS);
+        setFormErrors(fieldErrors);
+        if (message || Object.keys(fieldErrors).length === 0) {
+          throw new Error(message || (editingEvent ? 'Failed to update event.' : 'Failed to add event.'));
+        }
+        return;
       }
 
       await fetchEvents();
 
-      setTitle('');
-      setDescription('');
-      setDate('');
-      setTime('09:00');
+      const wasApproved = editingEvent && editingEvent.approved && !editingOccurrence;
+      const wasEditing = Boolean(editingEvent);
+      resetForm();
 
       // Show success message
-      if (currentUser && currentUser.username !== 'FAUadmin') {
-        alert('Event submitted successfully! It is pending approval and will be visible to others once approved by an administrator.');
+      if (!hasRole(currentUser, 'moderator')) {
+        if (!wasEditing) {
+          alert('Event submitted successfully! It is pending approval and will be visible to others once approved by a moderator. You can follow it under My Events, and we will email you when it has been reviewed.');
+        } else if (wasApproved && !data.approved) {
+          alert('Changes saved. Because the title, date, time or repetition changed, the event is pending approval again.');
+        }
       }
 
     } catch (err) {
@@ -307,54 +2747,231 @@ const App = () => {
     }
   };
 
-  // --- Approve Event ---
-  const handleApprove = async (id) => {
+  // --- Moderation Actions (approve / reject / cancel) ---
+  const changeEventStatus = async (id, action, body = {}) => {
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch(`${API_URL}/${id}/approve`, {
+      const response = await apiFetch(`${API_URL}/${id}/${action}`, {
         method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
       });
 
+      if (response.status === 401) return expireSession();
+
+      const data = await response.json().catch(() => ({}));
+
+      // Approving into a booked room: a moderator may go ahead with a note saying why
+      if (response.status === 409 && data.canOverride && !body.conflictNote) {
+        const note = window.prompt(`${data.message}\n\nWhy is the double-booking acceptable? The note is kept in the event's history.`);
+        if (note && note.trim()) {
+          return changeEventStatus(id, action, { ...body, conflictNote: note.trim() });
+        }
+        if (note === null) return;
+      }
+
       if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        throw new Error(data.error || data.message || `Failed to approve event (Status: ${response.status})`);
+        throw new Error(data.error || data.message || `Failed to ${action} event (Status: ${response.status})`);
       }
 
-      // Update the event's approved status in the local state
-      setEvents(prevEvents => 
-        prevEvents.map(event => 
-          event.id === id ? { ...event, approved: true } : event
-        )
-      );
+      // A new status can move the event between lists, so they are fetched again
+      await fetchEvents();
 
     } catch (err) {
-      setError(`Error approving event: ${err.message}`);
+      setError(`Error trying to ${action} event: ${err.message}`);
       await fetchEvents();
     } finally {
       setLoading(false);
     }
   };
 
+  const handleApprove = (id) => changeEventStatus(id, 'approve');
+
+  const handleReject = (id) => {
+    const reason = window.prompt("Why is this event being rejected? The submitter will see this reason.");
+    if (reason === null) return;
+    if (!reason.trim()) {
+      setError("A reason is required to reject an event.");
+      return;
+    }
+    changeEventStatus(id, 'reject', { reason });
+  };
+
+  const handleCancel = (id) => {
+    if (!window.confirm("Are you sure you want to cancel this event?")) return;
+    changeEventStatus(id, 'cancel');
+  };
+
+  // --- RSVP (join or leave) ---
+  const handleRsvp = async (id, join) => {
+    setError(null);
+
+    try {
+      const response = await apiFetch(`${API_URL}/${id}/rsvp`, { method: join ? 'POST' : 'DELETE' });
+
+      if (response.status === 401) return expireSession();
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || `Failed to update RSVP (Status: ${response.status})`);
+      }
+
+      updateLists(events => events.map(event => (event.id === id ? applyEventUpdate(event, data.event) : event)));
+      if (data.status === 'waitlisted') {
+        alert(data.message);
+      }
+    } catch (err) {
+      setError(`Error updating RSVP: ${err.message}`);
+    }
+  };
+
+  // --- Bookmarks ---
+  const handleBookmark = async (id, bookmark) => {
+    setError(null);
+
+    try {
+      const response = await apiFetch(`${API_URL}/${id}/bookmark`, { method: bookmark ? 'POST' : 'DELETE' });
+
+      if (response.status === 401) return expireSession();
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || `Failed to update bookmark (Status: ${response.status})`);
+      }
+
+      updateLists(events => events.map(event => (event.id === id ? applyEventUpdate(event, data.event) : event)));
+    } catch (err) {
+      setError(`Error updating bookmark: ${err.message}`);
+    }
+  };
+
+  // --- Email Verification ---
+  const handleResendVerification = async () => {
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/users/me/verification', { method: 'POST' });
+
+      if (response.status === 401) return expireSession();
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || `Failed to send verification email (Status: ${response.status})`);
+      }
+
+      alert(data.message);
+    } catch (err) {
+      setError(`Error sending verification email: ${err.message}`);
+    }
+  };
+
+  // --- Calendar Subscription: a private feed of RSVP'd and bookmarked events ---
+  const handleSubscribeCalendar = async () => {
+    if (!window.confirm("Create a calendar subscription link for the events you RSVP'd to or bookmarked? Any link you created before will stop working.")) return;
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/users/me/calendar', { method: 'POST' });
+
+      if (response.status === 401) return expireSession();
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        throw new Error(data.error || data.message || `Failed to create subscription (Status: ${response.status})`);
+      }
+
+      window.prompt("Add this URL to Google Calendar or Outlook (\"From URL\" / \"Subscribe\"). Keep it private; anyone with it can see your events.", data.url);
+    } catch (err) {
+      setError(`Error creating calendar subscription: ${err.message}`);
+    }
+  };
+
+  // --- Export Attendees (CSV download) ---
+  const handleExportAttendees = async (event) => {
+    setError(null);
+
+    try {
+      const response = await apiFetch(`${API_URL}/${event.id}/attendees?format=csv`);
+
+      if (response.status === 401) return expireSession();
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || data.message || `Failed to export attendees (Status: ${response.status})`);
+      }
+
+      // The request needs the session header, so download through a Blob rather than a plain link
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `event-${event.id}-attendees.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(`Error exporting attendees: ${err.message}`);
+    }
+  };
+
+  // --- Skip Occurrence: cancel one date of a series ---
+  const handleSkipOccurrence = async (event) => {
+    const label = new Date(`${event.occurrenceDate}T00:00:00`).toLocaleDateString();
+    if (!window.confirm(`Cancel "${event.title}" on ${label}? Other dates in the series are not affected.`)) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch(`${API_URL}/${event.id}/occurrences/${event.occurrenceDate}`, { method: 'DELETE' });
+
+      if (response.status === 401) return expireSession();
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || data.message || `Failed to cancel date (Status: ${response.status})`);
+      }
+
+      updateLists(events => events.filter(item => eventKey(item) !== eventKey(event)));
+      if (editingOccurrence === event.occurrenceDate) resetForm();
+
+    } catch (err) {
+      setError(`Error cancelling date: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // --- Delete Data (DELETE) ---
   const handleDelete = async (id) => {
-    if (!window.confirm("Are you sure you want to delete this event?")) return;
+    const isSeries = [...Object.values(lists).map(list => list.events), ...Object.values(myEvents ? myEvents.groups : {})]
+      .some(events => events.some(event => event.id === id && event.recurrence));
+    const question = isSeries
+      ? "This event repeats. Delete every date in the series?"
+      : "Are you sure you want to delete this event?";
+    if (!window.confirm(question)) return;
 
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch(`${API_URL}/${id}`, {
+      const response = await apiFetch(`${API_URL}/${id}`, {
         method: 'DELETE',
       });
 
+      if (response.status === 401) return expireSession();
+
       if (!response.ok) {
         const data = await response.json().catch(() => ({}));
         throw new Error(data.error || data.message || `Failed to delete event (Status: ${response.status})`);
       }
 
-      setEvents(prevEvents => prevEvents.filter(event => event.id !== id));
+      updateLists(events => events.filter(event => event.id !== id));
+      if (editingEvent && editingEvent.id === id) resetForm();
 
     } catch (err) {
       setError(`Error deleting event: ${err.message}`);
@@ -364,53 +2981,61 @@ const App = () => {
     }
   };
 
-  // --- Filtering and Sorting Logic ---
-  const now = new Date();
-  const isAdmin = currentUser && currentUser.username === 'FAUadmin';
-  
-  // Separate events into approved and pending (for admin view)
-  const approvedEvents = events.filter(event => event.approved === true || event.approved === 1);
-  const pendingEvents = isAdmin ? events.filter(event => !event.approved || event.approved === false || event.approved === 0) : [];
-  
-  // Separate approved events into upcoming and past
-  const upcomingEvents = approvedEvents.filter(event => {
-    const eventDate = new Date(`${event.date}T${event.time || '23:59:59'}`);
-    return eventDate >= now;
-  });
-  
-  const pastEvents = approvedEvents.filter(event => {
-    const eventDate = new Date(`${event.date}T${event.time || '00:00:00'}`);
-    return eventDate < now;
-  });
+  const canModerate = hasRole(currentUser, 'moderator');
+  // Submitting also takes a verified email address
+  const canSubmit = hasRole(currentUser, 'submitter') && currentUser.emailVerified;
+  const { upcoming, past, pending } = lists;
+  const selectedEvent = lists.calendar.events.find(event => eventKey(event) === selectedEventKey);
+
+  const loadMoreButton = (name) => lists[name].nextOffset !== null && (
+    <button
+      onClick={() => loadMore(name)}
+      disabled={loadingMore}
+      className="md:col-span-2 py-2 text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-400"
+    >
+      {loadingMore ? 'Loading...' : `Show more (${lists[name].total - lists[name].events.length} remaining)`}
+    </button>
+  );
 
-  // Apply search filter
-  const filterBySearch = (eventList) => {
-    if (!searchTerm.trim()) return eventList;
-    return eventList.filter(event => 
-      event.title.toLowerCase().includes(searchTerm.toLowerCase())
+  // --- Render Logic ---
+  if (verifyToken) {
+    return (
+      <VerifyEmailScreen
+        token={verifyToken}
+        onDone={(user) => {
+          window.history.replaceState(null, '', '/');
+          setVerifyToken(null);
+          if (user && currentUser && currentUser.id === user.id) setCurrentUser({ ...currentUser, emailVerified: true });
+        }}
+      />
     );
-  };
-
-  const filteredPending = filterBySearch(pendingEvents);
-  const filteredUpcoming = filterBySearch(upcomingEvents);
-  const filteredPast = filterBySearch(pastEvents);
+  }
 
-  // Sort events
-  const sortEvents = (eventList) => {
-    return [...eventList].sort((a, b) => {
-      const dateA = new Date(`${a.date}T${a.time || '00:00:00'}`);
-      const dateB = new Date(`${b.date}T${b.time || '00:00:00'}`);
-      return sortOrder === 'asc' ? dateA - dateB : dateB - dateA;
-    });
-  };
+  if (resetToken) {
+    return (
+      <ResetPasswordScreen
+        token={resetToken}
+        onDone={(message) => {
+          window.history.replaceState(null, '', '/');
+          setResetToken(null);
+          setAuthNotice(message);
+          // A reset logs the account out everywhere, this browser included
+          if (message) expireSession();
+        }}
+      />
+    );
+  }
 
-  const sortedPending = sortEvents(filteredPending);
-  const sortedUpcoming = sortEvents(filteredUpcoming);
-  const sortedPast = sortEvents(filteredPast);
+  if (restoringSession) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-100 text-gray-500">
+        Restoring session...
+      </div>
+    );
+  }
 
-  // --- Render Logic ---
   if (!currentUser) {
-    return <AuthScreen onLogin={(user) => setCurrentUser(user)} />;
+    return <AuthScreen notice={authNotice} onLogin={(user) => { setAuthNotice(null); setCurrentUser(user); }} />;
   }
 
   return (
@@ -423,14 +3048,72 @@ const App = () => {
             <h1 className="text-3xl font-extrabold text-indigo-900 tracking-tight">
               FAU Events
             </h1>
-            <p className="text-gray-500 mt-1">Welcome, {currentUser.username}</p>
+            <p className="text-gray-500 mt-1">Welcome, {(profile && profile.displayName) || currentUser.username}</p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <a
+              href="/api/events.ics"
+              download
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+              title="Download every approved event as an .ics file"
+            >
+              All Events (.ics)
+            </a>
+            <button
+              onClick={() => setShowProfile(!showProfile)}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+            >
+              Profile
+            </button>
+            <button
+              onClick={() => setShowEmailSettings(!showEmailSettings)}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+            >
+              Email Settings
+            </button>
+            <button
+              onClick={() => setShowChangePassword(!showChangePassword)}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+            >
+              Change Password
+            </button>
+            {hasRole(currentUser, 'admin') && (
+              <button
+                onClick={() => setShowReminders(!showReminders)}
+                className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+              >
+                Reminders
+              </button>
+            )}
+            {hasRole(currentUser, 'admin') && (
+              <button
+                onClick={() => setShowVenues(!showVenues)}
+                className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+              >
+                Venues
+              </button>
+            )}
+            {hasRole(currentUser, 'admin') && (
+              <button
+                onClick={() => setShowAuthLog(!showAuthLog)}
+                className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+              >
+                Auth Log
+              </button>
+            )}
+            <button
+              onClick={handleSubscribeCalendar}
+              className="text-sm text-indigo-600 hover:text-indigo-800 font-medium border border-indigo-200 px-3 py-1 rounded-md hover:bg-indigo-50"
+            >
+              Subscribe in Calendar
+            </button>
+            <button 
+              onClick={handleLogout}
+              className="text-sm text-red-600 hover:text-red-800 font-medium border border-red-200 px-3 py-1 rounded-md hover:bg-red-50"
+            >
+              Logout
+            </button>
           </div>
-          <button 
-            onClick={() => setCurrentUser(null)}
-            className="text-sm text-red-600 hover:text-red-800 font-medium border border-red-200 px-3 py-1 rounded-md hover:bg-red-50"
-          >
-            Logout
-          </button>
         </header>
 
         {/* Error/Loading Feedback */}
@@ -449,176 +3132,629 @@ const App = () => {
 
           {/* Column 1: Add New Event Form */}
           <section className="lg:col-span-1 p-6 bg-white rounded-2xl shadow-xl h-fit sticky top-8">
-            <h2 className="text-xl font-bold text-gray-800 mb-6 border-b pb-3">Schedule New Event</h2>
+            <h2 className="text-xl font-bold text-gray-800 mb-6 border-b pb-3">
+              {editingOccurrence
+                ? `Edit ${new Date(`${editingOccurrence}T00:00:00`).toLocaleDateString()} Only`
+                : editingEvent ? 'Edit Event' : 'Schedule New Event'}
+            </h2>
+
+            {canSubmit ? (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1">Event Title *</label>
+                  <input
+                    type="text"
+                    id="title"
+                    ref={titleInputRef}
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder="e.g., Database Systems Exam"
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    required
+                  />
+                  <FieldError errors={formErrors} field="title" />
+                </div>
+                
+                <div>
+                  <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <textarea
+                    id="description"
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="Event details..."
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    rows="2"
+                  />
+                  <FieldError errors={formErrors} field="description" />
+                </div>
 
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label htmlFor="title" className="block text-sm font-medium text-gray-700 mb-1">Event Title *</label>
-                <input
-                  type="text"
-                  id="title"
-                  value={title}
-                  onChange={(e) => setTitle(e.target.value)}
-                  placeholder="e.g., Database Systems Exam"
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                  required
-                />
-              </div>
-              
-              <div>
-                <label htmlFor="description" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
-                <textarea
-                  id="description"
-                  value={description}
-                  onChange={(e) => setDescription(e.target.value)}
-                  placeholder="Event details..."
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                  rows="2"
-                />
-              </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={allDay} onChange={(e) => setAllDay(e.target.checked)} />
+                  <span>All day</span>
+                </label>
+
+                <div className={allDay ? '' : 'grid grid-cols-2 gap-2'}>
+                  <div>
+                    <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-1">Start date *</label>
+                    <input
+                      type="date"
+                      id="date"
+                      value={date}
+                      onChange={(e) => setDate(e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                      required
+                    />
+                    <FieldError errors={formErrors} field="date" />
+                  </div>
+                  {!allDay && (
+                    <div>
+                      <label htmlFor="time" className="block text-sm font-medium text-gray-700 mb-1">Start time</label>
+                      <input
+                        type="time"
+                        id="time"
+                        value={time}
+                        onChange={(e) => setTime(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                      <FieldError errors={formErrors} field="time" />
+                    </div>
+                  )}
+                </div>
 
-              <div>
-                <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-1">Date *</label>
-                <input
-                  type="date"
-                  id="date"
-                  value={date}
-                  onChange={(e) => setDate(e.target.value)}
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                  required
-                />
-              </div>
-              
-              <div>
-                <label htmlFor="time" className="block text-sm font-medium text-gray-700 mb-1">Time</label>
-                <input
-                  type="time"
-                  id="time"
-                  value={time}
-                  onChange={(e) => setTime(e.target.value)}
-                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
-                />
-              </div>
+                {!editingOccurrence && (
+                  <>
+                    <div className={allDay ? '' : 'grid grid-cols-2 gap-2'}>
+                      <div>
+                        <label htmlFor="endDate" className="block text-sm font-medium text-gray-700 mb-1">End date</label>
+                        <input
+                          type="date"
+                          id="endDate"
+                          value={endDate}
+                          min={date || undefined}
+                          onChange={(e) => setEndDate(e.target.value)}
+                          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                        <FieldError errors={formErrors} field="endDate" />
+                      </div>
+                      {!allDay && (
+                        <div>
+                          <label htmlFor="endTime" className="block text-sm font-medium text-gray-700 mb-1">End time</label>
+                          <input
+                            type="time"
+                            id="endTime"
+                            value={endTime}
+                            onChange={(e) => setEndTime(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                          />
+                          <FieldError errors={formErrors} field="endTime" />
+                        </div>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {allDay ? 'Leave the end date blank for a one-day event.' : 'Leave the end date blank for events ending the day they start.'}
+                    </p>
+
+                    <div>
+                      <label htmlFor="timeZone" className="block text-sm font-medium text-gray-700 mb-1">Time zone</label>
+                      <select
+                        id="timeZone"
+                        value={timeZone}
+                        onChange={(e) => setTimeZone(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                      >
+                        {(TIME_ZONES.includes(timeZone) ? TIME_ZONES : [timeZone, ...TIME_ZONES]).map(zone => (
+                          <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                        ))}
+                      </select>
+                      <FieldError errors={formErrors} field="timeZone" />
+                    </div>
+                  </>
+                )}
 
-              <button
-                type="submit"
-                disabled={loading}
-                className="w-full py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
-              >
-                {loading ? 'Adding...' : 'Add Event'}
-              </button>
-            </form>
+                {!editingOccurrence && (
+                  <div>
+                    <label htmlFor="capacity" className="block text-sm font-medium text-gray-700 mb-1">Capacity</label>
+                    <input
+                      type="number"
+                      id="capacity"
+                      min="1"
+                      step="1"
+                      value={capacity}
+                      onChange={(e) => setCapacity(e.target.value)}
+                      placeholder="Unlimited"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <FieldError errors={formErrors} field="capacity" />
+                  </div>
+                )}
+
+                {!editingOccurrence && (
+                  <>
+                    <div>
+                      <label htmlFor="category" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                      <select
+                        id="category"
+                        value={category}
+                        onChange={(e) => setCategory(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                      >
+                        <option value="">None</option>
+                        {categories.map(c => <option key={c.slug} value={c.slug}>{c.name}</option>)}
+                      </select>
+                      <FieldError errors={formErrors} field="category" />
+                    </div>
+
+                    <div>
+                      <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                      <input
+                        type="text"
+                        id="tags"
+                        value={tags}
+                        onChange={(e) => setTags(e.target.value)}
+                        placeholder="e.g., resumes, networking"
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                      <FieldError errors={formErrors} field="tags" />
+                    </div>
+
+                    <fieldset className="space-y-2">
+                      <legend className="block text-sm font-medium text-gray-700 mb-1">Location</legend>
+                      <select
+                        aria-label="Venue and room"
+                        value={roomId}
+                        onChange={(e) => { setRoomId(e.target.value); setRoomConflicts(null); }}
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                      >
+                        <option value="">Other / not listed</option>
+                        {venues.filter(venue => venue.rooms.length > 0).map(venue => (
+                          <optgroup key={venue.id} label={venue.name}>
+                            {venue.rooms.map(r => (
+                              <option key={r.id} value={r.id}>
+                                {r.name}{r.capacity ? ` (${r.capacity} seats)` : ''}{r.accessible ? ' ♿' : ''}
+                              </option>
+                            ))}
+                          </optgroup>
+                        ))}
+                      </select>
+                      <FieldError errors={formErrors} field="roomId" />
+                      {roomId === '' && (
+                        <div className="grid grid-cols-3 gap-2">
+                          <input
+                            type="text"
+                            aria-label="Building"
+                            value={building}
+                            onChange={(e) => setBuilding(e.target.value)}
+                            placeholder="Building"
+                            className="col-span-2 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                          />
+                          <input
+                            type="text"
+                            aria-label="Room"
+                            value={room}
+                            onChange={(e) => setRoom(e.target.value)}
+                            placeholder="Room"
+                            className="p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                          />
+                        </div>
+                      )}
+                      <FieldError errors={formErrors} field="location.building" />
+                      <FieldError errors={formErrors} field="location.room" />
+                      <input
+                        type="url"
+                        aria-label="Online link"
+                        value={onlineUrl}
+                        onChange={(e) => setOnlineUrl(e.target.value)}
+                        placeholder="Online link (https://...)"
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                      />
+                      <FieldError errors={formErrors} field="location.url" />
+                      <FieldError errors={formErrors} field="location" />
+                    </fieldset>
+
+                    <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+                    <FieldError errors={formErrors} field="recurrence" />
+
+                    {roomConflicts && (
+                      <div className="p-3 text-sm text-orange-800 bg-orange-50 border border-orange-200 rounded-lg space-y-2">
+                        <p className="font-semibold">The room is already booked at that time:</p>
+                        <ul className="list-disc list-inside text-xs">
+                          {roomConflicts.conflicts.map(conflict => <li key={conflict.id}>{describeConflict(conflict)}</li>)}
+                        </ul>
+                        {roomConflicts.canOverride ? (
+                          <>
+                            <label htmlFor="conflictNote" className="block text-xs font-medium">Book it anyway, noting why</label>
+                            <input
+                              type="text"
+                              id="conflictNote"
+                              value={conflictNote}
+                              onChange={(e) => setConflictNote(e.target.value)}
+                              placeholder="e.g., Shared session, both groups agreed"
+                              className="w-full p-2 border border-orange-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                            />
+                            <FieldError errors={formErrors} field="conflictNote" />
+                          </>
+                        ) : (
+                          <p className="text-xs">Choose another room or time.</p>
+                        )}
+                      </div>
+                    )}
+                  </>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full py-2 px-4 bg-indigo-600 text-white font-semibold rounded-lg shadow-md hover:bg-indigo-700 transition duration-150 disabled:bg-indigo-400"
+                >
+                  {editingEvent
+                    ? (loading ? 'Saving...' : 'Save Changes')
+                    : (loading ? 'Adding...' : 'Add Event')}
+                </button>
+                {editingEvent && (
+                  <button
+                    type="button"
+                    onClick={resetForm}
+                    className="w-full py-2 px-4 bg-white text-gray-700 font-semibold rounded-lg border border-gray-300 hover:bg-gray-50 transition duration-150"
+                  >
+                    Cancel Editing
+                  </button>
+                )}
+              </form>
+            ) : hasRole(currentUser, 'submitter') ? (
+              <div className="text-sm text-gray-500 space-y-2">
+                <p>Please verify your email address ({currentUser.email}) to submit events. Check your inbox for the link we sent.</p>
+                <button onClick={handleResendVerification} className="text-indigo-600 font-semibold hover:underline">
+                  Send a new link
+                </button>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">
+                Your account can browse events but not submit them. Contact an administrator for submitter access.
+              </p>
+            )}
           </section>
 
           {/* Column 2 & 3: Event List with Sorting */}
           <section className="lg:col-span-2">
+            {showProfile && profile && (
+              <ProfileSettings
+                profile={profile}
+                onSaved={handleProfileSaved}
+                onClose={() => setShowProfile(false)}
+                onSessionExpired={expireSession}
+              />
+            )}
+
+            {showEmailSettings && (
+              <NotificationSettings onClose={() => setShowEmailSettings(false)} onSessionExpired={expireSession} />
+            )}
+
+            {showChangePassword && (
+              <ChangePasswordForm onClose={() => setShowChangePassword(false)} onSessionExpired={expireSession} />
+            )}
+
+            {showReminders && hasRole(currentUser, 'admin') && (
+              <ReminderJobs onClose={() => setShowReminders(false)} onSessionExpired={expireSession} />
+            )}
+
+            {showAuthLog && hasRole(currentUser, 'admin') && (
+              <AuthLog onClose={() => setShowAuthLog(false)} onSessionExpired={expireSession} />
+            )}
+
+            {showVenues && hasRole(currentUser, 'admin') && (
+              <VenueManager
+                venues={venues}
+                onChanged={() => { fetchVenues(); fetchEvents(); }}
+                onClose={() => setShowVenues(false)}
+                onSessionExpired={expireSession}
+              />
+            )}
+
+            {hasRole(currentUser, 'admin') && (
+              <ImportPanel onImported={fetchEvents} onSessionExpired={expireSession} />
+            )}
+
             <div className="mb-6 border-b pb-3">
               <div className="flex flex-row justify-between items-center mb-4">
                 <h2 className="text-xl font-bold text-gray-800">
-                  Events ({filteredUpcoming.length + filteredPast.length}{searchTerm && ` of ${events.length}`})
+                  Events ({upcoming.total + past.total})
+                  {liveStatus === 'reconnecting' && (
+                    <span className="ml-2 text-xs font-normal text-gray-400">Live updates paused, reconnecting...</span>
+                  )}
                 </h2>
                 
-                {/* SORTING DROPDOWN */}
-                <div className="flex items-center space-x-2">
-                  <label htmlFor="sort" className="text-sm text-gray-600 font-medium">Sort by:</label>
-                  <select
-                    id="sort"
-                    value={sortOrder}
-                    onChange={(e) => setSortOrder(e.target.value)}
-                    className="p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-white"
-                  >
-                    <option value="asc">Oldest First (Date ↑)</option>
-                    <option value="desc">Newest First (Date ↓)</option>
-                  </select>
+                <div className="flex items-center space-x-4">
+                  {/* LIST / CALENDAR TOGGLE */}
+                  <div className="flex rounded-md border border-gray-300 overflow-hidden">
+                    {VIEWS.map(option => (
+                      <button
+                        key={option.value}
+                        onClick={() => handleViewChange(option.value)}
+                        className={`px-3 py-1 text-sm ${view === option.value ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  {/* SORTING DROPDOWN */}
+                  {view === 'list' && (
+                    <div className="flex items-center space-x-2">
+                      <label htmlFor="sort" className="text-sm text-gray-600 font-medium">Sort by:</label>
+                      <select
+                        id="sort"
+                        value={sortOrder}
+                        onChange={(e) => setSortOrder(e.target.value)}
+                        className="p-2 text-sm border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 bg-white"
+                      >
+                        <option value="asc">Oldest First (Date ↑)</option>
+                        <option value="desc">Newest First (Date ↓)</option>
+                      </select>
+                    </div>
+                  )}
                 </div>
               </div>
+
+              {newEventIds.length > 0 && (
+                <button
+                  onClick={refreshLists}
+                  className="w-full mb-4 p-2 text-sm font-medium text-indigo-700 bg-indigo-50 border border-indigo-200 rounded-lg hover:bg-indigo-100"
+                >
+                  {newEventIds.length} new event{newEventIds.length === 1 ? '' : 's'}: show
+                </button>
+              )}
               
-              {/* SEARCH BAR */}
-              <div className="w-full">
+              {/* SEARCH BAR with suggestions */}
+              <form
+                className="w-full relative"
+                onSubmit={(e) => { e.preventDefault(); runSearch(searchTerm); }}
+              >
                 <input
-                  type="text"
-                  placeholder="Search events by name..."
+                  type="search"
+                  placeholder="Search events by title, description, tags or location..."
                   value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onChange={(e) => {
+                    setSearchTerm(e.target.value);
+                    setShowSuggestions(true);
+                    if (!e.target.value.trim()) setActiveSearch('');
+                  }}
+                  onFocus={() => setShowSuggestions(true)}
+                  // Delay so a click on a suggestion lands before the list closes
+                  onBlur={() => setTimeout(() => setShowSuggestions(false), 150)}
                   className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
                 />
-              </div>
+                {showSuggestions && suggestions.length > 0 && (
+                  <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg">
+                    {suggestions.map(suggestion => (
+                      <li key={suggestion.id}>
+                        <button
+                          type="button"
+                          onClick={() => runSearch(suggestion.title)}
+                          className="w-full text-left px-3 py-2 text-sm text-gray-700 hover:bg-indigo-50"
+                        >
+                          <Highlight segments={suggestion.highlight} />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </form>
+
+              {!activeSearch && view !== 'mine' && <FilterBar facets={facets} filters={filters} onChange={setFilters} showRange={view === 'list'} />}
             </div>
 
-            {/* Pending Events Section (Admin Only) */}
-            {isAdmin && filteredPending.length > 0 && (
+            {/* Pending Events Section (Moderators Only) */}
+            {canModerate && pending.total > 0 && (
               <div className="mb-8">
                 <h3 className="text-lg font-semibold text-yellow-700 mb-4">
-                  Pending Approval ({filteredPending.length}{searchTerm && ` of ${pendingEvents.length}`})
+                  Pending Approval ({pending.total})
                 </h3>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {sortedPending.map(event => (
+                  {pending.events.map(event => (
                     <EventCard 
-                      key={event.id} 
+                      key={eventKey(event)} 
                       event={event} 
                       onDelete={handleDelete}
                       onApprove={handleApprove}
+                      onReject={handleReject}
+                      onCancel={handleCancel}
+                      onEdit={handleEdit}
+                      onEditOccurrence={handleEditOccurrence}
+                      onSkipOccurrence={handleSkipOccurrence}
+                      onRsvp={handleRsvp}
+                      onBookmark={handleBookmark}
+                      onExportAttendees={handleExportAttendees}
+                      onOpenDetails={setDetailEvent}
                       currentUser={currentUser}
                       isPending={true}
                     />
                   ))}
+                  {loadMoreButton('pending')}
                 </div>
               </div>
             )}
 
-            {/* Upcoming Events Section */}
-            <div className="mb-8">
-              <h3 className="text-lg font-semibold text-gray-700 mb-4">
-                Upcoming Events ({filteredUpcoming.length}{searchTerm && ` of ${upcomingEvents.length}`})
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {sortedUpcoming.length > 0 ? (
-                  sortedUpcoming.map(event => (
-                    <EventCard 
-                      key={event.id} 
-                      event={event} 
-                      onDelete={handleDelete}
-                      onApprove={handleApprove}
-                      currentUser={currentUser}
-                      isPending={false}
-                    />
-                  ))
-                ) : (
-                  <div className="md:col-span-2 p-6 text-center bg-white rounded-lg shadow-inner text-gray-500">
-                    {searchTerm ? 'No upcoming events match your search.' : 'No upcoming events.'}
-                  </div>
-                )}
+            {activeSearch ? (
+              /* Search Results Section, best match first */
+              <div className="mb-8">
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="text-lg font-semibold text-gray-700">
+                    Results for "{activeSearch}" ({lists.search.total})
+                  </h3>
+                  <button
+                    onClick={() => runSearch('')}
+                    className="text-sm text-gray-500 hover:text-gray-700 font-medium"
+                  >
+                    Clear search
+                  </button>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {lists.search.events.length > 0 ? (
+                    lists.search.events.map(event => (
+                      <EventCard 
+                        key={eventKey(event)} 
+                        event={event} 
+                        onDelete={handleDelete}
+                        onApprove={handleApprove}
+                        onReject={handleReject}
+                        onCancel={handleCancel}
+                        onEdit={handleEdit}
+                        onRsvp={handleRsvp}
+                        onBookmark={handleBookmark}
+                        onExportAttendees={handleExportAttendees}
+                        onOpenDetails={setDetailEvent}
+                        currentUser={currentUser}
+                        isPending={false}
+                      />
+                    ))
+                  ) : (
+                    <div className="md:col-span-2 p-6 text-center bg-white rounded-lg shadow-inner text-gray-500">
+                      No events match your search.
+                    </div>
+                  )}
+                  {loadMoreButton('search')}
+                </div>
               </div>
-            </div>
-
-            {/* Past Events Section */}
-            <div className="mt-8 pt-8 border-t border-gray-200">
-              <h3 className="text-lg font-semibold text-gray-700 mb-4">
-                Past Events ({filteredPast.length}{searchTerm && ` of ${pastEvents.length}`})
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {sortedPast.length > 0 ? (
-                  sortedPast.map(event => (
-                    <EventCard 
-                      key={event.id} 
-                      event={event} 
+            ) : view === 'calendar' ? (
+              <>
+                <CalendarView
+                  mode={calendarMode}
+                  cursor={calendarCursor}
+                  events={lists.calendar.events}
+                  onModeChange={handleCalendarModeChange}
+                  onCursorChange={setCalendarCursor}
+                  onSelectEvent={(event) => setSelectedEventKey(eventKey(event) === selectedEventKey ? null : eventKey(event))}
+                  onCreateOnDay={canSubmit ? handleCreateOnDay : null}
+                  selectedKey={selectedEventKey}
+                />
+                {selectedEvent && (
+                  <div className="mb-8">
+                    <EventCard
+                      event={selectedEvent}
                       onDelete={handleDelete}
                       onApprove={handleApprove}
+                      onReject={handleReject}
+                      onCancel={handleCancel}
+                      onEdit={handleEdit}
+                      onEditOccurrence={handleEditOccurrence}
+                      onSkipOccurrence={handleSkipOccurrence}
+                      onRsvp={handleRsvp}
+                      onBookmark={handleBookmark}
+                      onExportAttendees={handleExportAttendees}
+                      onOpenDetails={setDetailEvent}
                       currentUser={currentUser}
                       isPending={false}
                     />
-                  ))
-                ) : (
-                  <div className="md:col-span-2 p-6 text-center bg-white rounded-lg shadow-inner text-gray-500">
-                    {searchTerm ? 'No past events match your search.' : 'No past events.'}
                   </div>
                 )}
+              </>
+            ) : view === 'mine' ? (
+              <MyEvents
+                submissions={myEvents}
+                cardProps={{
+                  onDelete: handleDelete,
+                  onApprove: handleApprove,
+                  onReject: handleReject,
+                  onCancel: handleCancel,
+                  onEdit: handleEdit,
+                  onEditOccurrence: handleEditOccurrence,
+                  onSkipOccurrence: handleSkipOccurrence,
+                  onRsvp: handleRsvp,
+                  onBookmark: handleBookmark,
+                  onExportAttendees: handleExportAttendees,
+                  onOpenDetails: setDetailEvent,
+                  currentUser
+                }}
+              />
+            ) : (
+            <>
+              {/* Upcoming Events Section */}
+              <div className="mb-8">
+                <h3 className="text-lg font-semibold text-gray-700 mb-4">
+                  Upcoming Events ({upcoming.total})
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {upcoming.events.length > 0 ? (
+                    upcoming.events.map(event => (
+                      <EventCard 
+                        key={eventKey(event)} 
+                        event={event} 
+                        onDelete={handleDelete}
+                        onApprove={handleApprove}
+                        onReject={handleReject}
+                        onCancel={handleCancel}
+                        onEdit={handleEdit}
+                        onEditOccurrence={handleEditOccurrence}
+                        onSkipOccurrence={handleSkipOccurrence}
+                        onRsvp={handleRsvp}
+                        onBookmark={handleBookmark}
+                        onExportAttendees={handleExportAttendees}
+                        onOpenDetails={setDetailEvent}
+                        currentUser={currentUser}
+                        isPending={false}
+                      />
+                    ))
+                  ) : (
+                    <div className="md:col-span-2 p-6 text-center bg-white rounded-lg shadow-inner text-gray-500">
+                      No upcoming events.
+                    </div>
+                  )}
+                  {loadMoreButton('upcoming')}
+                </div>
               </div>
-            </div>
+  
+              {/* Past Events Section */}
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-semibold text-gray-700 mb-4">
+                  Past Events ({past.total})
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {past.events.length > 0 ? (
+                    past.events.map(event => (
+                      <EventCard 
+                        key={eventKey(event)} 
+                        event={event} 
+                        onDelete={handleDelete}
+                        onApprove={handleApprove}
+                        onReject={handleReject}
+                        onCancel={handleCancel}
+                        onEdit={handleEdit}
+                        onEditOccurrence={handleEditOccurrence}
+                        onSkipOccurrence={handleSkipOccurrence}
+                        onRsvp={handleRsvp}
+                        onBookmark={handleBookmark}
+                        onExportAttendees={handleExportAttendees}
+                        onOpenDetails={setDetailEvent}
+                        currentUser={currentUser}
+                        isPending={false}
+                      />
+                    ))
+                  ) : (
+                    <div className="md:col-span-2 p-6 text-center bg-white rounded-lg shadow-inner text-gray-500">
+                      No past events.
+                    </div>
+                  )}
+                </div>
+                {/* More past events load as this comes into view */}
+                <div ref={pastEndRef} className="h-px" />
+                {loadingMore && <p className="mt-4 text-center text-sm text-gray-500">Loading more events...</p>}
+              </div>
+            </>
+            )}
           </section>
 
         </div>
       </div>
+
+      {detailEvent && (
+        <EventDetailPanel
+          event={detailEvent}
+          currentUser={currentUser}
+          onClose={() => setDetailEvent(null)}
+          onCommentCount={handleCommentCount}
+          onSessionExpired={expireSession}
+        />
+      )}
     </div>
   );
 };
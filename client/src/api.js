@@ -0,0 +1,36 @@
+// Session token handling and authenticated fetch for the API.
+
+const TOKEN_KEY = 'fauevents.sessionToken';
+
+export const getSessionToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const setSessionToken = (token) => localStorage.setItem(TOKEN_KEY, token);
+
+export const clearSessionToken = () => localStorage.removeItem(TOKEN_KEY);
+
+// Wraps fetch and attaches the session token (if any) as a Bearer credential
+export const apiFetch = (url, options = {}) => {
+  const token = getSessionToken();
+  const headers = { ...(options.headers || {}) };
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  return fetch(url, { ...options, headers });
+};
+
+// Splits a validation error response ({ errors: [{ field, message }] }) into messages keyed by
+// field, for the fields a form shows next to its inputs, and one message for everything else
+// (null if nothing is left over). Responses without field errors give just their message.
+export const readFieldErrors = (data, fields) => {
+  if (!Array.isArray(data.errors)) return { fieldErrors: {}, message: data.error || data.message || null };
+
+  const fieldErrors = {};
+  const others = [];
+  for (const { field, message } of data.errors) {
+    if (fields.includes(field) && !fieldErrors[field]) fieldErrors[field] = message;
+    else others.push(message);
+  }
+  return { fieldErrors, message: others.length > 0 ? others.join(' ') : null };
+};
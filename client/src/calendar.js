@@ -0,0 +1,65 @@
+// Date arithmetic for the calendar view. Days are 'YYYY-MM-DD' strings in local time and
+// weeks start on Monday, as in the recurrence editor.
+
+export const CALENDAR_MODES = [
+  { value: 'month', label: 'Month' },
+  { value: 'week', label: 'Week' },
+  { value: 'agenda', label: 'Agenda' }
+];
+
+export const isoDay = (day) =>
+  `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+
+const parseIsoDay = (text) => {
+  const [year, month, day] = text.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (text, days) => {
+  const day = parseIsoDay(text);
+  return isoDay(new Date(day.getFullYear(), day.getMonth(), day.getDate() + days));
+};
+
+export const startOfWeek = (text) => addDays(text, -((parseIsoDay(text).getDay() + 6) % 7));
+
+const startOfMonth = (text) => `${text.slice(0, 7)}-01`;
+
+const endOfMonth = (text) => {
+  const day = parseIsoDay(text);
+  return isoDay(new Date(day.getFullYear(), day.getMonth() + 1, 0));
+};
+
+// Every day from `from` to `to`, inclusive
+const daysBetween = (from, to) => {
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+// The days a mode shows around `cursor`: a month view is padded to whole weeks, a week is
+// Monday to Sunday, and the agenda lists the cursor's month
+export const periodDays = (mode, cursor) => {
+  if (mode === 'week') return daysBetween(startOfWeek(cursor), addDays(startOfWeek(cursor), 6));
+  if (mode === 'agenda') return daysBetween(startOfMonth(cursor), endOfMonth(cursor));
+  return daysBetween(startOfWeek(startOfMonth(cursor)), addDays(startOfWeek(endOfMonth(cursor)), 6));
+};
+
+// Moves the cursor one period back (-1) or forward (1)
+export const shiftPeriod = (mode, cursor, step) => {
+  if (mode === 'week') return addDays(cursor, 7 * step);
+  const day = parseIsoDay(startOfMonth(cursor));
+  return isoDay(new Date(day.getFullYear(), day.getMonth() + step, 1));
+};
+
+// e.g. "October 2026", or "Oct 19 – Oct 25, 2026" for a week
+export const periodLabel = (mode, cursor) => {
+  if (mode !== 'week') {
+    return parseIsoDay(cursor).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  }
+  const days = periodDays('week', cursor);
+  const short = { month: 'short', day: 'numeric' };
+  return `${parseIsoDay(days[0]).toLocaleDateString(undefined, short)} – ${parseIsoDay(days[6]).toLocaleDateString(undefined, { ...short, year: 'numeric' })}`;
+};
+
+export const dayLabel = (text, options = { weekday: 'long', month: 'long', day: 'numeric' }) =>
+  parseIsoDay(text).toLocaleDateString(undefined, options);
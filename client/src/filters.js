@@ -0,0 +1,45 @@
+// Facet filters for the event lists, and the GET /api/events parameters they map to.
+
+import { isoDay, addDays, startOfWeek } from './calendar';
+
+export const EMPTY_FILTERS = { range: '', category: [], building: [], tag: [], online: false };
+
+export const DATE_RANGES = [
+  { value: '', label: 'Any time' },
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' }
+];
+
+// { from, to } for a named range around today; weeks run Monday to Sunday
+export const rangeDates = (range, today = new Date()) => {
+  if (range === 'week') {
+    const monday = startOfWeek(isoDay(today));
+    return { from: monday, to: addDays(monday, 6) };
+  }
+  if (range === 'month') {
+    return {
+      from: isoDay(new Date(today.getFullYear(), today.getMonth(), 1)),
+      to: isoDay(new Date(today.getFullYear(), today.getMonth() + 1, 0))
+    };
+  }
+  return {};
+};
+
+export const hasFilters = (filters) =>
+  Boolean(filters.range) || filters.online || ['category', 'building', 'tag'].some(name => filters[name].length > 0);
+
+// Query parameters for the filters; empty ones are left out
+export const filterParams = (filters) => {
+  const params = { ...rangeDates(filters.range) };
+  for (const name of ['category', 'building', 'tag']) {
+    if (filters[name].length > 0) params[name] = filters[name].join(',');
+  }
+  if (filters.online) params.online = 'true';
+  return params;
+};
+
+// Adds a value to a multi-value filter, or removes it if already chosen
+export const toggleFilter = (filters, name, value) => ({
+  ...filters,
+  [name]: filters[name].includes(value) ? filters[name].filter(v => v !== value) : [...filters[name], value]
+});
@@ -0,0 +1,76 @@
+// Live event updates from GET /api/events/stream (Server-Sent Events). The stream is read
+// with apiFetch rather than EventSource so the session token travels in a header, and it
+// reconnects after a drop, sending Last-Event-ID so the server replays what was missed.
+
+import { apiFetch } from './api';
+
+const STREAM_URL = '/api/events/stream';
+// Wait before each reconnect attempt; the last delay repeats
+const RETRY_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+// Reads one message ("field: value" lines) into { id, event, data }
+const parseMessage = (block) => {
+  const message = { event: 'message', data: '' };
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'data') message.data = message.data ? `${message.data}\n${value}` : value;
+    if (field === 'id' || field === 'event') message[field] = value;
+  }
+  return message;
+};
+
+// Calls onMessage({ event, data }) for each message, onStatus('connected' | 'reconnecting')
+// as the connection comes and goes, and onUnauthorized if the session is rejected.
+// Returns a function that closes the stream.
+export const subscribeToEvents = ({ onMessage, onStatus, onUnauthorized }) => {
+  const controller = new AbortController();
+  let lastEventId = null;
+  let failures = 0;
+  let retryTimer = null;
+
+  const connect = async () => {
+    try {
+      const response = await apiFetch(STREAM_URL, {
+        headers: lastEventId !== null ? { 'Last-Event-ID': lastEventId } : {},
+        signal: controller.signal
+      });
+      if (response.status === 401) return onUnauthorized();
+      if (!response.ok) throw new Error(`Live updates unavailable (Status: ${response.status})`);
+
+      failures = 0;
+      onStatus('connected');
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+        let end = buffer.indexOf('\n\n');
+        while (end !== -1) {
+          const message = parseMessage(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (message.id !== undefined) lastEventId = message.id;
+          if (message.data) onMessage({ event: message.event, data: JSON.parse(message.data) });
+          end = buffer.indexOf('\n\n');
+        }
+      }
+    } catch (err) {
+      // Dropped connections are retried below
+    }
+
+    if (controller.signal.aborted) return;
+    onStatus('reconnecting');
+    retryTimer = setTimeout(connect, RETRY_DELAYS_MS[Math.min(failures++, RETRY_DELAYS_MS.length - 1)]);
+  };
+
+  connect();
+  return () => {
+    controller.abort();
+    clearTimeout(retryTimer);
+  };
+};
@@ -0,0 +1,52 @@
+// Recurrence rules as exchanged with the API: { frequency, interval, byDay, until, count }.
+
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+const ORDINALS = { '1': 'first', '2': 'second', '3': 'third', '4': 'fourth', '-1': 'last' };
+
+// The form's editable shape of a rule; strings throughout so inputs stay controlled
+export const EMPTY_RECURRENCE = { frequency: '', interval: '1', byDay: [], ends: 'never', until: '', count: '' };
+
+export const toFormRecurrence = (rule) => (rule ? {
+  frequency: rule.frequency,
+  interval: String(rule.interval),
+  byDay: rule.byDay,
+  ends: rule.until ? 'until' : rule.count ? 'count' : 'never',
+  until: rule.until || '',
+  count: rule.count ? String(rule.count) : ''
+} : EMPTY_RECURRENCE);
+
+export const fromFormRecurrence = (form) => (form.frequency ? {
+  frequency: form.frequency,
+  interval: Number(form.interval) || 1,
+  byDay: form.frequency === 'daily' ? [] : form.byDay,
+  until: form.ends === 'until' ? form.until : null,
+  count: form.ends === 'count' ? Number(form.count) : null
+} : null);
+
+// e.g. "Every 2 weeks on Mon, Wed until 2030-05-01"
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+  const unit = UNITS[rule.frequency];
+  let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+
+  if (rule.frequency === 'weekly' && rule.byDay.length > 0) {
+    text += ` on ${WEEKDAYS.filter(day => rule.byDay.includes(day.code)).map(day => day.label).join(', ')}`;
+  }
+  if (rule.frequency === 'monthly' && rule.byDay.length > 0) {
+    const [, n, code] = /^(-?\d)(\w\w)$/.exec(rule.byDay[0]);
+    text += ` on the ${ORDINALS[n]} ${WEEKDAYS.find(day => day.code === code).label}`;
+  }
+  if (rule.until) text += ` until ${new Date(`${rule.until}T00:00:00`).toLocaleDateString()}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  return text;
+};
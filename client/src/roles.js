@@ -0,0 +1,5 @@
+// Mirrors the server's role order; each role includes the rights of those before it.
+export const ROLES = ['viewer', 'submitter', 'moderator', 'admin'];
+
+export const hasRole = (user, role) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
@@ -0,0 +1,60 @@
+// Formatting of event start and end times. Times are shown as entered, in the event's own
+// time zone, from the startsAt and endsAt instants the server works out; all-day events are
+// whole days and shown without times.
+
+// The zone events are entered in unless the form says otherwise; matches the server's default
+export const DEFAULT_TIME_ZONE = 'America/New_York';
+
+// Zones offered in the event form: the browser's full list where it has one
+export const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [DEFAULT_TIME_ZONE, 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'UTC'];
+
+// 'YYYY-MM-DD' as a local date, so it is not shifted by the viewer's offset from UTC
+const parseDay = (text) => {
+  const [year, month, day] = text.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const DAY_FORMAT = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+
+// e.g. "Tue, Oct 20, 2026, 2:00 PM – 3:30 PM CDT", "Tue, Oct 20, 2026 – Thu, Oct 22, 2026"
+export const formatEventWhen = (event) => {
+  if (event.allDay || !event.time) {
+    const first = parseDay(event.date).toLocaleDateString(undefined, DAY_FORMAT);
+    return event.endDate ? `${first} – ${parseDay(event.endDate).toLocaleDateString(undefined, DAY_FORMAT)}` : first;
+  }
+
+  const zone = { timeZone: event.timeZone || DEFAULT_TIME_ZONE };
+  const start = new Date(event.startsAt);
+  if (!event.endTime) {
+    return start.toLocaleString(undefined, { ...DAY_FORMAT, hour: 'numeric', minute: '2-digit', timeZoneName: 'short', ...zone });
+  }
+
+  const end = new Date(event.endsAt);
+  const startText = start.toLocaleString(undefined, { ...DAY_FORMAT, hour: 'numeric', minute: '2-digit', ...zone });
+  const endText = event.endDate
+    ? end.toLocaleString(undefined, { ...DAY_FORMAT, hour: 'numeric', minute: '2-digit', timeZoneName: 'short', ...zone })
+    : end.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short', ...zone });
+  return `${startText} – ${endText}`;
+};
+
+// How long an event lasts, e.g. "All day", "3 days", "1 hr 30 min"; null when it has no end
+export const formatDuration = (event) => {
+  if (event.allDay || !event.time) {
+    const days = event.endDate ? Math.round((parseDay(event.endDate) - parseDay(event.date)) / 86400000) + 1 : 1;
+    return days === 1 ? 'All day' : `${days} days`;
+  }
+  if (!event.endTime) return null;
+
+  const minutes = Math.round((new Date(event.endsAt) - new Date(event.startsAt)) / 60000);
+  const parts = [
+    [Math.floor(minutes / 1440), 'day'],
+    [Math.floor((minutes % 1440) / 60), 'hr'],
+    [minutes % 60, 'min']
+  ].filter(([amount]) => amount > 0);
+  return parts.map(([amount, unit]) => `${amount} ${unit === 'day' && amount > 1 ? 'days' : unit}`).join(' ');
+};
+
+// The days an event covers, first to last
+export const eventCoversDay = (event, day) => event.date <= day && day <= (event.endDate || event.date);
@@ -0,0 +1,15 @@
+// Connection settings for Azure SQL, read from the environment (see server/.env)
+const sqlConfig = {
+    user: process.env.SQL_USER,
+    password: process.env.SQL_PASSWORD,
+    server: process.env.SQL_SERVER,
+    database: process.env.SQL_DATABASE,
+    options: {
+        encrypt: true, 
+        trustServerCertificate: false
+    },
+    requestTimeout: 60000, 
+    connectTimeout: 30000 
+};
+
+module.exports = sqlConfig;
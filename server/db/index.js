@@ -0,0 +1,42 @@
+// Selects the data store implementation from DATA_STORE: 'mssql' (default) or 'memory'.
+//
+// Every store exposes the same repositories:
+//   users:         findByUsername, findByEmail, create, list, updateRole, setCalendarTokenHash,
+//                  findByCalendarTokenHash, findProfile, updateProfile, updatePassword
+//   sessions:      create, findUser, delete
+//   resetTokens:   create, redeem
+//   verifications: create, redeem
+//   events:        list, findById, create, createMany, update, setStatus, delete
+//   categories:    list, create, update, delete
+//   venues:        list, create, update, delete
+//   rooms:         findById, create, update, delete
+//   exceptions:    listForEvents, upsert, delete
+//   rsvps:         add, remove, promote, summarize, listForEvent
+//   bookmarks:     add, remove, listEventIds
+//   comments:      listForEvent, findById, create, update, setPinned, setHidden, delete,
+//                  countForEvents
+//   notifications: listOptOuts, setOptOuts
+//   outbox:        enqueue, claim, markSent, markFailed
+//   reminders:     listRecipients, schedule, claimDue, complete, list
+//   changes:       record, bounds, listSince, prune
+//   audit:         record, listForEvent, latestDecisions
+//   authEvents:    record, loginFailures, registrations, list
+// plus close(). Routes must go through these rather than talking to a database directly.
+
+const createMssqlStore = require('./mssql');
+const createMemoryStore = require('./memory');
+
+const createStore = async () => {
+    const kind = (process.env.DATA_STORE || 'mssql').toLowerCase();
+
+    if (kind === 'memory') {
+        console.log("Using in-memory data store; data will be lost on restart.");
+        return createMemoryStore({ seedAdminPassword: process.env.DEV_ADMIN_PASSWORD });
+    }
+    if (kind === 'mssql') {
+        return createMssqlStore();
+    }
+    throw new Error(`Unknown DATA_STORE '${kind}'. Use 'mssql' or 'memory'.`);
+};
+
+module.exports = { createStore };
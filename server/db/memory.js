@@ -0,0 +1,776 @@
+// In-memory implementation of the data store for local development and offline testing.
+// Data lives only as long as the process; nothing is persisted.
+
+const bcrypt = require('bcrypt');
+const { DEFAULT_TIME_ZONE, normalizeDate, normalizeTime } = require('../lib/dates');
+
+const createMemoryStore = async ({ seedAdminPassword } = {}) => {
+    const data = {
+        users: [], sessions: [], passwordResetTokens: [], emailVerificationTokens: [], events: [], categories: [], venues: [], rooms: [], eventExceptions: [], eventAttendees: [], eventBookmarks: [], eventComments: [],
+        notificationOptOuts: [], outboundEmails: [], reminderJobs: [], eventChanges: [], eventAudit: [], authEvents: []
+    };
+    const nextId = {
+        users: 1, sessions: 1, passwordResetTokens: 1, emailVerificationTokens: 1, events: 1, categories: 1, venues: 1, rooms: 1, eventExceptions: 1, eventAttendees: 1, eventBookmarks: 1, eventComments: 1,
+        notificationOptOuts: 1, outboundEmails: 1, reminderJobs: 1, eventChanges: 1, eventAudit: 1, authEvents: 1
+    };
+
+    const insert = (table, row) => {
+        const record = { id: nextId[table]++, ...row, createdAt: new Date() };
+        data[table].push(record);
+        return record;
+    };
+
+    // Usernames match as SQL Server's default collation matches them, ignoring case
+    const sameUsername = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+    const publicUser = ({ id, username, email, emailVerified, role }) => ({ id, username, email, emailVerified, role });
+    const toProfile = ({ displayName = null, preferences = {}, createdAt, ...user }) => ({
+        ...publicUser(user),
+        displayName,
+        preferences: { view: preferences.view || null, calendarMode: preferences.calendarMode || null, timeZone: preferences.timeZone || null },
+        createdAt
+    });
+
+    const users = {
+        findByUsername: async (username) => {
+            const user = data.users.find(u => sameUsername(u.username, username));
+            return user ? { ...publicUser(user), password: user.password } : null;
+        },
+
+        findByEmail: async (email) => {
+            const user = data.users.find(u => u.email.toLowerCase() === String(email).toLowerCase());
+            return user ? publicUser(user) : null;
+        },
+
+        create: async ({ username, email, password, role, emailVerified = false }) => {
+            if (data.users.some(u => sameUsername(u.username, username))) {
+                throw new Error(`Violation of UNIQUE KEY constraint on Users.username ('${username}').`);
+            }
+            if (data.users.some(u => u.email.toLowerCase() === email.toLowerCase())) {
+                throw new Error(`Cannot insert duplicate key row in object 'dbo.Users' with unique index 'UQ_Users_email' ('${email}').`);
+            }
+            return publicUser(insert('users', { username, email, password, role, emailVerified }));
+        },
+
+        list: async () =>
+            [...data.users]
+                .sort((a, b) => a.username.localeCompare(b.username))
+                .map(user => ({ ...publicUser(user), createdAt: user.createdAt })),
+
+        updateRole: async (id, role) => {
+            const user = data.users.find(u => u.id === Number(id));
+            if (!user) return null;
+            user.role = role;
+            return publicUser(user);
+        },
+
+        setCalendarTokenHash: async (id, tokenHash) => {
+            const user = data.users.find(u => u.id === Number(id));
+            if (user) user.calendarTokenHash = tokenHash;
+        },
+
+        findByCalendarTokenHash: async (tokenHash) => {
+            const user = data.users.find(u => u.calendarTokenHash && u.calendarTokenHash === tokenHash);
+            return user ? publicUser(user) : null;
+        },
+
+        findProfile: async (id) => {
+            const user = data.users.find(u => u.id === Number(id));
+            return user ? toProfile(user) : null;
+        },
+
+        updateProfile: async (id, { displayName, email, preferences }) => {
+            const user = data.users.find(u => u.id === Number(id));
+            if (!user) return null;
+            if (data.users.some(u => u !== user && u.email.toLowerCase() === email.toLowerCase())) {
+                throw new Error(`Cannot insert duplicate key row in object 'dbo.Users' with unique index 'UQ_Users_email' ('${email}').`);
+            }
+            if (email.toLowerCase() !== user.email.toLowerCase()) user.emailVerified = false;
+            Object.assign(user, { displayName, email, preferences: { ...preferences } });
+            return toProfile(user);
+        },
+
+        updatePassword: async (id, passwordHash, { keepSessionHash = null } = {}) => {
+            data.users.find(u => u.id === Number(id)).password = passwordHash;
+            data.sessions = data.sessions.filter(s => s.userId !== Number(id) || (keepSessionHash && s.tokenHash === keepSessionHash));
+        }
+    };
+
+    const sessions = {
+        create: async ({ tokenHash, userId, expiresAt }) => {
+            insert('sessions', { tokenHash, userId, expiresAt });
+        },
+
+        findUser: async (tokenHash) => {
+            const session = data.sessions.find(s => s.tokenHash === tokenHash && s.expiresAt > new Date());
+            const user = session && data.users.find(u => u.id === session.userId);
+            return user ? publicUser(user) : null;
+        },
+
+        delete: async (tokenHash) => {
+            data.sessions = data.sessions.filter(s => s.tokenHash !== tokenHash);
+        }
+    };
+
+    const resetTokens = {
+        create: async ({ userId, tokenHash, ttlMinutes }) => {
+            data.passwordResetTokens.filter(t => t.userId === userId && !t.usedAt).forEach(t => { t.usedAt = new Date(); });
+            insert('passwordResetTokens', { userId, tokenHash, expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000), usedAt: null });
+        },
+
+        redeem: async (tokenHash, passwordHash) => {
+            const token = data.passwordResetTokens.find(t => t.tokenHash === tokenHash && !t.usedAt && t.expiresAt > new Date());
+            if (!token) return null;
+            token.usedAt = new Date();
+            await users.updatePassword(token.userId, passwordHash);
+            return publicUser(data.users.find(u => u.id === token.userId));
+        }
+    };
+
+    const verifications = {
+        create: async ({ userId, tokenHash, ttlMinutes }) => {
+            data.emailVerificationTokens.filter(t => t.userId === userId && !t.usedAt).forEach(t => { t.usedAt = new Date(); });
+            insert('emailVerificationTokens', { userId, tokenHash, expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000), usedAt: null });
+        },
+
+        redeem: async (tokenHash) => {
+            const token = data.emailVerificationTokens.find(t => t.tokenHash === tokenHash && !t.usedAt && t.expiresAt > new Date());
+            if (!token) return null;
+            token.usedAt = new Date();
+            const user = data.users.find(u => u.id === token.userId);
+            user.emailVerified = true;
+            return publicUser(user);
+        }
+    };
+
+    const publicEvent = ({ id, title, description, date, time, endDate, endTime, timeZone, userId, status, rejectionReason, capacity, recurrenceRule, categoryId, roomId, tags, location }) => ({
+        id, title, description, date, time, endDate, endTime, timeZone, userId, approved: status === 'approved', status, rejectionReason, capacity, recurrenceRule,
+        categoryId, roomId, tags: [...tags], location: location ? { ...location } : null
+    });
+
+    // Mirrors CK_Events_end: the end may not come before the start's day, and only timed events have an end time
+    const checkEnd = ({ date, time, endDate, endTime }) => {
+        if ((endDate && endDate < date) || (endTime && !time)) {
+            throw new Error('The statement conflicted with the CHECK constraint "CK_Events_end".');
+        }
+    };
+
+    // The end and time zone columns, normalized as SQL Server would store them
+    const timingColumns = ({ date, time, endDate = null, endTime = null, timeZone = DEFAULT_TIME_ZONE }) => {
+        const columns = {
+            date: normalizeDate(date),
+            time: normalizeTime(time),
+            endDate: endDate === null ? null : normalizeDate(endDate),
+            endTime: normalizeTime(endTime),
+            timeZone
+        };
+        checkEnd(columns);
+        return columns;
+    };
+
+    const findEvent = (id) => data.events.find(e => e.id === Number(id));
+
+    // The columns a `pieces` filter looks in, lowercased as the default collation compares them
+    const searchedText = ({ title, description, tags, location }) =>
+        [title, description, ...tags, ...Object.values(location || {})].filter(Boolean).join('\n').toLowerCase();
+
+    const events = {
+        list: async ({ statuses = ['approved'], submittedBy = null, followedBy = null, roomIds = null, q = null, pieces = null, from = null, to = null } = {}) =>
+            data.events
+                .filter(event => !statuses || statuses.includes(event.status))
+                .filter(event => !submittedBy || event.userId === submittedBy)
+                .filter(event => !roomIds || roomIds.map(Number).includes(event.roomId))
+                .filter(event => !followedBy
+                    || data.eventAttendees.some(a => a.eventId === event.id && a.userId === followedBy)
+                    || data.eventBookmarks.some(b => b.eventId === event.id && b.userId === followedBy))
+                .filter(event => !q || [event.title, event.description]
+                    .some(text => text && text.toLowerCase().includes(q.toLowerCase())))
+                .filter(event => !pieces || pieces.every(anyOf => anyOf.some(piece => searchedText(event).includes(piece.toLowerCase()))))
+                .filter(event => !from || (event.endDate || event.date) >= from || event.recurrenceRule)
+                .filter(event => !to || event.date <= to)
+                .sort((a, b) => b.date.localeCompare(a.date))
+                .map(publicEvent),
+
+        create: async ({ title, description, userId, status, capacity = null, recurrenceRule = null, categoryId = null, roomId = null, tags = [], location = null, ...timing }) =>
+            publicEvent(insert('events', {
+                title,
+                description,
+                ...timingColumns(timing),
+                userId,
+                status,
+                rejectionReason: null,
+                capacity,
+                recurrenceRule,
+                categoryId,
+                roomId,
+                tags,
+                location
+            })),
+
+        // Checks every event before inserting any, so a bad row leaves nothing behind
+        createMany: async (newEvents, { actor, reason = null }) => {
+            newEvents.forEach(timingColumns);
+            const created = [];
+            for (const newEvent of newEvents) {
+                const event = await events.create(newEvent);
+                await audit.record({ eventId: event.id, action: 'created', actor, toStatus: event.status, reason });
+                created.push(event);
+            }
+            return created;
+        },
+
+        findById: async (id) => {
+            const event = findEvent(id);
+            return event ? publicEvent(event) : null;
+        },
+
+        update: async (id, { title, description, status, capacity = null, recurrenceRule = null, categoryId = null, roomId = null, tags = [], location = null, ...timing }) => {
+            const event = findEvent(id);
+            if (!event) return null;
+            Object.assign(event, {
+                title,
+                description,
+                ...timingColumns(timing),
+                status,
+                capacity,
+                recurrenceRule,
+                categoryId,
+                roomId,
+                tags,
+                location,
+                rejectionReason: status === 'rejected' ? event.rejectionReason : null
+            });
+            return publicEvent(event);
+        },
+
+        setStatus: async (id, status, reason = null) => {
+            const event = findEvent(id);
+            if (!event) return null;
+            event.status = status;
+            event.rejectionReason = status === 'rejected' ? reason : null;
+            return publicEvent(event);
+        },
+
+        delete: async (id) => {
+            const before = data.events.length;
+            data.events = data.events.filter(e => e.id !== Number(id));
+            data.eventAttendees = data.eventAttendees.filter(a => a.eventId !== Number(id));
+            data.eventExceptions = data.eventExceptions.filter(x => x.eventId !== Number(id));
+            data.eventBookmarks = data.eventBookmarks.filter(b => b.eventId !== Number(id));
+            data.eventComments = data.eventComments.filter(c => c.eventId !== Number(id));
+            data.reminderJobs = data.reminderJobs.filter(j => j.eventId !== Number(id));
+            return data.events.length < before;
+        }
+    };
+
+    const publicCategory = ({ id, slug, name }) => ({ id, slug, name });
+    const findCategory = (id) => data.categories.find(c => c.id === Number(id));
+
+    const categories = {
+        list: async () =>
+            [...data.categories].sort((a, b) => a.name.localeCompare(b.name)).map(publicCategory),
+
+        create: async ({ slug, name }) => {
+            if (data.categories.some(c => c.slug === slug)) {
+                throw new Error(`Violation of UNIQUE KEY constraint on Categories.slug ('${slug}').`);
+            }
+            return publicCategory(insert('categories', { slug, name }));
+        },
+
+        update: async (id, { name }) => {
+            const category = findCategory(id);
+            if (!category) return null;
+            category.name = name;
+            return publicCategory(category);
+        },
+
+        delete: async (id) => {
+            const category = findCategory(id);
+            if (!category) return false;
+            data.categories = data.categories.filter(c => c !== category);
+            data.events.filter(e => e.categoryId === category.id).forEach(e => { e.categoryId = null; });
+            return true;
+        }
+    };
+
+    // The categories the database migration seeds
+    [
+        ['academic', 'Academic'], ['arts', 'Arts & Culture'], ['athletics', 'Athletics'], ['career', 'Career'],
+        ['club', 'Club'], ['health', 'Health & Wellness'], ['social', 'Social'], ['volunteering', 'Volunteering']
+    ].forEach(([slug, name]) => insert('categories', { slug, name }));
+
+    const publicRoom = ({ id, venueId, name, capacity, accessible, accessibilityNotes }) => ({ id, venueId, name, capacity, accessible, accessibilityNotes });
+    const findVenue = (id) => data.venues.find(v => v.id === Number(id));
+    const findRoom = (id) => data.rooms.find(r => r.id === Number(id));
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    // Events booked into a room carry its venue and room names in their location
+    const bookedEvents = (roomIds) => data.events.filter(e => roomIds.includes(e.roomId));
+
+    const venues = {
+        list: async () => [...data.venues].sort(byName).map(({ id, name, address }) => ({
+            id,
+            name,
+            address,
+            rooms: data.rooms.filter(r => r.venueId === id).sort(byName).map(publicRoom)
+        })),
+
+        create: async ({ name, address = null }) => {
+            if (data.venues.some(v => v.name.toLowerCase() === name.toLowerCase())) {
+                throw new Error(`Violation of UNIQUE KEY constraint on Venues.name ('${name}').`);
+            }
+            const venue = insert('venues', { name, address });
+            return { id: venue.id, name, address, rooms: [] };
+        },
+
+        update: async (id, { name, address = null }) => {
+            const venue = findVenue(id);
+            if (!venue) return null;
+            Object.assign(venue, { name, address });
+            bookedEvents(data.rooms.filter(r => r.venueId === venue.id).map(r => r.id))
+                .forEach(e => { e.location = { ...e.location, building: name }; });
+            return { id: venue.id, name, address };
+        },
+
+        delete: async (id) => {
+            const venue = findVenue(id);
+            if (!venue) return false;
+            const roomIds = data.rooms.filter(r => r.venueId === venue.id).map(r => r.id);
+            bookedEvents(roomIds).forEach(e => { e.roomId = null; });
+            data.rooms = data.rooms.filter(r => !roomIds.includes(r.id));
+            data.venues = data.venues.filter(v => v !== venue);
+            return true;
+        }
+    };
+
+    const rooms = {
+        findById: async (id) => {
+            const room = findRoom(id);
+            return room ? { ...publicRoom(room), venueName: findVenue(room.venueId).name } : null;
+        },
+
+        create: async ({ venueId, name, capacity = null, accessible = false, accessibilityNotes = null }) => {
+            if (data.rooms.some(r => r.venueId === Number(venueId) && r.name.toLowerCase() === name.toLowerCase())) {
+                throw new Error(`Violation of UNIQUE KEY constraint on Rooms (venueId, name) ('${name}').`);
+            }
+            return publicRoom(insert('rooms', { venueId: Number(venueId), name, capacity, accessible, accessibilityNotes }));
+        },
+
+        update: async (id, { name, capacity = null, accessible = false, accessibilityNotes = null }) => {
+            const room = findRoom(id);
+            if (!room) return null;
+            Object.assign(room, { name, capacity, accessible, accessibilityNotes });
+            bookedEvents([room.id]).forEach(e => { e.location = { ...e.location, room: name }; });
+            return publicRoom(room);
+        },
+
+        delete: async (id) => {
+            const room = findRoom(id);
+            if (!room) return false;
+            bookedEvents([room.id]).forEach(e => { e.roomId = null; });
+            data.rooms = data.rooms.filter(r => r !== room);
+            return true;
+        }
+    };
+
+    const findException = (eventId, occurrenceDate) =>
+        data.eventExceptions.find(x => x.eventId === Number(eventId) && x.occurrenceDate === occurrenceDate);
+
+    const exceptions = {
+        listForEvents: async (eventIds) =>
+            data.eventExceptions
+                .filter(x => eventIds.includes(x.eventId))
+                .map(({ eventId, occurrenceDate, cancelled, title, description, date, time }) =>
+                    ({ eventId, occurrenceDate, cancelled, title, description, date, time })),
+
+        upsert: async (eventId, occurrenceDate, { cancelled = false, title = null, description = null, date = null, time = null }) => {
+            const values = {
+                cancelled: Boolean(cancelled),
+                title,
+                description,
+                date: date === null ? null : normalizeDate(date),
+                time: normalizeTime(time)
+            };
+            const existing = findException(eventId, normalizeDate(occurrenceDate));
+            if (existing) {
+                Object.assign(existing, values);
+            } else {
+                insert('eventExceptions', { eventId: Number(eventId), occurrenceDate: normalizeDate(occurrenceDate), ...values });
+            }
+        },
+
+        delete: async (eventId, occurrenceDate) => {
+            const existing = findException(eventId, occurrenceDate);
+            data.eventExceptions = data.eventExceptions.filter(x => x !== existing);
+            return Boolean(existing);
+        }
+    };
+
+    const attendeesOf = (eventId) => data.eventAttendees.filter(a => a.eventId === Number(eventId));
+
+    const rsvps = {
+        add: async (eventId, userId) => {
+            const existing = attendeesOf(eventId).find(a => a.userId === userId);
+            if (existing) return existing.status;
+
+            const { capacity } = findEvent(eventId);
+            const going = attendeesOf(eventId).filter(a => a.status === 'going').length;
+            const status = capacity === null || going < capacity ? 'going' : 'waitlisted';
+            insert('eventAttendees', { eventId: Number(eventId), userId, status });
+            return status;
+        },
+
+        remove: async (eventId, userId) => {
+            const existing = attendeesOf(eventId).find(a => a.userId === userId);
+            if (!existing) return null;
+            data.eventAttendees = data.eventAttendees.filter(a => a !== existing);
+            return existing.status;
+        },
+
+        promote: async (eventId) => {
+            const { capacity } = findEvent(eventId);
+            const attendees = attendeesOf(eventId);
+            const going = attendees.filter(a => a.status === 'going').length;
+            const openSeats = capacity === null ? Infinity : Math.max(capacity - going, 0);
+
+            return attendees
+                .filter(a => a.status === 'waitlisted')
+                .slice(0, openSeats)
+                .map(attendee => {
+                    attendee.status = 'going';
+                    const { id, username, email } = data.users.find(u => u.id === attendee.userId);
+                    return { id, username, email };
+                });
+        },
+
+        summarize: async (eventIds, userId = null) => {
+            const summary = new Map();
+            for (const attendee of data.eventAttendees) {
+                if (!eventIds.includes(attendee.eventId)) continue;
+                const row = summary.get(attendee.eventId)
+                    || { eventId: attendee.eventId, goingCount: 0, waitlistCount: 0, myRsvp: null };
+                if (attendee.status === 'going') row.goingCount++;
+                else row.waitlistCount++;
+                if (attendee.userId === userId) row.myRsvp = attendee.status;
+                summary.set(attendee.eventId, row);
+            }
+            return summary;
+        },
+
+        listForEvent: async (eventId) =>
+            attendeesOf(eventId)
+                .sort((a, b) => (a.status === b.status ? 0 : a.status === 'going' ? -1 : 1))
+                .map(({ userId, status, createdAt }) => {
+                    const { username, email } = data.users.find(u => u.id === userId);
+                    return { userId, username, email, status, createdAt };
+                })
+    };
+
+    const bookmarks = {
+        add: async (eventId, userId) => {
+            if (!data.eventBookmarks.some(b => b.eventId === Number(eventId) && b.userId === userId)) {
+                insert('eventBookmarks', { eventId: Number(eventId), userId });
+            }
+        },
+
+        remove: async (eventId, userId) => {
+            const before = data.eventBookmarks.length;
+            data.eventBookmarks = data.eventBookmarks.filter(b => !(b.eventId === Number(eventId) && b.userId === userId));
+            return data.eventBookmarks.length < before;
+        },
+
+        listEventIds: async (userId) =>
+            data.eventBookmarks.filter(b => b.userId === userId).map(b => b.eventId)
+    };
+
+    const findComment = (id) => data.eventComments.find(c => c.id === Number(id));
+    const publicComment = (comment) => ({ ...comment, username: data.users.find(u => u.id === comment.userId).username });
+
+    const comments = {
+        listForEvent: async (eventId) =>
+            data.eventComments.filter(c => c.eventId === Number(eventId)).map(publicComment),
+
+        findById: async (id) => {
+            const comment = findComment(id);
+            return comment ? publicComment(comment) : null;
+        },
+
+        create: async ({ eventId, parentId = null, userId, body }) => publicComment(insert('eventComments', {
+            eventId: Number(eventId), parentId, userId, body, pinned: false,
+            hiddenAt: null, hiddenBy: null, hiddenReason: null, editedAt: null, deletedAt: null
+        })),
+
+        update: async (id, { body }) => {
+            const comment = findComment(id);
+            if (!comment) return null;
+            Object.assign(comment, { body, editedAt: new Date() });
+            return publicComment(comment);
+        },
+
+        setPinned: async (id, pinned) => {
+            const comment = findComment(id);
+            if (!comment) return null;
+            if (pinned) {
+                data.eventComments
+                    .filter(c => c.eventId === comment.eventId && c.parentId === comment.parentId)
+                    .forEach(c => { c.pinned = false; });
+            }
+            comment.pinned = pinned;
+            return publicComment(comment);
+        },
+
+        setHidden: async (id, hidden) => {
+            const comment = findComment(id);
+            if (!comment) return null;
+            Object.assign(comment, hidden
+                ? { hiddenAt: new Date(), hiddenBy: hidden.hiddenBy, hiddenReason: hidden.reason }
+                : { hiddenAt: null, hiddenBy: null, hiddenReason: null });
+            return publicComment(comment);
+        },
+
+        delete: async (id) => {
+            const comment = findComment(id);
+            if (!comment) return false;
+            if (data.eventComments.some(c => c.parentId === comment.id)) {
+                Object.assign(comment, { body: null, pinned: false, deletedAt: new Date() });
+            } else {
+                data.eventComments = data.eventComments.filter(c => c !== comment);
+            }
+            return true;
+        },
+
+        countForEvents: async (eventIds) => {
+            const counts = new Map();
+            data.eventComments
+                .filter(c => eventIds.includes(c.eventId) && !c.hiddenAt && !c.deletedAt)
+                .forEach(c => counts.set(c.eventId, (counts.get(c.eventId) || 0) + 1));
+            return counts;
+        }
+    };
+
+    const notifications = {
+        listOptOuts: async (userIds) => {
+            const optOuts = new Map();
+            for (const { userId, type } of data.notificationOptOuts.filter(o => userIds.includes(o.userId))) {
+                optOuts.set(userId, [...(optOuts.get(userId) || []), type]);
+            }
+            return optOuts;
+        },
+
+        setOptOuts: async (userId, types) => {
+            data.notificationOptOuts = data.notificationOptOuts.filter(o => o.userId !== userId);
+            types.forEach(type => insert('notificationOptOuts', { userId, type }));
+        }
+    };
+
+    const outbox = {
+        enqueue: async (messages) => {
+            messages.forEach(({ type, to, subject, body }) => insert('outboundEmails', {
+                type, to, subject, body, status: 'queued', attempts: 0, nextAttemptAt: new Date(), claimedUntil: null, lastError: null
+            }));
+        },
+
+        claim: async ({ limit, claimSeconds }) => {
+            const now = new Date();
+            return data.outboundEmails
+                .filter(m => (m.status === 'queued' && m.nextAttemptAt <= now) || (m.status === 'sending' && m.claimedUntil < now))
+                .slice(0, limit)
+                .map(message => {
+                    Object.assign(message, {
+                        status: 'sending',
+                        attempts: message.attempts + 1,
+                        claimedUntil: new Date(now.getTime() + claimSeconds * 1000)
+                    });
+                    const { id, type, to, subject, body, attempts } = message;
+                    return { id, type, to, subject, body, attempts };
+                });
+        },
+
+        markSent: async (id) => {
+            const message = data.outboundEmails.find(m => m.id === id);
+            Object.assign(message, { status: 'sent', sentAt: new Date(), claimedUntil: null, lastError: null });
+        },
+
+        markFailed: async (id, { error, retryAt = null }) => {
+            const message = data.outboundEmails.find(m => m.id === id);
+            Object.assign(message, {
+                status: retryAt ? 'queued' : 'failed',
+                nextAttemptAt: retryAt || message.nextAttemptAt,
+                claimedUntil: null,
+                lastError: String(error)
+            });
+        }
+    };
+
+    const jobKey = (job) => `${job.eventId}|${job.occurrenceDate}|${job.userId}|${job.offsetMinutes}`;
+
+    const reminders = {
+        listRecipients: async (eventIds) => {
+            const recipients = new Map();
+            const followers = [
+                ...data.eventAttendees.filter(a => a.status === 'going'),
+                ...data.eventBookmarks
+            ].filter(f => eventIds.includes(f.eventId));
+            for (const { eventId, userId } of followers) {
+                const list = recipients.get(eventId) || [];
+                if (list.some(user => user.id === userId)) continue;
+                const { id, username, email } = data.users.find(u => u.id === userId);
+                recipients.set(eventId, [...list, { id, username, email }]);
+            }
+            return recipients;
+        },
+
+        schedule: async (jobs, { horizon }) => {
+            const planned = new Map(jobs.map(job => [jobKey(job), job]));
+            for (const existing of data.reminderJobs.filter(j => j.startsAt <= horizon)) {
+                const job = planned.get(jobKey(existing));
+                planned.delete(jobKey(existing));
+                if (!job) {
+                    if (existing.status === 'scheduled') existing.status = 'cancelled';
+                } else if (['scheduled', 'cancelled'].includes(existing.status)) {
+                    Object.assign(existing, { status: 'scheduled', startsAt: job.startsAt, sendAt: job.sendAt });
+                }
+            }
+            planned.forEach(job => insert('reminderJobs', { ...job, status: 'scheduled', claimedUntil: null, sentAt: null }));
+        },
+
+        claimDue: async ({ now, limit, claimSeconds }) =>
+            data.reminderJobs
+                .filter(j => ((j.status === 'scheduled' && j.sendAt <= now) || (j.status === 'sending' && j.claimedUntil < now))
+                    && j.startsAt > now)
+                .sort((a, b) => a.sendAt - b.sendAt || a.id - b.id)
+                .slice(0, limit)
+                .map(job => {
+                    Object.assign(job, { status: 'sending', claimedUntil: new Date(now.getTime() + claimSeconds * 1000) });
+                    const { id, eventId, occurrenceDate, userId, offsetMinutes, startsAt, claimedUntil } = job;
+                    return { id, eventId, occurrenceDate, userId, offsetMinutes, startsAt, claimedUntil };
+                }),
+
+        complete: async ({ id, claimedUntil }, message) => {
+            const job = data.reminderJobs.find(j => j.id === id);
+            if (!job || job.status !== 'sending' || job.claimedUntil.getTime() !== claimedUntil.getTime()) return;
+            Object.assign(job, { status: message ? 'sent' : 'skipped', sentAt: new Date(), claimedUntil: null });
+            if (message) await outbox.enqueue([message]);
+        },
+
+        list: async ({ statuses, recent = false, limit }) =>
+            data.reminderJobs
+                .filter(j => statuses.includes(j.status))
+                .sort((a, b) => (recent ? b.sentAt - a.sentAt : a.sendAt - b.sendAt) || a.id - b.id)
+                .slice(0, limit)
+                .map(({ id, eventId, occurrenceDate, userId, offsetMinutes, startsAt, sendAt, status, sentAt }) => ({
+                    id,
+                    eventId,
+                    eventTitle: data.events.find(e => e.id === eventId).title,
+                    occurrenceDate,
+                    userId,
+                    username: data.users.find(u => u.id === userId).username,
+                    offsetMinutes,
+                    startsAt,
+                    sendAt,
+                    status,
+                    sentAt
+                }))
+    };
+
+    const changes = {
+        record: async ({ eventId, type, actor = null }) => {
+            insert('eventChanges', { eventId: Number(eventId), type, actor: actor ? actor.username : null });
+        },
+
+        bounds: async () => ({
+            oldestId: data.eventChanges.length > 0 ? data.eventChanges[0].id : 0,
+            latestId: data.eventChanges.length > 0 ? data.eventChanges[data.eventChanges.length - 1].id : 0
+        }),
+
+        listSince: async (afterId, limit) =>
+            data.eventChanges
+                .filter(change => change.id > afterId)
+                .slice(0, limit)
+                .map(({ id, eventId, type, actor, createdAt }) => ({ id, eventId, type, actor, createdAt })),
+
+        prune: async (before) => {
+            const latest = data.eventChanges[data.eventChanges.length - 1];
+            data.eventChanges = data.eventChanges.filter(change => change.createdAt >= before || change === latest);
+        }
+    };
+
+    const audit = {
+        record: async ({ eventId, action, actor, fromStatus = null, toStatus = null, reason = null }) => {
+            insert('eventAudit', {
+                eventId: Number(eventId),
+                action,
+                actorId: actor ? actor.id : null,
+                actorUsername: actor ? actor.username : null,
+                fromStatus,
+                toStatus,
+                reason
+            });
+        },
+
+        listForEvent: async (eventId) =>
+            data.eventAudit
+                .filter(entry => entry.eventId === Number(eventId))
+                .map(({ actorId, ...entry }) => entry),
+
+        latestDecisions: async (eventIds) => {
+            const decisions = new Map();
+            data.eventAudit
+                .filter(entry => eventIds.includes(entry.eventId) && ['approved', 'rejected'].includes(entry.action))
+                .forEach(({ eventId, action, actorUsername, reason, createdAt }) => {
+                    decisions.set(eventId, { action, actorUsername, reason, createdAt });
+                });
+            return decisions;
+        }
+    };
+
+    const authEvents = {
+        record: async ({ action, outcome, username = null, ip = null, userAgent = null }) => {
+            insert('authEvents', { action, outcome, username, ip, userAgent });
+        },
+
+        loginFailures: async ({ username, ip, since }) => {
+            const logins = data.authEvents.filter(entry => entry.action === 'login' && entry.createdAt >= since);
+            const lastSuccess = logins.filter(entry => entry.outcome === 'success' && sameUsername(entry.username, username)).pop();
+            const failures = logins.filter(entry => entry.outcome !== 'success');
+            const accountFailures = failures.filter(entry => sameUsername(entry.username, username) && (!lastSuccess || entry.createdAt >= lastSuccess.createdAt));
+            const ipFailures = failures.filter(entry => entry.ip === ip);
+            return {
+                account: { failures: accountFailures.length, lastFailureAt: accountFailures.length > 0 ? accountFailures[accountFailures.length - 1].createdAt : null },
+                ip: { failures: ipFailures.length, firstFailureAt: ipFailures.length > 0 ? ipFailures[0].createdAt : null }
+            };
+        },
+
+        registrations: async ({ ip, since }) => {
+            const attempts = data.authEvents.filter(entry => entry.action === 'register' && entry.ip === ip && entry.createdAt >= since);
+            return { attempts: attempts.length, firstAttemptAt: attempts.length > 0 ? attempts[0].createdAt : null };
+        },
+
+        list: async ({ username = null, ip = null, action = null, outcome = null, beforeId = null, limit }) =>
+            data.authEvents
+                .filter(entry => (username === null || sameUsername(entry.username, username))
+                    && (ip === null || entry.ip === ip)
+                    && (action === null || entry.action === action)
+                    && (outcome === null || entry.outcome === outcome)
+                    && (beforeId === null || entry.id < beforeId))
+                .reverse()
+                .slice(0, limit)
+                .map(entry => ({ ...entry }))
+    };
+
+    // Without a database there is no way to promote the first admin, so one can be seeded
+    if (seedAdminPassword) {
+        await users.create({
+            username: 'admin',
+            email: 'admin@localhost',
+            password: await bcrypt.hash(seedAdminPassword, 10),
+            role: 'admin',
+            emailVerified: true
+        });
+        console.log("In-memory store seeded with user 'admin'.");
+    }
+
+    return { users, sessions, resetTokens, verifications, events, categories, venues, rooms, exceptions, rsvps, bookmarks, comments, notifications, outbox, reminders, changes, audit, authEvents, close: async () => {} };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,229 @@
+// Versioned schema migrations.
+//
+// Each migration is a pair of files in ./migrations named NNN_description.up.sql
+// and NNN_description.down.sql. Applied versions are recorded in SchemaVersions.
+// Scripts may be split into batches with a line containing only GO.
+//
+// Usage: node db/migrate.js <status|up|down> [--dry-run] [--steps N]
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sql = require('mssql');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Serializes migration runs across app instances that start at the same time
+const LOCK_RESOURCE = 'fauevents-schema-migrations';
+
+const checksum = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const splitBatches = (script) =>
+    script.split(/^\s*GO\s*$/im).map(batch => batch.trim()).filter(Boolean);
+
+// Reads the migrations directory into [{ version, name, up, down, checksum }] in version order
+const loadMigrations = () => {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+
+        const [, versionText, name, direction] = match;
+        const version = parseInt(versionText, 10);
+        const existing = migrations.get(version);
+
+        if (existing && existing.name !== name) {
+            throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+        }
+
+        const migration = existing || { version, name };
+        migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+        .map(migration => {
+            if (!migration.up || !migration.down) {
+                throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script.`);
+            }
+            return { ...migration, checksum: checksum(migration.up) };
+        })
+        .sort((a, b) => a.version - b.version);
+};
+
+const ensureVersionTable = async (pool) => {
+    await pool.request().query(`
+        IF OBJECT_ID(N'dbo.SchemaVersions', N'U') IS NULL
+        CREATE TABLE SchemaVersions (
+            version INT PRIMARY KEY,
+            name NVARCHAR(255) NOT NULL,
+            checksum CHAR(64) NOT NULL,
+            appliedAt DATETIME NOT NULL DEFAULT GETDATE()
+        )
+    `);
+};
+
+const getAppliedVersions = async (pool) => {
+    const result = await pool.request()
+        .query('SELECT version, name, checksum, appliedAt FROM SchemaVersions ORDER BY version');
+    return new Map(result.recordset.map(row => [row.version, row]));
+};
+
+// Runs one migration script and its SchemaVersions bookkeeping in a single transaction
+const runInTransaction = async (pool, migration, direction) => {
+    const transaction = new sql.Transaction(pool);
+    await transaction.begin();
+
+    try {
+        await new sql.Request(transaction)
+            .input('resource', sql.NVarChar(255), LOCK_RESOURCE)
+            .query(`EXEC sp_getapplock @Resource = @resource, @LockMode = 'Exclusive', @LockOwner = 'Transaction', @LockTimeout = 60000`);
+
+        // Another instance may have finished this step while we waited for the lock
+        const current = await new sql.Request(transaction)
+            .input('version', sql.Int, migration.version)
+            .query('SELECT version FROM SchemaVersions WHERE version = @version');
+        const isApplied = current.recordset.length > 0;
+
+        if ((direction === 'up') === isApplied) {
+            await transaction.rollback();
+            return false;
+        }
+
+        for (const batch of splitBatches(migration[direction])) {
+            await new sql.Request(transaction).batch(batch);
+        }
+
+        const bookkeeping = new sql.Request(transaction).input('version', sql.Int, migration.version);
+        if (direction === 'up') {
+            await bookkeeping
+                .input('name', sql.NVarChar(255), migration.name)
+                .input('checksum', sql.Char(64), migration.checksum)
+                .query('INSERT INTO SchemaVersions (version, name, checksum) VALUES (@version, @name, @checksum)');
+        } else {
+            await bookkeeping.query('DELETE FROM SchemaVersions WHERE version = @version');
+        }
+
+        await transaction.commit();
+        return true;
+    } catch (err) {
+        await transaction.rollback().catch(() => {});
+        throw new Error(`Migration ${migration.version}_${migration.name} (${direction}) failed: ${err.message}`);
+    }
+};
+
+// Applies every pending migration in version order. With dryRun, only logs what would run.
+const migrateUp = async (pool, { dryRun = false, log = console.log } = {}) => {
+    await ensureVersionTable(pool);
+    const applied = await getAppliedVersions(pool);
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+        log("Database schema is up to date.");
+        return [];
+    }
+
+    for (const migration of pending) {
+        if (dryRun) {
+            log(`[dry run] Would apply ${migration.version}_${migration.name}:\n${migration.up}`);
+            continue;
+        }
+        if (await runInTransaction(pool, migration, 'up')) {
+            log(`Applied migration ${migration.version}_${migration.name}.`);
+        }
+    }
+
+    return pending;
+};
+
+// Rolls back the most recent `steps` applied migrations, newest first
+const migrateDown = async (pool, { steps = 1, dryRun = false, log = console.log } = {}) => {
+    await ensureVersionTable(pool);
+    const applied = await getAppliedVersions(pool);
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const targets = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    for (const version of targets) {
+        const migration = migrations.get(version);
+        if (!migration) {
+            throw new Error(`Cannot roll back version ${version}: its migration files are missing.`);
+        }
+        if (dryRun) {
+            log(`[dry run] Would roll back ${migration.version}_${migration.name}:\n${migration.down}`);
+            continue;
+        }
+        if (await runInTransaction(pool, migration, 'down')) {
+            log(`Rolled back migration ${migration.version}_${migration.name}.`);
+        }
+    }
+
+    return targets;
+};
+
+// Lists every known migration with its state: applied, pending, changed or missing
+const getStatus = async (pool) => {
+    await ensureVersionTable(pool);
+    const applied = await getAppliedVersions(pool);
+    const migrations = loadMigrations();
+
+    const status = migrations.map(migration => {
+        const row = applied.get(migration.version);
+        let state = 'pending';
+        if (row) {
+            state = row.checksum === migration.checksum ? 'applied' : 'changed';
+        }
+        return { version: migration.version, name: migration.name, state, appliedAt: row ? row.appliedAt : null };
+    });
+
+    // Versions recorded in the database whose files no longer exist
+    for (const [version, row] of applied) {
+        if (!migrations.some(migration => migration.version === version)) {
+            status.push({ version, name: row.name, state: 'missing', appliedAt: row.appliedAt });
+        }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+};
+
+module.exports = { loadMigrations, migrateUp, migrateDown, getStatus };
+
+// --- Command line ---
+if (require.main === module) {
+    require('dotenv').config();
+    const sqlConfig = require('./config');
+
+    const [command = 'status', ...args] = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const stepsIndex = args.indexOf('--steps');
+    const steps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1], 10) : 1;
+
+    const run = async () => {
+        const pool = await sql.connect(sqlConfig);
+        try {
+            if (command === 'up') {
+                await migrateUp(pool, { dryRun });
+            } else if (command === 'down') {
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('--steps must be a positive integer.');
+                }
+                await migrateDown(pool, { steps, dryRun });
+            } else if (command === 'status') {
+                for (const entry of await getStatus(pool)) {
+                    const appliedAt = entry.appliedAt ? ` (${entry.appliedAt.toISOString()})` : '';
+                    console.log(`${String(entry.version).padStart(3, '0')}_${entry.name}  ${entry.state}${appliedAt}`);
+                }
+            } else {
+                throw new Error(`Unknown command '${command}'. Use status, up or down.`);
+            }
+        } finally {
+            await pool.close();
+        }
+    };
+
+    run().catch(err => {
+        console.error("Migration Error:", err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,8 @@
+IF OBJECT_ID(N'dbo.Users', N'U') IS NULL
+CREATE TABLE Users (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    username NVARCHAR(50) NOT NULL UNIQUE,
+    email NVARCHAR(100) NOT NULL,
+    password NVARCHAR(255) NOT NULL,
+    createdAt DATETIME DEFAULT GETDATE()
+);
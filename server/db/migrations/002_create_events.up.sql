@@ -0,0 +1,19 @@
+IF OBJECT_ID(N'dbo.Events', N'U') IS NULL
+CREATE TABLE Events (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    title NVARCHAR(100) NOT NULL,
+    description NVARCHAR(MAX),
+    date DATE NOT NULL,
+    time TIME,
+    userId NVARCHAR(50),
+    approved BIT CONSTRAINT DF_Events_approved DEFAULT 0,
+    createdAt DATETIME DEFAULT GETDATE()
+);
+
+-- Databases created before the approval workflow lack the approved column
+IF COL_LENGTH(N'dbo.Events', N'approved') IS NULL
+BEGIN
+    ALTER TABLE Events ADD approved BIT CONSTRAINT DF_Events_approved DEFAULT 0;
+    -- Existing events stay visible (backward compatibility)
+    EXEC(N'UPDATE Events SET approved = 1 WHERE approved IS NULL');
+END
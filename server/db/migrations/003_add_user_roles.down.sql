@@ -0,0 +1,12 @@
+-- The default constraint may be system-named on databases upgraded before migrations existed
+DECLARE @constraint SYSNAME;
+SELECT @constraint = dc.name
+FROM sys.default_constraints dc
+JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+WHERE dc.parent_object_id = OBJECT_ID(N'dbo.Users') AND c.name = N'role';
+
+IF @constraint IS NOT NULL
+    EXEC(N'ALTER TABLE Users DROP CONSTRAINT ' + @constraint);
+
+IF COL_LENGTH(N'dbo.Users', N'role') IS NOT NULL
+    ALTER TABLE Users DROP COLUMN role;
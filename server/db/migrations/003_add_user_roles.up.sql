@@ -0,0 +1,6 @@
+IF COL_LENGTH(N'dbo.Users', N'role') IS NULL
+BEGIN
+    ALTER TABLE Users ADD role NVARCHAR(20) NOT NULL CONSTRAINT DF_Users_role DEFAULT 'submitter';
+    -- The former hard-coded administrator keeps admin rights
+    EXEC(N'UPDATE Users SET role = ''admin'' WHERE username = ''FAUadmin''');
+END
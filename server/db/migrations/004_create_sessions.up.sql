@@ -0,0 +1,9 @@
+-- Sessions store a SHA-256 hash of each login token, never the token itself
+IF OBJECT_ID(N'dbo.Sessions', N'U') IS NULL
+CREATE TABLE Sessions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    tokenHash CHAR(64) NOT NULL UNIQUE,
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    createdAt DATETIME DEFAULT GETDATE(),
+    expiresAt DATETIME NOT NULL
+);
@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS EventAudit;
+
+ALTER TABLE Events DROP COLUMN approved;
+ALTER TABLE Events ADD approved BIT CONSTRAINT DF_Events_approved DEFAULT 0;
+GO
+
+UPDATE Events SET approved = CASE WHEN status = 'approved' THEN 1 ELSE 0 END;
+
+ALTER TABLE Events DROP CONSTRAINT CK_Events_status, DF_Events_status;
+ALTER TABLE Events DROP COLUMN status, rejectionReason;
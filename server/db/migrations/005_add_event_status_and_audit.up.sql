@@ -0,0 +1,45 @@
+-- Replace the approved bit with a status; approved becomes a computed column so
+-- existing queries on it keep working
+ALTER TABLE Events ADD
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_Events_status DEFAULT 'pending'
+        CONSTRAINT CK_Events_status CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    rejectionReason NVARCHAR(500) NULL;
+GO
+
+UPDATE Events SET status = CASE WHEN approved = 1 THEN 'approved' ELSE 'pending' END;
+
+-- The default constraint may be system-named on databases created before migrations existed
+DECLARE @constraint SYSNAME;
+SELECT @constraint = dc.name
+FROM sys.default_constraints dc
+JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+WHERE dc.parent_object_id = OBJECT_ID(N'dbo.Events') AND c.name = N'approved';
+
+IF @constraint IS NOT NULL
+    EXEC(N'ALTER TABLE Events DROP CONSTRAINT ' + @constraint);
+
+ALTER TABLE Events DROP COLUMN approved;
+ALTER TABLE Events ADD approved AS CAST(CASE WHEN status = 'approved' THEN 1 ELSE 0 END AS BIT);
+GO
+
+-- Append-only log of everything done to an event. No foreign key, so the history
+-- of deleted events is kept.
+CREATE TABLE EventAudit (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    eventId INT NOT NULL,
+    action NVARCHAR(20) NOT NULL,
+    actorId INT NULL,
+    actorUsername NVARCHAR(50) NULL,
+    fromStatus NVARCHAR(20) NULL,
+    toStatus NVARCHAR(20) NULL,
+    reason NVARCHAR(500) NULL,
+    createdAt DATETIME DEFAULT GETDATE()
+);
+
+CREATE INDEX IX_EventAudit_eventId ON EventAudit (eventId);
+GO
+
+CREATE TRIGGER TR_EventAudit_AppendOnly ON EventAudit
+INSTEAD OF UPDATE, DELETE
+AS
+    THROW 50001, 'EventAudit is append-only.', 1;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS EventAttendees;
+
+ALTER TABLE Events DROP CONSTRAINT CK_Events_capacity;
+ALTER TABLE Events DROP COLUMN capacity;
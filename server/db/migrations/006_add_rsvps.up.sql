@@ -0,0 +1,15 @@
+-- Optional seat limit; NULL means unlimited
+ALTER TABLE Events ADD capacity INT NULL CONSTRAINT CK_Events_capacity CHECK (capacity > 0);
+
+-- One row per user per event. Waitlisted rows are promoted to 'going' in
+-- createdAt order as seats free up.
+CREATE TABLE EventAttendees (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    eventId INT NOT NULL FOREIGN KEY REFERENCES Events(id) ON DELETE CASCADE,
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    status NVARCHAR(20) NOT NULL CONSTRAINT CK_EventAttendees_status CHECK (status IN ('going', 'waitlisted')),
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT UQ_EventAttendees_event_user UNIQUE (eventId, userId)
+);
+
+CREATE INDEX IX_EventAttendees_eventId_status ON EventAttendees (eventId, status, createdAt);
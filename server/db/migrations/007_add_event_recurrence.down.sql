@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS EventOccurrenceExceptions;
+
+ALTER TABLE Events DROP COLUMN recurrenceRule;
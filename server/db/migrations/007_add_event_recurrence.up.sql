@@ -0,0 +1,17 @@
+-- RRULE text (see lib/recurrence.js); NULL for one-off events
+ALTER TABLE Events ADD recurrenceRule NVARCHAR(200) NULL;
+
+-- Per-occurrence changes to a series: a cancelled occurrence, or overrides for one
+-- date. NULL override columns inherit the series values.
+CREATE TABLE EventOccurrenceExceptions (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    eventId INT NOT NULL FOREIGN KEY REFERENCES Events(id) ON DELETE CASCADE,
+    occurrenceDate DATE NOT NULL,
+    cancelled BIT NOT NULL DEFAULT 0,
+    title NVARCHAR(100) NULL,
+    description NVARCHAR(MAX) NULL,
+    date DATE NULL,
+    time TIME NULL,
+    createdAt DATETIME DEFAULT GETDATE(),
+    CONSTRAINT UQ_EventOccurrenceExceptions_event_date UNIQUE (eventId, occurrenceDate)
+);
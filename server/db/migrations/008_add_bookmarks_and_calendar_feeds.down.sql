@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS UX_Users_calendarTokenHash ON Users;
+ALTER TABLE Users DROP COLUMN calendarTokenHash;
+
+DROP TABLE IF EXISTS EventBookmarks;
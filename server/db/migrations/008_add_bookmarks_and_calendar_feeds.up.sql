@@ -0,0 +1,14 @@
+-- Events a user has saved without RSVPing
+CREATE TABLE EventBookmarks (
+    eventId INT NOT NULL FOREIGN KEY REFERENCES Events(id) ON DELETE CASCADE,
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT PK_EventBookmarks PRIMARY KEY (userId, eventId)
+);
+
+-- SHA-256 of the secret in the user's calendar subscription URL; NULL until one is created
+ALTER TABLE Users ADD calendarTokenHash CHAR(64) NULL;
+
+GO
+
+CREATE UNIQUE INDEX UX_Users_calendarTokenHash ON Users (calendarTokenHash) WHERE calendarTokenHash IS NOT NULL;
@@ -0,0 +1,4 @@
+ALTER TABLE Events DROP CONSTRAINT FK_Events_category, CK_Events_tags;
+ALTER TABLE Events DROP COLUMN categoryId, tags, locationBuilding, locationRoom, locationUrl;
+
+DROP TABLE IF EXISTS Categories;
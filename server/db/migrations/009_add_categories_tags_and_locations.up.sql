@@ -0,0 +1,27 @@
+-- Managed list of event categories; admins can add, rename and remove them
+CREATE TABLE Categories (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    slug NVARCHAR(50) NOT NULL CONSTRAINT UQ_Categories_slug UNIQUE,
+    name NVARCHAR(100) NOT NULL,
+    createdAt DATETIME DEFAULT GETDATE()
+);
+
+INSERT INTO Categories (slug, name) VALUES
+    ('academic', 'Academic'),
+    ('arts', 'Arts & Culture'),
+    ('athletics', 'Athletics'),
+    ('career', 'Career'),
+    ('club', 'Club'),
+    ('health', 'Health & Wellness'),
+    ('social', 'Social'),
+    ('volunteering', 'Volunteering');
+
+-- Removing a category leaves its events uncategorised.
+-- tags is a JSON array of lowercase strings; location is a building and room, an
+-- online link, or both. Every part is optional.
+ALTER TABLE Events ADD
+    categoryId INT NULL CONSTRAINT FK_Events_category FOREIGN KEY REFERENCES Categories(id) ON DELETE SET NULL,
+    tags NVARCHAR(400) NULL CONSTRAINT CK_Events_tags CHECK (tags IS NULL OR ISJSON(tags) = 1),
+    locationBuilding NVARCHAR(100) NULL,
+    locationRoom NVARCHAR(50) NULL,
+    locationUrl NVARCHAR(500) NULL;
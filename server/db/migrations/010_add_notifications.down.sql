@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS OutboundEmails;
+DROP TABLE IF EXISTS NotificationOptOuts;
@@ -0,0 +1,27 @@
+-- Notification types a user has turned off; anything not listed is sent
+CREATE TABLE NotificationOptOuts (
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    type NVARCHAR(50) NOT NULL,
+    CONSTRAINT PK_NotificationOptOuts PRIMARY KEY (userId, type)
+);
+
+-- Outbound email queue. Workers claim queued rows (and 'sending' rows whose claim has
+-- expired, in case a worker died mid-send), then mark them sent, or queued again with
+-- a later nextAttemptAt, or failed once retries run out.
+CREATE TABLE OutboundEmails (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    type NVARCHAR(50) NOT NULL,
+    toAddress NVARCHAR(254) NOT NULL,
+    subject NVARCHAR(300) NOT NULL,
+    body NVARCHAR(MAX) NOT NULL,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_OutboundEmails_status DEFAULT 'queued'
+        CONSTRAINT CK_OutboundEmails_status CHECK (status IN ('queued', 'sending', 'sent', 'failed')),
+    attempts INT NOT NULL DEFAULT 0,
+    nextAttemptAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    claimedUntil DATETIME2 NULL,
+    lastError NVARCHAR(1000) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    sentAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_OutboundEmails_status_nextAttemptAt ON OutboundEmails (status, nextAttemptAt);
@@ -0,0 +1,26 @@
+-- One row per reminder per recipient per event date. The unique key makes planning
+-- idempotent: every instance may plan the same reminders, but each is stored (and
+-- so sent) once. Times are UTC.
+--
+-- status: scheduled -> sending (claimed by an instance) -> sent, or skipped when the
+-- recipient opted out or stopped following the event meanwhile. Jobs no longer planned
+-- (the RSVP was withdrawn, the event was cancelled, or it started before the reminder
+-- could go out) become cancelled, and scheduled again if they are planned again.
+CREATE TABLE ReminderJobs (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    eventId INT NOT NULL FOREIGN KEY REFERENCES Events(id) ON DELETE CASCADE,
+    -- The event's date for one-off events; the occurrence's series date for recurring ones
+    occurrenceDate DATE NOT NULL,
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    offsetMinutes INT NOT NULL,
+    startsAt DATETIME2 NOT NULL,
+    sendAt DATETIME2 NOT NULL,
+    status NVARCHAR(20) NOT NULL CONSTRAINT DF_ReminderJobs_status DEFAULT 'scheduled'
+        CONSTRAINT CK_ReminderJobs_status CHECK (status IN ('scheduled', 'sending', 'sent', 'skipped', 'cancelled')),
+    claimedUntil DATETIME2 NULL,
+    sentAt DATETIME2 NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    CONSTRAINT UQ_ReminderJobs_event_date_user_offset UNIQUE (eventId, occurrenceDate, userId, offsetMinutes)
+);
+
+CREATE INDEX IX_ReminderJobs_status_sendAt ON ReminderJobs (status, sendAt);
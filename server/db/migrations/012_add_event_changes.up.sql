@@ -0,0 +1,13 @@
+-- A feed of changes to events, pushed to connected clients as live updates. Every API
+-- instance polls it, so a change made through one instance reaches clients of all of
+-- them, and clients that reconnect catch up from the last id they saw. Rows are pruned
+-- after a day. There is no foreign key: a deleted event's changes are kept.
+CREATE TABLE EventChanges (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    eventId INT NOT NULL,
+    type NVARCHAR(20) NOT NULL CONSTRAINT CK_EventChanges_type CHECK (type IN ('created', 'updated', 'approved', 'deleted')),
+    actorUsername NVARCHAR(50) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE INDEX IX_EventChanges_createdAt ON EventChanges (createdAt);
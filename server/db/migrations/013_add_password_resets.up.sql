@@ -0,0 +1,12 @@
+-- Password reset tokens. Like sessions, only a SHA-256 hash of each token is stored. A
+-- token works once (usedAt) and until expiresAt; requesting a new one retires the old.
+CREATE TABLE PasswordResetTokens (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    tokenHash CHAR(64) NOT NULL UNIQUE,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    expiresAt DATETIME2 NOT NULL,
+    usedAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_PasswordResetTokens_userId ON PasswordResetTokens (userId);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS EmailVerificationTokens;
+
+DROP INDEX UQ_Users_email ON Users;
+ALTER TABLE Users DROP CONSTRAINT DF_Users_emailVerified;
+ALTER TABLE Users DROP COLUMN emailVerified;
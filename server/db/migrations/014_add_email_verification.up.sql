@@ -0,0 +1,22 @@
+-- Accounts confirm their email address through an emailed link before they can submit
+-- events. Accounts that existed before verification was introduced count as verified.
+ALTER TABLE Users ADD emailVerified BIT NOT NULL CONSTRAINT DF_Users_emailVerified DEFAULT 0;
+EXEC(N'UPDATE Users SET emailVerified = 1');
+
+-- One account per email address (compared case-insensitively, as the default collation
+-- does). Existing duplicates have to be resolved by hand first.
+IF EXISTS (SELECT email FROM Users GROUP BY email HAVING COUNT(*) > 1)
+    THROW 50000, 'Several users share an email address; give each a unique email before running this migration.', 1;
+CREATE UNIQUE INDEX UQ_Users_email ON Users (email);
+
+-- Verification links, stored hashed and single-use like PasswordResetTokens
+CREATE TABLE EmailVerificationTokens (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    tokenHash CHAR(64) NOT NULL UNIQUE,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    expiresAt DATETIME2 NOT NULL,
+    usedAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_EmailVerificationTokens_userId ON EmailVerificationTokens (userId);
@@ -0,0 +1,17 @@
+-- Log of logins and registrations. Besides letting admins review sign-in activity, it is
+-- what login throttling and account lockout count recent failures from, so the limits hold
+-- across instances. username is as typed, and may not belong to any account. A lockout
+-- row marks the failure that locked an account; attempts turned away while throttled or
+-- locked are not logged, so a flood of them cannot fill the table.
+CREATE TABLE AuthEvents (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    action NVARCHAR(20) NOT NULL CONSTRAINT CK_AuthEvents_action CHECK (action IN ('login', 'register')),
+    outcome NVARCHAR(20) NOT NULL CONSTRAINT CK_AuthEvents_outcome CHECK (outcome IN ('success', 'failure', 'lockout')),
+    username NVARCHAR(50) NULL,
+    ip NVARCHAR(45) NULL,
+    userAgent NVARCHAR(300) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE INDEX IX_AuthEvents_username_createdAt ON AuthEvents (username, createdAt);
+CREATE INDEX IX_AuthEvents_ip_createdAt ON AuthEvents (ip, createdAt);
@@ -0,0 +1,2 @@
+ALTER TABLE Events DROP CONSTRAINT CK_Events_end, DF_Events_timeZone;
+ALTER TABLE Events DROP COLUMN endDate, endTime, timeZone;
@@ -0,0 +1,15 @@
+-- Events gain an end and a time zone. date and time remain the start; endDate is set for
+-- events ending on a later day and endTime for timed events with a set end. Events without
+-- a time are all-day, from the start of date to the end of endDate (or date).
+-- Times are wall-clock times in timeZone, an IANA name; existing events were entered in
+-- campus time.
+ALTER TABLE Events ADD
+    endDate DATE NULL,
+    endTime TIME NULL,
+    timeZone NVARCHAR(64) NOT NULL CONSTRAINT DF_Events_timeZone DEFAULT 'America/New_York';
+GO
+
+ALTER TABLE Events ADD CONSTRAINT CK_Events_end CHECK (
+    (endDate IS NULL OR endDate >= date)
+    AND (endTime IS NULL OR time IS NOT NULL)
+);
@@ -0,0 +1,6 @@
+DROP INDEX IX_Events_roomId ON Events;
+ALTER TABLE Events DROP CONSTRAINT FK_Events_room;
+ALTER TABLE Events DROP COLUMN roomId;
+
+DROP TABLE IF EXISTS Rooms;
+DROP TABLE IF EXISTS Venues;
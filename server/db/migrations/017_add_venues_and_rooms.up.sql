@@ -0,0 +1,27 @@
+-- Registry of venues and their rooms, which events can be booked into. Booked events keep
+-- the venue and room names in their location columns as well, so listings, search and
+-- filters treat them like any other location.
+CREATE TABLE Venues (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    name NVARCHAR(100) NOT NULL CONSTRAINT UQ_Venues_name UNIQUE,
+    address NVARCHAR(200) NULL,
+    createdAt DATETIME DEFAULT GETDATE()
+);
+
+-- capacity is how many people the room holds, if known; accessible means step-free access
+CREATE TABLE Rooms (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    venueId INT NOT NULL FOREIGN KEY REFERENCES Venues(id) ON DELETE CASCADE,
+    name NVARCHAR(50) NOT NULL,
+    capacity INT NULL,
+    accessible BIT NOT NULL DEFAULT 0,
+    accessibilityNotes NVARCHAR(500) NULL,
+    createdAt DATETIME DEFAULT GETDATE(),
+    CONSTRAINT UQ_Rooms_venue_name UNIQUE (venueId, name)
+);
+
+-- Removing a room leaves its events with their location text but no booking
+ALTER TABLE Events ADD roomId INT NULL CONSTRAINT FK_Events_room FOREIGN KEY REFERENCES Rooms(id) ON DELETE SET NULL;
+GO
+
+CREATE INDEX IX_Events_roomId ON Events (roomId);
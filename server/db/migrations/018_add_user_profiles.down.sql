@@ -0,0 +1,2 @@
+ALTER TABLE Users DROP CONSTRAINT CK_Users_preferredView, CK_Users_calendarMode;
+ALTER TABLE Users DROP COLUMN displayName, preferredView, calendarMode, timeZone;
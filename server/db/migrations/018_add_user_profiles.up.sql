@@ -0,0 +1,10 @@
+-- Profile details users set for themselves. NULL preferences mean "not chosen", so the
+-- client's defaults apply.
+ALTER TABLE Users ADD
+    displayName NVARCHAR(100) NULL,
+    preferredView NVARCHAR(10) NULL
+        CONSTRAINT CK_Users_preferredView CHECK (preferredView IN ('list', 'calendar')),
+    calendarMode NVARCHAR(10) NULL
+        CONSTRAINT CK_Users_calendarMode CHECK (calendarMode IN ('month', 'week', 'agenda')),
+    -- Zone new events are entered in
+    timeZone NVARCHAR(64) NULL;
@@ -0,0 +1,22 @@
+-- Questions and comments on events, threaded one level deep: replies point at a top-level
+-- comment through parentId. Deleted comments keep their row (with deletedAt set) while
+-- they have replies, so the thread stays readable.
+CREATE TABLE EventComments (
+    id INT IDENTITY(1,1) PRIMARY KEY,
+    eventId INT NOT NULL FOREIGN KEY REFERENCES Events(id) ON DELETE CASCADE,
+    parentId INT NULL CONSTRAINT FK_EventComments_parent FOREIGN KEY REFERENCES EventComments(id),
+    userId INT NOT NULL FOREIGN KEY REFERENCES Users(id) ON DELETE CASCADE,
+    body NVARCHAR(2000) NULL,
+    -- The organizer's chosen answer (or, for top-level comments, a notice kept on top)
+    pinned BIT NOT NULL CONSTRAINT DF_EventComments_pinned DEFAULT 0,
+    -- Hidden by a moderator; still shown to moderators and the author
+    hiddenAt DATETIME2 NULL,
+    hiddenBy NVARCHAR(50) NULL,
+    hiddenReason NVARCHAR(500) NULL,
+    createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+    editedAt DATETIME2 NULL,
+    deletedAt DATETIME2 NULL
+);
+
+CREATE INDEX IX_EventComments_eventId ON EventComments (eventId, createdAt);
+CREATE INDEX IX_EventComments_parentId ON EventComments (parentId);
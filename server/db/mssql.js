@@ -0,0 +1,1274 @@
+// Azure SQL (mssql) implementation of the data store.
+
+const sql = require('mssql');
+const sqlConfig = require('./config');
+const { migrateUp } = require('./migrate');
+const { DEFAULT_TIME_ZONE } = require('../lib/dates');
+
+// Columns returned for an event; pass 'inserted.' for OUTPUT clauses
+const eventColumns = (prefix = '') => [
+    `${prefix}id`,
+    `${prefix}title`,
+    `${prefix}description`,
+    `CONVERT(NVARCHAR, ${prefix}date, 23) as date`,
+    `CONVERT(NVARCHAR, ${prefix}time, 8) as time`,
+    `CONVERT(NVARCHAR, ${prefix}endDate, 23) as endDate`,
+    `CONVERT(NVARCHAR, ${prefix}endTime, 8) as endTime`,
+    `${prefix}timeZone`,
+    `${prefix}userId`,
+    `${prefix}approved`,
+    `${prefix}status`,
+    `${prefix}rejectionReason`,
+    `${prefix}capacity`,
+    `${prefix}recurrenceRule`,
+    `${prefix}categoryId`,
+    `${prefix}roomId`,
+    `${prefix}tags`,
+    `${prefix}locationBuilding`,
+    `${prefix}locationRoom`,
+    `${prefix}locationUrl`
+].join(', ');
+
+// Columns event search looks in; tags are stored as JSON text
+const SEARCHED_COLUMNS = ['title', 'description', 'tags', 'locationBuilding', 'locationRoom', 'locationUrl'];
+
+// Shapes an event row: tags as an array and the location columns as one object (or null)
+const toEvent = (row) => {
+    if (!row) return null;
+    const { tags, locationBuilding, locationRoom, locationUrl, ...event } = row;
+    return {
+        ...event,
+        tags: tags ? JSON.parse(tags) : [],
+        location: locationBuilding || locationRoom || locationUrl
+            ? { building: locationBuilding, room: locationRoom, url: locationUrl }
+            : null
+    };
+};
+
+const PROFILE_COLUMNS = 'id, username, email, emailVerified, role, displayName, preferredView, calendarMode, timeZone, createdAt';
+
+// Shapes a user row as a profile, with the preference columns as one object
+const toProfile = ({ preferredView, calendarMode, timeZone, ...user }) => ({
+    ...user,
+    preferences: { view: preferredView, calendarMode, timeZone }
+});
+
+// Binds the end, time zone, category, room, tags and location inputs shared by inserts and updates
+const detailInputs = (request, { endDate = null, endTime = null, timeZone = DEFAULT_TIME_ZONE, categoryId = null, roomId = null, tags = [], location = null }) => request
+    .input('endDate', sql.Date, endDate)
+    .input('endTime', sql.VarChar(8), endTime)
+    .input('timeZone', sql.NVarChar(64), timeZone)
+    .input('categoryId', sql.Int, categoryId)
+    .input('roomId', sql.Int, roomId)
+    .input('tags', sql.NVarChar(400), tags.length > 0 ? JSON.stringify(tags) : null)
+    .input('locationBuilding', sql.NVarChar(100), location ? location.building : null)
+    .input('locationRoom', sql.NVarChar(50), location ? location.room : null)
+    .input('locationUrl', sql.NVarChar(500), location ? location.url : null);
+
+// Inserts one event through `request` (pool or transaction) and returns it
+const insertEvent = async (request, { title, description, date, time, userId, status, capacity = null, recurrenceRule = null, ...details }) => {
+    const result = await detailInputs(request, details)
+        .input('title', sql.NVarChar(100), title)
+        .input('description', sql.NVarChar(sql.MAX), description)
+        .input('date', sql.Date, date)
+        // Routes validate times into 24-hour 'HH:MM:SS', which SQL Server converts to TIME
+        // unambiguously (the driver's own Time type expects a Date)
+        .input('time', sql.VarChar(8), time)
+        .input('userId', sql.NVarChar(50), userId)
+        .input('status', sql.NVarChar(20), status)
+        .input('capacity', sql.Int, capacity)
+        .input('recurrenceRule', sql.NVarChar(200), recurrenceRule)
+        .query(`
+            INSERT INTO Events (title, description, date, time, endDate, endTime, timeZone, userId, status,
+                capacity, recurrenceRule, categoryId, roomId, tags, locationBuilding, locationRoom, locationUrl)
+            OUTPUT ${eventColumns('inserted.')}
+            VALUES (@title, @description, @date, @time, @endDate, @endTime, @timeZone, @userId, @status,
+                @capacity, @recurrenceRule, @categoryId, @roomId, @tags, @locationBuilding, @locationRoom, @locationUrl)
+        `);
+    return toEvent(result.recordset[0]);
+};
+
+const createMssqlStore = async () => {
+    const pool = await sql.connect(sqlConfig);
+    console.log("SQL Database connection successful.");
+
+    // Bring the schema up to date; see db/migrations
+    await migrateUp(pool);
+
+    const users = {
+        findByUsername: async (username) => {
+            const result = await pool.request()
+                .input('username', sql.NVarChar(50), username)
+                .query('SELECT id, username, email, emailVerified, password, role FROM Users WHERE username = @username');
+            return result.recordset[0] || null;
+        },
+
+        // Emails are unique, compared case-insensitively
+        findByEmail: async (email) => {
+            const result = await pool.request()
+                .input('email', sql.NVarChar(100), email)
+                .query('SELECT id, username, email, emailVerified, role FROM Users WHERE email = @email');
+            return result.recordset[0] || null;
+        },
+
+        create: async ({ username, email, password, role, emailVerified = false }) => {
+            const result = await pool.request()
+                .input('username', sql.NVarChar(50), username)
+                .input('email', sql.NVarChar(100), email)
+                .input('password', sql.NVarChar(255), password)
+                .input('role', sql.NVarChar(20), role)
+                .input('emailVerified', sql.Bit, emailVerified)
+                .query(`
+                    INSERT INTO Users (username, email, password, role, emailVerified)
+                    OUTPUT inserted.id, inserted.username, inserted.email, inserted.emailVerified, inserted.role
+                    VALUES (@username, @email, @password, @role, @emailVerified)
+                `);
+            return result.recordset[0];
+        },
+
+        list: async () => {
+            const result = await pool.request()
+                .query('SELECT id, username, email, emailVerified, role, createdAt FROM Users ORDER BY username');
+            return result.recordset;
+        },
+
+        // Returns the updated user, or null if no user has that id
+        updateRole: async (id, role) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('role', sql.NVarChar(20), role)
+                .query(`
+                    UPDATE Users SET role = @role
+                    OUTPUT inserted.id, inserted.username, inserted.email, inserted.emailVerified, inserted.role
+                    WHERE id = @id
+                `);
+            return result.recordset[0] || null;
+        },
+
+        // Replaces the user's calendar subscription secret; null revokes it
+        setCalendarTokenHash: async (id, tokenHash) => {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .query('UPDATE Users SET calendarTokenHash = @tokenHash WHERE id = @id');
+        },
+
+        findByCalendarTokenHash: async (tokenHash) => {
+            const result = await pool.request()
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .query('SELECT id, username, email, emailVerified, role FROM Users WHERE calendarTokenHash = @tokenHash');
+            return result.recordset[0] || null;
+        },
+
+        // The user with their display name and preferences, or null
+        findProfile: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query(`SELECT ${PROFILE_COLUMNS} FROM Users WHERE id = @id`);
+            return result.recordset[0] ? toProfile(result.recordset[0]) : null;
+        },
+
+        // Replaces the display name, email and preferences; a new email address is unverified
+        updateProfile: async (id, { displayName, email, preferences }) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('displayName', sql.NVarChar(100), displayName)
+                .input('email', sql.NVarChar(100), email)
+                .input('preferredView', sql.NVarChar(10), preferences.view)
+                .input('calendarMode', sql.NVarChar(10), preferences.calendarMode)
+                .input('timeZone', sql.NVarChar(64), preferences.timeZone)
+                .query(`
+                    UPDATE Users SET
+                        displayName = @displayName,
+                        emailVerified = CASE WHEN email = @email THEN emailVerified ELSE 0 END,
+                        email = @email,
+                        preferredView = @preferredView,
+                        calendarMode = @calendarMode,
+                        timeZone = @timeZone
+                    WHERE id = @id;
+                    SELECT ${PROFILE_COLUMNS} FROM Users WHERE id = @id;
+                `);
+            return result.recordset[0] ? toProfile(result.recordset[0]) : null;
+        },
+
+        // Sets a new password hash and ends the user's sessions, except keepSessionHash's
+        updatePassword: async (id, passwordHash, { keepSessionHash = null } = {}) => {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .input('password', sql.NVarChar(255), passwordHash)
+                .input('keepSessionHash', sql.Char(64), keepSessionHash)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    UPDATE Users SET password = @password WHERE id = @id;
+                    DELETE FROM Sessions WHERE userId = @id AND (@keepSessionHash IS NULL OR tokenHash <> @keepSessionHash);
+                    COMMIT;
+                `);
+        }
+    };
+
+    const sessions = {
+        create: async ({ tokenHash, userId, expiresAt }) => {
+            await pool.request()
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .input('userId', sql.Int, userId)
+                .input('expiresAt', sql.DateTime, expiresAt)
+                .query('INSERT INTO Sessions (tokenHash, userId, expiresAt) VALUES (@tokenHash, @userId, @expiresAt)');
+        },
+
+        // Returns the user owning an unexpired session, or null
+        findUser: async (tokenHash) => {
+            const result = await pool.request()
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .query(`
+                    SELECT u.id, u.username, u.email, u.emailVerified, u.role
+                    FROM Sessions s
+                    JOIN Users u ON u.id = s.userId
+                    WHERE s.tokenHash = @tokenHash AND s.expiresAt > GETDATE()
+                `);
+            return result.recordset[0] || null;
+        },
+
+        delete: async (tokenHash) => {
+            await pool.request()
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .query('DELETE FROM Sessions WHERE tokenHash = @tokenHash');
+        }
+    };
+
+    const resetTokens = {
+        // Stores a new reset token for the user, retiring any earlier one
+        create: async ({ userId, tokenHash, ttlMinutes }) => {
+            await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .input('ttlMinutes', sql.Int, ttlMinutes)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    UPDATE PasswordResetTokens SET usedAt = SYSUTCDATETIME() WHERE userId = @userId AND usedAt IS NULL;
+                    INSERT INTO PasswordResetTokens (userId, tokenHash, expiresAt)
+                    VALUES (@userId, @tokenHash, DATEADD(MINUTE, @ttlMinutes, SYSUTCDATETIME()));
+                    COMMIT;
+                `);
+        },
+
+        // Uses up an unexpired token: sets the new password hash and ends every session of
+        // its user, all at once. Returns the user, or null if the token is unknown, used or expired.
+        redeem: async (tokenHash, passwordHash) => {
+            const result = await pool.request()
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .input('password', sql.NVarChar(255), passwordHash)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    DECLARE @used TABLE (userId INT);
+                    UPDATE PasswordResetTokens SET usedAt = SYSUTCDATETIME()
+                    OUTPUT inserted.userId INTO @used
+                    WHERE tokenHash = @tokenHash AND usedAt IS NULL AND expiresAt > SYSUTCDATETIME();
+                    UPDATE Users SET password = @password WHERE id IN (SELECT userId FROM @used);
+                    DELETE FROM Sessions WHERE userId IN (SELECT userId FROM @used);
+                    COMMIT;
+                    SELECT id, username, email, emailVerified, role FROM Users WHERE id IN (SELECT userId FROM @used);
+                `);
+            return result.recordset[0] || null;
+        }
+    };
+
+    const verifications = {
+        // Stores a new email verification token for the user, retiring any earlier one
+        create: async ({ userId, tokenHash, ttlMinutes }) => {
+            await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .input('ttlMinutes', sql.Int, ttlMinutes)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    UPDATE EmailVerificationTokens SET usedAt = SYSUTCDATETIME() WHERE userId = @userId AND usedAt IS NULL;
+                    INSERT INTO EmailVerificationTokens (userId, tokenHash, expiresAt)
+                    VALUES (@userId, @tokenHash, DATEADD(MINUTE, @ttlMinutes, SYSUTCDATETIME()));
+                    COMMIT;
+                `);
+        },
+
+        // Uses up an unexpired token and marks its user's email verified. Returns the user,
+        // or null if the token is unknown, used or expired.
+        redeem: async (tokenHash) => {
+            const result = await pool.request()
+                .input('tokenHash', sql.Char(64), tokenHash)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    DECLARE @used TABLE (userId INT);
+                    UPDATE EmailVerificationTokens SET usedAt = SYSUTCDATETIME()
+                    OUTPUT inserted.userId INTO @used
+                    WHERE tokenHash = @tokenHash AND usedAt IS NULL AND expiresAt > SYSUTCDATETIME();
+                    UPDATE Users SET emailVerified = 1
+                    OUTPUT inserted.id, inserted.username, inserted.email, inserted.emailVerified, inserted.role
+                    WHERE id IN (SELECT userId FROM @used);
+                    COMMIT;
+                `);
+            return result.recordset[0] || null;
+        }
+    };
+
+    const events = {
+        // Events in the given statuses (approved only by default; null for every status).
+        // submittedBy narrows the list to one submitter's events; followedBy (a user id)
+        // to events that user has RSVP'd to or bookmarked; q to events whose title or
+        // description contains it. from/to (YYYY-MM-DD) keep events that can fall in that
+        // range: one-off events dated within it and series starting on or before `to`.
+        list: async ({ statuses = ['approved'], submittedBy = null, followedBy = null, roomIds = null, q = null, pieces = null, from = null, to = null } = {}) => {
+            const request = pool.request();
+            const conditions = [];
+
+            if (statuses) {
+                request.input('statuses', sql.NVarChar(sql.MAX), JSON.stringify(statuses));
+                conditions.push('status IN (SELECT value FROM OPENJSON(@statuses))');
+            }
+            if (submittedBy) {
+                request.input('submittedBy', sql.NVarChar(50), submittedBy);
+                conditions.push('userId = @submittedBy');
+            }
+            if (followedBy) {
+                request.input('followedBy', sql.Int, followedBy);
+                conditions.push(`(id IN (SELECT eventId FROM EventAttendees WHERE userId = @followedBy)
+                    OR id IN (SELECT eventId FROM EventBookmarks WHERE userId = @followedBy))`);
+            }
+            if (roomIds) {
+                request.input('roomIds', sql.NVarChar(sql.MAX), JSON.stringify(roomIds));
+                conditions.push('roomId IN (SELECT value FROM OPENJSON(@roomIds))');
+            }
+            if (q) {
+                request.input('q', sql.NVarChar(200), `%${q.replace(/[\\%_[]/g, '\\$&')}%`);
+                conditions.push("(title LIKE @q ESCAPE '\\' OR description LIKE @q ESCAPE '\\')");
+            }
+            // Each entry of `pieces` lists text the event must contain one of (see queryPieces)
+            (pieces || []).forEach((anyOf, i) => {
+                const matches = anyOf.flatMap((piece, j) => {
+                    const name = `piece${i}_${j}`;
+                    request.input(name, sql.NVarChar(200), `%${piece.replace(/[\\%_[]/g, '\\$&')}%`);
+                    return SEARCHED_COLUMNS.map(column => `${column} LIKE @${name} ESCAPE '\\'`);
+                });
+                conditions.push(`(${matches.join(' OR ')})`);
+            });
+            if (from) {
+                request.input('from', sql.Date, from);
+                conditions.push('(COALESCE(endDate, date) >= @from OR recurrenceRule IS NOT NULL)');
+            }
+            if (to) {
+                request.input('to', sql.Date, to);
+                conditions.push('date <= @to');
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const result = await request
+                .query(`SELECT ${eventColumns()} FROM Events ${where} ORDER BY date DESC`);
+            return result.recordset.map(toEvent);
+        },
+
+        create: async (event) => insertEvent(pool.request(), event),
+
+        // Inserts all events, each with a 'created' audit entry crediting `actor` and
+        // noting `reason`, in one transaction: either every event is created or none is
+        createMany: async (newEvents, { actor, reason = null }) => {
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                const created = [];
+                for (const newEvent of newEvents) {
+                    const event = await insertEvent(new sql.Request(transaction), newEvent);
+                    await new sql.Request(transaction)
+                        .input('eventId', sql.Int, event.id)
+                        .input('actorId', sql.Int, actor.id)
+                        .input('actorUsername', sql.NVarChar(50), actor.username)
+                        .input('toStatus', sql.NVarChar(20), event.status)
+                        .input('reason', sql.NVarChar(500), reason)
+                        .query(`
+                            INSERT INTO EventAudit (eventId, action, actorId, actorUsername, toStatus, reason)
+                            VALUES (@eventId, 'created', @actorId, @actorUsername, @toStatus, @reason)
+                        `);
+                    created.push(event);
+                }
+                await transaction.commit();
+                return created;
+            } catch (err) {
+                await transaction.rollback();
+                throw err;
+            }
+        },
+
+        findById: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query(`SELECT ${eventColumns()} FROM Events WHERE id = @id`);
+            return toEvent(result.recordset[0]);
+        },
+
+        // Returns the updated event, or null if no event has that id
+        update: async (id, { title, description, date, time, status, capacity = null, recurrenceRule = null, ...details }) => {
+            const result = await detailInputs(pool.request(), details)
+                .input('id', sql.Int, id)
+                .input('title', sql.NVarChar(100), title)
+                .input('description', sql.NVarChar(sql.MAX), description)
+                .input('date', sql.Date, date)
+                .input('time', sql.VarChar(8), time)
+                .input('status', sql.NVarChar(20), status)
+                .input('capacity', sql.Int, capacity)
+                .input('recurrenceRule', sql.NVarChar(200), recurrenceRule)
+                .query(`
+                    UPDATE Events
+                    SET title = @title, description = @description, date = @date, time = @time,
+                        endDate = @endDate, endTime = @endTime, timeZone = @timeZone, status = @status,
+                        capacity = @capacity, recurrenceRule = @recurrenceRule,
+                        categoryId = @categoryId, roomId = @roomId, tags = @tags, locationBuilding = @locationBuilding,
+                        locationRoom = @locationRoom, locationUrl = @locationUrl,
+                        rejectionReason = CASE WHEN @status = 'rejected' THEN rejectionReason END
+                    OUTPUT ${eventColumns('inserted.')}
+                    WHERE id = @id
+                `);
+            return toEvent(result.recordset[0]);
+        },
+
+        // Moves an event to a new status; the reason is kept only for rejections.
+        // Returns the updated event, or null if no event has that id.
+        setStatus: async (id, status, reason = null) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('status', sql.NVarChar(20), status)
+                .input('reason', sql.NVarChar(500), status === 'rejected' ? reason : null)
+                .query(`
+                    UPDATE Events SET status = @status, rejectionReason = @reason
+                    OUTPUT ${eventColumns('inserted.')}
+                    WHERE id = @id
+                `);
+            return toEvent(result.recordset[0]);
+        },
+
+        // Returns false if no event has that id
+        delete: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query('DELETE FROM Events WHERE id = @id');
+            return result.rowsAffected[0] > 0;
+        }
+    };
+
+    const categories = {
+        list: async () => {
+            const result = await pool.request().query('SELECT id, slug, name FROM Categories ORDER BY name');
+            return result.recordset;
+        },
+
+        create: async ({ slug, name }) => {
+            const result = await pool.request()
+                .input('slug', sql.NVarChar(50), slug)
+                .input('name', sql.NVarChar(100), name)
+                .query('INSERT INTO Categories (slug, name) OUTPUT inserted.id, inserted.slug, inserted.name VALUES (@slug, @name)');
+            return result.recordset[0];
+        },
+
+        // Returns the renamed category, or null if no category has that id
+        update: async (id, { name }) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('name', sql.NVarChar(100), name)
+                .query('UPDATE Categories SET name = @name OUTPUT inserted.id, inserted.slug, inserted.name WHERE id = @id');
+            return result.recordset[0] || null;
+        },
+
+        // Events in a removed category become uncategorised. Returns false if no category has that id.
+        delete: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query('DELETE FROM Categories WHERE id = @id');
+            return result.rowsAffected[0] > 0;
+        }
+    };
+
+    const roomColumns = 'id, venueId, name, capacity, accessible, accessibilityNotes';
+
+    // Renaming a venue or room renames it in the locations of the events booked into it
+    const venues = {
+        // Every venue with its rooms, by name
+        list: async () => {
+            const result = await pool.request().query(`
+                SELECT id, name, address FROM Venues ORDER BY name;
+                SELECT ${roomColumns} FROM Rooms ORDER BY name;
+            `);
+            const [venueRows, roomRows] = result.recordsets;
+            return venueRows.map(venue => ({ ...venue, rooms: roomRows.filter(room => room.venueId === venue.id) }));
+        },
+
+        create: async ({ name, address = null }) => {
+            const result = await pool.request()
+                .input('name', sql.NVarChar(100), name)
+                .input('address', sql.NVarChar(200), address)
+                .query('INSERT INTO Venues (name, address) OUTPUT inserted.id, inserted.name, inserted.address VALUES (@name, @address)');
+            return { ...result.recordset[0], rooms: [] };
+        },
+
+        // Returns the updated venue (without rooms), or null if no venue has that id
+        update: async (id, { name, address = null }) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('name', sql.NVarChar(100), name)
+                .input('address', sql.NVarChar(200), address)
+                .query(`
+                    UPDATE Venues SET name = @name, address = @address
+                    OUTPUT inserted.id, inserted.name, inserted.address
+                    WHERE id = @id;
+                    UPDATE Events SET locationBuilding = @name
+                    WHERE roomId IN (SELECT id FROM Rooms WHERE venueId = @id);
+                `);
+            return result.recordset[0] || null;
+        },
+
+        // Removes the venue and its rooms; their events keep their location text.
+        // Returns false if no venue has that id.
+        delete: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query('DELETE FROM Venues WHERE id = @id');
+            return result.rowsAffected[0] > 0;
+        }
+    };
+
+    const rooms = {
+        // The room with its venue's name as venueName, or null
+        findById: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query(`
+                    SELECT r.id, r.venueId, r.name, r.capacity, r.accessible, r.accessibilityNotes, v.name as venueName
+                    FROM Rooms r JOIN Venues v ON v.id = r.venueId
+                    WHERE r.id = @id
+                `);
+            return result.recordset[0] || null;
+        },
+
+        create: async ({ venueId, name, capacity = null, accessible = false, accessibilityNotes = null }) => {
+            const result = await pool.request()
+                .input('venueId', sql.Int, venueId)
+                .input('name', sql.NVarChar(50), name)
+                .input('capacity', sql.Int, capacity)
+                .input('accessible', sql.Bit, accessible)
+                .input('accessibilityNotes', sql.NVarChar(500), accessibilityNotes)
+                .query(`
+                    INSERT INTO Rooms (venueId, name, capacity, accessible, accessibilityNotes)
+                    OUTPUT ${roomColumns.split(', ').map(column => `inserted.${column}`).join(', ')}
+                    VALUES (@venueId, @name, @capacity, @accessible, @accessibilityNotes)
+                `);
+            return result.recordset[0];
+        },
+
+        // Returns the updated room, or null if no room has that id
+        update: async (id, { name, capacity = null, accessible = false, accessibilityNotes = null }) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('name', sql.NVarChar(50), name)
+                .input('capacity', sql.Int, capacity)
+                .input('accessible', sql.Bit, accessible)
+                .input('accessibilityNotes', sql.NVarChar(500), accessibilityNotes)
+                .query(`
+                    UPDATE Rooms SET name = @name, capacity = @capacity, accessible = @accessible,
+                        accessibilityNotes = @accessibilityNotes
+                    OUTPUT ${roomColumns.split(', ').map(column => `inserted.${column}`).join(', ')}
+                    WHERE id = @id;
+                    UPDATE Events SET locationRoom = @name WHERE roomId = @id;
+                `);
+            return result.recordset[0] || null;
+        },
+
+        // Events booked into the room keep their location text. Returns false if no room has that id.
+        delete: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query('DELETE FROM Rooms WHERE id = @id');
+            return result.rowsAffected[0] > 0;
+        }
+    };
+
+    // Cancelled or modified single occurrences of recurring events
+    const exceptions = {
+        listForEvents: async (eventIds) => {
+            if (eventIds.length === 0) return [];
+
+            const result = await pool.request()
+                .input('eventIds', sql.NVarChar(sql.MAX), JSON.stringify(eventIds))
+                .query(`
+                    SELECT eventId, CONVERT(NVARCHAR, occurrenceDate, 23) as occurrenceDate, cancelled,
+                        title, description, CONVERT(NVARCHAR, date, 23) as date, CONVERT(NVARCHAR, time, 8) as time
+                    FROM EventOccurrenceExceptions
+                    WHERE eventId IN (SELECT CAST(value AS INT) FROM OPENJSON(@eventIds))
+                `);
+            return result.recordset;
+        },
+
+        // Creates or replaces the exception for one occurrence
+        upsert: async (eventId, occurrenceDate, { cancelled = false, title = null, description = null, date = null, time = null }) => {
+            await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('occurrenceDate', sql.Date, occurrenceDate)
+                .input('cancelled', sql.Bit, cancelled)
+                .input('title', sql.NVarChar(100), title)
+                .input('description', sql.NVarChar(sql.MAX), description)
+                .input('date', sql.Date, date)
+                .input('time', sql.VarChar(8), time)
+                .query(`
+                    MERGE EventOccurrenceExceptions WITH (HOLDLOCK) AS target
+                    USING (SELECT @eventId AS eventId, @occurrenceDate AS occurrenceDate) AS source
+                    ON target.eventId = source.eventId AND target.occurrenceDate = source.occurrenceDate
+                    WHEN MATCHED THEN
+                        UPDATE SET cancelled = @cancelled, title = @title, description = @description, date = @date, time = @time
+                    WHEN NOT MATCHED THEN
+                        INSERT (eventId, occurrenceDate, cancelled, title, description, date, time)
+                        VALUES (@eventId, @occurrenceDate, @cancelled, @title, @description, @date, @time);
+                `);
+        },
+
+        // Restores an occurrence to the series values; returns false if it had no exception
+        delete: async (eventId, occurrenceDate) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('occurrenceDate', sql.Date, occurrenceDate)
+                .query('DELETE FROM EventOccurrenceExceptions WHERE eventId = @eventId AND occurrenceDate = @occurrenceDate');
+            return result.rowsAffected[0] > 0;
+        }
+    };
+
+    const rsvps = {
+        // RSVPs a user, taking a seat if one is free and joining the waitlist otherwise.
+        // Returns the attendee's status; an existing RSVP is returned unchanged.
+        add: async (eventId, userId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('userId', sql.Int, userId)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+
+                    -- Lock the event row so concurrent RSVPs cannot oversell the last seat
+                    DECLARE @capacity INT = (SELECT capacity FROM Events WITH (UPDLOCK, HOLDLOCK) WHERE id = @eventId);
+
+                    IF NOT EXISTS (SELECT 1 FROM EventAttendees WHERE eventId = @eventId AND userId = @userId)
+                    BEGIN
+                        DECLARE @going INT = (SELECT COUNT(*) FROM EventAttendees WHERE eventId = @eventId AND status = 'going');
+                        INSERT INTO EventAttendees (eventId, userId, status)
+                        VALUES (@eventId, @userId, CASE WHEN @capacity IS NULL OR @going < @capacity THEN 'going' ELSE 'waitlisted' END);
+                    END
+
+                    SELECT status FROM EventAttendees WHERE eventId = @eventId AND userId = @userId;
+                    COMMIT;
+                `);
+            return result.recordset[0].status;
+        },
+
+        // Returns the removed attendee's status, or null if the user had not RSVP'd
+        remove: async (eventId, userId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('userId', sql.Int, userId)
+                .query(`
+                    DELETE FROM EventAttendees
+                    OUTPUT deleted.status
+                    WHERE eventId = @eventId AND userId = @userId
+                `);
+            return result.recordset[0] ? result.recordset[0].status : null;
+        },
+
+        // Moves waitlisted attendees into any free seats, oldest first. Returns the promoted users.
+        promote: async (eventId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+
+                    DECLARE @capacity INT = (SELECT capacity FROM Events WITH (UPDLOCK, HOLDLOCK) WHERE id = @eventId);
+                    DECLARE @going INT = (SELECT COUNT(*) FROM EventAttendees WHERE eventId = @eventId AND status = 'going');
+                    DECLARE @promoted TABLE (userId INT);
+
+                    WITH nextInLine AS (
+                        SELECT TOP (CASE WHEN @capacity IS NULL THEN 2147483647 WHEN @capacity > @going THEN @capacity - @going ELSE 0 END) *
+                        FROM EventAttendees
+                        WHERE eventId = @eventId AND status = 'waitlisted'
+                        ORDER BY createdAt, id
+                    )
+                    UPDATE nextInLine SET status = 'going'
+                    OUTPUT inserted.userId INTO @promoted;
+
+                    COMMIT;
+
+                    SELECT u.id, u.username, u.email
+                    FROM @promoted p JOIN Users u ON u.id = p.userId;
+                `);
+            return result.recordset;
+        },
+
+        // Seat counts per event plus the given user's own RSVP status, keyed by event id
+        summarize: async (eventIds, userId = null) => {
+            if (eventIds.length === 0) return new Map();
+
+            const result = await pool.request()
+                .input('eventIds', sql.NVarChar(sql.MAX), JSON.stringify(eventIds))
+                .input('userId', sql.Int, userId)
+                .query(`
+                    SELECT eventId,
+                        SUM(CASE WHEN status = 'going' THEN 1 ELSE 0 END) AS goingCount,
+                        SUM(CASE WHEN status = 'waitlisted' THEN 1 ELSE 0 END) AS waitlistCount,
+                        MAX(CASE WHEN userId = @userId THEN status END) AS myRsvp
+                    FROM EventAttendees
+                    WHERE eventId IN (SELECT CAST(value AS INT) FROM OPENJSON(@eventIds))
+                    GROUP BY eventId
+                `);
+            return new Map(result.recordset.map(row => [row.eventId, row]));
+        },
+
+        listForEvent: async (eventId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .query(`
+                    SELECT u.id AS userId, u.username, u.email, a.status, a.createdAt
+                    FROM EventAttendees a
+                    JOIN Users u ON u.id = a.userId
+                    WHERE a.eventId = @eventId
+                    ORDER BY CASE WHEN a.status = 'going' THEN 0 ELSE 1 END, a.createdAt, a.id
+                `);
+            return result.recordset;
+        }
+    };
+
+    const bookmarks = {
+        add: async (eventId, userId) => {
+            await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('userId', sql.Int, userId)
+                .query(`
+                    IF NOT EXISTS (SELECT 1 FROM EventBookmarks WHERE eventId = @eventId AND userId = @userId)
+                        INSERT INTO EventBookmarks (eventId, userId) VALUES (@eventId, @userId)
+                `);
+        },
+
+        // Returns false if the user had not bookmarked the event
+        remove: async (eventId, userId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('userId', sql.Int, userId)
+                .query('DELETE FROM EventBookmarks WHERE eventId = @eventId AND userId = @userId');
+            return result.rowsAffected[0] > 0;
+        },
+
+        listEventIds: async (userId) => {
+            const result = await pool.request()
+                .input('userId', sql.Int, userId)
+                .query('SELECT eventId FROM EventBookmarks WHERE userId = @userId');
+            return result.recordset.map(row => row.eventId);
+        }
+    };
+
+    const COMMENT_SELECT = `
+        SELECT c.id, c.eventId, c.parentId, c.userId, u.username, c.body, c.pinned,
+            c.hiddenAt, c.hiddenBy, c.hiddenReason, c.createdAt, c.editedAt, c.deletedAt
+        FROM EventComments c JOIN Users u ON u.id = c.userId
+    `;
+
+    const comments = {
+        // Every comment on the event, including hidden and deleted ones, oldest first
+        listForEvent: async (eventId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .query(`${COMMENT_SELECT} WHERE c.eventId = @eventId ORDER BY c.createdAt, c.id`);
+            return result.recordset;
+        },
+
+        findById: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query(`${COMMENT_SELECT} WHERE c.id = @id`);
+            return result.recordset[0] || null;
+        },
+
+        create: async ({ eventId, parentId = null, userId, body }) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('parentId', sql.Int, parentId)
+                .input('userId', sql.Int, userId)
+                .input('body', sql.NVarChar(2000), body)
+                .query(`
+                    DECLARE @inserted TABLE (id INT);
+                    INSERT INTO EventComments (eventId, parentId, userId, body)
+                    OUTPUT inserted.id INTO @inserted
+                    VALUES (@eventId, @parentId, @userId, @body);
+                    ${COMMENT_SELECT} WHERE c.id = (SELECT id FROM @inserted);
+                `);
+            return result.recordset[0];
+        },
+
+        update: async (id, { body }) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('body', sql.NVarChar(2000), body)
+                .query(`
+                    UPDATE EventComments SET body = @body, editedAt = SYSUTCDATETIME() WHERE id = @id;
+                    ${COMMENT_SELECT} WHERE c.id = @id;
+                `);
+            return result.recordset[0] || null;
+        },
+
+        // Pinning a comment unpins the others at the same level of its thread
+        setPinned: async (id, pinned) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('pinned', sql.Bit, pinned)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    IF @pinned = 1
+                        UPDATE others SET pinned = 0
+                        FROM EventComments others
+                        JOIN EventComments target ON target.id = @id
+                        WHERE others.eventId = target.eventId
+                            AND ((others.parentId IS NULL AND target.parentId IS NULL) OR others.parentId = target.parentId);
+                    UPDATE EventComments SET pinned = @pinned WHERE id = @id;
+                    COMMIT;
+                    ${COMMENT_SELECT} WHERE c.id = @id;
+                `);
+            return result.recordset[0] || null;
+        },
+
+        // `hidden` is { hiddenBy, reason }, or null to show the comment again
+        setHidden: async (id, hidden) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .input('hiddenBy', sql.NVarChar(50), hidden ? hidden.hiddenBy : null)
+                .input('hiddenReason', sql.NVarChar(500), hidden ? hidden.reason : null)
+                .input('hide', sql.Bit, Boolean(hidden))
+                .query(`
+                    UPDATE EventComments SET
+                        hiddenAt = CASE WHEN @hide = 1 THEN SYSUTCDATETIME() END,
+                        hiddenBy = @hiddenBy,
+                        hiddenReason = @hiddenReason
+                    WHERE id = @id;
+                    ${COMMENT_SELECT} WHERE c.id = @id;
+                `);
+            return result.recordset[0] || null;
+        },
+
+        // Comments with replies are blanked and marked deleted; others are removed
+        delete: async (id) => {
+            const result = await pool.request()
+                .input('id', sql.Int, id)
+                .query(`
+                    IF EXISTS (SELECT 1 FROM EventComments WHERE parentId = @id)
+                        UPDATE EventComments SET body = NULL, pinned = 0, deletedAt = SYSUTCDATETIME() WHERE id = @id;
+                    ELSE
+                        DELETE FROM EventComments WHERE id = @id;
+                `);
+            return result.rowsAffected.some(count => count > 0);
+        },
+
+        // Visible comments per event, keyed by event id
+        countForEvents: async (eventIds) => {
+            if (eventIds.length === 0) return new Map();
+
+            const result = await pool.request()
+                .input('eventIds', sql.NVarChar(sql.MAX), JSON.stringify(eventIds))
+                .query(`
+                    SELECT eventId, COUNT(*) AS count FROM EventComments
+                    WHERE eventId IN (SELECT CAST(value AS INT) FROM OPENJSON(@eventIds))
+                        AND hiddenAt IS NULL AND deletedAt IS NULL
+                    GROUP BY eventId
+                `);
+            return new Map(result.recordset.map(({ eventId, count }) => [eventId, count]));
+        }
+    };
+
+    const notifications = {
+        // Notification types each user has turned off, keyed by user id
+        listOptOuts: async (userIds) => {
+            if (userIds.length === 0) return new Map();
+
+            const result = await pool.request()
+                .input('userIds', sql.NVarChar(sql.MAX), JSON.stringify(userIds))
+                .query(`
+                    SELECT userId, type FROM NotificationOptOuts
+                    WHERE userId IN (SELECT CAST(value AS INT) FROM OPENJSON(@userIds))
+                `);
+            const optOuts = new Map();
+            for (const { userId, type } of result.recordset) {
+                optOuts.set(userId, [...(optOuts.get(userId) || []), type]);
+            }
+            return optOuts;
+        },
+
+        // Replaces the user's opt-outs with `types`
+        setOptOuts: async (userId, types) => {
+            await pool.request()
+                .input('userId', sql.Int, userId)
+                .input('types', sql.NVarChar(sql.MAX), JSON.stringify(types))
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    DELETE FROM NotificationOptOuts WHERE userId = @userId;
+                    INSERT INTO NotificationOptOuts (userId, type) SELECT @userId, value FROM OPENJSON(@types);
+                    COMMIT;
+                `);
+        }
+    };
+
+    const outbox = {
+        // Queues messages ({ type, to, subject, body }) for the worker to send
+        enqueue: async (messages) => {
+            await pool.request()
+                .input('messages', sql.NVarChar(sql.MAX), JSON.stringify(messages))
+                .query(`
+                    INSERT INTO OutboundEmails (type, toAddress, subject, body)
+                    SELECT type, [to], subject, body
+                    FROM OPENJSON(@messages) WITH (type NVARCHAR(50), [to] NVARCHAR(254), subject NVARCHAR(300), body NVARCHAR(MAX))
+                `);
+        },
+
+        // Claims up to `limit` messages that are due, counting the attempt. READPAST lets
+        // concurrent workers skip rows another worker is claiming instead of waiting.
+        claim: async ({ limit, claimSeconds }) => {
+            const result = await pool.request()
+                .input('limit', sql.Int, limit)
+                .input('claimSeconds', sql.Int, claimSeconds)
+                .query(`
+                    WITH due AS (
+                        SELECT TOP (@limit) *
+                        FROM OutboundEmails WITH (UPDLOCK, READPAST, ROWLOCK)
+                        WHERE (status = 'queued' AND nextAttemptAt <= SYSUTCDATETIME())
+                            OR (status = 'sending' AND claimedUntil < SYSUTCDATETIME())
+                        ORDER BY nextAttemptAt, id
+                    )
+                    UPDATE due
+                    SET status = 'sending', attempts = attempts + 1,
+                        claimedUntil = DATEADD(SECOND, @claimSeconds, SYSUTCDATETIME())
+                    OUTPUT inserted.id, inserted.type, inserted.toAddress AS [to], inserted.subject, inserted.body, inserted.attempts
+                `);
+            return result.recordset;
+        },
+
+        markSent: async (id) => {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .query(`
+                    UPDATE OutboundEmails SET status = 'sent', sentAt = SYSUTCDATETIME(), claimedUntil = NULL, lastError = NULL
+                    WHERE id = @id
+                `);
+        },
+
+        // Requeues the message for retryAt, or marks it failed when retryAt is null
+        markFailed: async (id, { error, retryAt = null }) => {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .input('error', sql.NVarChar(1000), String(error).slice(0, 1000))
+                .input('retryAt', sql.DateTime2, retryAt)
+                .query(`
+                    UPDATE OutboundEmails
+                    SET status = CASE WHEN @retryAt IS NULL THEN 'failed' ELSE 'queued' END,
+                        nextAttemptAt = COALESCE(@retryAt, nextAttemptAt), claimedUntil = NULL, lastError = @error
+                    WHERE id = @id
+                `);
+        }
+    };
+
+    const reminders = {
+        // Users following each event (a 'going' RSVP or a bookmark), keyed by event id
+        listRecipients: async (eventIds) => {
+            if (eventIds.length === 0) return new Map();
+
+            const result = await pool.request()
+                .input('eventIds', sql.NVarChar(sql.MAX), JSON.stringify(eventIds))
+                .query(`
+                    WITH followers AS (
+                        SELECT eventId, userId FROM EventAttendees WHERE status = 'going'
+                        UNION
+                        SELECT eventId, userId FROM EventBookmarks
+                    )
+                    SELECT f.eventId, u.id, u.username, u.email
+                    FROM followers f
+                    JOIN Users u ON u.id = f.userId
+                    WHERE f.eventId IN (SELECT CAST(value AS INT) FROM OPENJSON(@eventIds))
+                `);
+            const recipients = new Map();
+            for (const { eventId, ...user } of result.recordset) {
+                recipients.set(eventId, [...(recipients.get(eventId) || []), user]);
+            }
+            return recipients;
+        },
+
+        // Makes the stored jobs for events starting by `horizon` match `jobs` (from
+        // planReminders): new jobs are added, moved ones rescheduled, and scheduled jobs that
+        // were not planned again are cancelled. Sent jobs are left alone, so planning the
+        // same reminders again, from any instance, sends nothing twice.
+        schedule: async (jobs, { horizon }) => {
+            // DATETIME2 has no time zone, so instants are sent as UTC without the 'Z'
+            const utc = (instant) => instant.toISOString().slice(0, -1);
+            await pool.request()
+                .input('jobs', sql.NVarChar(sql.MAX), JSON.stringify(jobs.map(job => ({
+                    ...job, startsAt: utc(job.startsAt), sendAt: utc(job.sendAt)
+                }))))
+                .input('horizon', sql.DateTime2, horizon)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    WITH target AS (SELECT * FROM ReminderJobs WHERE startsAt <= @horizon)
+                    MERGE target WITH (HOLDLOCK)
+                    USING (
+                        SELECT * FROM OPENJSON(@jobs) WITH (
+                            eventId INT, occurrenceDate DATE, userId INT, offsetMinutes INT,
+                            startsAt DATETIME2, sendAt DATETIME2
+                        )
+                    ) AS source
+                    ON target.eventId = source.eventId AND target.occurrenceDate = source.occurrenceDate
+                        AND target.userId = source.userId AND target.offsetMinutes = source.offsetMinutes
+                    WHEN MATCHED AND target.status IN ('scheduled', 'cancelled')
+                        AND (target.status = 'cancelled' OR target.sendAt <> source.sendAt) THEN
+                        UPDATE SET status = 'scheduled', startsAt = source.startsAt, sendAt = source.sendAt
+                    WHEN NOT MATCHED BY TARGET THEN
+                        INSERT (eventId, occurrenceDate, userId, offsetMinutes, startsAt, sendAt)
+                        VALUES (source.eventId, source.occurrenceDate, source.userId, source.offsetMinutes, source.startsAt, source.sendAt)
+                    WHEN NOT MATCHED BY SOURCE AND target.status = 'scheduled' THEN
+                        UPDATE SET status = 'cancelled';
+                    COMMIT;
+                `);
+        },
+
+        // Claims up to `limit` jobs that are due for events that have not started yet, as
+        // outbox.claim does for email; a claim held by a crashed instance expires.
+        claimDue: async ({ now, limit, claimSeconds }) => {
+            const result = await pool.request()
+                .input('now', sql.DateTime2, now)
+                .input('limit', sql.Int, limit)
+                .input('claimSeconds', sql.Int, claimSeconds)
+                .query(`
+                    WITH due AS (
+                        SELECT TOP (@limit) *
+                        FROM ReminderJobs WITH (UPDLOCK, READPAST, ROWLOCK)
+                        WHERE ((status = 'scheduled' AND sendAt <= @now) OR (status = 'sending' AND claimedUntil < @now))
+                            AND startsAt > @now
+                        ORDER BY sendAt, id
+                    )
+                    UPDATE due
+                    SET status = 'sending', claimedUntil = DATEADD(SECOND, @claimSeconds, @now)
+                    OUTPUT inserted.id, inserted.eventId, CONVERT(NVARCHAR, inserted.occurrenceDate, 23) AS occurrenceDate,
+                        inserted.userId, inserted.offsetMinutes, inserted.startsAt, inserted.claimedUntil
+                `);
+            return result.recordset;
+        },
+
+        // Finishes a claimed job: queues `message` ({ type, to, subject, body }) and marks the
+        // job sent, or marks it skipped when message is null. Does nothing if the claim has
+        // expired and another instance has taken the job over.
+        complete: async ({ id, claimedUntil }, message) => {
+            await pool.request()
+                .input('id', sql.Int, id)
+                .input('claimedUntil', sql.DateTime2, claimedUntil)
+                .input('type', sql.NVarChar(50), message && message.type)
+                .input('to', sql.NVarChar(254), message && message.to)
+                .input('subject', sql.NVarChar(300), message && message.subject)
+                .input('body', sql.NVarChar(sql.MAX), message && message.body)
+                .query(`
+                    SET XACT_ABORT ON;
+                    BEGIN TRANSACTION;
+                    UPDATE ReminderJobs
+                    SET status = CASE WHEN @to IS NULL THEN 'skipped' ELSE 'sent' END,
+                        sentAt = SYSUTCDATETIME(), claimedUntil = NULL
+                    WHERE id = @id AND status = 'sending' AND claimedUntil = @claimedUntil;
+                    IF @@ROWCOUNT > 0 AND @to IS NOT NULL
+                        INSERT INTO OutboundEmails (type, toAddress, subject, body) VALUES (@type, @to, @subject, @body);
+                    COMMIT;
+                `);
+        },
+
+        // Jobs in the given statuses with their event and recipient, oldest first by sendAt,
+        // or most recently sent first when `recent` is set
+        list: async ({ statuses, recent = false, limit }) => {
+            const result = await pool.request()
+                .input('statuses', sql.NVarChar(sql.MAX), JSON.stringify(statuses))
+                .input('limit', sql.Int, limit)
+                .query(`
+                    SELECT TOP (@limit) j.id, j.eventId, e.title AS eventTitle,
+                        CONVERT(NVARCHAR, j.occurrenceDate, 23) AS occurrenceDate, j.userId, u.username,
+                        j.offsetMinutes, j.startsAt, j.sendAt, j.status, j.sentAt
+                    FROM ReminderJobs j
+                    JOIN Events e ON e.id = j.eventId
+                    JOIN Users u ON u.id = j.userId
+                    WHERE j.status IN (SELECT value FROM OPENJSON(@statuses))
+                    ORDER BY ${recent ? 'j.sentAt DESC' : 'j.sendAt'}, j.id
+                `);
+            return result.recordset;
+        }
+    };
+
+    const changes = {
+        record: async ({ eventId, type, actor = null }) => {
+            await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('type', sql.NVarChar(20), type)
+                .input('actorUsername', sql.NVarChar(50), actor ? actor.username : null)
+                .query('INSERT INTO EventChanges (eventId, type, actorUsername) VALUES (@eventId, @type, @actorUsername)');
+        },
+
+        // The oldest id still kept and the newest; both 0 before any change is recorded
+        bounds: async () => {
+            const result = await pool.request()
+                .query('SELECT COALESCE(MIN(id), 0) AS oldestId, COALESCE(MAX(id), 0) AS latestId FROM EventChanges');
+            return result.recordset[0];
+        },
+
+        listSince: async (afterId, limit) => {
+            const result = await pool.request()
+                .input('afterId', sql.Int, afterId)
+                .input('limit', sql.Int, limit)
+                .query(`
+                    SELECT TOP (@limit) id, eventId, type, actorUsername AS actor, createdAt
+                    FROM EventChanges WHERE id > @afterId ORDER BY id
+                `);
+            return result.recordset;
+        },
+
+        // Deletes changes older than `before`, always keeping the newest so ids carry on from it
+        prune: async (before) => {
+            await pool.request()
+                .input('before', sql.DateTime2, before)
+                .query('DELETE FROM EventChanges WHERE createdAt < @before AND id < (SELECT MAX(id) FROM EventChanges)');
+        }
+    };
+
+    // Append-only moderation history; the table rejects updates and deletes
+    const audit = {
+        record: async ({ eventId, action, actor, fromStatus = null, toStatus = null, reason = null }) => {
+            await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .input('action', sql.NVarChar(20), action)
+                .input('actorId', sql.Int, actor ? actor.id : null)
+                .input('actorUsername', sql.NVarChar(50), actor ? actor.username : null)
+                .input('fromStatus', sql.NVarChar(20), fromStatus)
+                .input('toStatus', sql.NVarChar(20), toStatus)
+                .input('reason', sql.NVarChar(500), reason)
+                .query(`
+                    INSERT INTO EventAudit (eventId, action, actorId, actorUsername, fromStatus, toStatus, reason)
+                    VALUES (@eventId, @action, @actorId, @actorUsername, @fromStatus, @toStatus, @reason)
+                `);
+        },
+
+        listForEvent: async (eventId) => {
+            const result = await pool.request()
+                .input('eventId', sql.Int, eventId)
+                .query(`
+                    SELECT id, eventId, action, actorUsername, fromStatus, toStatus, reason, createdAt
+                    FROM EventAudit WHERE eventId = @eventId ORDER BY createdAt, id
+                `);
+            return result.recordset;
+        },
+
+        // Each event's most recent approval or rejection, by event id
+        latestDecisions: async (eventIds) => {
+            if (eventIds.length === 0) return new Map();
+
+            const result = await pool.request()
+                .input('eventIds', sql.NVarChar(sql.MAX), JSON.stringify(eventIds))
+                .query(`
+                    SELECT eventId, action, actorUsername, reason, createdAt FROM (
+                        SELECT eventId, action, actorUsername, reason, createdAt,
+                            ROW_NUMBER() OVER (PARTITION BY eventId ORDER BY createdAt DESC, id DESC) AS position
+                        FROM EventAudit
+                        WHERE eventId IN (SELECT CAST(value AS INT) FROM OPENJSON(@eventIds))
+                            AND action IN ('approved', 'rejected')
+                    ) latest
+                    WHERE position = 1
+                `);
+            return new Map(result.recordset.map(({ eventId, ...decision }) => [eventId, decision]));
+        }
+    };
+
+    const authEvents = {
+        record: async ({ action, outcome, username = null, ip = null, userAgent = null }) => {
+            await pool.request()
+                .input('action', sql.NVarChar(20), action)
+                .input('outcome', sql.NVarChar(20), outcome)
+                .input('username', sql.NVarChar(50), username)
+                .input('ip', sql.NVarChar(45), ip)
+                .input('userAgent', sql.NVarChar(300), userAgent)
+                .query(`
+                    INSERT INTO AuthEvents (action, outcome, username, ip, userAgent)
+                    VALUES (@action, @outcome, @username, @ip, @userAgent)
+                `);
+        },
+
+        // Failed logins since `since`: for the account, those after its last successful login,
+        // and for the IP, all of them
+        loginFailures: async ({ username, ip, since }) => {
+            const result = await pool.request()
+                .input('username', sql.NVarChar(50), username)
+                .input('ip', sql.NVarChar(45), ip)
+                .input('since', sql.DateTime2, since)
+                .query(`
+                    DECLARE @lastSuccess DATETIME2 = (
+                        SELECT MAX(createdAt) FROM AuthEvents
+                        WHERE action = 'login' AND outcome = 'success' AND username = @username AND createdAt >= @since
+                    );
+                    SELECT
+                        (SELECT COUNT(*) FROM AuthEvents
+                         WHERE action = 'login' AND outcome <> 'success' AND username = @username
+                             AND createdAt >= COALESCE(@lastSuccess, @since)) AS accountFailures,
+                        (SELECT MAX(createdAt) FROM AuthEvents
+                         WHERE action = 'login' AND outcome <> 'success' AND username = @username
+                             AND createdAt >= COALESCE(@lastSuccess, @since)) AS lastFailureAt,
+                        (SELECT COUNT(*) FROM AuthEvents
+                         WHERE action = 'login' AND outcome <> 'success' AND ip = @ip AND createdAt >= @since) AS ipFailures,
+                        (SELECT MIN(createdAt) FROM AuthEvents
+                         WHERE action = 'login' AND outcome <> 'success' AND ip = @ip AND createdAt >= @since) AS firstFailureAt
+                `);
+            const row = result.recordset[0];
+            return {
+                account: { failures: row.accountFailures, lastFailureAt: row.lastFailureAt },
+                ip: { failures: row.ipFailures, firstFailureAt: row.firstFailureAt }
+            };
+        },
+
+        // Registration attempts from the IP since `since`
+        registrations: async ({ ip, since }) => {
+            const result = await pool.request()
+                .input('ip', sql.NVarChar(45), ip)
+                .input('since', sql.DateTime2, since)
+                .query(`
+                    SELECT COUNT(*) AS attempts, MIN(createdAt) AS firstAttemptAt
+                    FROM AuthEvents WHERE action = 'register' AND ip = @ip AND createdAt >= @since
+                `);
+            return result.recordset[0];
+        },
+
+        // Newest first, optionally filtered, and only those before `beforeId` when paging
+        list: async ({ username = null, ip = null, action = null, outcome = null, beforeId = null, limit }) => {
+            const result = await pool.request()
+                .input('username', sql.NVarChar(50), username)
+                .input('ip', sql.NVarChar(45), ip)
+                .input('action', sql.NVarChar(20), action)
+                .input('outcome', sql.NVarChar(20), outcome)
+                .input('beforeId', sql.Int, beforeId)
+                .input('limit', sql.Int, limit)
+                .query(`
+                    SELECT TOP (@limit) id, action, outcome, username, ip, userAgent, createdAt
+                    FROM AuthEvents
+                    WHERE (@username IS NULL OR username = @username)
+                        AND (@ip IS NULL OR ip = @ip)
+                        AND (@action IS NULL OR action = @action)
+                        AND (@outcome IS NULL OR outcome = @outcome)
+                        AND (@beforeId IS NULL OR id < @beforeId)
+                    ORDER BY id DESC
+                `);
+            return result.recordset;
+        }
+    };
+
+    return { users, sessions, resetTokens, verifications, events, categories, venues, rooms, exceptions, rsvps, bookmarks, comments, notifications, outbox, reminders, changes, audit, authEvents, close: () => pool.close() };
+};
+
+module.exports = createMssqlStore;
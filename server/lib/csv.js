@@ -0,0 +1,61 @@
+// CSV helpers (RFC 4180).
+
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serializes rows to CSV using `columns` ([{ key, header }]) for order and header names
+const toCsv = (rows, columns) =>
+    [columns.map(column => column.header), ...rows.map(row => columns.map(column => row[column.key]))]
+        .map(values => values.map(escapeCsvValue).join(','))
+        .join('\r\n') + '\r\n';
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted fields with
+// embedded commas, quotes and line breaks, CRLF or LF line endings and a leading BOM.
+// Blank lines are skipped.
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+module.exports = { toCsv, parseCsv };
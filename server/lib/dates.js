@@ -0,0 +1,138 @@
+// Date and time parsing shared by the routes and the in-memory store, and the time zone
+// arithmetic behind event start and end instants.
+//
+// Events keep the wall-clock date and time they were entered with plus an IANA time zone,
+// so a 9:00 AM series stays at 9:00 AM across daylight saving changes. Instants are worked
+// out from those when needed.
+
+// Zone of events that do not name one, and of "today" for the server
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'America/New_York';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mirrors SQL Server's DATE conversion: returns 'YYYY-MM-DD' or throws
+const normalizeDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    const parsed = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+
+    if (!parsed || parsed.getUTCMonth() !== match[2] - 1 || parsed.getUTCDate() !== Number(match[3])) {
+        throw new Error(`Conversion failed when converting date from character string '${value}'.`);
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+// Mirrors SQL Server's TIME conversion: accepts 'HH:MM', 'HH:MM:SS' and 'h:mm AM', returns 'HH:MM:SS'
+const normalizeTime = (value) => {
+    if (value === null || value === undefined) return null;
+
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?$/i.exec(String(value).trim());
+    let hours = match ? Number(match[1]) : NaN;
+    const minutes = match ? Number(match[2]) : NaN;
+    const seconds = match && match[3] ? Number(match[3]) : 0;
+
+    if (match && match[4]) {
+        if (hours < 1 || hours > 12) hours = NaN;
+        hours = (hours % 12) + (match[4].toUpperCase() === 'PM' ? 12 : 0);
+    }
+
+    if (!(hours >= 0 && hours < 24 && minutes < 60 && seconds < 60)) {
+        throw new Error(`Conversion failed when converting time from character string '${value}'.`);
+    }
+    return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+};
+
+// Whether `name` is an IANA time zone the runtime knows, e.g. 'America/Chicago'
+const isTimeZone = (name) => {
+    try {
+        Intl.DateTimeFormat('en-US', { timeZone: name });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+// Formatters are slow to create, so each zone's is made once. Swedish dates read 'YYYY-MM-DD HH:MM:SS'.
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('sv-SE', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// The wall-clock date and time in `timeZone` at an instant, as { date: 'YYYY-MM-DD', time: 'HH:MM:SS' }
+const zonedDateTime = (instant = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+    const [date, time] = formatterFor(timeZone).format(instant).split(' ');
+    return { date, time };
+};
+
+// How far ahead of UTC a zone's wall clock is at an instant, in milliseconds
+const zoneOffset = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+    const shown = zonedDateTime(instant, timeZone);
+    return Date.parse(`${shown.date}T${shown.time}Z`) - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant at which a zone's wall clock shows the given date and time; throws for
+// unknown zones. Times skipped by a daylight saving change fall an hour later.
+const zonedToInstant = (date, time, timeZone = DEFAULT_TIME_ZONE) => {
+    const guess = new Date(`${date}T${time || '00:00:00'}Z`);
+    const offsetAt = (instant) => zoneOffset(instant, timeZone);
+    const first = new Date(guess.getTime() - offsetAt(guess));
+    // Near a change the offset at the first guess may differ from the one at the answer
+    const second = new Date(guess.getTime() - offsetAt(first));
+    return zonedDateTime(second, timeZone).time === guess.toISOString().slice(11, 19) ? second : first;
+};
+
+const addDaysTo = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// An event's { startsAt, endsAt } instants. All-day events run from the start of their first
+// day to the end of their last; timed events without an end time end as they start.
+const eventInstants = ({ date, time, endDate, endTime, timeZone }) => {
+    const zone = timeZone || DEFAULT_TIME_ZONE;
+    const startsAt = zonedToInstant(date, time, zone);
+    if (!time) return { startsAt, endsAt: zonedToInstant(addDaysTo(endDate || date, 1), null, zone) };
+    return { startsAt, endsAt: endTime ? zonedToInstant(endDate || date, endTime, zone) : startsAt };
+};
+
+// Past events have ended; ongoing ones still count as upcoming
+const isPastEvent = (event, now = new Date()) => eventInstants(event).endsAt <= now;
+
+// Moves an event's start to `date` and `time`, keeping how long it lasts. Returns
+// { date, time, endDate, endTime }, with the end as null when the event has none.
+const moveEvent = ({ date, time, endDate, endTime }, toDate, toTime) => {
+    if (!endDate && !endTime) return { date: toDate, time: toTime, endDate: null, endTime: null };
+
+    // Wall-clock arithmetic, so an event keeps its length in hours across a DST change
+    const wallClock = (day, clock) => Date.parse(`${day}T${clock || '00:00:00'}Z`);
+    const length = wallClock(endDate || date, endTime) - wallClock(date, time);
+    const end = new Date(wallClock(toDate, toTime) + length).toISOString();
+    return {
+        date: toDate,
+        time: toTime,
+        endDate: end.slice(0, 10) !== toDate ? end.slice(0, 10) : null,
+        // All-day events have no end time
+        endTime: endTime && toTime ? end.slice(11, 19) : null
+    };
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    normalizeDate,
+    normalizeTime,
+    isTimeZone,
+    zonedDateTime,
+    zoneOffset,
+    zonedToInstant,
+    eventInstants,
+    isPastEvent,
+    moveEvent
+};
@@ -0,0 +1,356 @@
+// Builds iCalendar (RFC 5545) documents from events, for calendar downloads and subscriptions,
+// and reads events back out of uploaded calendars for imports.
+//
+// Timed events are written in their own time zone (TZID with the IANA name), so series keep
+// their wall-clock time across daylight saving changes. Each zone used gets the VTIMEZONE
+// definition RFC 5545 requires, with its offset changes over the years the events cover as
+// the runtime's time zone data has them. Events without a time are all-day events.
+
+const { toRRule, fromRRule, parseDay, formatDay, addDays } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, isTimeZone, zonedDateTime, zoneOffset, zonedToInstant, moveEvent } = require('./dates');
+
+const PRODUCT_ID = '-//FAU Events//fauevents//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'fauevents';
+
+// Timed events without an end time are shown as lasting this long
+const TIMED_EVENT_DURATION = 'PT1H';
+
+// Series without an end date have their zone described this many years past today
+const OPEN_SERIES_YEARS = 10;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Offset changes are looked for this far apart; no zone changes its offset and back within it
+const TRANSITION_STEP_MS = 7 * DAY_MS;
+
+// VTIMEZONE definitions already built, by zone and years; feeds ask for the same ones on
+// every refresh
+const MAX_CACHED_ZONES = 100;
+const zoneDefinitions = new Map();
+
+// UIDs depend only on the event id so that re-imports and feed refreshes update, not duplicate
+const eventUid = (eventId) => `event-${eventId}@${UID_DOMAIN}`;
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Content lines are limited to 75 octets; longer ones continue on lines starting with a space
+const foldLine = (line) => {
+    if (Buffer.byteLength(line) <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const compactDate = (date) => date.replace(/-/g, '');
+const compactTime = (time) => time.replace(/:/g, '').slice(0, 6).padEnd(6, '0');
+const utcStamp = (instant) => instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// A property carrying a date (all-day) or a date-time in a zone, e.g. DTSTART or RECURRENCE-ID
+const dateProperty = (name, date, time, timeZone) => (time
+    ? `${name};TZID=${timeZone}:${compactDate(date)}T${compactTime(time)}`
+    : `${name};VALUE=DATE:${compactDate(date)}`);
+
+// DTSTART and DTEND (or DURATION); the DTEND of an all-day event is the day after its last
+const timingLines = ({ date, time, endDate, endTime, timeZone }) => {
+    const start = dateProperty('DTSTART', date, time, timeZone);
+    if (!time) return [start, dateProperty('DTEND', formatDay(addDays(parseDay(endDate || date), 1)), null)];
+    return [start, endTime ? dateProperty('DTEND', endDate || date, endTime, timeZone) : `DURATION:${TIMED_EVENT_DURATION}`];
+};
+
+// '-0500' for five hours behind UTC
+const formatOffset = (offset) => {
+    const minutes = Math.abs(offset) / MINUTE_MS;
+    const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${hours}${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// The first minute after `low` at which the zone's offset is no longer `offset`, given that
+// it has changed by `high`
+const narrowTransition = (timeZone, offset, low, high) => {
+    while (high - low > MINUTE_MS) {
+        const middle = low + Math.floor((high - low) / MINUTE_MS / 2) * MINUTE_MS;
+        if (zoneOffset(new Date(middle), timeZone) === offset) low = middle;
+        else high = middle;
+    }
+    return high;
+};
+
+// The changes of a zone's offset in [from, to), as [{ at, from, to }] with offsets in
+// milliseconds. Looked for a week at a time, then a day at a time within a week that has
+// one, then narrowed to the minute.
+const zoneTransitions = (timeZone, from, to) => {
+    const transitions = [];
+    let offset = zoneOffset(from, timeZone);
+    for (let week = from.getTime(); week < to.getTime(); week += TRANSITION_STEP_MS) {
+        if (zoneOffset(new Date(week + TRANSITION_STEP_MS), timeZone) === offset) continue;
+
+        for (let day = week; day < week + TRANSITION_STEP_MS; day += DAY_MS) {
+            const next = zoneOffset(new Date(day + DAY_MS), timeZone);
+            if (next === offset) continue;
+
+            transitions.push({ at: narrowTransition(timeZone, offset, day, day + DAY_MS), from: offset, to: next });
+            offset = next;
+        }
+    }
+    return transitions.filter(transition => transition.at < to.getTime());
+};
+
+// The VTIMEZONE of a zone from the start of `fromYear` to the end of `toYear`: the offset in
+// force at the start, then one observance per change. Each onset is a wall-clock time read
+// in the offset before it.
+const buildTimeZoneLines = (timeZone, fromYear, toYear) => {
+    const start = zonedToInstant(`${fromYear}-01-01`, null, timeZone).getTime();
+    const transitions = zoneTransitions(timeZone, new Date(start), zonedToInstant(`${toYear + 1}-01-01`, null, timeZone));
+    const initial = zoneOffset(new Date(start), timeZone);
+    const observances = [
+        { at: start, from: initial, to: initial, daylight: transitions.length > 0 && initial > transitions[0].to },
+        ...transitions.map(transition => ({ ...transition, daylight: transition.to > transition.from }))
+    ];
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observances.flatMap(({ at, from, to, daylight }) => {
+            const kind = daylight ? 'DAYLIGHT' : 'STANDARD';
+            return [
+                `BEGIN:${kind}`,
+                `DTSTART:${utcStamp(new Date(at + from)).replace('Z', '')}`,
+                `TZOFFSETFROM:${formatOffset(from)}`,
+                `TZOFFSETTO:${formatOffset(to)}`,
+                `END:${kind}`
+            ];
+        }),
+        'END:VTIMEZONE'
+    ];
+};
+
+// buildTimeZoneLines, cached; the oldest definition makes way once MAX_CACHED_ZONES are kept
+const timeZoneLines = (timeZone, fromYear, toYear) => {
+    const key = `${timeZone}|${fromYear}|${toYear}`;
+    if (!zoneDefinitions.has(key)) {
+        if (zoneDefinitions.size === MAX_CACHED_ZONES) zoneDefinitions.delete(zoneDefinitions.keys().next().value);
+        zoneDefinitions.set(key, buildTimeZoneLines(timeZone, fromYear, toYear));
+    }
+    return zoneDefinitions.get(key);
+};
+
+// UNTIL must be a date for all-day series and a UTC time for zoned ones, so timed series
+// end at the close of that day in their zone
+const recurrenceLine = (rule, { time, timeZone }) => {
+    const rrule = toRRule(rule);
+    if (!time || !rule.until) return `RRULE:${rrule}`;
+    return `RRULE:${rrule.replace(/UNTIL=\d{8}/, `UNTIL=${utcStamp(zonedToInstant(rule.until, '23:59:59', timeZone))}`)}`;
+};
+
+// "Library, Room 120"; online-only events give their link as the location
+const locationText = (location) => (location.building
+    ? [location.building, location.room].filter(Boolean).join(', ')
+    : location.url);
+
+const eventLines = ({ uid, title, description, location = null, tags = [], ...timing }, stamp, extra = []) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    ...timingLines(timing),
+    ...extra,
+    `SUMMARY:${escapeText(title)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(location ? [`LOCATION:${escapeText(locationText(location))}`] : []),
+    ...(location && location.url ? [`URL:${location.url}`] : []),
+    ...(tags.length > 0 ? [`CATEGORIES:${tags.map(escapeText).join(',')}`] : []),
+    'STATUS:CONFIRMED',
+    'END:VEVENT'
+];
+
+// events are store rows (with recurrenceRule); exceptions come from db.exceptions.listForEvents.
+// Recurring events become one RRULE series, with EXDATEs for cancelled occurrences and
+// RECURRENCE-ID overrides for changed ones.
+const buildCalendar = (events, { name = 'FAU Events', exceptions = [], now = new Date() } = {}) => {
+    const stamp = utcStamp(now);
+    const lines = [];
+    // Zones of timed events, with the first and last years their events fall in
+    const zones = new Map();
+    const coverYears = (timeZone, ...dates) => {
+        const years = dates.filter(Boolean).map(date => (typeof date === 'number' ? date : Number(date.slice(0, 4))));
+        const span = zones.get(timeZone) || { from: Infinity, to: -Infinity };
+        zones.set(timeZone, { from: Math.min(span.from, ...years), to: Math.max(span.to, ...years) });
+    };
+
+    for (const stored of events) {
+        const event = { ...stored, timeZone: stored.timeZone || DEFAULT_TIME_ZONE };
+        const uid = eventUid(event.id);
+        const rule = fromRRule(event.recurrenceRule);
+        if (event.time) coverYears(event.timeZone, event.date, event.endDate);
+
+        if (!rule) {
+            lines.push(...eventLines({ ...event, uid }, stamp));
+            continue;
+        }
+
+        const own = exceptions.filter(x => x.eventId === event.id);
+        if (event.time) {
+            const lastYear = rule.until || Math.max(Number(event.date.slice(0, 4)), now.getUTCFullYear()) + OPEN_SERIES_YEARS;
+            coverYears(event.timeZone, lastYear, ...own.map(x => x.date));
+        }
+        const occurrenceProperty = (name, date) => dateProperty(name, date, event.time, event.timeZone);
+        const cancelled = own.filter(x => x.cancelled).map(x => occurrenceProperty('EXDATE', x.occurrenceDate));
+        lines.push(...eventLines({ ...event, uid }, stamp, [recurrenceLine(rule, event), ...cancelled]));
+
+        for (const exception of own.filter(x => !x.cancelled)) {
+            lines.push(...eventLines({
+                uid,
+                title: exception.title || event.title,
+                description: exception.description || event.description,
+                ...moveEvent(event, exception.date || exception.occurrenceDate, exception.time || event.time),
+                timeZone: event.timeZone,
+                location: event.location,
+                tags: event.tags
+            }, stamp, [occurrenceProperty('RECURRENCE-ID', exception.occurrenceDate)]));
+        }
+    }
+
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${DEFAULT_TIME_ZONE}`,
+        ...[...zones].flatMap(([timeZone, { from, to }]) => timeZoneLines(timeZone, from, to)),
+        ...lines,
+        'END:VCALENDAR'
+    ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Splits a content line into its name, parameters and value
+const parseLine = (line) => {
+    const match = /^([^:;]+)((?:;[^:;=]+=(?:"[^"]*"|[^:;]*))*):(.*)$/.exec(line);
+    if (!match) return null;
+    const params = {};
+    for (const param of match[2].split(';').slice(1)) {
+        const [key, value] = param.split('=');
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+// Reads a DTSTART or DTEND into { date, time, timeZone }. Zoned times keep their zone if it
+// is an IANA name; UTC, floating and other times are read in DEFAULT_TIME_ZONE.
+const readDateTime = ({ name, params, value }) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+    if (!match) throw new Error(`${name === 'DTEND' ? 'End' : 'Start'} '${value}' is not an iCalendar date.`);
+
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    if (!match[4]) return { date, time: null, timeZone: null };
+
+    const time = `${match[4]}:${match[5]}:${match[6]}`;
+    if (match[7]) return { ...zonedDateTime(new Date(`${date}T${time}Z`)), timeZone: DEFAULT_TIME_ZONE };
+    if (params.TZID && !isTimeZone(params.TZID)) {
+        throw new Error(`Time zone '${params.TZID}' is not recognised.`);
+    }
+    return { date, time, timeZone: params.TZID || DEFAULT_TIME_ZONE };
+};
+
+// Sets the end fields from a DTEND read in the start's zone. DTEND is exclusive: an all-day
+// event ending on the 3rd has the 2nd as its last day.
+const readEnd = (input, end) => {
+    if (!input.date) return;
+    if (!input.time) {
+        const lastDay = end.time ? end.date : formatDay(addDays(parseDay(end.date), -1));
+        input.endDate = lastDay > input.date ? lastDay : null;
+        return;
+    }
+    const zoned = end.time && end.timeZone !== input.timeZone
+        ? zonedDateTime(zonedToInstant(end.date, end.time, end.timeZone), input.timeZone)
+        : end;
+    input.endDate = zoned.date !== input.date ? zoned.date : null;
+    input.endTime = zoned.time;
+};
+
+// Values of a list property such as CATEGORIES, split on unescaped commas
+const splitList = (value) => value.split(/(?<!\\),/);
+
+// LOCATION is free text, kept as the building unless it is just a link; URL is the online link
+const readLocation = (input, name, text) => {
+    const location = input.location || { building: null, room: null, url: null };
+    if (name === 'URL' || /^https?:\/\/\S+$/.test(text)) location.url = text;
+    else location.building = text;
+    input.location = location;
+};
+
+// Turns an RRULE value into the recurrence object the API accepts
+const readRecurrence = (value) => {
+    const fields = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    const unsupported = Object.keys(fields).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'].includes(key));
+    if (unsupported.length > 0) {
+        throw new Error(`Repeat rule part ${unsupported.join(', ')} is not supported.`);
+    }
+    return {
+        frequency: (fields.FREQ || '').toLowerCase(),
+        interval: fields.INTERVAL,
+        byDay: fields.BYDAY ? fields.BYDAY.split(',') : [],
+        until: fields.UNTIL ? fields.UNTIL.replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3') : null,
+        count: fields.COUNT
+    };
+};
+
+// Reads the VEVENTs of a calendar. Each entry is { input, errors }, where input has the
+// fields of POST /api/events and errors lists what could not be read.
+const parseCalendar = (text) => {
+    const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+    const entries = [];
+    let current = null;
+    let end = null;
+
+    for (const line of lines) {
+        const property = parseLine(line);
+        if (!property) continue;
+        const { name, value } = property;
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+            current = { input: { title: null, description: null, date: null, time: null, location: null }, errors: [] };
+            end = null;
+        } else if (name === 'END' && value.toUpperCase() === 'VEVENT' && current) {
+            if (end) readEnd(current.input, end);
+            entries.push(current);
+            current = null;
+        } else if (current) {
+            try {
+                if (name === 'SUMMARY') current.input.title = unescapeText(value);
+                if (name === 'DESCRIPTION') current.input.description = unescapeText(value);
+                if (name === 'DTSTART') Object.assign(current.input, readDateTime(property));
+                if (name === 'DTEND') end = readDateTime(property);
+                if (name === 'LOCATION' || name === 'URL') readLocation(current.input, name, unescapeText(value));
+                if (name === 'CATEGORIES') current.input.tags = splitList(value).map(unescapeText);
+                if (name === 'RRULE') current.input.recurrence = readRecurrence(value);
+                if (name === 'RECURRENCE-ID') current.errors.push('Changes to a single date of a series cannot be imported.');
+            } catch (err) {
+                current.errors.push(err.message);
+            }
+        }
+    }
+
+    return entries;
+};
+
+module.exports = { buildCalendar, parseCalendar, eventUid };
@@ -0,0 +1,103 @@
+// Reads uploaded CSV and iCalendar files into candidate events for bulk import.
+// Each entry is { row, input, errors }: the row (CSV line or nth VEVENT) it came from,
+// the fields as POST /api/events accepts them, and anything that could not be read.
+
+const { parseCsv } = require('./csv');
+const { parseCalendar } = require('./ical');
+
+const IMPORT_FORMATS = ['csv', 'ics'];
+
+// Event fields a CSV column can be mapped to, with header names recognised automatically
+const CSV_FIELDS = {
+    title: ['title', 'name', 'event', 'event name', 'event title', 'summary'],
+    description: ['description', 'details', 'notes'],
+    date: ['date', 'event date', 'start date'],
+    time: ['time', 'start time', 'start'],
+    endDate: ['end date'],
+    endTime: ['end time', 'end'],
+    timeZone: ['time zone', 'timezone', 'tz'],
+    capacity: ['capacity', 'seats', 'max attendees'],
+    category: ['category', 'type', 'event type'],
+    tags: ['tags', 'keywords'],
+    building: ['building', 'location', 'venue'],
+    room: ['room', 'room number'],
+    url: ['online link', 'link', 'url', 'meeting link']
+};
+
+// Columns that together make up the event's location
+const LOCATION_FIELDS = ['building', 'room', 'url'];
+
+// Spreadsheets often export US-style dates; they are read as M/D/YYYY
+const readCsvDate = (value) => {
+    const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    return match ? `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}` : value;
+};
+
+// ...and 12-hour times such as "7:30 PM"; those and unpadded "9:00" are read as 24-hour HH:MM
+const readCsvTime = (value) => {
+    const match = /^(\d{1,2}):(\d{2})(:\d{2})?\s*([AP]M)?$/i.exec(value);
+    if (!match) return value;
+    let hours = Number(match[1]);
+    if (match[4]) {
+        if (hours < 1 || hours > 12) return value;
+        hours = (hours % 12) + (match[4].toUpperCase() === 'PM' ? 12 : 0);
+    }
+    return `${String(hours).padStart(2, '0')}:${match[2]}${match[3] || ''}`;
+};
+
+const CSV_READERS = { date: readCsvDate, time: readCsvTime, endDate: readCsvDate, endTime: readCsvTime };
+
+// Maps each field to a column header: explicit choices in `mapping` win, the rest are
+// matched by header name. Fields mapped to nothing are left out.
+const resolveMapping = (columns, mapping = {}) => {
+    const resolved = {};
+    for (const [field, aliases] of Object.entries(CSV_FIELDS)) {
+        if (mapping[field] !== undefined) {
+            if (columns.includes(mapping[field])) resolved[field] = mapping[field];
+            continue;
+        }
+        const column = columns.find(header => aliases.includes(header.trim().toLowerCase()));
+        if (column) resolved[field] = column;
+    }
+    return resolved;
+};
+
+const readCsv = (content, mapping) => {
+    const [columns = [], ...rows] = parseCsv(content);
+    const resolved = resolveMapping(columns, mapping);
+
+    const entries = rows.map((values, index) => {
+        const input = {};
+        for (const [field, column] of Object.entries(resolved)) {
+            const value = (values[columns.indexOf(column)] || '').trim();
+            if (LOCATION_FIELDS.includes(field)) {
+                input.location = { ...input.location, [field]: value };
+            } else {
+                input[field] = CSV_READERS[field] ? CSV_READERS[field](value) : value;
+            }
+        }
+        // The header is line 1, so data rows are numbered as a spreadsheet shows them
+        return { row: index + 2, input, errors: [] };
+    });
+
+    return { columns, mapping: resolved, entries };
+};
+
+const readIcs = (content) => ({
+    columns: null,
+    mapping: null,
+    entries: parseCalendar(content).map((entry, index) => ({ row: index + 1, ...entry }))
+});
+
+// Returns { columns, mapping, entries } or { error }
+const readImportFile = ({ format, content, mapping }) => {
+    if (!IMPORT_FORMATS.includes(format)) {
+        return { error: `Import format must be one of: ${IMPORT_FORMATS.join(', ')}.` };
+    }
+    if (typeof content !== 'string' || content.trim() === '') {
+        return { error: 'The import file is empty.' };
+    }
+    return format === 'csv' ? readCsv(content, mapping || {}) : readIcs(content);
+};
+
+module.exports = { readImportFile, IMPORT_FORMATS, CSV_FIELDS };
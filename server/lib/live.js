@@ -0,0 +1,72 @@
+// Live updates over Server-Sent Events. Changes are recorded in the store's change feed;
+// every instance polls the feed and pushes new changes to the clients connected to it.
+
+// Comment lines keep idle connections from being closed by proxies
+const HEARTBEAT_SECONDS = 25;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Starts a text/event-stream response. Returns send({ id, event, data }), which writes one
+// message; data is sent as JSON. `onHeartbeat` runs with each keep-alive, for checks that
+// should not wait for the next message.
+const openStream = (req, res, { onHeartbeat = null } = {}) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(async () => {
+        res.write(': keep-alive\n\n');
+        try {
+            if (onHeartbeat) await onHeartbeat();
+        } catch (err) {
+            console.error("Live update heartbeat error:", err.message);
+        }
+    }, HEARTBEAT_SECONDS * 1000);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return ({ id, event, data }) => {
+        const lines = [
+            ...(id !== undefined ? [`id: ${id}`] : []),
+            ...(event ? [`event: ${event}`] : []),
+            `data: ${JSON.stringify(data)}`
+        ];
+        res.write(`${lines.join('\n')}\n\n`);
+    };
+};
+
+// Polls the change feed every `intervalMs` while any client is connected and hands the
+// changes after the furthest-behind client's lastId to `deliver(changes, clients)`. Also
+// prunes changes older than `retentionHours`. Returns a function that stops the feed.
+const startChangeFeed = ({ changes, clients, deliver, intervalMs = 1000, batchSize = 100, retentionHours = 24 }) => {
+    let running = false;
+    let prunedAt = 0;
+
+    const poll = async () => {
+        if (running) return;
+        running = true;
+        try {
+            if (Date.now() - prunedAt > PRUNE_INTERVAL_MS) {
+                prunedAt = Date.now();
+                await changes.prune(new Date(Date.now() - retentionHours * 60 * 60 * 1000));
+            }
+            if (clients.size > 0) {
+                const batch = await changes.listSince(Math.min(...[...clients].map(client => client.lastId)), batchSize);
+                if (batch.length > 0) await deliver(batch, clients);
+            }
+        } catch (err) {
+            console.error("Change feed error:", err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(poll, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+};
+
+module.exports = { openStream, startChangeFeed };
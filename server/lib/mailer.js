@@ -0,0 +1,115 @@
+// Sends queued email. A transport delivers one message; the outbox worker claims queued
+// messages from the store, hands them to the transport and retries failures with backoff.
+//
+// MAIL_TRANSPORT selects the transport:
+//   smtp     SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for implicit TLS), SMTP_USER, SMTP_PASSWORD
+//   file     writes each message as an .eml file to MAIL_FILE_DIR (default ./mail-outbox)
+//   console  logs each message (default when SMTP_HOST is not set)
+
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'FAU Events <no-reply@fauevents.local>';
+
+// Minutes to wait before each retry; a message is marked failed after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+const createSmtpTransport = () => {
+    // Only needed when SMTP is in use
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+    return {
+        name: 'smtp',
+        send: async ({ to, subject, body }) => {
+            await transporter.sendMail({ from: MAIL_FROM, to, subject, text: body });
+        }
+    };
+};
+
+// Subjects carry event titles and addresses come from users, so line breaks are folded into
+// spaces; left in, they would start headers of their own
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+// RFC 5322 text, so the files open in any mail client
+const createFileTransport = () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || 'mail-outbox');
+    fs.mkdirSync(directory, { recursive: true });
+    return {
+        name: 'file',
+        send: async ({ id, to, subject, body }) => {
+            const message = [
+                `From: ${MAIL_FROM}`,
+                `To: ${headerValue(to)}`,
+                `Subject: ${headerValue(subject)}`,
+                `Date: ${new Date().toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                body
+            ].join('\r\n');
+            await fs.promises.writeFile(path.join(directory, `${Date.now()}-${id}.eml`), message);
+        }
+    };
+};
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async ({ to, subject, body }) => {
+        console.log(`--- Email to ${to}: ${subject}\n${body}\n---`);
+    }
+});
+
+const TRANSPORTS = { smtp: createSmtpTransport, file: createFileTransport, console: createConsoleTransport };
+
+const createTransport = (kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) => {
+    const create = TRANSPORTS[kind.toLowerCase()];
+    if (!create) {
+        throw new Error(`Unknown MAIL_TRANSPORT '${kind}'. Use one of: ${Object.keys(TRANSPORTS).join(', ')}.`);
+    }
+    return create();
+};
+
+// When a message that has failed `attempts` times should be tried again, or null to give up
+const nextRetryAt = (attempts, now = new Date()) => (attempts > RETRY_DELAYS_MINUTES.length
+    ? null
+    : new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000));
+
+// Polls the outbox every `intervalMs` and sends what it claims. Claims expire after
+// `claimSeconds`, so a message held by a crashed instance is picked up by another.
+// Returns a function that stops the worker.
+const startOutboxWorker = ({ outbox, transport, intervalMs = 10000, batchSize = 20, claimSeconds = 120 }) => {
+    let running = false;
+
+    const drain = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const messages = await outbox.claim({ limit: batchSize, claimSeconds });
+            for (const message of messages) {
+                try {
+                    await transport.send(message);
+                    await outbox.markSent(message.id);
+                } catch (err) {
+                    const retryAt = nextRetryAt(message.attempts);
+                    console.error(`Email ${message.id} to ${message.to} failed (attempt ${message.attempts}${retryAt ? '' : ', giving up'}):`, err.message);
+                    await outbox.markFailed(message.id, { error: err.message, retryAt });
+                }
+            }
+        } catch (err) {
+            console.error("Outbox worker error:", err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(drain, intervalMs);
+    timer.unref();
+    drain();
+    return () => clearInterval(timer);
+};
+
+module.exports = { createTransport, startOutboxWorker, nextRetryAt };
@@ -0,0 +1,184 @@
+// Email notification types and their templates. Each type says who may receive it (the
+// lowest role) and renders { subject, body } from the event concerned and the recipient.
+
+const { DEFAULT_TIME_ZONE, eventInstants } = require('./dates');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+});
+
+const formatClock = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+// The zone's abbreviation at the event's start, e.g. "EDT"
+const zoneName = (event) => new Intl.DateTimeFormat('en-US', { timeZone: event.timeZone || DEFAULT_TIME_ZONE, timeZoneName: 'short' })
+    .formatToParts(eventInstants(event).startsAt)
+    .find(part => part.type === 'timeZoneName').value;
+
+// "Tuesday, October 20, 2026 from 2:00 PM to 4:00 PM EDT"; dates without a time are all-day
+const formatWhen = (event) => {
+    const { date, time, endDate, endTime } = event;
+    if (!time) return `${formatDay(date)}${endDate ? ` to ${formatDay(endDate)}` : ''} (all day)`;
+    if (endDate) return `${formatDay(date)} at ${formatClock(time)} to ${formatDay(endDate)} at ${formatClock(endTime)} ${zoneName(event)}`;
+    if (endTime) return `${formatDay(date)} from ${formatClock(time)} to ${formatClock(endTime)} ${zoneName(event)}`;
+    return `${formatDay(date)} at ${formatClock(time)} ${zoneName(event)}`;
+};
+
+const eventSummary = (event) => [
+    event.title,
+    formatWhen(event),
+    ...(event.location && event.location.building ? [[event.location.building, event.location.room].filter(Boolean).join(', ')] : []),
+    ...(event.location && event.location.url ? [event.location.url] : [])
+].map(line => `  ${line}`).join('\n');
+
+const footer = [
+    '',
+    '--',
+    `FAU Events: ${APP_URL}`,
+    'You can turn off emails like this one under Email Settings in the app.'
+].join('\n');
+
+// A comment's text, indented as a quote
+const quote = (text) => text.split('\n').map(line => `  > ${line}`).join('\n');
+
+const message = (subject, greeting, lines, closing = footer) => ({
+    subject,
+    body: [`Hi ${greeting},`, '', ...lines, closing].join('\n')
+});
+
+const NOTIFICATION_TYPES = {
+    event_pending: {
+        label: 'My event was submitted for review',
+        role: 'submitter',
+        render: ({ event, user }) => message(`Your event "${event.title}" is awaiting review`, user.username, [
+            'Thanks for submitting your event. A moderator will review it shortly, and we will',
+            'email you once it has been approved.',
+            '',
+            eventSummary(event)
+        ])
+    },
+    event_review: {
+        label: 'A new event is awaiting review',
+        role: 'moderator',
+        render: ({ event, user }) => message(`New event awaiting review: ${event.title}`, user.username, [
+            `${event.userId} submitted an event that needs a moderator's review:`,
+            '',
+            eventSummary(event),
+            '',
+            `Review it at ${APP_URL}`
+        ])
+    },
+    event_approved: {
+        label: 'My event was approved',
+        role: 'submitter',
+        render: ({ event, user }) => message(`Your event "${event.title}" was approved`, user.username, [
+            'Good news: your event has been approved and is now visible to everyone.',
+            '',
+            eventSummary(event)
+        ])
+    },
+    event_rejected: {
+        label: 'My event was rejected',
+        role: 'submitter',
+        render: ({ event, user }) => message(`Your event "${event.title}" was not approved`, user.username, [
+            'A moderator reviewed your event and did not approve it.',
+            '',
+            eventSummary(event),
+            ...(event.rejectionReason ? ['', `Reason: ${event.rejectionReason}`] : []),
+            '',
+            'You can edit the event and submit it again.'
+        ])
+    },
+    event_cancelled: {
+        label: 'An event I RSVP\'d to was cancelled',
+        role: 'viewer',
+        render: ({ event, user }) => message(`Cancelled: ${event.title}`, user.username, [
+            'An event you RSVP\'d to has been cancelled:',
+            '',
+            eventSummary(event)
+        ])
+    },
+    rsvp_promoted: {
+        label: 'I got a seat from the waitlist',
+        role: 'viewer',
+        render: ({ event, user }) => message(`You have a seat at ${event.title}`, user.username, [
+            'A seat opened up and you have been moved off the waitlist. See you there!',
+            '',
+            eventSummary(event)
+        ])
+    },
+    comment_posted: {
+        label: 'Someone asked a question or commented on my event',
+        role: 'submitter',
+        render: ({ event, comment, user }) => message(`New comment on "${event.title}"`, user.username, [
+            `${comment.username} wrote on your event:`,
+            '',
+            quote(comment.body),
+            '',
+            eventSummary(event),
+            '',
+            `Reply or pin an answer at ${APP_URL}`
+        ])
+    },
+    comment_reply: {
+        label: 'Someone replied to my question or comment',
+        role: 'viewer',
+        render: ({ event, comment, user }) => message(`New reply on "${event.title}"`, user.username, [
+            `${comment.username} replied to you:`,
+            '',
+            quote(comment.body),
+            '',
+            eventSummary(event)
+        ])
+    },
+    event_reminder: {
+        label: 'Reminders before events I RSVP\'d to or bookmarked',
+        role: 'viewer',
+        render: ({ event, user }) => message(`Reminder: ${event.title} is coming up`, user.username, [
+            'A reminder about an event you are following:',
+            '',
+            eventSummary(event)
+        ])
+    }
+};
+
+// Returns { subject, body } for a notification
+const renderNotification = (type, data) => NOTIFICATION_TYPES[type].render(data);
+
+// Emails about the account itself. They go to the account's owner whatever their role and
+// settings, so they cannot be turned off.
+const accountFooter = ['', '--', `FAU Events: ${APP_URL}`].join('\n');
+
+const ACCOUNT_EMAILS = {
+    email_verification: ({ user, token, ttlHours }) => message('Verify your FAU Events email address', user.username, [
+        'Welcome to FAU Events! Please confirm that this is your email address by opening',
+        `this link within ${ttlHours} hours:`,
+        '',
+        `  ${APP_URL}/verify-email?token=${token}`,
+        '',
+        'You can browse events in the meantime; submitting them needs a verified address.'
+    ], accountFooter),
+    password_reset: ({ user, token, ttlMinutes }) => message('Reset your FAU Events password', user.username, [
+        'Someone (hopefully you) asked to reset the password for your FAU Events account.',
+        `To choose a new password, open this link within ${ttlMinutes} minutes:`,
+        '',
+        `  ${APP_URL}/reset-password?token=${token}`,
+        '',
+        'The link works once. If you did not ask for it, you can ignore this email; your',
+        'password stays the same.'
+    ], accountFooter),
+    password_changed: ({ user }) => message('Your FAU Events password was changed', user.username, [
+        'The password for your FAU Events account was just changed, and any other devices',
+        'logged in to it were logged out.',
+        '',
+        'If you did not do this, reset your password from the login page right away.'
+    ], accountFooter)
+};
+
+const renderAccountEmail = (type, data) => ACCOUNT_EMAILS[type](data);
+
+module.exports = { NOTIFICATION_TYPES, renderNotification, renderAccountEmail };
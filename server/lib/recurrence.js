@@ -0,0 +1,185 @@
+// Recurrence rules for event series, stored as a subset of RFC 5545 RRULE:
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY   (required)
+//   INTERVAL=n                  every n days/weeks/months (default 1)
+//   BYDAY=MO,WE                 weekly: the weekdays to repeat on (default: the start date's weekday)
+//   BYDAY=1MO or -1FR           monthly: the nth (or nth-from-last) weekday instead of the start date's day of month
+//   UNTIL=YYYYMMDD | COUNT=n    optional end, inclusive; not both
+//
+// The API exchanges rules as objects: { frequency, interval, byDay, until, count }.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Safety limit on occurrences produced for one series in one request
+const MAX_OCCURRENCES = 1000;
+const MAX_COUNT = 500;
+const MAX_INTERVAL = 99;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are handled as UTC midnights so that day arithmetic never crosses a DST change
+const parseDay = (text) => {
+    const match = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(text);
+    return match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+};
+
+const formatDay = (day) => day.toISOString().slice(0, 10);
+
+const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Validates a rule object from a request body. Returns { rule } or { error }.
+const validateRecurrence = (input) => {
+    if (input === null || input === undefined || input === '') return { rule: null };
+    if (typeof input !== 'object') return { error: 'Recurrence must be an object.' };
+
+    const frequency = String(input.frequency || '').toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) {
+        return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}.` };
+    }
+
+    const interval = input.interval === undefined || input.interval === null || input.interval === '' ? 1 : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        return { error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}.` };
+    }
+
+    const byDay = (Array.isArray(input.byDay) ? input.byDay : []).map(day => String(day).toUpperCase());
+    const dayPattern = frequency === 'monthly' ? /^(-?[1-4])(SU|MO|TU|WE|TH|FR|SA)$/ : /^(SU|MO|TU|WE|TH|FR|SA)$/;
+    if (frequency === 'daily' && byDay.length > 0) {
+        return { error: 'Daily recurrence does not take days of the week.' };
+    }
+    if (byDay.some(day => !dayPattern.test(day))) {
+        return {
+            error: frequency === 'monthly'
+                ? 'Monthly recurrence days must look like 1MO (first Monday) or -1FR (last Friday).'
+                : 'Recurrence days must be two-letter weekdays such as MO or FR.'
+        };
+    }
+    if (frequency === 'monthly' && byDay.length > 1) {
+        return { error: 'Monthly recurrence takes at most one day, such as 2TU.' };
+    }
+
+    const hasUntil = input.until !== undefined && input.until !== null && input.until !== '';
+    const hasCount = input.count !== undefined && input.count !== null && input.count !== '';
+    if (hasUntil && hasCount) {
+        return { error: 'Recurrence can end on a date or after a count, not both.' };
+    }
+
+    const until = hasUntil ? parseDay(String(input.until)) : null;
+    if (hasUntil && (!until || formatDay(until) !== String(input.until).replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3'))) {
+        return { error: 'Recurrence end date must be a valid YYYY-MM-DD date.' };
+    }
+
+    const count = hasCount ? Number(input.count) : null;
+    if (hasCount && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+        return { error: `Recurrence count must be a whole number from 1 to ${MAX_COUNT}.` };
+    }
+
+    return {
+        rule: {
+            frequency,
+            interval,
+            byDay: [...new Set(byDay)],
+            until: until ? formatDay(until) : null,
+            count
+        }
+    };
+};
+
+const toRRule = (rule) => {
+    if (!rule) return null;
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+};
+
+const fromRRule = (text) => {
+    if (!text) return null;
+    const fields = Object.fromEntries(text.split(';').map(part => part.split('=')));
+    const { rule } = validateRecurrence({
+        frequency: fields.FREQ,
+        interval: fields.INTERVAL,
+        byDay: fields.BYDAY ? fields.BYDAY.split(',') : [],
+        until: fields.UNTIL,
+        count: fields.COUNT
+    });
+    return rule || null;
+};
+
+// The date of the nth (1-based; negative counts from the end) weekday in a month, or null
+const nthWeekdayOfMonth = (year, month, weekday, n) => {
+    const lastDay = daysInMonth(year, month);
+    if (n > 0) {
+        const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+        return day <= lastDay ? new Date(Date.UTC(year, month, day)) : null;
+    }
+    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+    const day = lastDay - ((lastWeekday - weekday + 7) % 7) + (n + 1) * 7;
+    return day >= 1 ? new Date(Date.UTC(year, month, day)) : null;
+};
+
+// Yields every occurrence date of a series in order, starting at its first date
+function* occurrenceDays(startDate, rule) {
+    const start = parseDay(startDate);
+
+    if (rule.frequency === 'daily') {
+        for (let day = start; ; day = addDays(day, rule.interval)) yield day;
+    }
+
+    if (rule.frequency === 'weekly') {
+        const weekdays = rule.byDay.length > 0
+            ? rule.byDay.map(code => WEEKDAYS.indexOf(code)).sort()
+            : [start.getUTCDay()];
+        // Weeks run Monday to Sunday, as in RFC 5545's default WKST
+        const weekStart = addDays(start, -((start.getUTCDay() + 6) % 7));
+        for (let week = weekStart; ; week = addDays(week, 7 * rule.interval)) {
+            const days = weekdays
+                .map(weekday => addDays(week, (weekday + 6) % 7))
+                .sort((a, b) => a - b);
+            for (const day of days) {
+                if (day >= start) yield day;
+            }
+        }
+    }
+
+    if (rule.frequency === 'monthly') {
+        const byDay = rule.byDay[0] && /^(-?\d)(\w\w)$/.exec(rule.byDay[0]);
+        for (let offset = 0; ; offset += rule.interval) {
+            const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + offset) / 12);
+            const month = (start.getUTCMonth() + offset) % 12;
+            const day = byDay
+                ? nthWeekdayOfMonth(year, month, WEEKDAYS.indexOf(byDay[2]), Number(byDay[1]))
+                // Months without the start date's day (e.g. the 31st) are skipped, per RFC 5545
+                : (start.getUTCDate() <= daysInMonth(year, month) ? new Date(Date.UTC(year, month, start.getUTCDate())) : null);
+            if (day && day >= start) yield day;
+        }
+    }
+}
+
+// Occurrence dates ('YYYY-MM-DD') of a series that fall within [from, to], inclusive.
+// COUNT is applied from the series start, so occurrences before `from` still use it up.
+const expandDates = (startDate, rule, { from, to }) => {
+    const fromDay = parseDay(from);
+    const toDay = parseDay(to);
+    const untilDay = rule.until ? parseDay(rule.until) : null;
+    const dates = [];
+    let produced = 0;
+
+    for (const day of occurrenceDays(startDate, rule)) {
+        if (day > toDay || (untilDay && day > untilDay)) break;
+        if (rule.count && produced >= rule.count) break;
+        produced++;
+        if (day >= fromDay) dates.push(formatDay(day));
+        if (dates.length >= MAX_OCCURRENCES) break;
+    }
+
+    return dates;
+};
+
+module.exports = { validateRecurrence, toRRule, fromRRule, expandDates, parseDay, formatDay, addDays };
@@ -0,0 +1,84 @@
+// Plans event reminders and runs the scheduler that sends them.
+//
+// Reminders go out a fixed time before an event starts (REMINDER_OFFSETS_MINUTES, default
+// 24 hours and 1 hour). Events without a time are all-day; they are reminded relative to
+// ALL_DAY_REMINDER_HOUR on their day, so the day-before reminder arrives in the morning
+// rather than at midnight. Both are in the event's own time zone.
+
+const { zonedToInstant } = require('./dates');
+
+const DEFAULT_OFFSETS_MINUTES = [24 * 60, 60];
+const ALL_DAY_REMINDER_HOUR = 9;
+
+const parseOffsets = (text) => {
+    if (!text) return DEFAULT_OFFSETS_MINUTES;
+    const offsets = text.split(',').map(value => Number(value.trim()));
+    if (offsets.some(offset => !Number.isInteger(offset) || offset < 1)) {
+        throw new Error(`REMINDER_OFFSETS_MINUTES must be whole numbers of minutes, got '${text}'.`);
+    }
+    return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+const REMINDER_OFFSETS_MINUTES = parseOffsets(process.env.REMINDER_OFFSETS_MINUTES);
+
+// When an event (or occurrence) starts, as an instant
+const reminderStart = ({ date, time, timeZone }) =>
+    zonedToInstant(date, time || `${String(ALL_DAY_REMINDER_HOUR).padStart(2, '0')}:00:00`, timeZone);
+
+// Reminder jobs for the given occurrences (expanded events) and the users following each
+// event (recipientsByEvent: event id -> users). Events that have started get none. Of the
+// reminders that are already due, only the latest is kept, so someone who RSVPs an hour
+// before an event gets one reminder rather than two.
+const planReminders = (occurrences, recipientsByEvent, now, offsets = REMINDER_OFFSETS_MINUTES) => {
+    const jobs = [];
+    for (const occurrence of occurrences) {
+        const startsAt = reminderStart(occurrence);
+        if (startsAt <= now) continue;
+
+        const times = offsets.map(offsetMinutes => ({ offsetMinutes, sendAt: new Date(startsAt.getTime() - offsetMinutes * 60 * 1000) }));
+        const due = times.filter(t => t.sendAt <= now);
+        const kept = [
+            ...times.filter(t => t.sendAt > now),
+            ...(due.length > 0 ? [due.reduce((latest, t) => (t.offsetMinutes < latest.offsetMinutes ? t : latest))] : [])
+        ];
+
+        for (const user of recipientsByEvent.get(occurrence.id) || []) {
+            for (const { offsetMinutes, sendAt } of kept) {
+                jobs.push({
+                    eventId: occurrence.id,
+                    occurrenceDate: occurrence.occurrenceDate || occurrence.date,
+                    userId: user.id,
+                    offsetMinutes,
+                    startsAt,
+                    sendAt
+                });
+            }
+        }
+    }
+    return jobs;
+};
+
+// Calls `run` every `intervalMs`, never overlapping a run still in progress. Returns a
+// function that stops the scheduler.
+const startReminderScheduler = ({ run, intervalMs = 60000 }) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await run(new Date());
+        } catch (err) {
+            console.error("Reminder scheduler error:", err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    tick();
+    return () => clearInterval(timer);
+};
+
+module.exports = { REMINDER_OFFSETS_MINUTES, reminderStart, planReminders, startReminderScheduler };
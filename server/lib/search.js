@@ -0,0 +1,162 @@
+// Relevance-ranked event search with prefix and typo tolerance.
+//
+// Each query word must match a word in one of the searched fields, either exactly, as a
+// prefix ("datab" -> "database") or within a small edit distance ("databse"). Matches
+// score by kind and by the field's weight; results come back with highlight segments
+// ([{ text, match }]) so clients can mark matches without rendering server HTML.
+
+// Fields searched and how much a match in each counts. Fields an event lacks are skipped.
+const FIELD_WEIGHTS = { title: 3, tags: 2, location: 1.5, description: 1 };
+
+const MATCH_SCORES = { exact: 1, prefix: 0.8, typo: 0.6 };
+const MIN_PREFIX_LENGTH = 2;
+const SNIPPET_LENGTH = 160;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercased words of a query
+const queryWords = (query) => (String(query).toLowerCase().match(WORD_PATTERN) || []);
+
+// Words of a text with their positions, for highlighting
+const wordsOf = (text) => [...text.matchAll(WORD_PATTERN)]
+    .map(match => ({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length }));
+
+// Tags (arrays) and structured fields (objects) are searched as plain text
+const fieldText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(fieldText).filter(Boolean).join(', ');
+    if (typeof value === 'object') return Object.values(value).map(fieldText).filter(Boolean).join(', ');
+    return String(value);
+};
+
+// Typos allowed grow with word length; very short words must match exactly
+const allowedTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions), or
+// Infinity once it exceeds `max`
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+
+    let twoBack = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (twoBack && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], twoBack[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return Infinity;
+        twoBack = previous;
+        previous = current;
+    }
+    return previous[b.length] <= max ? previous[b.length] : Infinity;
+};
+
+// How a query word matches a text word: { kind, score, length } (length of the text word
+// to highlight), or null
+const matchWord = (term, word) => {
+    if (word === term) return { kind: 'exact', score: MATCH_SCORES.exact, length: word.length };
+    if (term.length >= MIN_PREFIX_LENGTH && word.startsWith(term)) {
+        return { kind: 'prefix', score: MATCH_SCORES.prefix, length: term.length };
+    }
+
+    const max = allowedTypos(term.length);
+    if (max === 0) return null;
+    // A typo in a prefix counts too ("databse sys" -> "database systems")
+    const distance = Math.min(editDistance(term, word, max), editDistance(term, word.slice(0, term.length), max));
+    return distance === Infinity ? null : { kind: 'typo', score: MATCH_SCORES.typo / distance, length: word.length };
+};
+
+// Pieces of each query word, for narrowing the events to rank in the store: a word within
+// allowedTypos edits of a query word (or of its prefix) still contains one of its pieces
+// unchanged, so an event can only match if, for every query word, its text contains at least
+// one of that word's pieces. A transposition across two pieces can slip through.
+const queryPieces = (query) => queryWords(query).map(term => {
+    const size = Math.ceil(term.length / (allowedTypos(term.length) + 1));
+    const pieces = [];
+    for (let start = 0; start < term.length; start += size) pieces.push(term.slice(start, start + size));
+    return pieces;
+});
+
+// Splits a text into segments with matched spans marked
+const segmentsOf = (text, spans, from = 0, to = text.length) => {
+    const segments = [];
+    let position = from;
+    for (const span of spans.filter(s => s.start >= from && s.end <= to).sort((a, b) => a.start - b.start)) {
+        if (span.start < position) continue;
+        if (span.start > position) segments.push({ text: text.slice(position, span.start), match: false });
+        segments.push({ text: text.slice(span.start, span.end), match: true });
+        position = span.end;
+    }
+    if (position < to) segments.push({ text: text.slice(position, to), match: false });
+    return segments;
+};
+
+// A window of a long text around its first match, with ellipses where it was cut
+const snippetOf = (text, spans) => {
+    if (text.length <= SNIPPET_LENGTH) return segmentsOf(text, spans);
+
+    const first = spans.length > 0 ? Math.min(...spans.map(span => span.start)) : 0;
+    let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+    return [
+        ...(start > 0 ? [{ text: '… ', match: false }] : []),
+        ...segmentsOf(text, spans, start, end),
+        ...(end < text.length ? [{ text: ' …', match: false }] : [])
+    ];
+};
+
+// Scores one event; returns { score, highlights } or null if some query word matches nothing
+const scoreEvent = (event, terms, fields) => {
+    const best = terms.map(() => 0);
+    const spans = {};
+
+    for (const [field, weight] of Object.entries(fields)) {
+        const text = fieldText(event[field]);
+        if (!text) continue;
+        spans[field] = [];
+
+        for (const { word, start } of wordsOf(text)) {
+            terms.forEach((term, index) => {
+                const match = matchWord(term, word);
+                if (!match) return;
+                best[index] = Math.max(best[index], match.score * weight);
+                spans[field].push({ start, end: start + match.length });
+            });
+        }
+    }
+
+    if (best.some(score => score === 0)) return null;
+
+    let score = best.reduce((sum, value) => sum + value, 0);
+    // Titles containing the whole query as typed rank first
+    if (terms.length > 1 && String(event.title).toLowerCase().includes(terms.join(' '))) score += FIELD_WEIGHTS.title;
+
+    const highlights = {};
+    for (const field of Object.keys(spans)) {
+        const text = fieldText(event[field]);
+        highlights[field] = field === 'description' ? snippetOf(text, spans[field]) : segmentsOf(text, spans[field]);
+    }
+    return { score, highlights };
+};
+
+// Ranks events against a query. Returns [{ event, score, highlights }], best first.
+const searchEvents = (events, query, { fields = FIELD_WEIGHTS } = {}) => {
+    const terms = queryWords(query);
+    if (terms.length === 0) return [];
+
+    return events
+        .map(event => ({ event, ...scoreEvent(event, terms, fields) }))
+        .filter(result => result.score)
+        .sort((a, b) => b.score - a.score || a.event.title.localeCompare(b.event.title));
+};
+
+module.exports = { searchEvents, queryWords, queryPieces, FIELD_WEIGHTS };
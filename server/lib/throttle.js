@@ -0,0 +1,61 @@
+// Brute-force protection for login and registration, decided from recent auth events.
+//
+// Logins are checked before the password is, so a throttled attempt costs no bcrypt work:
+//   per account  after FREE_FAILURES failures in a row, each further attempt must wait
+//                twice as long as the last (2s, 4s, ...); LOGIN_MAX_FAILURES failures within
+//                LOGIN_LOCKOUT_MINUTES lock the account until that long after the last one
+//   per IP       LOGIN_IP_MAX_FAILURES failures within the same window throttle the address
+// A successful login clears the account's count. Registrations are limited per IP to
+// REGISTER_IP_MAX_PER_HOUR attempts.
+
+const FREE_FAILURES = 2;
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const REGISTER_IP_MAX_PER_HOUR = parseInt(process.env.REGISTER_IP_MAX_PER_HOUR, 10) || 10;
+
+const MINUTE_MS = 60 * 1000;
+
+// The start of the window login failures are counted in
+const loginWindowStart = (now = new Date()) => new Date(now.getTime() - LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+
+const secondsUntil = (time, now) => Math.max(Math.ceil((time - now) / 1000), 1);
+
+// Decides whether a login attempt may go ahead, from the failures counted since
+// loginWindowStart: account { failures, lastFailureAt } (since its last success) and
+// ip { failures, firstFailureAt }. Returns { allowed: true } or
+// { allowed: false, reason: 'locked' | 'throttled', retryAfter } with retryAfter in seconds.
+const checkLogin = ({ account, ip }, now = new Date()) => {
+    if (account.failures >= LOGIN_MAX_FAILURES) {
+        const until = new Date(account.lastFailureAt.getTime() + LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+        if (until > now) return { allowed: false, reason: 'locked', retryAfter: secondsUntil(until, now) };
+    }
+    if (ip.failures >= LOGIN_IP_MAX_FAILURES) {
+        const until = new Date(ip.firstFailureAt.getTime() + LOGIN_LOCKOUT_MINUTES * MINUTE_MS);
+        if (until > now) return { allowed: false, reason: 'throttled', retryAfter: secondsUntil(until, now) };
+    }
+    if (account.failures > FREE_FAILURES) {
+        const until = new Date(account.lastFailureAt.getTime() + 2 ** (account.failures - FREE_FAILURES) * 1000);
+        if (until > now) return { allowed: false, reason: 'throttled', retryAfter: secondsUntil(until, now) };
+    }
+    return { allowed: true };
+};
+
+// Whether one more failure locks the account
+const locksAccount = (failures) => failures + 1 >= LOGIN_MAX_FAILURES;
+
+// Decides whether a registration may go ahead, given the attempts from the IP in the last hour
+const checkRegistration = ({ attempts, firstAttemptAt }, now = new Date()) => (attempts >= REGISTER_IP_MAX_PER_HOUR
+    ? { allowed: false, reason: 'throttled', retryAfter: secondsUntil(new Date(firstAttemptAt.getTime() + 60 * MINUTE_MS), now) }
+    : { allowed: true });
+
+const registrationWindowStart = (now = new Date()) => new Date(now.getTime() - 60 * MINUTE_MS);
+
+module.exports = {
+    LOGIN_LOCKOUT_MINUTES,
+    loginWindowStart,
+    checkLogin,
+    locksAccount,
+    registrationWindowStart,
+    checkRegistration
+};
@@ -0,0 +1,161 @@
+// Declarative request validation. A schema maps field names to rules made by the helpers
+// below; validate() checks a route's params, query and body against schemas before the
+// handler runs and replaces them with the parsed values, or responds 400 with
+// { message, errors: [{ field, message }] }.
+//
+// A blank value (undefined, null or a string of spaces) reads as null (or the rule's
+// `defaultValue`), or is an error if the rule is required. When a body is checked partially,
+// fields left out stay out, so updates can tell "not given" from "cleared". Fields a schema
+// does not name are dropped.
+
+const { normalizeDate, normalizeTime } = require('./dates');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+// bcrypt only reads the first 72 bytes of a password
+const MAX_PASSWORD_LENGTH = 72;
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// "currentPassword" -> "Current password"
+const labelFor = (field) => {
+    const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// A rule is { check, required, label, always, defaultValue }, where check(value, label)
+// returns { value } or { error }. `always` rules also check blank values, for parsers that
+// give blanks their own meaning. `defaultValue` is what a blank reads as, for fields whose
+// column cannot be null.
+const rule = (check, { required = false, label = null, always = false, defaultValue = null } = {}) =>
+    ({ check, required, label, always, defaultValue });
+
+const text = ({ min = 0, max, pattern = null, patternMessage = null, trim = true, ...options } = {}) => rule((value, label) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: `${label} must be text.` };
+    const string = trim ? String(value).trim() : String(value);
+    if (string.length < min) return { error: `${label} must be at least ${min} characters.` };
+    if (max !== undefined && string.length > max) return { error: `${label} must be at most ${max} characters.` };
+    if (pattern && !pattern.test(string)) return { error: patternMessage || `${label} is not in the expected format.` };
+    return { value: string };
+}, options);
+
+const integer = ({ min, max, ...options } = {}) => rule((value, label) => {
+    const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+    const range = max !== undefined ? `from ${min} to ${max}` : `of at least ${min}`;
+    if (!Number.isSafeInteger(number) || (min !== undefined && number < min) || (max !== undefined && number > max)) {
+        return { error: min !== undefined ? `${label} must be a whole number ${range}.` : `${label} must be a whole number.` };
+    }
+    return { value: number };
+}, options);
+
+// 'true' and 'false' as well as booleans, since query strings carry text
+const boolean = (options = {}) => rule((value, label) => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: `${label} must be true or false.` };
+}, options);
+
+const oneOf = (values, options = {}) => rule((value, label) => (values.includes(value)
+    ? { value }
+    : { error: `${label} must be one of: ${values.join(', ')}.` }), options);
+
+// 'YYYY-MM-DD', returned as is
+const isoDate = (options = {}) => rule((value, label) => {
+    const string = String(value).trim();
+    try {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(string)) return { value: normalizeDate(string) };
+    } catch (err) {
+        // Falls through to the error below
+    }
+    return { error: `${label} must be a date in YYYY-MM-DD format.` };
+}, options);
+
+// 24-hour 'HH:MM' or 'HH:MM:SS', returned as 'HH:MM:SS' so the database never has to guess
+const isoTime = (options = {}) => rule((value, label) => {
+    const string = String(value).trim();
+    try {
+        if (/^\d{2}:\d{2}(:\d{2})?$/.test(string)) return { value: normalizeTime(string) };
+    } catch (err) {
+        // Falls through to the error below
+    }
+    return { error: `${label} must be a 24-hour time in HH:MM format.` };
+}, options);
+
+const emailAddress = ({ max = 100, ...options } = {}) => rule((value, label) => {
+    const string = typeof value === 'string' ? value.trim() : '';
+    if (string.length > max) return { error: `${label} must be at most ${max} characters.` };
+    if (!EMAIL_PATTERN.test(string)) return { error: 'Please enter a valid email address.' };
+    return { value: string };
+}, options);
+
+// New passwords: long enough, and mixing letters with numbers or symbols. Passwords being
+// checked (at login, say) should use text() so older, weaker ones still work.
+const strongPassword = (options = {}) => rule((value, label) => {
+    if (typeof value !== 'string') return { error: `${label} must be text.` };
+    if (value.length < MIN_PASSWORD_LENGTH) return { error: `${label} must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+    if (Buffer.byteLength(value) > MAX_PASSWORD_LENGTH) return { error: `${label} must be at most ${MAX_PASSWORD_LENGTH} characters.` };
+    if (!/\p{L}/u.test(value) || !/[^\p{L}]/u.test(value)) {
+        return { error: `${label} must contain letters and at least one number or symbol.` };
+    }
+    return { value };
+}, options);
+
+// Wraps a parser returning { value } or { error, field? }; `field` names the part of the
+// value that is wrong, e.g. 'room' of a location. Parsers see blank values too.
+const custom = (parse, options = {}) => rule((value) => parse(value), { always: true, ...options });
+
+// Checks `input` against `schema`. Returns { values, errors } with errors as [{ field, message }].
+const checkFields = (schema, input, { partial = false } = {}) => {
+    const values = {};
+    const errors = [];
+    const source = input && typeof input === 'object' ? input : {};
+
+    for (const [field, { check, required, label, always, defaultValue }] of Object.entries(schema)) {
+        const value = source[field];
+        if (partial && value === undefined) continue;
+
+        if (isBlank(value) && !always) {
+            if (required) errors.push({ field, message: `${label || labelFor(field)} is required.` });
+            else values[field] = defaultValue;
+            continue;
+        }
+
+        const result = check(value, label || labelFor(field));
+        if (result.error) errors.push({ field: result.field ? `${field}.${result.field}` : field, message: result.error });
+        else values[field] = result.value;
+    }
+
+    return { values, errors };
+};
+
+// Responds 400 with the errors; `field` is null for errors about the request as a whole
+const sendErrors = (res, errors, status = 400) =>
+    res.status(status).send({ message: errors.map(error => error.message).join(' '), errors });
+
+// Middleware checking req.params, req.query and req.body against the given schemas. With
+// `partial`, the body may leave fields out.
+const validate = ({ params, query, body, partial = false }) => (req, res, next) => {
+    const parts = [['params', params, false], ['query', query, false], ['body', body, partial]].filter(([, schema]) => schema);
+    const results = parts.map(([part, schema, isPartial]) => [part, checkFields(schema, req[part], { partial: isPartial })]);
+
+    const errors = results.flatMap(([, result]) => result.errors);
+    if (errors.length > 0) return sendErrors(res, errors);
+
+    results.forEach(([part, { values }]) => { req[part] = values; });
+    next();
+};
+
+module.exports = {
+    text,
+    integer,
+    boolean,
+    oneOf,
+    isoDate,
+    isoTime,
+    emailAddress,
+    strongPassword,
+    custom,
+    checkFields,
+    sendErrors,
+    validate
+};
@@ -1,151 +1,175 @@
 require('dotenv').config();
 
 const express = require('express');
-const sql = require('mssql');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const { createStore } = require('./db');
+const { DEFAULT_TIME_ZONE, normalizeDate, normalizeTime, isTimeZone, zonedDateTime, eventInstants, isPastEvent, moveEvent } = require('./lib/dates');
+const { toCsv } = require('./lib/csv');
+const { buildCalendar } = require('./lib/ical');
+const { readImportFile, IMPORT_FORMATS } = require('./lib/import');
+const { searchEvents, queryWords, queryPieces } = require('./lib/search');
+const { NOTIFICATION_TYPES, renderNotification, renderAccountEmail } = require('./lib/notifications');
+const { createTransport, startOutboxWorker } = require('./lib/mailer');
+const { openStream, startChangeFeed } = require('./lib/live');
+const { REMINDER_OFFSETS_MINUTES, reminderStart, planReminders, startReminderScheduler } = require('./lib/reminders');
+const { text, integer, boolean, oneOf, isoDate, isoTime, emailAddress, strongPassword, custom, checkFields, sendErrors, validate } = require('./lib/validation');
+const { LOGIN_LOCKOUT_MINUTES, loginWindowStart, checkLogin, locksAccount, registrationWindowStart, checkRegistration } = require('./lib/throttle');
+const { validateRecurrence, toRRule, fromRRule, expandDates, parseDay, formatDay, addDays } = require('./lib/recurrence');
 
 const app = express();
 const port = process.env.PORT || 8080;
 
-app.use(express.json());
+// Behind a reverse proxy, req.ip (used to throttle logins) must come from X-Forwarded-For.
+// TRUST_PROXY takes Express's 'trust proxy' values: 'true', a hop count, or addresses/subnets.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' || (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
 
-const sqlConfig = {
-    user: process.env.SQL_USER,
-    password: process.env.SQL_PASSWORD,
-    server: process.env.SQL_SERVER,
-    database: process.env.SQL_DATABASE,
-    options: {
-        encrypt: true, 
-        trustServerCertificate: false
-    },
-    requestTimeout: 60000, 
-    connectTimeout: 30000 
+// Imports post whole CSV/.ics files as JSON, so bodies may be larger than express's 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '2mb' }));
+
+// Roles in ascending order of privilege; each role includes the rights of those before it
+const ROLES = ['viewer', 'submitter', 'moderator', 'admin'];
+const DEFAULT_ROLE = 'submitter';
+
+// How long a login session stays valid, in hours
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 24;
+
+// Email domains that may register and submit events, e.g. 'fau.edu' (subdomains such as
+// 'health.fau.edu' included). Empty allows any domain.
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || '')
+    .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean);
+
+// Data store (see db/index.js); assigned before the server starts listening
+let db;
+
+// --- Sessions ---
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createSession = async (userId) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    await db.sessions.create({ tokenHash: hashToken(token), userId, expiresAt });
+
+    return { token, expiresAt };
+};
+
+const getBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
 };
 
-let pool; 
+// Resolves the caller from the Authorization header and sets req.user.
+// Requests without a valid session continue anonymously (req.user = null).
+const authenticate = async (req, res, next) => {
+    req.user = null;
+    const token = getBearerToken(req);
+    if (!token) return next();
 
-const initializeDatabase = async () => {
     try {
-        if (!pool) {
-            pool = await sql.connect(sqlConfig);
-            console.log("SQL Database connection successful.");
-        }
+        req.user = await db.sessions.findUser(hashToken(token));
+        next();
+    } catch (err) {
+        console.error("Session lookup error:", err.message);
+        res.status(500).send({ message: 'Failed to verify session.' });
+    }
+};
 
-        // Check if Users table exists and has correct structure
-        const tableExists = await pool.request()
-            .query(`SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'Users'`);
-        
-        if (tableExists.recordset.length > 0) {
-            // Table exists, check if it has the correct columns
-            const columns = await pool.request()
-                .query(`SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = 'Users'`);
-            
-            const columnNames = columns.recordset.map(col => col.COLUMN_NAME.toLowerCase());
-            const requiredColumns = ['id', 'username', 'email', 'password', 'createdat'];
-            const hasAllColumns = requiredColumns.every(col => columnNames.includes(col));
-            
-            if (!hasAllColumns) {
-                // Drop and recreate table if structure is wrong
-                console.log("Users table exists but has wrong structure. Dropping and recreating...");
-                await pool.request().query(`
-                    IF EXISTS (SELECT * FROM sysobjects WHERE name='Users' and xtype='U')
-                    DROP TABLE Users
-                `);
-                const createUsersTableQuery = `
-                    CREATE TABLE Users (
-                        id INT IDENTITY(1,1) PRIMARY KEY,
-                        username NVARCHAR(50) NOT NULL UNIQUE,
-                        email NVARCHAR(100) NOT NULL,
-                        password NVARCHAR(255) NOT NULL,
-                        createdAt DATETIME DEFAULT GETDATE()
-                    )
-                `;
-                await pool.request().query(createUsersTableQuery);
-                console.log("Users table recreated with correct structure.");
-            } else {
-                console.log("Users table exists with correct structure.");
-            }
-        } else {
-            // Table doesn't exist, create it
-            const createUsersTableQuery = `
-                CREATE TABLE Users (
-                    id INT IDENTITY(1,1) PRIMARY KEY,
-                    username NVARCHAR(50) NOT NULL UNIQUE,
-                    email NVARCHAR(100) NOT NULL,
-                    password NVARCHAR(255) NOT NULL,
-                    createdAt DATETIME DEFAULT GETDATE()
-                )
-            `;
-            await pool.request().query(createUsersTableQuery);
-            console.log("Users table created.");
-        }
-
-        // Check if Events table exists and has approved column
-        const eventsTableExists = await pool.request()
-            .query(`SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_NAME = 'Events'`);
-        
-        if (eventsTableExists.recordset.length > 0) {
-            // Table exists, check if it has the approved column
-            const columns = await pool.request()
-                .query(`SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = 'Events'`);
-            
-            const columnNames = columns.recordset.map(col => col.COLUMN_NAME.toLowerCase());
-            
-            if (!columnNames.includes('approved')) {
-                // Add approved column if it doesn't exist
-                console.log("Adding 'approved' column to Events table...");
-                await pool.request().query(`
-                    ALTER TABLE Events ADD approved BIT DEFAULT 0
-                `);
-                // Set existing events to approved (backward compatibility)
-                await pool.request().query(`
-                    UPDATE Events SET approved = 1 WHERE approved IS NULL
-                `);
-                console.log("'approved' column added to Events table.");
-            }
-        } else {
-            // Table doesn't exist, create it with approved column
-            const createEventsTableQuery = `
-                CREATE TABLE Events (
-                    id INT IDENTITY(1,1) PRIMARY KEY,
-                    title NVARCHAR(100) NOT NULL,
-                    description NVARCHAR(MAX),
-                    date DATE NOT NULL,
-                    time TIME,
-                    userId NVARCHAR(50), 
-                    approved BIT DEFAULT 0,
-                    createdAt DATETIME DEFAULT GETDATE()
-                )
-            `;
-            await pool.request().query(createEventsTableQuery);
-            console.log("Events table created with approval column.");
-        }
+const requireAuth = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).send({ message: 'Authentication required.' });
+    }
+    next();
+};
 
-    } catch (err) {
-        console.error("Database Initialization Error:", err.message);
-        process.exit(1); 
+const hasRole = (user, role) =>
+    Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Allows the request through only if the caller holds `role` or a higher one
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).send({ message: 'Authentication required.' });
+    }
+    if (!hasRole(req.user, role)) {
+        return res.status(403).send({ message: `The '${role}' role is required for this action.` });
+    }
+    next();
+};
+
+const isAllowedEmail = (email) => {
+    const domain = String(email).split('@').pop().toLowerCase();
+    return ALLOWED_EMAIL_DOMAINS.length === 0
+        || ALLOWED_EMAIL_DOMAINS.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+const allowedDomainsText = () => ALLOWED_EMAIL_DOMAINS.map(domain => `@${domain}`).join(' or ');
+
+// Submitting events and comments takes a verified email address in an allowed domain. Use
+// after requireRole or requireAuth.
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user.emailVerified) {
+        return res.status(403).send({ message: 'Please verify your email address before submitting events or comments.' });
+    }
+    if (!isAllowedEmail(req.user.email)) {
+        return res.status(403).send({ message: `Only ${allowedDomainsText()} accounts can submit events.` });
     }
+    next();
 };
 
-initializeDatabase();
+app.use('/api', authenticate);
+
+// Column sizes of Users.username and Users.email
+const MAX_USERNAME_LENGTH = 50;
+const MAX_EMAIL_LENGTH = 100;
+// Passwords being checked rather than chosen only need a sane upper bound
+const MAX_PASSWORD_INPUT_LENGTH = 200;
+
+const REGISTER_FIELDS = {
+    username: text({
+        required: true,
+        min: 3,
+        max: MAX_USERNAME_LENGTH,
+        pattern: /^[A-Za-z0-9._-]+$/,
+        patternMessage: 'Username may only contain letters, numbers, dots, hyphens and underscores.'
+    }),
+    email: emailAddress({ required: true, max: MAX_EMAIL_LENGTH }),
+    password: strongPassword({ required: true })
+};
 
 // POST /api/register
-app.post('/api/register', async (req, res) => {
+app.post('/api/register', validate({ body: REGISTER_FIELDS }), async (req, res) => {
     const { username, password, email } = req.body;
 
-    if (!username || !password || !email) {
-        return res.status(400).send({ message: 'Username, password, and email are required.' });
+    if (!isAllowedEmail(email)) {
+        return sendErrors(res, [{ field: 'email', message: `Please register with your ${allowedDomainsText()} email address.` }]);
+    }
+
+    try {
+        const limit = checkRegistration(await db.authEvents.registrations({ ip: req.ip, since: registrationWindowStart() }));
+        if (!limit.allowed) return rejectThrottled(res, limit);
+    } catch (err) {
+        console.error("POST /api/register error:", err.message);
+        return res.status(500).send({ message: 'Registration failed.' });
     }
 
     try {
         // Check if user already exists
-        const checkUser = await pool.request()
-            .input('username', sql.NVarChar(50), username)
-            .query('SELECT id FROM Users WHERE username = @username');
+        const existingUser = await db.users.findByUsername(username);
 
-        if (checkUser.recordset.length > 0) {
-            return res.status(400).send({ message: 'Username already exists.' });
+        if (existingUser) {
+            await recordAuthEvent(req, 'register', 'failure', username);
+            return sendErrors(res, [{ field: 'username', message: 'Username already exists.' }]);
+        }
+
+        if (await db.users.findByEmail(email)) {
+            await recordAuthEvent(req, 'register', 'failure', username);
+            return sendErrors(res, [{ field: 'email', message: 'An account with that email address already exists.' }]);
         }
 
         // Hash password
@@ -153,183 +177,2580 @@ app.post('/api/register', async (req, res) => {
         const hashedPassword = await bcrypt.hash(password, saltRounds);
 
         // Insert new user
-        const result = await pool.request()
-            .input('username', sql.NVarChar(50), username)
-            .input('email', sql.NVarChar(100), email)
-            .input('password', sql.NVarChar(255), hashedPassword)
-            .query(`
-                INSERT INTO Users (username, email, password)
-                OUTPUT inserted.id, inserted.username, inserted.email
-                VALUES (@username, @email, @password)
-            `);
+        const user = await db.users.create({
+            username,
+            email,
+            password: hashedPassword,
+            role: DEFAULT_ROLE
+        });
+        await recordAuthEvent(req, 'register', 'success', username);
+        await sendVerificationEmail(user);
 
         res.status(201).json({ 
-            message: 'User registered successfully.',
-            user: result.recordset[0]
+            message: 'Registration successful! We have emailed you a link to verify your address; you can log in meanwhile.',
+            user
         });
     } catch (err) {
         console.error("POST /api/register error:", err.message);
-        res.status(500).send({ message: 'Registration failed.', error: err.message });
+        res.status(500).send({ message: 'Registration failed.' });
     }
 });
 
+const LOGIN_FIELDS = {
+    username: text({ required: true, max: MAX_USERNAME_LENGTH }),
+    password: text({ required: true, max: MAX_PASSWORD_INPUT_LENGTH, trim: false })
+};
+
 // POST /api/login
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', validate({ body: LOGIN_FIELDS }), async (req, res) => {
     const { username, password } = req.body;
 
-    if (!username || !password) {
-        return res.status(400).send({ message: 'Username and password are required.' });
-    }
-
     try {
-        // Find user by username
-        const result = await pool.request()
-            .input('username', sql.NVarChar(50), username)
-            .query('SELECT id, username, email, password FROM Users WHERE username = @username');
+        // Turn attempts away before checking the password, so guessing costs no bcrypt work
+        const failures = await db.authEvents.loginFailures({ username, ip: req.ip, since: loginWindowStart() });
+        const limit = checkLogin(failures);
+        if (!limit.allowed) return rejectThrottled(res, limit);
 
-        if (result.recordset.length === 0) {
-            return res.status(401).send({ message: 'Invalid username or password.' });
-        }
-
-        const user = result.recordset[0];
+        // Find user by username
+        const user = await db.users.findByUsername(username);
 
         // Verify password
-        const passwordMatch = await bcrypt.compare(password, user.password);
+        const passwordMatch = user && await bcrypt.compare(password, user.password);
 
         if (!passwordMatch) {
+            if (locksAccount(failures.account.failures)) {
+                await recordAuthEvent(req, 'login', 'lockout', username);
+                return rejectThrottled(res, { reason: 'locked', retryAfter: LOGIN_LOCKOUT_MINUTES * 60 });
+            }
+            await recordAuthEvent(req, 'login', 'failure', username);
             return res.status(401).send({ message: 'Invalid username or password.' });
         }
 
-        // Return user data (without password)
+        await recordAuthEvent(req, 'login', 'success', username);
+        const session = await createSession(user.id);
+
+        // Return session token and user data (without password)
         res.json({
             message: 'Login successful.',
+            token: session.token,
+            expiresAt: session.expiresAt,
             user: {
                 id: user.id,
                 username: user.username,
-                email: user.email
+                email: user.email,
+                emailVerified: user.emailVerified,
+                role: user.role
             }
         });
     } catch (err) {
         console.error("POST /api/login error:", err.message);
-        res.status(500).send({ message: 'Login failed.', error: err.message });
+        res.status(500).send({ message: 'Login failed.' });
     }
 });
 
-// GET /api/events
-app.get('/api/events', async (req, res) => {
+// POST /api/logout
+app.post('/api/logout', requireAuth, async (req, res) => {
     try {
-        const { includePending } = req.query;
-        const isAdmin = includePending === 'true';
-        
-        let query;
-        if (isAdmin) {
-            // Admin can see all events (approved and pending)
-            query = 'SELECT id, title, description, CONVERT(NVARCHAR, date, 23) as date, CONVERT(NVARCHAR, time, 8) as time, userId, approved FROM Events ORDER BY date DESC';
-        } else {
-            // Regular users only see approved events
-            query = 'SELECT id, title, description, CONVERT(NVARCHAR, date, 23) as date, CONVERT(NVARCHAR, time, 8) as time, userId, approved FROM Events WHERE approved = 1 ORDER BY date DESC';
-        }
-        
-        const result = await pool.request().query(query);
-        res.json(result.recordset);
+        await db.sessions.delete(hashToken(getBearerToken(req)));
+
+        res.status(200).send({ message: 'Logged out.' });
     } catch (err) {
-        console.error("GET /api/events error:", err.message);
-        res.status(500).send({ message: 'Failed to retrieve events.', error: err.message });
+        console.error("POST /api/logout error:", err.message);
+        res.status(500).send({ message: 'Logout failed.' });
     }
 });
 
-// POST /api/events
-app.post('/api/events', async (req, res) => {
-    let { title, description, date, time, userId } = req.body;
+// GET /api/session
+app.get('/api/session', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// --- Passwords ---
 
-    if (!title || !date) {
-        return res.status(400).send({ message: 'Title and date are required.' });
+// How long a password reset link works
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// Queues an account email (see ACCOUNT_EMAILS) to the user. Like notify, a failure is
+// logged rather than failing the request.
+const sendAccountEmail = async (type, user, data = {}) => {
+    try {
+        await db.outbox.enqueue([{ type, to: user.email, ...renderAccountEmail(type, { user, ...data }) }]);
+    } catch (err) {
+        console.error(`Failed to queue ${type} email:`, err.message);
     }
+};
+
+// POST /api/password-reset
+// Body: { username }. Emails the account a single-use reset link. The response is the same
+// whether or not the account exists, so it cannot be used to discover usernames.
+app.post('/api/password-reset', validate({ body: { username: text({ required: true, max: MAX_USERNAME_LENGTH }) } }), async (req, res) => {
+    const { username } = req.body;
 
     try {
-        let timeValue = time;
-        
-        // Only default to NULL if the input is strictly missing or empty.
-        if (!timeValue || timeValue.trim() === '') {
-            timeValue = null; 
-        } 
-        
-        const finalDescription = description && description.trim() !== '' ? description : null;
-        
-        // Auto-approve if user is FAUadmin, otherwise require approval
-        const isApproved = userId === 'FAUadmin' ? 1 : 0;
-        
-        const result = await pool.request()
-            .input('title', sql.NVarChar(100), title)
-            .input('description', sql.NVarChar(sql.MAX), finalDescription) 
-            .input('date', sql.Date, date) 
-            // FIX: Use NVarChar instead of Time. 
-            // This bypasses the driver's strict validation and lets SQL Server handle the AM/PM conversion.
-            .input('time', sql.NVarChar(50), timeValue)
-            .input('userId', sql.NVarChar(50), userId || 'anonymous')
-            .input('approved', sql.Bit, isApproved)
-            .query(`
-                INSERT INTO Events (title, description, date, time, userId, approved)
-                OUTPUT inserted.id, inserted.title, inserted.description, CONVERT(NVARCHAR, inserted.date, 23) as date, CONVERT(NVARCHAR, inserted.time, 8) as time, inserted.userId, inserted.approved
-                VALUES (@title, @description, @date, @time, @userId, @approved)
-            `);
-
-        res.status(201).json(result.recordset[0]);
+        const user = await db.users.findByUsername(username);
+        if (user && user.email) {
+            const token = crypto.randomBytes(32).toString('hex');
+            await db.resetTokens.create({ userId: user.id, tokenHash: hashToken(token), ttlMinutes: PASSWORD_RESET_TTL_MINUTES });
+            await sendAccountEmail('password_reset', user, { token, ttlMinutes: PASSWORD_RESET_TTL_MINUTES });
+        }
+
+        res.status(200).send({ message: 'If that account exists, a link to reset its password has been emailed to it.' });
     } catch (err) {
-        console.error("POST /api/events failure: FULL ERROR:", err.message);
-        res.status(500).send({ message: 'Database query failed.', error: err.message });
+        console.error("POST /api/password-reset error:", err.message);
+        res.status(500).send({ message: 'Failed to start the password reset.' });
     }
 });
 
-// PUT /api/events/:id/approve
-app.put('/api/events/:id/approve', async (req, res) => {
-    const { id } = req.params;
+// Emailed link tokens are 64 hex characters; anything much longer is not one
+const LINK_TOKEN_FIELD = text({ required: true, max: 100, label: 'Token' });
+
+const RESET_CONFIRM_FIELDS = {
+    token: LINK_TOKEN_FIELD,
+    password: strongPassword({ required: true, label: 'New password' })
+};
+
+// POST /api/password-reset/confirm
+// Body: { token, password }. Sets the new password and logs the account out everywhere.
+app.post('/api/password-reset/confirm', validate({ body: RESET_CONFIRM_FIELDS }), async (req, res) => {
+    const { token, password } = req.body;
 
     try {
-        const result = await pool.request()
-            .input('id', sql.Int, id)
-            .query('UPDATE Events SET approved = 1 WHERE id = @id');
+        const user = await db.resetTokens.redeem(hashToken(token), await bcrypt.hash(password, 10));
+        if (!user) {
+            return sendErrors(res, [{ field: 'token', message: 'This reset link is invalid or has expired. Please request a new one.' }]);
+        }
+        await sendAccountEmail('password_changed', user);
 
-        if (result.rowsAffected[0] === 0) {
-            return res.status(404).send({ message: 'Event not found' });
+        res.status(200).send({ message: 'Your password has been reset. Please log in with your new password.' });
+    } catch (err) {
+        console.error("POST /api/password-reset/confirm error:", err.message);
+        res.status(500).send({ message: 'Failed to reset the password.' });
+    }
+});
+
+const CHANGE_PASSWORD_FIELDS = {
+    currentPassword: text({ required: true, max: MAX_PASSWORD_INPUT_LENGTH, trim: false }),
+    newPassword: strongPassword({ required: true })
+};
+
+// PUT /api/users/me/password
+// Body: { currentPassword, newPassword }. Other sessions are logged out; this one stays.
+app.put('/api/users/me/password', requireAuth, validate({ body: CHANGE_PASSWORD_FIELDS }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+        const user = await db.users.findByUsername(req.user.username);
+        // 400 rather than 401: the session itself is fine
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+            return sendErrors(res, [{ field: 'currentPassword', message: 'Current password is incorrect.' }]);
+        }
+
+        await db.users.updatePassword(user.id, await bcrypt.hash(newPassword, 10), {
+            keepSessionHash: hashToken(getBearerToken(req))
+        });
+        await sendAccountEmail('password_changed', user);
+
+        res.status(200).send({ message: 'Password changed. Any other devices have been logged out.' });
+    } catch (err) {
+        console.error("PUT /api/users/me/password error:", err.message);
+        res.status(500).send({ message: 'Failed to change the password.' });
+    }
+});
+
+// --- Email verification ---
+
+// How long an email verification link works
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+const sendVerificationEmail = async (user) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await db.verifications.create({ userId: user.id, tokenHash: hashToken(token), ttlMinutes: EMAIL_VERIFICATION_TTL_HOURS * 60 });
+    await sendAccountEmail('email_verification', user, { token, ttlHours: EMAIL_VERIFICATION_TTL_HOURS });
+};
+
+// POST /api/verify-email
+// Body: { token } from the emailed link. Responds with the verified user.
+app.post('/api/verify-email', validate({ body: { token: LINK_TOKEN_FIELD } }), async (req, res) => {
+    const { token } = req.body;
+
+    try {
+        const user = await db.verifications.redeem(hashToken(token));
+        if (!user) {
+            return sendErrors(res, [{ field: 'token', message: 'This verification link is invalid or has expired. Log in to request a new one.' }]);
         }
 
-        res.status(200).send({ message: 'Event approved successfully' });
+        res.status(200).send({ message: 'Your email address is verified.', user });
     } catch (err) {
-        console.error("PUT /api/events/:id/approve error:", err.message);
-        res.status(500).send({ message: 'Failed to approve event.', error: err.message });
+        console.error("POST /api/verify-email error:", err.message);
+        res.status(500).send({ message: 'Failed to verify the email address.' });
     }
 });
 
-// Serve static files
-app.use(express.static(path.join(__dirname, '..', 'client', 'build')));
+// POST /api/users/me/verification
+// Emails a new verification link; earlier links stop working
+app.post('/api/users/me/verification', requireAuth, async (req, res) => {
+    if (req.user.emailVerified) {
+        return res.status(400).send({ message: 'Your email address is already verified.' });
+    }
 
-app.get('*', (req, res) => {
-    if (!req.url.startsWith('/api')) {
-        res.sendFile(path.join(__dirname, '..', 'client', 'build', 'index.html'));
+    try {
+        await sendVerificationEmail(req.user);
+        res.status(200).send({ message: `We have emailed a new verification link to ${req.user.email}.` });
+    } catch (err) {
+        console.error("POST /api/users/me/verification error:", err.message);
+        res.status(500).send({ message: 'Failed to send the verification email.' });
     }
 });
 
-// DELETE /api/events/:id
-app.delete('/api/events/:id', async (req, res) => {
-    const { id } = req.params;
+// --- Sign-in protection ---
 
+const MAX_AUTH_EVENTS_LISTED = 100;
+const AUTH_ACTIONS = ['login', 'register'];
+const AUTH_OUTCOMES = ['success', 'failure', 'lockout'];
+
+// Logs a login or registration with where it came from. A failure to log is reported but
+// does not fail the request.
+const recordAuthEvent = async (req, action, outcome, username) => {
     try {
-        const result = await pool.request()
-            .input('id', sql.Int, id)
-            .query('DELETE FROM Events WHERE id = @id');
+        await db.authEvents.record({
+            action,
+            outcome,
+            username: String(username).slice(0, 50),
+            ip: req.ip || null,
+            userAgent: (req.get('User-Agent') || '').slice(0, 300) || null
+        });
+    } catch (err) {
+        console.error(`Failed to record ${action} ${outcome}:`, err.message);
+    }
+};
 
-        if (result.rowsAffected[0] === 0) {
-            return res.status(404).send({ message: 'Event not found' });
+const formatWait = (seconds) => (seconds >= 120
+    ? `${Math.ceil(seconds / 60)} minutes`
+    : `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`);
+
+// Responds 429 with Retry-After; `reason` lets the client tell a locked account from throttling
+const rejectThrottled = (res, { reason, retryAfter }) => {
+    const message = reason === 'locked'
+        ? `Too many failed login attempts. This account is locked for ${formatWait(retryAfter)}.`
+        : `Too many attempts. Please wait ${formatWait(retryAfter)} and try again.`;
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).send({ message, reason, retryAfter });
+};
+
+const AUTH_EVENT_QUERY = {
+    username: text({ max: MAX_USERNAME_LENGTH }),
+    ip: text({ max: 45, label: 'IP address' }),
+    action: oneOf(AUTH_ACTIONS),
+    outcome: oneOf(AUTH_OUTCOMES),
+    beforeId: integer({ min: 1 })
+};
+
+// GET /api/auth-events
+// Admins only. Logins and registrations, newest first. Query: username, ip, action, outcome,
+// and beforeId to page past the last id seen.
+app.get('/api/auth-events', requireRole('admin'), validate({ query: AUTH_EVENT_QUERY }), async (req, res) => {
+    try {
+        const events = await db.authEvents.list({ ...req.query, limit: MAX_AUTH_EVENTS_LISTED + 1 });
+        res.json({
+            events: events.slice(0, MAX_AUTH_EVENTS_LISTED),
+            hasMore: events.length > MAX_AUTH_EVENTS_LISTED
+        });
+    } catch (err) {
+        console.error("GET /api/auth-events error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve the auth log.' });
+    }
+});
+
+// --- Notifications ---
+
+// Queues a templated email of `type` about `data.event` (and, for comments, `data.comment`)
+// for each user who can receive that type and has not opted out of it. A failure is logged
+// rather than failing the request that caused the notification.
+const notify = async (type, users, data) => {
+    try {
+        // Types open to every role need no role check, so their recipients may come without one
+        const { role } = NOTIFICATION_TYPES[type];
+        const eligible = users.filter(user => user && user.email && (role === ROLES[0] || hasRole(user, role)));
+        const recipients = [...new Map(eligible.map(user => [user.id, user])).values()];
+        if (recipients.length === 0) return;
+
+        const optOuts = await db.notifications.listOptOuts(recipients.map(user => user.id));
+        const messages = recipients
+            .filter(user => !(optOuts.get(user.id) || []).includes(type))
+            .map(user => ({ type, to: user.email, ...renderNotification(type, { ...data, user }) }));
+        if (messages.length > 0) await db.outbox.enqueue(messages);
+    } catch (err) {
+        console.error(`Failed to queue ${type} notifications:`, err.message);
+    }
+};
+
+// Tells the submitter their event is in the moderation queue, and moderators that it needs review
+const notifyPendingReview = async (event, submitter) => {
+    await notify('event_pending', [submitter], { event });
+    await notify('event_review', (await db.users.list()).filter(user => user.id !== submitter.id), { event });
+};
+
+const submitterOf = async (event) => {
+    const user = await db.users.findByUsername(event.userId);
+    return user && { id: user.id, username: user.username, email: user.email, role: user.role };
+};
+
+// --- Live updates ---
+
+// Changes a reconnecting client may have missed that are replayed to it; beyond this it is
+// told to reload instead
+const MAX_REPLAYED_CHANGES = 200;
+
+// Clients connected to this instance: { user, tokenHash, lastId, send, close }
+const liveClients = new Set();
+
+// Records a change to `event` for the live feed. Like notify, a failure is logged rather
+// than failing the request that made the change.
+const publishChange = async (type, event, actor) => {
+    try {
+        await db.changes.record({ eventId: event.id, type, actor });
+    } catch (err) {
+        console.error(`Failed to record ${type} change for event ${event.id}:`, err.message);
+    }
+};
+
+// Approved events are public; the rest are seen by moderators and whoever submitted them
+const canSeeEvent = (user, event) =>
+    event.status === 'approved' || hasRole(user, 'moderator') || Boolean(user && user.username === event.userId);
+
+// Looks up a client's user again, since its session may have ended or its role changed since
+// the stream opened. Such streams are closed, so nothing reaches them with rights the caller
+// no longer has; the client reconnects as whoever it now is. Returns whether it is still open.
+const recheckClient = async (client) => {
+    if (!client.tokenHash) return true;
+    const user = await db.sessions.findUser(client.tokenHash);
+    if (user && user.role === client.user.role) {
+        client.user = user;
+        return true;
+    }
+    liveClients.delete(client);
+    client.close();
+    return false;
+};
+
+// Sends each client the changes it has not seen yet. Messages carry the event as it is now
+// (without the caller's own RSVP and bookmark), or null once it is deleted or hidden from them.
+const deliverChanges = async (changes, clients) => {
+    const open = [];
+    for (const client of [...clients]) {
+        if (await recheckClient(client)) open.push(client);
+    }
+
+    const events = new Map();
+    for (const { eventId } of changes) {
+        if (events.has(eventId)) continue;
+        const event = await db.events.findById(eventId);
+        events.set(eventId, event && await presentEvent(event, null));
+    }
+
+    for (const client of open) {
+        for (const { id, eventId, type, actor } of changes.filter(change => change.id > client.lastId)) {
+            const event = events.get(eventId);
+            client.send({
+                id,
+                event: 'change',
+                data: { type, eventId, actor, event: event && canSeeEvent(client.user, event) ? event : null }
+            });
+            client.lastId = id;
         }
+    }
+};
 
-        res.status(200).send({ message: 'Event deleted successfully' });
+// GET /api/events/stream
+// Server-Sent Events. Opens with 'ready', then sends a 'change' message whenever an event is
+// created, updated, approved or deleted: { type, eventId, actor, event }. Message ids are
+// change ids; a client reconnecting with Last-Event-ID (or ?lastEventId=) first gets the
+// changes it missed, or 'reset' when they can no longer be replayed and it should reload.
+// The stream closes when the caller's session ends or their role changes.
+app.get('/api/events/stream', validate({ query: { lastEventId: integer({ min: 0 }) } }), async (req, res) => {
+    // A stale token is refused rather than read as anonymous, so the client knows to log in again
+    const token = getBearerToken(req);
+    if (token && !req.user) {
+        return res.status(401).send({ message: 'Authentication required.' });
+    }
+
+    let client;
+    try {
+        const { oldestId, latestId } = await db.changes.bounds();
+        const lastSeen = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+
+        let missed = [];
+        let reset = false;
+        if (Number.isInteger(lastSeen) && lastSeen !== latestId) {
+            missed = lastSeen < latestId && lastSeen >= oldestId - 1
+                ? await db.changes.listSince(lastSeen, MAX_REPLAYED_CHANGES + 1)
+                : [];
+            reset = missed.length === 0 || missed.length > MAX_REPLAYED_CHANGES;
+        }
+
+        client = {
+            user: req.user,
+            tokenHash: token && hashToken(token),
+            lastId: reset || missed.length === 0 ? latestId : lastSeen,
+            // Sessions that end while no changes are sent are caught at the next keep-alive
+            send: openStream(req, res, { onHeartbeat: () => recheckClient(client) }),
+            close: () => res.end()
+        };
+        req.on('close', () => liveClients.delete(client));
+
+        client.send({ id: client.lastId, event: reset ? 'reset' : 'ready', data: {} });
+        if (!reset && missed.length > 0) await deliverChanges(missed, [client]);
+        if (!req.destroyed && !res.writableEnded) liveClients.add(client);
     } catch (err) {
-        console.error("DELETE /api/events failure:", err.message);
-        res.status(500).send({ message: 'Database deletion failed.', error: err.message });
+        console.error("GET /api/events/stream error:", err.message);
+        if (!client) {
+            res.status(500).send({ message: 'Failed to open the live update stream.' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// --- Events ---
+
+// Shapes events for API responses: start and end instants and whether the event is over,
+// the parsed recurrence rule, the category, the booked room and, for pending events, its
+// conflicts, seat counts and the caller's own RSVP and bookmark status
+const presentEvents = async (events, user, now = new Date()) => {
+    const eventIds = [...new Set(events.map(event => event.id))];
+    const summary = await db.rsvps.summarize(eventIds, user ? user.id : null);
+    const bookmarked = new Set(user ? await db.bookmarks.listEventIds(user.id) : []);
+    const commentCounts = await db.comments.countForEvents(eventIds);
+    const categories = await db.categories.list();
+    const rooms = new Map((await db.venues.list())
+        .flatMap(venue => venue.rooms.map(room => [room.id, { ...room, venueName: venue.name }])));
+    const conflicts = await findRoomConflictsOf(events.filter(event => event.status === 'pending' && event.roomId));
+
+    return events.map(({ recurrenceRule, categoryId, ...event }) => {
+        const row = summary.get(event.id) || {};
+        const goingCount = row.goingCount || 0;
+        const { startsAt, endsAt } = eventInstants(event);
+        return {
+            ...event,
+            allDay: !event.time,
+            startsAt: startsAt.toISOString(),
+            endsAt: endsAt.toISOString(),
+            isPast: endsAt <= now,
+            recurrence: fromRRule(recurrenceRule),
+            category: categories.find(category => category.id === categoryId) || null,
+            room: rooms.get(event.roomId) || null,
+            conflicts: conflicts.get(event.id) || [],
+            commentCount: commentCounts.get(event.id) || 0,
+            goingCount,
+            waitlistCount: row.waitlistCount || 0,
+            seatsRemaining: event.capacity ? Math.max(event.capacity - goingCount, 0) : null,
+            myRsvp: row.myRsvp || null,
+            bookmarked: bookmarked.has(event.id)
+        };
+    });
+};
+
+const presentEvent = async (event, user) => (await presentEvents([event], user))[0];
+
+// Category is given by slug (or, for imports, by name); returns { categoryId } with null
+// for "uncategorised", or { error }
+const resolveCategory = (value, categories) => {
+    if (value === undefined || value === null || value === '') return { categoryId: null };
+    const key = String(value).trim().toLowerCase();
+    const category = categories.find(c => c.slug === key || c.name.toLowerCase() === key);
+    if (!category) {
+        return { error: `Category must be one of: ${categories.map(c => c.slug).join(', ')}.` };
+    }
+    return { categoryId: category.id };
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+const TAG_PATTERN = /^[\p{L}\p{N}]+(?:[ -][\p{L}\p{N}]+)*$/u;
+
+// Tags are free-form but kept tidy: an array or comma-separated string, trimmed, lowercased
+// and de-duplicated. Returns { value } or { error }.
+const parseTags = (value) => {
+    if (value === undefined || value === null || value === '') return { value: [] };
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+
+    if (tags.length > MAX_TAGS) {
+        return { error: `An event can have at most ${MAX_TAGS} tags.` };
+    }
+    const invalid = tags.find(tag => tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag));
+    if (invalid) {
+        return { error: `Tag '${invalid}' must be at most ${MAX_TAG_LENGTH} letters, numbers, spaces or hyphens.` };
+    }
+    return { value: tags };
+};
+
+// Column sizes of the location fields
+const LOCATION_LIMITS = { building: 100, room: 50, url: 500 };
+
+// Location is { building, room, url }, every part optional: a room needs a building, and
+// the online link must be an http(s) URL. Returns { value } (null if empty) or { error, field }.
+const parseLocation = (value) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Location must be an object with building, room and url.' };
+    }
+
+    const location = {};
+    for (const [field, limit] of Object.entries(LOCATION_LIMITS)) {
+        const text = value[field] === undefined || value[field] === null ? '' : String(value[field]).trim();
+        if (text.length > limit) {
+            return { error: `Location ${field} must be at most ${limit} characters.`, field };
+        }
+        location[field] = text || null;
+    }
+
+    if (location.room && !location.building) {
+        return { error: 'A room needs a building.', field: 'building' };
+    }
+    if (location.url) {
+        let url;
+        try {
+            url = new URL(location.url);
+        } catch (err) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'The online link must be an http or https URL.', field: 'url' };
+        }
+    }
+    return { value: location.building || location.url ? location : null };
+};
+
+const readRecurrence = (value) => {
+    const { rule, error } = validateRecurrence(value);
+    return error ? { error } : { value: rule };
+};
+
+// IANA names such as 'America/Chicago'; blank means DEFAULT_TIME_ZONE
+const readTimeZone = (value) => {
+    if (value === undefined || value === null || value === '') return { value: null };
+    if (typeof value !== 'string' || !value.includes('/') || !isTimeZone(value.trim())) {
+        return { error: `Time zone must be a zone name such as ${DEFAULT_TIME_ZONE}.` };
+    }
+    return { value: value.trim() };
+};
+
+// Checks that an event's end, if any, fits its start. Returns { timing } with an end on the
+// start's own day stored as no end date, or { errors }.
+const checkTiming = ({ date, time, endDate, endTime }) => {
+    const end = { endDate: endDate && endDate !== date ? endDate : null, endTime: endTime || null };
+    const fail = (field, message) => ({ errors: [{ field, message }] });
+
+    if (end.endDate && end.endDate < date) return fail('endDate', 'The end date must not be before the start date.');
+    if (!time && end.endTime) return fail('endTime', 'All-day events have no end time.');
+    if (time && end.endDate && !end.endTime) return fail('endTime', 'Events ending on a later day need an end time.');
+    if (time && end.endTime && `${end.endDate || date}T${end.endTime}` <= `${date}T${time}`) {
+        return fail('endTime', 'The event must end after it starts.');
+    }
+    return { timing: { date, time, ...end } };
+};
+
+// Column sizes of Events.title and Categories.name; descriptions are NVARCHAR(MAX) but kept
+// to a length people will read
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_CATEGORY_NAME_LENGTH = 100;
+// Events.capacity is an INT
+const MAX_CAPACITY = 2147483647;
+
+// The fields of an event as POST /api/events, imports and (partially) edits accept them
+const EVENT_FIELDS = {
+    title: text({ required: true, max: MAX_TITLE_LENGTH }),
+    description: text({ max: MAX_DESCRIPTION_LENGTH }),
+    date: isoDate({ required: true, label: 'Start date' }),
+    // Blank for all-day events
+    time: isoTime({ label: 'Start time' }),
+    endDate: isoDate(),
+    endTime: isoTime(),
+    timeZone: custom(readTimeZone),
+    capacity: integer({ min: 1, max: MAX_CAPACITY }),
+    // A room from the venue registry, which then supplies the building and room
+    roomId: integer({ min: 1, label: 'Room' }),
+    recurrence: custom(readRecurrence),
+    // A slug, or for imports a name
+    category: text({ max: MAX_CATEGORY_NAME_LENGTH }),
+    tags: custom(parseTags),
+    location: custom(parseLocation)
+};
+
+// Resolves checked EVENT_FIELDS values against the current categories. Returns { values }
+// ready for db.events.create, or { errors }.
+const toEventValues = ({ recurrence, category, timeZone, ...values }, categories) => {
+    const { timing, errors } = checkTiming(values);
+    if (errors) return { errors };
+    const { categoryId, error } = resolveCategory(category, categories);
+    if (error) return { errors: [{ field: 'category', message: error }] };
+    return { values: { ...values, ...timing, timeZone: timeZone || DEFAULT_TIME_ZONE, recurrenceRule: toRRule(recurrence), categoryId } };
+};
+
+// Checks a new event's fields, for input that does not come through validate() (imports)
+const validateEventInput = (input, { categories }) => {
+    const { values, errors } = checkFields(EVENT_FIELDS, input);
+    return errors.length > 0 ? { errors } : toEventValues(values, categories);
+};
+
+// Ids in route paths, such as /api/events/:id
+const ID_PARAMS = { id: integer({ required: true, min: 1, label: 'Id' }) };
+
+// How far around today recurring series are expanded when a listing has no date range
+const DEFAULT_RANGE_PAST_DAYS = 90;
+const DEFAULT_RANGE_FUTURE_DAYS = 365;
+
+const EVENT_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const SORT_FIELDS = ['date', 'title'];
+const MAX_PAGE_SIZE = 100;
+const PAGE_SIZE_DEFAULT = 20;
+const MAX_QUERY_LENGTH = 200;
+const MAX_TAG_FACETS = 20;
+
+// Facet filters of GET /api/events. Each keeps events matching any of its values; an event
+// must pass every facet given. `context.categorySlugs` maps category ids to slugs.
+const FACET_FILTERS = {
+    category: (event, slugs, context) => slugs.includes(context.categorySlugs.get(event.categoryId)),
+    tag: (event, tags) => event.tags.some(tag => tags.includes(tag)),
+    building: (event, buildings) => Boolean(event.location && event.location.building)
+        && buildings.includes(event.location.building.toLowerCase()),
+    online: (event) => Boolean(event.location && event.location.url)
+};
+
+const matchesFacets = (event, filters, context, except = null) =>
+    Object.entries(filters).every(([name, values]) => name === except || FACET_FILTERS[name](event, values, context));
+
+// Counts events per facet value. Each facet is counted with every filter but its own, so
+// choosing one category still shows how many events the other categories would have.
+const countFacets = (events, filters, categories, context) => {
+    const tally = (except, keysOf) => {
+        const counts = new Map();
+        for (const event of events.filter(e => matchesFacets(e, filters, context, except))) {
+            for (const [key, label] of keysOf(event)) {
+                const entry = counts.get(key) || { label, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            }
+        }
+        return counts;
+    };
+
+    const byCategory = tally('category', event => (event.categoryId ? [[event.categoryId, null]] : []));
+    const byTag = tally('tag', event => event.tags.map(tag => [tag, tag]));
+    const byBuilding = tally('building', event => (event.location && event.location.building
+        ? [[event.location.building.toLowerCase(), event.location.building]]
+        : []));
+    const sorted = (counts) => [...counts.values()].sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+    return {
+        categories: categories.map(({ slug, name, id }) => ({ slug, name, count: byCategory.has(id) ? byCategory.get(id).count : 0 })),
+        tags: sorted(byTag).slice(0, MAX_TAG_FACETS).map(({ label, count }) => ({ tag: label, count })),
+        buildings: sorted(byBuilding).map(({ label, count }) => ({ building: label, count })),
+        online: events.filter(e => matchesFacets(e, filters, context, 'online') && FACET_FILTERS.online(e)).length
+    };
+};
+
+// Comma-separated category, tag and building filters
+const MAX_FILTER_LENGTH = 500;
+
+const LIST_QUERY = {
+    from: isoDate(),
+    to: isoDate(),
+    when: oneOf(['upcoming', 'past']),
+    status: text({ max: 100 }),
+    includePending: boolean(),
+    submitter: text({ max: MAX_USERNAME_LENGTH }),
+    mine: boolean(),
+    q: text({ max: MAX_QUERY_LENGTH, label: 'Search text' }),
+    category: text({ max: MAX_FILTER_LENGTH }),
+    tag: text({ max: MAX_FILTER_LENGTH }),
+    building: text({ max: MAX_FILTER_LENGTH }),
+    online: boolean(),
+    sort: oneOf(SORT_FIELDS),
+    order: oneOf(['asc', 'desc']),
+    limit: integer({ min: 1, max: MAX_PAGE_SIZE }),
+    offset: integer({ min: 0 }),
+    facets: boolean()
+};
+
+// Reads the LIST_QUERY-checked parameters of GET /api/events. Returns { query } or
+// { status, field, error }.
+const parseListQuery = (params, user) => {
+    const query = {
+        statuses: ['approved'],
+        submittedBy: params.submitter,
+        q: params.q,
+        from: params.from,
+        to: params.to,
+        when: params.when,
+        sort: params.sort || 'date',
+        order: params.order || 'desc',
+        offset: params.offset || 0,
+        limit: params.limit,
+        filters: {},
+        facets: params.facets === true
+    };
+
+    // Comma-separated values; matching ignores case
+    for (const name of ['category', 'tag', 'building']) {
+        if (!params[name]) continue;
+        const values = params[name].split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+        if (values.length > 0) query.filters[name] = values;
+    }
+    if (params.online) query.filters.online = true;
+
+    if (query.from && query.to && query.from > query.to) {
+        return { status: 400, field: 'from', error: 'From must not be after to.' };
+    }
+
+    // Submitters can always see their own events, whatever their status
+    if (params.mine) {
+        if (!user) {
+            return { status: 401, error: 'Authentication required.' };
+        }
+        query.submittedBy = user.username;
+        query.statuses = null;
+    }
+
+    // ?includePending=true is the older spelling of ?status=all
+    const status = params.includePending ? 'all' : params.status;
+    if (status) {
+        const statuses = status === 'all' ? null : status.split(',');
+        if (statuses && statuses.some(value => !EVENT_STATUSES.includes(value))) {
+            return { status: 400, field: 'status', error: `Status must be all or any of: ${EVENT_STATUSES.join(', ')}.` };
+        }
+        const onlyApproved = statuses && statuses.every(value => value === 'approved');
+        if (!onlyApproved && !params.mine && !hasRole(user, 'moderator')) {
+            return { status: 403, error: 'Only moderators can view pending events.' };
+        }
+        query.statuses = statuses;
     }
+
+    return { query };
+};
+
+// The dates a series is expanded over: the listing's range, or a window around today
+// (from the series' start when only an end is given, as for past events)
+const seriesWindow = (event, { from, to }, today) => ({
+    from: from || (to ? event.date : formatDay(addDays(parseDay(today), -DEFAULT_RANGE_PAST_DAYS))),
+    to: to || formatDay(addDays(parseDay(from && from > today ? from : today), DEFAULT_RANGE_FUTURE_DAYS))
 });
 
-app.listen(port, () => {
-    console.log(`Node.js API listening on port ${port}`);
-});
\ No newline at end of file
+// Replaces each approved recurring event with its occurrences, applying per-occurrence
+// exceptions. Pending series stay as one row so they are moderated once.
+const expandSeries = async (events, range, today) => {
+    const series = events.filter(event => event.recurrenceRule && event.status === 'approved');
+    const exceptions = await db.exceptions.listForEvents(series.map(event => event.id));
+
+    return events.flatMap(event => (series.includes(event)
+        ? occurrencesOf(event, exceptions, seriesWindow(event, range, today))
+        : [event]));
+};
+
+// The occurrences of a series dated within `window` ({ from, to }), with their exceptions
+// applied; cancelled occurrences are left out
+const occurrencesOf = (event, exceptions, window) => expandDates(event.date, fromRRule(event.recurrenceRule), window)
+    .map(occurrenceDate => [occurrenceDate, exceptions.find(x => x.eventId === event.id && x.occurrenceDate === occurrenceDate)])
+    .filter(([, exception]) => !(exception && exception.cancelled))
+    .map(([occurrenceDate, exception]) => ({
+        ...event,
+        title: (exception && exception.title) || event.title,
+        description: (exception && exception.description) || event.description,
+        // Each occurrence lasts as long as the series' first
+        ...moveEvent(event, (exception && exception.date) || occurrenceDate, (exception && exception.time) || event.time),
+        occurrenceDate,
+        isModifiedOccurrence: Boolean(exception),
+        // The series' own values, for editing the whole series from any occurrence
+        series: {
+            title: event.title,
+            description: event.description,
+            date: event.date,
+            time: event.time,
+            endDate: event.endDate,
+            endTime: event.endTime
+        }
+    }));
+
+// Whether an event's days overlap the from-to date range
+const overlapsRange = (event, { from, to }) => (!from || (event.endDate || event.date) >= from) && (!to || event.date <= to);
+
+const compareEvents = (sort, order) => (a, b) => {
+    const byDate = `${a.date}T${a.time || ''}`.localeCompare(`${b.date}T${b.time || ''}`) || a.id - b.id;
+    const result = sort === 'title'
+        ? a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }) || byDate
+        : byDate;
+    return order === 'asc' ? result : -result;
+};
+
+// --- Rooms and booking conflicts ---
+
+// Timed events without an end time hold their room this long
+const DEFAULT_BOOKING_MINUTES = 60;
+const MAX_CONFLICTS_LISTED = 10;
+// Leaves room in EventAudit.reason for the note's prefix
+const MAX_CONFLICT_NOTE_LENGTH = 400;
+
+// The times an event holds its room within `window`, one per occurrence for a series, as
+// its timing fields plus startsAt and endsAt
+const bookingsOf = (event, exceptions, window) => (event.recurrenceRule ? occurrencesOf(event, exceptions, window) : [event])
+    .map(({ date, time, endDate, endTime, timeZone }) => {
+        const { startsAt, endsAt } = eventInstants({ date, time, endDate, endTime, timeZone });
+        return {
+            date, time, endDate, endTime, timeZone, startsAt,
+            endsAt: time && !endTime ? new Date(startsAt.getTime() + DEFAULT_BOOKING_MINUTES * 60 * 1000) : endsAt
+        };
+    });
+
+// The dates checked for conflicts with `event`: a series over its first
+// DEFAULT_RANGE_FUTURE_DAYS, anything else over its own days, each with a day to spare
+const conflictWindow = (event) => {
+    const lastDay = event.recurrenceRule
+        ? addDays(parseDay(event.date), DEFAULT_RANGE_FUTURE_DAYS)
+        : addDays(parseDay(event.endDate || event.date), 1);
+    return { from: formatDay(addDays(parseDay(event.date), -1)), to: formatDay(lastDay) };
+};
+
+// Of `others` (pending and approved events with their series' exceptions), those booked into
+// the same room as `event` at an overlapping time within `window`. Each conflicting event is
+// listed once, at its first overlapping date. `excludeId` is the event's own id when it is
+// already stored.
+const conflictsAmong = (event, excludeId, others, exceptions, window) => {
+    const own = bookingsOf({ ...event, id: excludeId }, exceptions, window);
+    const conflicts = [];
+    for (const other of others) {
+        if (other.id === excludeId || other.roomId !== event.roomId) continue;
+
+        const overlap = bookingsOf(other, exceptions, window)
+            .find(booking => own.some(mine => mine.startsAt < booking.endsAt && booking.startsAt < mine.endsAt));
+        if (!overlap) continue;
+
+        const { startsAt, endsAt, ...timing } = overlap;
+        conflicts.push({ id: other.id, title: other.title, status: other.status, ...timing });
+        if (conflicts.length === MAX_CONFLICTS_LISTED) break;
+    }
+    return conflicts;
+};
+
+// Room conflicts of each of `events` (store fields, each already stored and booked into a
+// room), by event id. The other bookings of all the rooms involved are read at once, over
+// the span of every event's window.
+const findRoomConflictsOf = async (events) => {
+    const conflicts = new Map();
+    if (events.length === 0) return conflicts;
+
+    const windows = new Map(events.map(event => [event, conflictWindow(event)]));
+    const from = [...windows.values()].map(window => window.from).sort()[0];
+    const to = [...windows.values()].map(window => window.to).sort().pop();
+    const others = await db.events.list({
+        statuses: ['pending', 'approved'],
+        roomIds: [...new Set(events.map(event => event.roomId))],
+        from,
+        to
+    });
+    const seriesIds = [...new Set([...events, ...others].filter(event => event.recurrenceRule).map(event => event.id))];
+    const exceptions = await db.exceptions.listForEvents(seriesIds);
+
+    for (const [event, window] of windows) {
+        if (!conflicts.has(event.id)) conflicts.set(event.id, conflictsAmong(event, event.id, others, exceptions, window));
+    }
+    return conflicts;
+};
+
+// Pending and approved events booked into the same room as `event` (store fields) at an
+// overlapping time; see conflictsAmong
+const findRoomConflicts = async (event, excludeId = null) => {
+    if (!event.roomId) return [];
+
+    const window = conflictWindow(event);
+    const others = await db.events.list({ statuses: ['pending', 'approved'], roomIds: [event.roomId], ...window });
+    const seriesIds = [excludeId, ...others.filter(other => other.recurrenceRule && other.id !== excludeId).map(other => other.id)]
+        .filter(Boolean);
+    const exceptions = await db.exceptions.listForEvents(seriesIds);
+
+    return conflictsAmong(event, excludeId, others, exceptions, window);
+};
+
+// Fills in the location of an event booked into a registry room, keeping any online link, and
+// checks the room can hold it. Returns { values } or { errors }.
+const applyRoom = async (values) => {
+    if (!values.roomId) return { values };
+
+    const room = await db.rooms.findById(values.roomId);
+    if (!room) {
+        return { errors: [{ field: 'roomId', message: 'Room not found.' }] };
+    }
+    if (values.capacity && room.capacity && values.capacity > room.capacity) {
+        return { errors: [{ field: 'capacity', message: `${room.venueName} ${room.name} holds at most ${room.capacity} people.` }] };
+    }
+    const url = values.location ? values.location.url : null;
+    return { values: { ...values, location: { building: room.venueName, room: room.name, url } } };
+};
+
+// Room conflicts with approved events block a booking unless a moderator overrides them with
+// a conflictNote in the body; conflicts with pending events are settled when one is approved.
+// Sends a 409 listing the conflicts and returns null when blocked; otherwise returns
+// { auditNote } to record with the change (null when nothing was overridden).
+const checkRoomConflicts = async (req, res, event, excludeId = null) => {
+    const blocking = (await findRoomConflicts(event, excludeId)).filter(conflict => conflict.status === 'approved');
+    if (blocking.length === 0) return { auditNote: null };
+
+    const canOverride = hasRole(req.user, 'moderator');
+    if (canOverride && req.body.conflictNote) {
+        return { auditNote: `Room conflict overridden: ${req.body.conflictNote}` };
+    }
+
+    const titles = blocking.map(conflict => `'${conflict.title}' (${conflict.date})`).join(', ');
+    res.status(409).send({
+        message: `The room is already booked at that time for ${titles}.${canOverride ? ' Add a note to book it anyway.' : ''}`,
+        conflicts: blocking,
+        canOverride
+    });
+    return null;
+};
+
+const CONFLICT_NOTE_FIELD = { conflictNote: text({ max: MAX_CONFLICT_NOTE_LENGTH, label: 'Override note' }) };
+
+// GET /api/events
+// Query parameters (all optional):
+//   from, to          YYYY-MM-DD date range, keeping events with any day in it; recurring
+//                     series are expanded into occurrences
+//   when              upcoming | past: events that have not ended yet, or have
+//   status            all, or comma-separated statuses (moderators; others see approved only)
+//   submitter         username; mine=true lists the caller's own events in every status
+//   q                 text contained in the title or description
+//   category, tag,    comma-separated category slugs, tags and building names; online=true
+//   building, online  keeps events with an online link
+//   sort, order       date | title, asc | desc (default date desc)
+//   limit, offset     page size (max 100) and start; without limit every match is returned
+//   facets            true adds facets: { categories, tags, buildings, online } with counts
+// Responds with { events, total, offset, limit, nextOffset }; nextOffset is null on the last page.
+app.get('/api/events', validate({ query: LIST_QUERY }), async (req, res) => {
+    const { query, status, field, error } = parseListQuery(req.query, req.user);
+    if (error) {
+        return status === 400 ? sendErrors(res, [{ field, message: error }]) : res.status(status).send({ message: error });
+    }
+
+    try {
+        const now = new Date();
+        // Upcoming and past are decided by each event's own end instant below; the dates only
+        // narrow the search, with a day to spare for events in zones ahead of or behind ours
+        const today = zonedDateTime(now).date;
+        const yesterday = formatDay(addDays(parseDay(today), -1));
+        const tomorrow = formatDay(addDays(parseDay(today), 1));
+        const from = query.when === 'upcoming' && (!query.from || query.from < yesterday) ? yesterday : query.from;
+        const to = query.when === 'past' && (!query.to || query.to > tomorrow) ? tomorrow : query.to;
+
+        const events = await db.events.list({
+            statuses: query.statuses,
+            submittedBy: query.submittedBy,
+            q: query.q,
+            from,
+            to
+        });
+
+        // Series are expanded here rather than in SQL, so the final date filter, facets, sort
+        // and page are applied to the expanded list; the store's filters narrow it down first.
+        const candidates = (await expandSeries(events, { from, to }, today))
+            .filter(event => overlapsRange(event, query))
+            .filter(event => !query.when || isPastEvent(event, now) === (query.when === 'past'));
+
+        const categories = await db.categories.list();
+        const context = { categorySlugs: new Map(categories.map(category => [category.id, category.slug])) };
+        const matches = candidates
+            .filter(event => matchesFacets(event, query.filters, context))
+            .sort(compareEvents(query.sort, query.order));
+
+        const end = query.limit ? query.offset + query.limit : matches.length;
+        const page = matches.slice(query.offset, end);
+
+        res.json({
+            events: await presentEvents(page, req.user, now),
+            total: matches.length,
+            offset: query.offset,
+            limit: query.limit,
+            nextOffset: end < matches.length ? end : null,
+            ...(query.facets ? { facets: countFacets(candidates, query.filters, categories, context) } : {})
+        });
+    } catch (err) {
+        console.error("GET /api/events error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve events.' });
+    }
+});
+
+const MAX_SUGGESTIONS = 8;
+
+// GET /api/events/search?q=...&limit=&offset=
+// Approved events ranked by relevance across title, description, tags and location, with
+// highlight segments for the matched text. Tolerates prefixes and small typos, which SQL
+// LIKE cannot, so the store only narrows the candidates to events containing pieces of every
+// query word, and those are ranked in process.
+const SEARCH_QUERY = {
+    q: text({ required: true, max: MAX_QUERY_LENGTH, label: 'Search text' }),
+    limit: integer({ min: 1, max: MAX_PAGE_SIZE }),
+    offset: integer({ min: 0 })
+};
+
+app.get('/api/events/search', validate({ query: SEARCH_QUERY }), async (req, res) => {
+    const { q } = req.query;
+    const limit = req.query.limit || PAGE_SIZE_DEFAULT;
+    const offset = req.query.offset || 0;
+
+    if (queryWords(q).length === 0) {
+        return sendErrors(res, [{ field: 'q', message: 'Search text must contain at least one word.' }]);
+    }
+
+    try {
+        const results = searchEvents(await db.events.list({ pieces: queryPieces(q) }), q);
+        const page = results.slice(offset, offset + limit);
+        const events = await presentEvents(page.map(result => result.event), req.user);
+
+        res.json({
+            results: page.map((result, index) => ({ event: events[index], score: result.score, highlights: result.highlights })),
+            total: results.length,
+            offset,
+            limit,
+            nextOffset: offset + limit < results.length ? offset + limit : null
+        });
+    } catch (err) {
+        console.error("GET /api/events/search error:", err.message);
+        res.status(500).send({ message: 'Search failed.' });
+    }
+});
+
+// GET /api/events/suggest?q=...
+// Titles of approved events matching what has been typed so far, for search-as-you-type
+app.get('/api/events/suggest', validate({ query: { q: text({ max: MAX_QUERY_LENGTH, label: 'Search text' }) } }), async (req, res) => {
+    const q = req.query.q || '';
+    if (queryWords(q).length === 0) {
+        return res.json([]);
+    }
+
+    try {
+        const results = searchEvents(await db.events.list({ pieces: queryPieces(q) }), q, { fields: { title: 1 } });
+        const seen = new Set();
+        const suggestions = [];
+        for (const { event, highlights } of results) {
+            if (seen.has(event.title.toLowerCase())) continue;
+            seen.add(event.title.toLowerCase());
+            suggestions.push({ id: event.id, title: event.title, highlight: highlights.title });
+            if (suggestions.length === MAX_SUGGESTIONS) break;
+        }
+        res.json(suggestions);
+    } catch (err) {
+        console.error("GET /api/events/suggest error:", err.message);
+        res.status(500).send({ message: 'Failed to load suggestions.' });
+    }
+});
+
+// POST /api/events
+// Body: the event fields, plus conflictNote for a moderator booking a room over an approved event
+app.post('/api/events', requireRole('submitter'), requireVerifiedEmail, validate({ body: { ...EVENT_FIELDS, ...CONFLICT_NOTE_FIELD } }), async (req, res) => {
+    // Identity comes from the session, never from the request body
+    const userId = req.user.username;
+    const { conflictNote, ...fields } = req.body;
+
+    try {
+        const { values: eventValues, errors } = toEventValues(fields, await db.categories.list());
+        if (errors) {
+            return sendErrors(res, errors);
+        }
+        const { values, errors: roomErrors } = await applyRoom(eventValues);
+        if (roomErrors) {
+            return sendErrors(res, roomErrors);
+        }
+        const booking = await checkRoomConflicts(req, res, values);
+        if (!booking) return;
+
+        // Auto-approve for moderators and admins, otherwise require approval
+        const status = hasRole(req.user, 'moderator') ? 'approved' : 'pending';
+        
+        const event = await db.events.create({ ...values, userId, status });
+        await db.audit.record({ eventId: event.id, action: 'created', actor: req.user, toStatus: status, reason: booking.auditNote });
+        await publishChange('created', event, req.user);
+        if (status === 'pending') {
+            await notifyPendingReview(event, req.user);
+        }
+
+        res.status(201).json(await presentEvent(event, req.user));
+    } catch (err) {
+        console.error("POST /api/events failure: FULL ERROR:", err.message);
+        res.status(500).send({ message: 'Database query failed.' });
+    }
+});
+
+// --- Bulk import ---
+
+// Identifies likely duplicates: same title (ignoring case), date and time
+const duplicateKey = ({ title, date, time }) =>
+    [String(title).trim().toLowerCase(), normalizeDate(date), normalizeTime(time)].join('|');
+
+// Reads an import request and checks every row as POST /api/events would. Rows that repeat an
+// existing pending/approved event, or an earlier row of the same file, are flagged as duplicates.
+// Returns { columns, mapping, rows } or { error }.
+const previewImport = async (body) => {
+    const file = readImportFile(body);
+    if (file.error) return file;
+
+    const existing = new Map(
+        (await db.events.list({ statuses: ['pending', 'approved'] })).map(event => [duplicateKey(event), event.id])
+    );
+    const categories = await db.categories.list();
+    const seen = new Map();
+
+    const rows = file.entries.map(({ row, input, errors: readErrors }) => {
+        const { values, errors = [] } = readErrors.length > 0 ? { errors: readErrors } : validateEventInput(input, { categories });
+        if (!values) {
+            // Read errors are messages; field errors keep only theirs, as rows are shown whole
+            return { row, input, status: 'invalid', errors: errors.map(error => error.message || error), duplicateOf: null };
+        }
+
+        const key = duplicateKey(values);
+        const duplicateOf = existing.has(key)
+            ? { eventId: existing.get(key) }
+            : seen.has(key) ? { row: seen.get(key) } : null;
+        if (!seen.has(key)) seen.set(key, row);
+
+        return { row, input, values, status: duplicateOf ? 'duplicate' : 'ok', errors: [], duplicateOf };
+    });
+
+    return { columns: file.columns, mapping: file.mapping, rows };
+};
+
+// A CSV column mapping: { field: 'Column header' }
+const readMapping = (value) => {
+    if (value === undefined || value === null) return { value: null };
+    if (typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(column => typeof column !== 'string')) {
+        return { error: 'Mapping must assign column headers to event fields.' };
+    }
+    return { value };
+};
+
+// Row numbers to leave out of an import
+const readRowNumbers = (value) => {
+    if (value === undefined || value === null) return { value: [] };
+    if (!Array.isArray(value) || value.some(row => !Number.isInteger(row))) {
+        return { error: 'Exclude must be a list of row numbers.' };
+    }
+    return { value };
+};
+
+const IMPORT_FIELDS = {
+    format: oneOf(IMPORT_FORMATS, { required: true }),
+    content: text({ required: true, trim: false, label: 'Import file' }),
+    mapping: custom(readMapping),
+    exclude: custom(readRowNumbers)
+};
+
+// POST /api/events/import/preview
+// Body: { format: 'csv' | 'ics', content, mapping? } where mapping assigns CSV column headers
+// to event fields ({ title: 'Event Name', ... }). Nothing is saved.
+app.post('/api/events/import/preview', requireRole('admin'), validate({ body: IMPORT_FIELDS }), async (req, res) => {
+    try {
+        const preview = await previewImport(req.body);
+        if (preview.error) {
+            return sendErrors(res, [{ field: 'content', message: preview.error }]);
+        }
+
+        const count = (status) => preview.rows.filter(row => row.status === status).length;
+        res.json({
+            columns: preview.columns,
+            mapping: preview.mapping,
+            rows: preview.rows.map(({ values, ...row }) => row),
+            summary: { total: preview.rows.length, ok: count('ok'), invalid: count('invalid'), duplicate: count('duplicate') }
+        });
+    } catch (err) {
+        console.error("POST /api/events/import/preview error:", err.message);
+        res.status(500).send({ message: 'Failed to read import file.' });
+    }
+});
+
+// POST /api/events/import
+// Same body as the preview, plus optional exclude: [row numbers]. Creates every valid,
+// non-duplicate row as a pending event, all in one transaction.
+app.post('/api/events/import', requireRole('admin'), requireVerifiedEmail, validate({ body: IMPORT_FIELDS }), async (req, res) => {
+    try {
+        const preview = await previewImport(req.body);
+        if (preview.error) {
+            return sendErrors(res, [{ field: 'content', message: preview.error }]);
+        }
+
+        const accepted = preview.rows.filter(row => row.status === 'ok' && !req.body.exclude.includes(row.row));
+        if (accepted.length === 0) {
+            return sendErrors(res, [{ field: null, message: 'No rows to import.' }]);
+        }
+
+        const created = await db.events.createMany(
+            accepted.map(row => ({ ...row.values, userId: req.user.username, status: 'pending' })),
+            { actor: req.user, reason: `Imported from ${req.body.format.toUpperCase()} file` }
+        );
+        for (const event of created) {
+            await publishChange('created', event, req.user);
+        }
+
+        res.status(201).json({
+            message: `Imported ${created.length} event${created.length === 1 ? '' : 's'} for review.`,
+            skipped: preview.rows.length - created.length,
+            events: await presentEvents(created, req.user)
+        });
+    } catch (err) {
+        console.error("POST /api/events/import error:", err.message);
+        res.status(500).send({ message: 'Import failed; no events were created.' });
+    }
+});
+
+// PUT/PATCH /api/events/:id
+// Submitters may edit their own events; moderators may edit any event.
+// Fields left out of the body keep their current values.
+const updateEvent = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const existing = await db.events.findById(id);
+
+        if (!existing) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        const canModerate = hasRole(req.user, 'moderator');
+        if (!canModerate && existing.userId !== req.user.username) {
+            return res.status(403).send({ message: 'You can only edit events you submitted.' });
+        }
+
+        // The body holds only the fields being changed, already checked against EVENT_FIELDS
+        const pick = (field) => (req.body[field] !== undefined ? req.body[field] : existing[field]);
+        const title = pick('title');
+        const description = pick('description');
+        const timeZone = pick('timeZone') || DEFAULT_TIME_ZONE;
+
+        // A new start without a new end moves the end along with it
+        const keepsLength = req.body.endDate === undefined && req.body.endTime === undefined;
+        const start = { date: pick('date'), time: pick('time') };
+        const { timing, errors: timingErrors } = checkTiming(keepsLength
+            ? moveEvent(existing, start.date, start.time)
+            : { ...start, endDate: pick('endDate'), endTime: pick('endTime') });
+        if (timingErrors) {
+            return sendErrors(res, timingErrors);
+        }
+        const { date, time, endDate, endTime } = timing;
+        const tags = pick('tags');
+        const recurrenceRule = req.body.recurrence !== undefined ? toRRule(req.body.recurrence) : existing.recurrenceRule;
+
+        const { values: booked, errors: roomErrors } = await applyRoom({
+            capacity: pick('capacity'),
+            roomId: pick('roomId'),
+            location: pick('location')
+        });
+        if (roomErrors) {
+            return sendErrors(res, roomErrors);
+        }
+        const { capacity, roomId, location } = booked;
+
+        const { categoryId, error: categoryError } = req.body.category !== undefined
+            ? resolveCategory(req.body.category, await db.categories.list())
+            : { categoryId: existing.categoryId };
+        if (categoryError) {
+            return sendErrors(res, [{ field: 'category', message: categoryError }]);
+        }
+
+        // Changing what, when or where sends an approved event back to the moderation queue
+        // unless a moderator made the edit. Description, category and tag edits keep the
+        // approval. Editing a rejected event resubmits it.
+        const isSubstantive = title !== existing.title
+            || date !== existing.date
+            || time !== existing.time
+            || endDate !== existing.endDate
+            || endTime !== existing.endTime
+            || timeZone !== existing.timeZone
+            || recurrenceRule !== existing.recurrenceRule
+            || roomId !== existing.roomId
+            || JSON.stringify(location) !== JSON.stringify(existing.location);
+        let status = existing.status;
+        if (!canModerate && (status === 'rejected' || (status === 'approved' && isSubstantive))) {
+            status = 'pending';
+        }
+
+        // Only a new room or new times can create a double-booking
+        let booking = { auditNote: null };
+        if (roomId && isSubstantive && status !== 'rejected') {
+            booking = await checkRoomConflicts(req, res, { date, time, endDate, endTime, timeZone, recurrenceRule, roomId }, existing.id);
+            if (!booking) return;
+        }
+
+        const event = await db.events.update(id, {
+            title,
+            description,
+            date,
+            time,
+            endDate,
+            endTime,
+            timeZone,
+            status,
+            capacity,
+            recurrenceRule,
+            categoryId,
+            tags,
+            location,
+            roomId
+        });
+        await db.audit.record({
+            eventId: event.id,
+            action: 'updated',
+            actor: req.user,
+            fromStatus: existing.status,
+            toStatus: status,
+            reason: booking.auditNote
+        });
+        await publishChange('updated', event, req.user);
+        if (status === 'pending' && existing.status !== 'pending') {
+            await notifyPendingReview(event, req.user);
+        }
+
+        // Added or removed seats may let people off the waitlist
+        if (capacity !== existing.capacity) {
+            await notify('rsvp_promoted', await db.rsvps.promote(event.id), { event });
+        }
+
+        res.json(await presentEvent(event, req.user));
+    } catch (err) {
+        console.error("PUT /api/events/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to update event.' });
+    }
+};
+
+const validateUpdate = validate({ params: ID_PARAMS, body: { ...EVENT_FIELDS, ...CONFLICT_NOTE_FIELD }, partial: true });
+app.put('/api/events/:id', requireRole('submitter'), requireVerifiedEmail, validateUpdate, updateEvent);
+app.patch('/api/events/:id', requireRole('submitter'), requireVerifiedEmail, validateUpdate, updateEvent);
+
+// Moderation actions and the statuses each one may move an event from
+const STATUS_ACTIONS = {
+    approve: { from: ['pending', 'rejected'], to: 'approved', role: 'moderator' },
+    reject: { from: ['pending', 'approved'], to: 'rejected', role: 'moderator', reasonRequired: true },
+    // Submitters may also cancel their own events
+    cancel: { from: ['pending', 'approved'], to: 'cancelled', role: 'submitter' }
+};
+
+const MAX_REASON_LENGTH = 500;
+
+// PUT /api/events/:id/approve, /reject and /cancel
+const changeStatus = (action) => async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = STATUS_ACTIONS[action];
+    const { reason } = req.body;
+
+    try {
+        const existing = await db.events.findById(id);
+
+        if (!existing) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        if (!hasRole(req.user, 'moderator') && existing.userId !== req.user.username) {
+            return res.status(403).send({ message: `You can only ${action} events you submitted.` });
+        }
+
+        if (!from.includes(existing.status)) {
+            return res.status(409).send({ message: `Cannot ${action} an event that is ${existing.status}.` });
+        }
+
+        // Approving an event into a room already booked by an approved one needs an override note
+        let booking = { auditNote: null };
+        if (to === 'approved') {
+            booking = await checkRoomConflicts(req, res, existing, existing.id);
+            if (!booking) return;
+        }
+
+        const event = await db.events.setStatus(id, to, reason);
+        await db.audit.record({
+            eventId: event.id,
+            action: to,
+            actor: req.user,
+            fromStatus: existing.status,
+            toStatus: to,
+            reason: booking.auditNote || reason
+        });
+        await publishChange(to === 'approved' ? 'approved' : 'updated', event, req.user);
+
+        // Submitters hear about moderators' decisions; attendees about cancellations
+        if (to === 'approved' || to === 'rejected') {
+            const submitter = await submitterOf(event);
+            if (submitter && submitter.id !== req.user.id) {
+                await notify(`event_${to}`, [submitter], { event });
+            }
+        } else if (to === 'cancelled') {
+            const attendees = (await db.rsvps.listForEvent(event.id))
+                .map(({ userId, username, email }) => ({ id: userId, username, email }));
+            await notify('event_cancelled', attendees.filter(user => user.id !== req.user.id), { event });
+        }
+
+        res.status(200).send({ message: `Event ${to} successfully`, event: await presentEvent(event, req.user) });
+    } catch (err) {
+        console.error(`PUT /api/events/:id/${action} error:`, err.message);
+        res.status(500).send({ message: `Failed to ${action} event.` });
+    }
+};
+
+Object.entries(STATUS_ACTIONS).forEach(([action, { role, reasonRequired = false }]) => {
+    const body = {
+        reason: text({ required: reasonRequired, max: MAX_REASON_LENGTH }),
+        ...(action === 'approve' ? CONFLICT_NOTE_FIELD : {})
+    };
+    app.put(`/api/events/:id/${action}`, requireRole(role), validate({ params: ID_PARAMS, body }), changeStatus(action));
+});
+
+// GET /api/events/:id/history
+// Moderators can read the history of any event, including deleted ones; submitters only their own.
+app.get('/api/events/:id/history', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+        const canModerate = hasRole(req.user, 'moderator');
+
+        if (!event && !canModerate) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+        if (event && !canModerate && event.userId !== req.user.username) {
+            return res.status(403).send({ message: 'You can only view the history of events you submitted.' });
+        }
+
+        const history = await db.audit.listForEvent(id);
+
+        if (!event && history.length === 0) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        res.json(history);
+    } catch (err) {
+        console.error("GET /api/events/:id/history error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve event history.' });
+    }
+});
+
+// Loads a recurring event for an occurrence route and checks the caller may change it.
+// Sends the error response and returns null if not.
+const findOccurrenceSeries = async (req, res) => {
+    const { id, date } = req.params;
+    const event = await db.events.findById(id);
+
+    if (!event) {
+        res.status(404).send({ message: 'Event not found' });
+        return null;
+    }
+    if (!hasRole(req.user, 'moderator') && event.userId !== req.user.username) {
+        res.status(403).send({ message: 'You can only change events you submitted.' });
+        return null;
+    }
+    if (!event.recurrenceRule) {
+        sendErrors(res, [{ field: null, message: 'This event is not part of a recurring series.' }]);
+        return null;
+    }
+    if (!expandDates(event.date, fromRRule(event.recurrenceRule), { from: date, to: date }).includes(date)) {
+        res.status(404).send({ message: `The series has no occurrence on ${date}.` });
+        return null;
+    }
+    return event;
+};
+
+const OCCURRENCE_PARAMS = { ...ID_PARAMS, date: isoDate({ required: true, label: 'Occurrence date' }) };
+
+// Blank fields follow the series
+const OCCURRENCE_FIELDS = {
+    title: text({ max: MAX_TITLE_LENGTH }),
+    description: text({ max: MAX_DESCRIPTION_LENGTH }),
+    date: isoDate(),
+    time: isoTime()
+};
+
+// PUT /api/events/:id/occurrences/:date
+// Overrides title, description, date or time for a single occurrence of a series. As with
+// edits to the whole series, a submitter's new title, date or time sends an approved series
+// back for review, and any change resubmits a rejected one.
+app.put('/api/events/:id/occurrences/:date', requireRole('submitter'), requireVerifiedEmail, validate({ params: OCCURRENCE_PARAMS, body: { ...OCCURRENCE_FIELDS, ...CONFLICT_NOTE_FIELD } }), async (req, res) => {
+    const { date: occurrenceDate } = req.params;
+
+    try {
+        const event = await findOccurrenceSeries(req, res);
+        if (!event) return;
+
+        const { conflictNote, ...overrides } = req.body;
+
+        // Values equal to the series' own add nothing, so they are not stored as overrides
+        if (overrides.title === event.title) overrides.title = null;
+        if (overrides.description === event.description) overrides.description = null;
+        if (overrides.date === occurrenceDate) overrides.date = null;
+        if (overrides.time === event.time) overrides.time = null;
+
+        // The occurrence as it was and as it will be
+        const previous = (await db.exceptions.listForEvents([event.id]))
+            .find(exception => exception.occurrenceDate === occurrenceDate) || {};
+        const before = {
+            title: previous.title || event.title,
+            date: previous.date || occurrenceDate,
+            time: previous.time || event.time
+        };
+        const after = {
+            title: overrides.title || event.title,
+            date: overrides.date || occurrenceDate,
+            time: overrides.time || event.time
+        };
+        const isMoved = after.date !== before.date || after.time !== before.time;
+        const isSubstantive = isMoved || after.title !== before.title;
+
+        let status = event.status;
+        if (!hasRole(req.user, 'moderator') && (status === 'rejected' || (status === 'approved' && isSubstantive))) {
+            status = 'pending';
+        }
+
+        // The occurrence is checked alone; the rest of the series keeps its times
+        let booking = { auditNote: null };
+        if (event.roomId && isMoved && status !== 'rejected') {
+            booking = await checkRoomConflicts(req, res, {
+                ...moveEvent(event, after.date, after.time),
+                timeZone: event.timeZone,
+                roomId: event.roomId
+            }, event.id);
+            if (!booking) return;
+        }
+
+        // An occurrence with nothing left to override goes back to following the series
+        if (Object.values(overrides).every(value => value === null)) {
+            await db.exceptions.delete(event.id, occurrenceDate);
+        } else {
+            await db.exceptions.upsert(event.id, occurrenceDate, overrides);
+        }
+        const updated = status === event.status ? event : await db.events.setStatus(event.id, status);
+        await db.audit.record({
+            eventId: updated.id,
+            action: 'updated',
+            actor: req.user,
+            fromStatus: event.status,
+            toStatus: status,
+            reason: [`Changed the occurrence on ${occurrenceDate}`, booking.auditNote].filter(Boolean).join('. ')
+        });
+        await publishChange('updated', updated, req.user);
+        if (status === 'pending' && event.status !== 'pending') {
+            await notifyPendingReview(updated, req.user);
+        }
+
+        res.status(200).send({ message: 'Occurrence updated.', status });
+    } catch (err) {
+        console.error("PUT /api/events/:id/occurrences/:date error:", err.message);
+        res.status(500).send({ message: 'Failed to update occurrence.' });
+    }
+});
+
+// DELETE /api/events/:id/occurrences/:date
+// Cancels a single occurrence; the rest of the series is unaffected
+app.delete('/api/events/:id/occurrences/:date', requireRole('submitter'), requireVerifiedEmail, validate({ params: OCCURRENCE_PARAMS }), async (req, res) => {
+    const { date: occurrenceDate } = req.params;
+
+    try {
+        const event = await findOccurrenceSeries(req, res);
+        if (!event) return;
+
+        await db.exceptions.upsert(event.id, occurrenceDate, { cancelled: true });
+        await db.audit.record({
+            eventId: event.id,
+            action: 'updated',
+            actor: req.user,
+            fromStatus: event.status,
+            toStatus: event.status,
+            reason: `Cancelled the occurrence on ${occurrenceDate}`
+        });
+        await publishChange('updated', event, req.user);
+
+        res.status(200).send({ message: 'Occurrence cancelled.' });
+    } catch (err) {
+        console.error("DELETE /api/events/:id/occurrences/:date error:", err.message);
+        res.status(500).send({ message: 'Failed to cancel occurrence.' });
+    }
+});
+
+// POST /api/events/:id/rsvp
+// Takes a seat if one is free, otherwise joins the waitlist
+app.post('/api/events/:id/rsvp', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+
+        if (!event || event.status !== 'approved') {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        const rsvpStatus = await db.rsvps.add(event.id, req.user.id);
+
+        res.status(201).json({
+            message: rsvpStatus === 'going' ? 'You are going to this event.' : 'The event is full; you have been added to the waitlist.',
+            status: rsvpStatus,
+            event: await presentEvent(event, req.user)
+        });
+    } catch (err) {
+        console.error("POST /api/events/:id/rsvp error:", err.message);
+        res.status(500).send({ message: 'Failed to RSVP.' });
+    }
+});
+
+// DELETE /api/events/:id/rsvp
+// Frees the caller's seat (or waitlist spot); the first waitlisted person takes a freed seat
+app.delete('/api/events/:id/rsvp', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+
+        if (!event) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        const removedStatus = await db.rsvps.remove(event.id, req.user.id);
+
+        if (!removedStatus) {
+            return res.status(404).send({ message: 'You have not RSVP\'d to this event.' });
+        }
+
+        if (removedStatus === 'going') {
+            await notify('rsvp_promoted', await db.rsvps.promote(event.id), { event });
+        }
+
+        res.status(200).json({ message: 'RSVP cancelled.', event: await presentEvent(event, req.user) });
+    } catch (err) {
+        console.error("DELETE /api/events/:id/rsvp error:", err.message);
+        res.status(500).send({ message: 'Failed to cancel RSVP.' });
+    }
+});
+
+// GET /api/events/:id/attendees[?format=csv]
+// Available to the event's submitter and to moderators
+app.get('/api/events/:id/attendees', requireAuth, validate({ params: ID_PARAMS, query: { format: oneOf(['csv']) } }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+
+        if (!event) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+        if (!hasRole(req.user, 'moderator') && event.userId !== req.user.username) {
+            return res.status(403).send({ message: 'Only the organizer can view the attendee list.' });
+        }
+
+        const attendees = await db.rsvps.listForEvent(event.id);
+
+        if (req.query.format === 'csv') {
+            const csv = toCsv(attendees, [
+                { key: 'username', header: 'Username' },
+                { key: 'email', header: 'Email' },
+                { key: 'status', header: 'Status' },
+                { key: 'createdAt', header: 'RSVP Time' }
+            ]);
+            return res
+                .type('text/csv')
+                .attachment(`event-${event.id}-attendees.csv`)
+                .send(csv);
+        }
+
+        res.json(attendees);
+    } catch (err) {
+        console.error("GET /api/events/:id/attendees error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve attendees.' });
+    }
+});
+
+// POST /api/events/:id/bookmark
+app.post('/api/events/:id/bookmark', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+
+        if (!event || event.status !== 'approved') {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        await db.bookmarks.add(event.id, req.user.id);
+        res.status(201).json({ message: 'Event bookmarked.', event: await presentEvent(event, req.user) });
+    } catch (err) {
+        console.error("POST /api/events/:id/bookmark error:", err.message);
+        res.status(500).send({ message: 'Failed to bookmark event.' });
+    }
+});
+
+// DELETE /api/events/:id/bookmark
+app.delete('/api/events/:id/bookmark', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+
+        if (!event) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+        if (!await db.bookmarks.remove(event.id, req.user.id)) {
+            return res.status(404).send({ message: 'You have not bookmarked this event.' });
+        }
+
+        res.status(200).json({ message: 'Bookmark removed.', event: await presentEvent(event, req.user) });
+    } catch (err) {
+        console.error("DELETE /api/events/:id/bookmark error:", err.message);
+        res.status(500).send({ message: 'Failed to remove bookmark.' });
+    }
+});
+
+// --- Comments and questions ---
+
+// Column size of EventComments.body
+const MAX_COMMENT_LENGTH = 2000;
+
+// Organizers (the submitter, or any moderator) can pin answers
+const organizes = (user, event) => hasRole(user, 'moderator') || user.username === event.userId;
+
+// Shapes a comment for `user`. A hidden comment keeps its text only for moderators and its
+// author; a deleted one only its place in the thread.
+const presentComment = (comment, user, event) => {
+    const isAuthor = comment.userId === user.id;
+    const canModerate = hasRole(user, 'moderator');
+    const deleted = Boolean(comment.deletedAt);
+    const hidden = Boolean(comment.hiddenAt);
+    const readable = !deleted && (!hidden || canModerate || isAuthor);
+    return {
+        id: comment.id,
+        eventId: comment.eventId,
+        parentId: comment.parentId,
+        username: deleted ? null : comment.username,
+        body: readable ? comment.body : null,
+        pinned: comment.pinned,
+        hidden,
+        hiddenReason: hidden && readable ? comment.hiddenReason : null,
+        hiddenBy: hidden && canModerate ? comment.hiddenBy : null,
+        deleted,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        canEdit: isAuthor && !deleted && !hidden,
+        canDelete: (isAuthor || canModerate) && !deleted,
+        canPin: organizes(user, event) && !deleted && !hidden,
+        canHide: canModerate && !deleted
+    };
+};
+
+// The event's comments as threads: top-level comments with their replies, pinned ones first
+// and otherwise oldest first. Comments the user cannot read are left out, unless readable
+// replies hang from them.
+const commentThreads = async (event, user) => {
+    const comments = (await db.comments.listForEvent(event.id)).map(comment => presentComment(comment, user, event));
+    const readable = (comment) => comment.body !== null;
+    const pinnedFirst = (a, b) => Number(b.pinned) - Number(a.pinned);
+
+    const threads = comments
+        .filter(comment => comment.parentId === null)
+        .map(comment => ({
+            ...comment,
+            replies: comments.filter(reply => reply.parentId === comment.id && readable(reply)).sort(pinnedFirst)
+        }))
+        .filter(thread => readable(thread) || thread.replies.length > 0)
+        .sort(pinnedFirst);
+    const total = threads.reduce((sum, thread) => sum + (readable(thread) ? 1 : 0) + thread.replies.length, 0);
+    return { threads, total };
+};
+
+// Loads a comment and its event for a /api/comments/:id route, sending a 404 and returning
+// null when either is missing or the event is not visible to the caller
+const findComment = async (req, res) => {
+    const comment = await db.comments.findById(req.params.id);
+    const event = comment && await db.events.findById(comment.eventId);
+    if (!comment || !event || !canSeeEvent(req.user, event) || comment.deletedAt) {
+        res.status(404).send({ message: 'Comment not found' });
+        return null;
+    }
+    return { comment, event };
+};
+
+// GET /api/events/:id/comments
+// { threads: [{ ...comment, replies: [comment] }], total }. Each comment says what the caller
+// may do with it (canEdit, canDelete, canPin, canHide).
+app.get('/api/events/:id/comments', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const event = await db.events.findById(req.params.id);
+        if (!event || !canSeeEvent(req.user, event)) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+        res.json(await commentThreads(event, req.user));
+    } catch (err) {
+        console.error("GET /api/events/:id/comments error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve comments.' });
+    }
+});
+
+const COMMENT_FIELDS = {
+    body: text({ required: true, max: MAX_COMMENT_LENGTH, label: 'Comment' }),
+    parentId: integer({ min: 1, label: 'Reply to' })
+};
+
+// POST /api/events/:id/comments
+// Body: { body, parentId? }. Replies join the thread of the comment they answer, so a reply
+// to a reply goes under the same top-level comment. The organizer hears about new
+// comments, and authors about replies to them.
+app.post('/api/events/:id/comments', requireAuth, requireVerifiedEmail, validate({ params: ID_PARAMS, body: COMMENT_FIELDS }), async (req, res) => {
+    const { body, parentId } = req.body;
+
+    try {
+        const event = await db.events.findById(req.params.id);
+        if (!event || !canSeeEvent(req.user, event)) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+        if (event.status !== 'approved') {
+            return res.status(409).send({ message: 'Comments open once the event is approved.' });
+        }
+
+        const parent = parentId ? await db.comments.findById(parentId) : null;
+        if (parentId && (!parent || parent.eventId !== event.id || parent.deletedAt)) {
+            return sendErrors(res, [{ field: 'parentId', message: 'The comment being replied to was not found.' }]);
+        }
+        const threadId = parent ? parent.parentId || parent.id : null;
+
+        const comment = await db.comments.create({ eventId: event.id, parentId: threadId, userId: req.user.id, body });
+
+        const organizer = await submitterOf(event);
+        const thread = threadId ? await db.comments.findById(threadId) : null;
+        const repliedTo = [parent, thread].filter(Boolean).map(({ userId }) => userId);
+        const repliedToUsers = (await db.users.list()).filter(user => repliedTo.includes(user.id) && user.id !== req.user.id);
+        await notify('comment_reply', repliedToUsers, { event, comment });
+        if (organizer && organizer.id !== req.user.id && !repliedToUsers.some(user => user.id === organizer.id)) {
+            await notify('comment_posted', [organizer], { event, comment });
+        }
+
+        res.status(201).json(presentComment(comment, req.user, event));
+    } catch (err) {
+        console.error("POST /api/events/:id/comments error:", err.message);
+        res.status(500).send({ message: 'Failed to post comment.' });
+    }
+});
+
+// PUT /api/comments/:id
+// Body: { body }. Authors can edit their own comments until a moderator hides them.
+app.put('/api/comments/:id', requireAuth, validate({ params: ID_PARAMS, body: { body: COMMENT_FIELDS.body } }), async (req, res) => {
+    try {
+        const found = await findComment(req, res);
+        if (!found) return;
+        const { comment, event } = found;
+
+        if (comment.userId !== req.user.id) {
+            return res.status(403).send({ message: 'You can only edit your own comments.' });
+        }
+        if (comment.hiddenAt) {
+            return res.status(409).send({ message: 'A moderator hid this comment, so it cannot be edited.' });
+        }
+
+        res.json(presentComment(await db.comments.update(comment.id, { body: req.body.body }), req.user, event));
+    } catch (err) {
+        console.error("PUT /api/comments/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to update comment.' });
+    }
+});
+
+// DELETE /api/comments/:id
+// Authors can delete their own comments; moderators any comment
+app.delete('/api/comments/:id', requireAuth, validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const found = await findComment(req, res);
+        if (!found) return;
+
+        if (found.comment.userId !== req.user.id && !hasRole(req.user, 'moderator')) {
+            return res.status(403).send({ message: 'You can only delete your own comments.' });
+        }
+
+        await db.comments.delete(found.comment.id);
+        res.status(200).json({ message: 'Comment deleted.' });
+    } catch (err) {
+        console.error("DELETE /api/comments/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to delete comment.' });
+    }
+});
+
+// PUT /api/comments/:id/pin
+// Body: { pinned }. The organizer pins the answer to a question (a reply), or a top-level
+// comment to keep it first; pinning one unpins the others at the same level.
+app.put('/api/comments/:id/pin', requireAuth, validate({ params: ID_PARAMS, body: { pinned: boolean({ required: true }) } }), async (req, res) => {
+    try {
+        const found = await findComment(req, res);
+        if (!found) return;
+        const { comment, event } = found;
+
+        if (!organizes(req.user, event)) {
+            return res.status(403).send({ message: 'Only the event\'s organizer can pin comments.' });
+        }
+        if (comment.hiddenAt) {
+            return res.status(409).send({ message: 'Hidden comments cannot be pinned.' });
+        }
+
+        res.json(presentComment(await db.comments.setPinned(comment.id, req.body.pinned), req.user, event));
+    } catch (err) {
+        console.error("PUT /api/comments/:id/pin error:", err.message);
+        res.status(500).send({ message: 'Failed to pin comment.' });
+    }
+});
+
+// PUT /api/comments/:id/hide
+// Body: { hidden, reason? }. Moderators hide abusive comments from everyone but moderators
+// and the author, who sees the reason; hidden comments are also unpinned.
+app.put('/api/comments/:id/hide', requireRole('moderator'), validate({
+    params: ID_PARAMS,
+    body: { hidden: boolean({ required: true }), reason: text({ max: MAX_REASON_LENGTH }) }
+}), async (req, res) => {
+    const { hidden, reason } = req.body;
+
+    try {
+        const found = await findComment(req, res);
+        if (!found) return;
+        const { comment, event } = found;
+
+        if (hidden && comment.pinned) {
+            await db.comments.setPinned(comment.id, false);
+        }
+        const updated = await db.comments.setHidden(comment.id, hidden ? { hiddenBy: req.user.username, reason } : null);
+        res.json(presentComment(updated, req.user, event));
+    } catch (err) {
+        console.error("PUT /api/comments/:id/hide error:", err.message);
+        res.status(500).send({ message: 'Failed to hide comment.' });
+    }
+});
+
+// --- Categories ---
+
+// Column size of Categories.slug
+const MAX_SLUG_LENGTH = 50;
+
+// "Arts & Culture" -> "arts-culture"
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, MAX_SLUG_LENGTH);
+
+const CATEGORY_FIELDS = {
+    name: text({ required: true, max: MAX_CATEGORY_NAME_LENGTH }),
+    slug: text({ max: MAX_SLUG_LENGTH })
+};
+
+// GET /api/categories
+app.get('/api/categories', async (req, res) => {
+    try {
+        res.json(await db.categories.list());
+    } catch (err) {
+        console.error("GET /api/categories error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve categories.' });
+    }
+});
+
+// POST /api/categories
+// Body: { name, slug? }; the slug, used in filters and API requests, defaults to one made from the name
+app.post('/api/categories', requireRole('admin'), validate({ body: CATEGORY_FIELDS }), async (req, res) => {
+    const { name } = req.body;
+    const slug = slugify(req.body.slug || name);
+    if (!slug) {
+        return sendErrors(res, [{ field: req.body.slug ? 'slug' : 'name', message: 'Slug must contain letters or numbers.' }]);
+    }
+
+    try {
+        if ((await db.categories.list()).some(category => category.slug === slug)) {
+            return res.status(409).send({ message: `A category with slug '${slug}' already exists.` });
+        }
+        res.status(201).json(await db.categories.create({ slug, name }));
+    } catch (err) {
+        console.error("POST /api/categories error:", err.message);
+        res.status(500).send({ message: 'Failed to create category.' });
+    }
+});
+
+// PUT /api/categories/:id
+// Renames a category; its slug stays the same so saved filters and links keep working
+app.put('/api/categories/:id', requireRole('admin'), validate({ params: ID_PARAMS, body: { name: CATEGORY_FIELDS.name } }), async (req, res) => {
+    const { name } = req.body;
+
+    try {
+        const category = await db.categories.update(req.params.id, { name });
+        if (!category) {
+            return res.status(404).send({ message: 'Category not found' });
+        }
+        res.json(category);
+    } catch (err) {
+        console.error("PUT /api/categories/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to update category.' });
+    }
+});
+
+// DELETE /api/categories/:id
+// Events in the category are kept, uncategorised
+app.delete('/api/categories/:id', requireRole('admin'), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        if (!(await db.categories.delete(req.params.id))) {
+            return res.status(404).send({ message: 'Category not found' });
+        }
+        res.status(200).json({ message: 'Category deleted.' });
+    } catch (err) {
+        console.error("DELETE /api/categories/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to delete category.' });
+    }
+});
+
+// --- Venues and rooms ---
+
+const VENUE_FIELDS = {
+    name: text({ required: true, max: LOCATION_LIMITS.building }),
+    address: text({ max: 200 })
+};
+
+const ROOM_FIELDS = {
+    name: text({ required: true, max: LOCATION_LIMITS.room }),
+    capacity: integer({ min: 1, max: MAX_CAPACITY }),
+    accessible: boolean({ defaultValue: false }),
+    accessibilityNotes: text({ max: 500, label: 'Accessibility notes' })
+};
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// GET /api/venues
+// Every venue with its rooms: [{ id, name, address, rooms: [{ id, name, capacity, accessible, accessibilityNotes }] }]
+app.get('/api/venues', async (req, res) => {
+    try {
+        res.json(await db.venues.list());
+    } catch (err) {
+        console.error("GET /api/venues error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve venues.' });
+    }
+});
+
+// POST /api/venues
+// Body: { name, address? }
+app.post('/api/venues', requireRole('admin'), validate({ body: VENUE_FIELDS }), async (req, res) => {
+    try {
+        if ((await db.venues.list()).some(venue => sameName(venue.name, req.body.name))) {
+            return res.status(409).send({ message: `A venue named '${req.body.name}' already exists.` });
+        }
+        res.status(201).json(await db.venues.create(req.body));
+    } catch (err) {
+        console.error("POST /api/venues error:", err.message);
+        res.status(500).send({ message: 'Failed to create venue.' });
+    }
+});
+
+// PUT /api/venues/:id
+// Renaming a venue also renames the building of the events booked into its rooms
+app.put('/api/venues/:id', requireRole('admin'), validate({ params: ID_PARAMS, body: VENUE_FIELDS }), async (req, res) => {
+    try {
+        if ((await db.venues.list()).some(venue => venue.id !== req.params.id && sameName(venue.name, req.body.name))) {
+            return res.status(409).send({ message: `A venue named '${req.body.name}' already exists.` });
+        }
+        const venue = await db.venues.update(req.params.id, req.body);
+        if (!venue) {
+            return res.status(404).send({ message: 'Venue not found' });
+        }
+        res.json(venue);
+    } catch (err) {
+        console.error("PUT /api/venues/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to update venue.' });
+    }
+});
+
+// DELETE /api/venues/:id
+// Deletes the venue's rooms too; events booked into them keep their location as text
+app.delete('/api/venues/:id', requireRole('admin'), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        if (!(await db.venues.delete(req.params.id))) {
+            return res.status(404).send({ message: 'Venue not found' });
+        }
+        res.status(200).json({ message: 'Venue deleted.' });
+    } catch (err) {
+        console.error("DELETE /api/venues/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to delete venue.' });
+    }
+});
+
+// POST /api/venues/:id/rooms
+// Body: { name, capacity?, accessible?, accessibilityNotes? }
+app.post('/api/venues/:id/rooms', requireRole('admin'), validate({ params: ID_PARAMS, body: ROOM_FIELDS }), async (req, res) => {
+    try {
+        const venue = (await db.venues.list()).find(v => v.id === req.params.id);
+        if (!venue) {
+            return res.status(404).send({ message: 'Venue not found' });
+        }
+        if (venue.rooms.some(room => sameName(room.name, req.body.name))) {
+            return res.status(409).send({ message: `${venue.name} already has a room named '${req.body.name}'.` });
+        }
+        res.status(201).json(await db.rooms.create({ ...req.body, venueId: venue.id }));
+    } catch (err) {
+        console.error("POST /api/venues/:id/rooms error:", err.message);
+        res.status(500).send({ message: 'Failed to create room.' });
+    }
+});
+
+// PUT /api/rooms/:id
+// Same body as creating a room. Renaming a room also renames it on the events booked into it.
+app.put('/api/rooms/:id', requireRole('admin'), validate({ params: ID_PARAMS, body: ROOM_FIELDS }), async (req, res) => {
+    try {
+        const existing = await db.rooms.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).send({ message: 'Room not found' });
+        }
+        const venue = (await db.venues.list()).find(v => v.id === existing.venueId);
+        if (venue.rooms.some(room => room.id !== existing.id && sameName(room.name, req.body.name))) {
+            return res.status(409).send({ message: `${venue.name} already has a room named '${req.body.name}'.` });
+        }
+        res.json(await db.rooms.update(existing.id, req.body));
+    } catch (err) {
+        console.error("PUT /api/rooms/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to update room.' });
+    }
+});
+
+// DELETE /api/rooms/:id
+// Events booked into the room keep their location as text
+app.delete('/api/rooms/:id', requireRole('admin'), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        if (!(await db.rooms.delete(req.params.id))) {
+            return res.status(404).send({ message: 'Room not found' });
+        }
+        res.status(200).json({ message: 'Room deleted.' });
+    } catch (err) {
+        console.error("DELETE /api/rooms/:id error:", err.message);
+        res.status(500).send({ message: 'Failed to delete room.' });
+    }
+});
+
+// --- Calendar feeds ---
+
+const sendCalendar = async (res, events, { name, filename }) => {
+    const recurring = events.filter(event => event.recurrenceRule).map(event => event.id);
+    const exceptions = await db.exceptions.listForEvents(recurring);
+    res
+        .type('text/calendar; charset=utf-8')
+        .attachment(filename)
+        .send(buildCalendar(events, { name, exceptions }));
+};
+
+// GET /api/events.ics
+// Every approved event as an iCalendar feed
+app.get('/api/events.ics', async (req, res) => {
+    try {
+        const events = await db.events.list();
+        await sendCalendar(res, events, { name: 'FAU Events', filename: 'fau-events.ics' });
+    } catch (err) {
+        console.error("GET /api/events.ics error:", err.message);
+        res.status(500).send({ message: 'Failed to build calendar.' });
+    }
+});
+
+// GET /api/events/:id/calendar.ics
+// A single approved event (the whole series, if it repeats), for "Add to calendar"
+app.get('/api/events/:id/calendar.ics', validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const event = await db.events.findById(id);
+
+        if (!event || event.status !== 'approved') {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        await sendCalendar(res, [event], { name: event.title, filename: `event-${event.id}.ics` });
+    } catch (err) {
+        console.error("GET /api/events/:id/calendar.ics error:", err.message);
+        res.status(500).send({ message: 'Failed to build calendar.' });
+    }
+});
+
+// GET /api/calendar/:token.ics
+// A user's private feed of the approved events they RSVP'd to or bookmarked. Calendar apps
+// cannot send a session, so the secret in the URL is the only credential.
+app.get('/api/calendar/:token.ics', validate({ params: { token: LINK_TOKEN_FIELD } }), async (req, res) => {
+    try {
+        const user = await db.users.findByCalendarTokenHash(hashToken(req.params.token));
+
+        if (!user) {
+            return res.status(404).send({ message: 'Calendar not found.' });
+        }
+
+        const events = await db.events.list({ followedBy: user.id });
+        await sendCalendar(res, events, { name: 'My FAU Events', filename: 'my-fau-events.ics' });
+    } catch (err) {
+        console.error("GET /api/calendar/:token.ics error:", err.message);
+        res.status(500).send({ message: 'Failed to build calendar.' });
+    }
+});
+
+// POST /api/users/me/calendar
+// Creates the caller's subscription URL. Only its hash is stored, so the URL is shown once;
+// calling this again issues a new URL and the old one stops working.
+app.post('/api/users/me/calendar', requireAuth, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(32).toString('hex');
+        await db.users.setCalendarTokenHash(req.user.id, hashToken(token));
+
+        res.status(201).json({ url: `${req.protocol}://${req.get('host')}/api/calendar/${token}.ics` });
+    } catch (err) {
+        console.error("POST /api/users/me/calendar error:", err.message);
+        res.status(500).send({ message: 'Failed to create calendar subscription.' });
+    }
+});
+
+// DELETE /api/users/me/calendar
+// Revokes the caller's subscription URL
+app.delete('/api/users/me/calendar', requireAuth, async (req, res) => {
+    try {
+        await db.users.setCalendarTokenHash(req.user.id, null);
+        res.status(200).json({ message: 'Calendar subscription revoked.' });
+    } catch (err) {
+        console.error("DELETE /api/users/me/calendar error:", err.message);
+        res.status(500).send({ message: 'Failed to revoke calendar subscription.' });
+    }
+});
+
+// --- Reminders ---
+
+const REMINDER_BATCH_SIZE = 50;
+const REMINDER_CLAIM_SECONDS = 120;
+const MAX_REMINDERS_LISTED = 100;
+
+const occurrenceKey = (eventId, occurrenceDate) => `${eventId}|${occurrenceDate}`;
+
+// One scheduler pass: plans reminders for approved events starting before the furthest
+// reminder could be due, then queues the emails for the ones that are due now. Every
+// instance may run this at the same time; the job table makes sure each goes out once.
+const runReminders = async (now) => {
+    const horizon = new Date(now.getTime() + Math.max(...REMINDER_OFFSETS_MINUTES) * 60 * 1000);
+    // Dated a day either side, for events in other time zones
+    const range = {
+        from: formatDay(addDays(parseDay(zonedDateTime(now).date), -1)),
+        to: formatDay(addDays(parseDay(zonedDateTime(horizon).date), 1))
+    };
+
+    const events = await db.events.list({ statuses: ['approved'], ...range });
+    const occurrences = (await expandSeries(events, range, range.from))
+        .filter(occurrence => reminderStart(occurrence) > now && reminderStart(occurrence) <= horizon);
+    const recipients = await db.reminders.listRecipients([...new Set(occurrences.map(occurrence => occurrence.id))]);
+    await db.reminders.schedule(planReminders(occurrences, recipients, now), { horizon });
+
+    const due = await db.reminders.claimDue({ now, limit: REMINDER_BATCH_SIZE, claimSeconds: REMINDER_CLAIM_SECONDS });
+    if (due.length === 0) return;
+
+    const occurrencesByKey = new Map(occurrences.map(occurrence => [occurrenceKey(occurrence.id, occurrence.occurrenceDate || occurrence.date), occurrence]));
+    const optOuts = await db.notifications.listOptOuts([...new Set(due.map(job => job.userId))]);
+    for (const job of due) {
+        // A job claimed again after a crash may no longer be planned; it is skipped like an opt-out
+        const event = occurrencesByKey.get(occurrenceKey(job.eventId, job.occurrenceDate));
+        const user = event && (recipients.get(job.eventId) || []).find(recipient => recipient.id === job.userId);
+        const wanted = user && user.email && !(optOuts.get(user.id) || []).includes('event_reminder');
+        await db.reminders.complete(job, wanted
+            ? { type: 'event_reminder', to: user.email, ...renderNotification('event_reminder', { event, user }) }
+            : null);
+    }
+};
+
+// GET /api/reminders
+// Responds with { offsets, scheduled, sent }: the reminder offsets in minutes, the next jobs
+// due and the most recently finished ones (sent, or skipped for recipients who opted out)
+app.get('/api/reminders', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({
+            offsets: REMINDER_OFFSETS_MINUTES,
+            scheduled: await db.reminders.list({ statuses: ['scheduled', 'sending'], limit: MAX_REMINDERS_LISTED }),
+            sent: await db.reminders.list({ statuses: ['sent', 'skipped'], recent: true, limit: MAX_REMINDERS_LISTED })
+        });
+    } catch (err) {
+        console.error("GET /api/reminders error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve reminders.' });
+    }
+});
+
+// --- Notification preferences ---
+
+// The notification types the user's role can receive, with whether each is on
+const notificationPreferences = async (user) => {
+    const optOuts = (await db.notifications.listOptOuts([user.id])).get(user.id) || [];
+    return Object.entries(NOTIFICATION_TYPES)
+        .filter(([, { role }]) => hasRole(user, role))
+        .map(([type, { label }]) => ({ type, label, enabled: !optOuts.includes(type) }));
+};
+
+// GET /api/users/me/notifications
+app.get('/api/users/me/notifications', requireAuth, async (req, res) => {
+    try {
+        res.json(await notificationPreferences(req.user));
+    } catch (err) {
+        console.error("GET /api/users/me/notifications error:", err.message);
+        res.status(500).send({ message: 'Failed to load notification settings.' });
+    }
+});
+
+const NOTIFICATION_FIELDS = Object.fromEntries(Object.entries(NOTIFICATION_TYPES)
+    .map(([type, { label }]) => [type, boolean({ required: true, label })]));
+
+// PUT /api/users/me/notifications
+// Body: { [type]: true | false }; types left out keep their current setting
+app.put('/api/users/me/notifications', requireAuth, validate({ body: NOTIFICATION_FIELDS, partial: true }), async (req, res) => {
+    const changes = req.body;
+
+    try {
+        const current = await notificationPreferences(req.user);
+        const optOuts = current
+            .filter(({ type, enabled }) => (changes[type] !== undefined ? !changes[type] : !enabled))
+            .map(({ type }) => type);
+        await db.notifications.setOptOuts(req.user.id, optOuts);
+        res.json(await notificationPreferences(req.user));
+    } catch (err) {
+        console.error("PUT /api/users/me/notifications error:", err.message);
+        res.status(500).send({ message: 'Failed to save notification settings.' });
+    }
+});
+
+// --- Profiles and submissions ---
+
+// Matches the CHECK constraints on Users.preferredView and Users.calendarMode
+const VIEWS = ['list', 'calendar'];
+const CALENDAR_MODES = ['month', 'week', 'agenda'];
+const MAX_DISPLAY_NAME_LENGTH = 100;
+
+const PREFERENCE_FIELDS = {
+    view: oneOf(VIEWS),
+    calendarMode: oneOf(CALENDAR_MODES),
+    // Zone the event form starts in
+    timeZone: custom(readTimeZone)
+};
+
+// Preferences are { view, calendarMode, timeZone }; fields left out keep their current values
+// and null clears one. Returns { value } or { error, field }.
+const readPreferences = (value) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Preferences must be an object.' };
+    }
+    const { values, errors } = checkFields(PREFERENCE_FIELDS, value, { partial: true });
+    if (errors.length > 0) {
+        return { error: errors[0].message, field: errors[0].field };
+    }
+    return { value: values };
+};
+
+const PROFILE_FIELDS = {
+    displayName: text({ max: MAX_DISPLAY_NAME_LENGTH }),
+    email: emailAddress({ required: true, max: MAX_EMAIL_LENGTH }),
+    preferences: custom(readPreferences)
+};
+
+// GET /api/users/me
+// The caller's profile: { id, username, email, emailVerified, role, displayName,
+// preferences: { view, calendarMode, timeZone }, createdAt }
+app.get('/api/users/me', requireAuth, async (req, res) => {
+    try {
+        res.json(await db.users.findProfile(req.user.id));
+    } catch (err) {
+        console.error("GET /api/users/me error:", err.message);
+        res.status(500).send({ message: 'Failed to load your profile.' });
+    }
+});
+
+// PUT /api/users/me
+// Body: { displayName?, email?, preferences? }; fields left out keep their current values.
+// A new email address has to be verified again, so a link is sent to it.
+app.put('/api/users/me', requireAuth, validate({ body: PROFILE_FIELDS, partial: true }), async (req, res) => {
+    const { displayName, email, preferences = {} } = req.body;
+
+    if (email !== undefined && !isAllowedEmail(email)) {
+        return sendErrors(res, [{ field: 'email', message: `Please use your ${allowedDomainsText()} email address.` }]);
+    }
+
+    try {
+        const current = await db.users.findProfile(req.user.id);
+        const emailChanged = email !== undefined && email.toLowerCase() !== current.email.toLowerCase();
+        if (emailChanged && await db.users.findByEmail(email)) {
+            return sendErrors(res, [{ field: 'email', message: 'An account with that email address already exists.' }]);
+        }
+
+        const profile = await db.users.updateProfile(current.id, {
+            displayName: displayName !== undefined ? displayName : current.displayName,
+            email: email !== undefined ? email : current.email,
+            preferences: { ...current.preferences, ...preferences }
+        });
+        if (emailChanged) {
+            await sendVerificationEmail(profile);
+        }
+        res.json(profile);
+    } catch (err) {
+        console.error("PUT /api/users/me error:", err.message);
+        res.status(500).send({ message: 'Failed to save your profile.' });
+    }
+});
+
+// Every event `user` submitted, newest first, grouped by status. Each event carries the
+// latest moderator decision on it as `moderation` ({ action, actorUsername, reason,
+// createdAt }, or null); rejected events also keep their rejectionReason.
+const listSubmissions = async (user, viewer) => {
+    const events = (await db.events.list({ statuses: EVENT_STATUSES, submittedBy: user.username }))
+        .sort(compareEvents('date', 'desc'));
+    const decisions = await db.audit.latestDecisions(events.map(event => event.id));
+    const presented = (await presentEvents(events, viewer))
+        .map(event => ({ ...event, moderation: decisions.get(event.id) || null }));
+
+    const groups = Object.fromEntries(EVENT_STATUSES.map(status => [status, presented.filter(event => event.status === status)]));
+    return {
+        user: { id: user.id, username: user.username, displayName: user.displayName },
+        total: presented.length,
+        counts: Object.fromEntries(EVENT_STATUSES.map(status => [status, groups[status].length])),
+        groups
+    };
+};
+
+// GET /api/users/me/events
+// The caller's own submissions in every status: { user, total, counts: { [status]: n },
+// groups: { [status]: [events] } }
+app.get('/api/users/me/events', requireAuth, async (req, res) => {
+    try {
+        res.json(await listSubmissions(await db.users.findProfile(req.user.id), req.user));
+    } catch (err) {
+        console.error("GET /api/users/me/events error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve your events.' });
+    }
+});
+
+// GET /api/users/:id/events
+// Another user's submissions, as for /api/users/me/events
+app.get('/api/users/:id/events', requireRole('admin'), validate({ params: ID_PARAMS }), async (req, res) => {
+    try {
+        const user = await db.users.findProfile(req.params.id);
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+        res.json(await listSubmissions(user, req.user));
+    } catch (err) {
+        console.error("GET /api/users/:id/events error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve the user\'s events.' });
+    }
+});
+
+// GET /api/users
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const users = await db.users.list();
+        res.json(users);
+    } catch (err) {
+        console.error("GET /api/users error:", err.message);
+        res.status(500).send({ message: 'Failed to retrieve users.' });
+    }
+});
+
+// PUT /api/users/:id/role
+app.put('/api/users/:id/role', requireRole('admin'), validate({ params: ID_PARAMS, body: { role: oneOf(ROLES, { required: true }) } }), async (req, res) => {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.user.id && role !== 'admin') {
+        return sendErrors(res, [{ field: 'role', message: 'Admins cannot remove their own admin role.' }]);
+    }
+
+    try {
+        const user = await db.users.updateRole(id, role);
+
+        if (!user) {
+            return res.status(404).send({ message: 'User not found' });
+        }
+
+        res.json(user);
+    } catch (err) {
+        console.error("PUT /api/users/:id/role error:", err.message);
+        res.status(500).send({ message: 'Failed to update role.' });
+    }
+});
+
+// Serve static files
+app.use(express.static(path.join(__dirname, '..', 'client', 'build')));
+
+app.get('*', (req, res) => {
+    if (!req.url.startsWith('/api')) {
+        res.sendFile(path.join(__dirname, '..', 'client', 'build', 'index.html'));
+    }
+});
+
+// DELETE /api/events/:id
+app.delete('/api/events/:id', requireRole('moderator'), validate({ params: ID_PARAMS }), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const existing = await db.events.findById(id);
+
+        if (!existing) {
+            return res.status(404).send({ message: 'Event not found' });
+        }
+
+        await db.events.delete(id);
+        await db.audit.record({ eventId: existing.id, action: 'deleted', actor: req.user, fromStatus: existing.status });
+        await publishChange('deleted', existing, req.user);
+
+        res.status(200).send({ message: 'Event deleted successfully' });
+    } catch (err) {
+        console.error("DELETE /api/events failure:", err.message);
+        res.status(500).send({ message: 'Database deletion failed.' });
+    }
+});
+
+// Bodies that are not JSON, and errors no route handled. Details are logged, never sent.
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendErrors(res, [{ field: null, message: 'The request body is not valid JSON.' }]);
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).send({ message: 'The request body is too large.' });
+    }
+    console.error(`${req.method} ${req.path} error:`, err.message);
+    res.status(500).send({ message: 'Something went wrong.' });
+});
+
+// Starts the API and resolves with the listening http server. Tests pass their own `store`
+// instead of the one DATA_STORE selects, and port 0 to listen on any free port.
+const startServer = async ({ store = null, port: listenPort = port } = {}) => {
+    try {
+        db = store || await createStore();
+    } catch (err) {
+        console.error("Database Initialization Error:", err.message);
+        process.exit(1); 
+    }
+
+    // Every instance sends queued email; claims keep two instances from sending the same message.
+    // Set OUTBOX_WORKER=off on instances that should only queue.
+    if (process.env.OUTBOX_WORKER !== 'off') {
+        const transport = createTransport();
+        startOutboxWorker({
+            outbox: db.outbox,
+            transport,
+            intervalMs: (parseInt(process.env.OUTBOX_POLL_SECONDS, 10) || 10) * 1000
+        });
+        console.log(`Outbox worker sending email via ${transport.name}.`);
+    }
+
+    // Each instance pushes the shared change feed to its own live update clients
+    startChangeFeed({
+        changes: db.changes,
+        clients: liveClients,
+        deliver: deliverChanges,
+        intervalMs: (parseFloat(process.env.LIVE_POLL_SECONDS) || 1) * 1000
+    });
+
+    // Every instance plans and queues reminders too; the job table keeps each to one email.
+    // Set REMINDER_SCHEDULER=off on instances that should leave it to the others.
+    if (process.env.REMINDER_SCHEDULER !== 'off') {
+        startReminderScheduler({
+            run: runReminders,
+            intervalMs: (parseInt(process.env.REMINDER_POLL_SECONDS, 10) || 60) * 1000
+        });
+    }
+
+    return new Promise((resolve) => {
+        const server = app.listen(listenPort, () => {
+            console.log(`Node.js API listening on port ${server.address().port}`);
+            resolve(server);
+        });
+    });
+};
+
+// Run directly (npm start) it serves; required by the tests, it waits for them to start it
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, startServer };
\ No newline at end of file
@@ -0,0 +1,265 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApi, PASSWORD } = require('./support');
+
+let api;
+let submitter;
+let moderator;
+
+before(async () => {
+    api = await startApi();
+    submitter = await api.createUser('sam');
+    moderator = await api.createUser('mona', 'moderator');
+});
+
+after(() => api.stop());
+
+let nextDay = 1;
+// A pending event from `submitter` on its own day of January 2030
+const submitEvent = async (fields = {}) => {
+    const date = `2030-01-${String(nextDay++).padStart(2, '0')}`;
+    const { status, body } = await api.request('POST', '/api/events', {
+        token: submitter.token,
+        body: { title: 'Study group', description: 'Weekly review session', date, time: '18:00', ...fields }
+    });
+    assert.equal(status, 201, body.message);
+    return body;
+};
+
+const act = (action, event, token, body = {}) => api.request('PUT', `/api/events/${event.id}/${action}`, { token, body });
+
+describe('status transitions', () => {
+    it('queues submitters\' events and approves moderators\' own at once', async () => {
+        assert.equal((await submitEvent()).status, 'pending');
+
+        const { body } = await api.request('POST', '/api/events', {
+            token: moderator.token,
+            body: { title: 'Open day', description: 'Campus tours', date: '2030-02-01', time: '10:00' }
+        });
+        assert.equal(body.status, 'approved');
+    });
+
+    it('moves pending events to approved, rejected and cancelled', async () => {
+        const event = await submitEvent();
+
+        const rejected = await act('reject', event, moderator.token, { reason: 'Missing room' });
+        assert.equal(rejected.body.event.status, 'rejected');
+        const approved = await act('approve', event, moderator.token);
+        assert.equal(approved.body.event.status, 'approved');
+        const cancelled = await act('cancel', event, submitter.token);
+        assert.equal(cancelled.body.event.status, 'cancelled');
+
+        const history = await api.request('GET', `/api/events/${event.id}/history`, { token: submitter.token });
+        assert.deepEqual(history.body.map(entry => entry.toStatus), ['pending', 'rejected', 'approved', 'cancelled']);
+    });
+
+    it('refuses moves the current status does not allow', async () => {
+        const event = await submitEvent();
+        await act('approve', event, moderator.token);
+
+        assert.equal((await act('approve', event, moderator.token)).status, 409);
+        await act('cancel', event, moderator.token);
+        assert.equal((await act('reject', event, moderator.token, { reason: 'Too late' })).status, 409);
+        assert.equal((await act('cancel', event, moderator.token)).status, 409);
+    });
+
+    it('needs a reason to reject', async () => {
+        const event = await submitEvent();
+        const { status, body } = await act('reject', event, moderator.token);
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'reason');
+    });
+
+    it('leaves approving and rejecting to moderators', async () => {
+        const event = await submitEvent();
+        assert.equal((await act('approve', event, submitter.token)).status, 403);
+        assert.equal((await act('reject', event, submitter.token, { reason: 'Mine' })).status, 403);
+    });
+
+    it('sends approved events back for review when what, when or where changes', async () => {
+        const event = await submitEvent();
+        await act('approve', event, moderator.token);
+
+        const described = await api.request('PUT', `/api/events/${event.id}`, { token: submitter.token, body: { description: 'Bring notes' } });
+        assert.equal(described.body.status, 'approved');
+        const moved = await api.request('PUT', `/api/events/${event.id}`, { token: submitter.token, body: { time: '19:00' } });
+        assert.equal(moved.body.status, 'pending');
+    });
+
+    it('resubmits rejected events when they are edited', async () => {
+        const event = await submitEvent();
+        await act('reject', event, moderator.token, { reason: 'Needs a description' });
+
+        const { body } = await api.request('PUT', `/api/events/${event.id}`, { token: submitter.token, body: { description: 'Now described' } });
+        assert.equal(body.status, 'pending');
+    });
+});
+
+describe('RSVPs', () => {
+    let attendees;
+
+    before(async () => {
+        attendees = [];
+        for (const name of ['ann', 'ben', 'cat', 'dan']) attendees.push(await api.createUser(name, 'viewer'));
+    });
+
+    const rsvp = (event, user) => api.request('POST', `/api/events/${event.id}/rsvp`, { token: user.token });
+    const cancelRsvp = (event, user) => api.request('DELETE', `/api/events/${event.id}/rsvp`, { token: user.token });
+
+    it('only takes RSVPs for approved events', async () => {
+        const event = await submitEvent({ capacity: 2 });
+        assert.equal((await rsvp(event, attendees[0])).status, 404);
+    });
+
+    it('waitlists people once the seats are taken', async () => {
+        const event = await submitEvent({ capacity: 2 });
+        await act('approve', event, moderator.token);
+
+        const statuses = [];
+        for (const user of attendees.slice(0, 3)) statuses.push((await rsvp(event, user)).body.status);
+        assert.deepEqual(statuses, ['going', 'going', 'waitlisted']);
+
+        const { body } = await rsvp(event, attendees[3]);
+        assert.equal(body.event.goingCount, 2);
+        assert.equal(body.event.waitlistCount, 2);
+        assert.equal(body.event.seatsRemaining, 0);
+        assert.equal(body.event.myRsvp, 'waitlisted');
+    });
+
+    it('keeps the first status when someone RSVPs twice', async () => {
+        const event = await submitEvent({ capacity: 1 });
+        await act('approve', event, moderator.token);
+        await rsvp(event, attendees[0]);
+
+        assert.equal((await rsvp(event, attendees[0])).body.status, 'going');
+        assert.equal((await rsvp(event, attendees[1])).body.event.goingCount, 1);
+    });
+
+    it('gives a freed seat to the first person on the waitlist', async () => {
+        const event = await submitEvent({ capacity: 1 });
+        await act('approve', event, moderator.token);
+        for (const user of attendees.slice(0, 3)) await rsvp(event, user);
+
+        await cancelRsvp(event, attendees[0]);
+        const list = await api.request('GET', `/api/events/${event.id}/attendees`, { token: submitter.token });
+        const statusOf = (user) => list.body.find(attendee => attendee.username === user.username).status;
+        assert.equal(statusOf(attendees[1]), 'going');
+        assert.equal(statusOf(attendees[2]), 'waitlisted');
+    });
+
+    it('promotes the waitlist when seats are added', async () => {
+        const event = await submitEvent({ capacity: 1 });
+        await act('approve', event, moderator.token);
+        for (const user of attendees.slice(0, 3)) await rsvp(event, user);
+
+        const { body } = await api.request('PUT', `/api/events/${event.id}`, { token: moderator.token, body: { capacity: 3 } });
+        assert.equal(body.goingCount, 3);
+        assert.equal(body.waitlistCount, 0);
+    });
+
+    it('frees no seat when a waitlisted person leaves', async () => {
+        const event = await submitEvent({ capacity: 1 });
+        await act('approve', event, moderator.token);
+        for (const user of attendees.slice(0, 3)) await rsvp(event, user);
+
+        const { body } = await cancelRsvp(event, attendees[2]);
+        assert.equal(body.event.goingCount, 1);
+        assert.equal(body.event.waitlistCount, 1);
+        assert.equal((await cancelRsvp(event, attendees[3])).status, 404);
+    });
+});
+
+describe('recurring series', () => {
+    let series;
+
+    // Occurrences of the series listed between two dates, as [date, title, time]
+    const listed = async (from, to) => {
+        const { body } = await api.request('GET', `/api/events?from=${from}&to=${to}&sort=date&order=asc`, { token: submitter.token });
+        return body.events
+            .filter(event => event.id === series.id)
+            .map(event => [event.date, event.title, event.time]);
+    };
+
+    before(async () => {
+        // Mondays from 2030-03-04, four times
+        const { body } = await api.request('POST', '/api/events', {
+            token: moderator.token,
+            body: {
+                title: 'Lab meeting',
+                description: 'Weekly lab meeting',
+                date: '2030-03-04',
+                time: '09:00',
+                recurrence: { frequency: 'weekly', count: 4 }
+            }
+        });
+        series = body;
+    });
+
+    it('lists each occurrence in the requested range', async () => {
+        assert.deepEqual(await listed('2030-03-01', '2030-03-31'), [
+            ['2030-03-04', 'Lab meeting', '09:00:00'],
+            ['2030-03-11', 'Lab meeting', '09:00:00'],
+            ['2030-03-18', 'Lab meeting', '09:00:00'],
+            ['2030-03-25', 'Lab meeting', '09:00:00']
+        ]);
+        assert.deepEqual(await listed('2030-03-10', '2030-03-12'), [['2030-03-11', 'Lab meeting', '09:00:00']]);
+    });
+
+    it('keeps wall-clock time across a daylight saving change', async () => {
+        const { body } = await api.request('GET', '/api/events?from=2030-03-04&to=2030-03-11', { token: submitter.token });
+        const starts = body.events.filter(event => event.id === series.id).map(event => event.startsAt).sort();
+        assert.deepEqual(starts, ['2030-03-04T14:00:00.000Z', '2030-03-11T13:00:00.000Z']);
+    });
+
+    it('applies changes to and cancellations of single occurrences', async () => {
+        const changed = await api.request('PUT', `/api/events/${series.id}/occurrences/2030-03-11`, {
+            token: moderator.token,
+            body: { title: 'Lab meeting (guest talk)', time: '10:30' }
+        });
+        assert.equal(changed.status, 200);
+        const cancelled = await api.request('DELETE', `/api/events/${series.id}/occurrences/2030-03-18`, { token: moderator.token });
+        assert.equal(cancelled.status, 200);
+
+        assert.deepEqual(await listed('2030-03-01', '2030-03-31'), [
+            ['2030-03-04', 'Lab meeting', '09:00:00'],
+            ['2030-03-11', 'Lab meeting (guest talk)', '10:30:00'],
+            ['2030-03-25', 'Lab meeting', '09:00:00']
+        ]);
+    });
+
+    it('goes back to following the series when an occurrence matches it again', async () => {
+        await api.request('PUT', `/api/events/${series.id}/occurrences/2030-03-11`, {
+            token: moderator.token,
+            body: { title: 'Lab meeting', time: '09:00' }
+        });
+        const { body } = await api.request('GET', '/api/events?from=2030-03-11&to=2030-03-11', { token: submitter.token });
+        assert.equal(body.events.find(event => event.id === series.id).isModifiedOccurrence, false);
+    });
+
+    it('only changes dates the series has', async () => {
+        const { status } = await api.request('DELETE', `/api/events/${series.id}/occurrences/2030-03-12`, { token: moderator.token });
+        assert.equal(status, 404);
+    });
+
+    it('sends an approved series back for review when a submitter moves or renames an occurrence', async () => {
+        // Mondays from 2030-04-01
+        const own = await submitEvent({ date: '2030-04-01', recurrence: { frequency: 'weekly', count: 4 } });
+        await act('approve', own, moderator.token);
+        const change = (date, body) => api.request('PUT', `/api/events/${own.id}/occurrences/${date}`, { token: submitter.token, body });
+
+        assert.equal((await change('2030-04-08', { description: 'Bring notes' })).body.status, 'approved');
+        assert.equal((await change('2030-04-15', { time: '19:00' })).body.status, 'pending');
+
+        const history = await api.request('GET', `/api/events/${own.id}/history`, { token: submitter.token });
+        assert.deepEqual(history.body.map(entry => entry.toStatus), ['pending', 'approved', 'approved', 'pending']);
+    });
+
+    it('leaves occurrences to verified accounts', async () => {
+        await api.request('POST', '/api/register', { body: { username: 'una', email: 'una@example.edu', password: PASSWORD } });
+        const token = await api.login('una');
+
+        const cancelled = await api.request('DELETE', `/api/events/${series.id}/occurrences/2030-03-25`, { token });
+        assert.equal(cancelled.status, 403);
+    });
+});
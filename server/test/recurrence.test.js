@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateRecurrence, toRRule, fromRRule, expandDates } = require('../lib/recurrence');
+
+const rule = (input) => validateRecurrence(input).rule;
+
+describe('recurrence rules', () => {
+    it('round-trips through RRULE text', () => {
+        const weekly = rule({ frequency: 'weekly', interval: 2, byDay: ['mo', 'we'], until: '2030-06-30' });
+        assert.equal(toRRule(weekly), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20300630');
+        assert.deepEqual(fromRRule(toRRule(weekly)), weekly);
+    });
+
+    it('rejects rules that cannot be expanded', () => {
+        assert.match(validateRecurrence({ frequency: 'yearly' }).error, /frequency/);
+        assert.match(validateRecurrence({ frequency: 'daily', byDay: ['MO'] }).error, /Daily/);
+        assert.match(validateRecurrence({ frequency: 'weekly', until: '2030-01-01', count: 3 }).error, /not both/);
+        assert.match(validateRecurrence({ frequency: 'monthly', byDay: ['5MO'] }).error, /Monthly/);
+        assert.match(validateRecurrence({ frequency: 'weekly', until: '2030-02-30' }).error, /end date/);
+    });
+});
+
+describe('expandDates', () => {
+    const all = { from: '2030-01-01', to: '2030-12-31' };
+
+    it('repeats weekly on the chosen weekdays up to and including UNTIL', () => {
+        // 2030-03-04 is a Monday
+        const dates = expandDates('2030-03-04', rule({ frequency: 'weekly', byDay: ['MO', 'TH'], until: '2030-03-14' }), all);
+        assert.deepEqual(dates, ['2030-03-04', '2030-03-07', '2030-03-11', '2030-03-14']);
+    });
+
+    it('defaults weekly series to the weekday of their start', () => {
+        const dates = expandDates('2030-03-04', rule({ frequency: 'weekly', interval: 2, count: 3 }), all);
+        assert.deepEqual(dates, ['2030-03-04', '2030-03-18', '2030-04-01']);
+    });
+
+    it('repeats monthly on the nth or last weekday', () => {
+        assert.deepEqual(
+            expandDates('2030-01-08', rule({ frequency: 'monthly', byDay: ['2TU'], count: 3 }), all),
+            ['2030-01-08', '2030-02-12', '2030-03-12']
+        );
+        assert.deepEqual(
+            expandDates('2030-01-25', rule({ frequency: 'monthly', byDay: ['-1FR'], count: 3 }), all),
+            ['2030-01-25', '2030-02-22', '2030-03-29']
+        );
+    });
+
+    it('skips months too short for the start date', () => {
+        const dates = expandDates('2030-01-31', rule({ frequency: 'monthly', count: 3 }), all);
+        assert.deepEqual(dates, ['2030-01-31', '2030-03-31', '2030-05-31']);
+    });
+
+    it('uses up COUNT from the series start, before the requested range', () => {
+        const dates = expandDates('2030-03-01', rule({ frequency: 'daily', count: 5 }), { from: '2030-03-04', to: '2030-03-31' });
+        assert.deepEqual(dates, ['2030-03-04', '2030-03-05']);
+    });
+
+    it('returns only the dates within the range', () => {
+        const dates = expandDates('2030-03-01', rule({ frequency: 'daily' }), { from: '2030-03-10', to: '2030-03-12' });
+        assert.deepEqual(dates, ['2030-03-10', '2030-03-11', '2030-03-12']);
+    });
+});
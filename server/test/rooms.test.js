@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApi } = require('./support');
+
+let api;
+let submitter;
+let moderator;
+let venue;
+
+before(async () => {
+    api = await startApi();
+    submitter = await api.createUser('sam');
+    moderator = await api.createUser('mona', 'moderator');
+    venue = (await api.request('POST', '/api/venues', { token: api.adminToken, body: { name: 'Science Hall' } })).body;
+});
+
+after(() => api.stop());
+
+let roomNumber = 100;
+const createRoom = async (fields = {}) => {
+    const { status, body } = await api.request('POST', `/api/venues/${venue.id}/rooms`, {
+        token: api.adminToken,
+        body: { name: `Room ${roomNumber++}`, ...fields }
+    });
+    assert.equal(status, 201, body.message);
+    return body;
+};
+
+const book = (user, room, fields) => api.request('POST', '/api/events', {
+    token: user.token,
+    body: { title: 'Booking', description: 'Room booking', roomId: room.id, ...fields }
+});
+
+describe('room registry', () => {
+    it('reads an accessible flag left out as false', async () => {
+        const room = await createRoom({ capacity: 30 });
+        assert.equal(room.accessible, false);
+
+        const updated = await api.request('PUT', `/api/rooms/${room.id}`, { token: api.adminToken, body: { name: room.name } });
+        assert.equal(updated.status, 200);
+        assert.equal(updated.body.accessible, false);
+    });
+
+    it('fills in the location and caps seats from the room', async () => {
+        const room = await createRoom({ capacity: 20, accessible: true });
+
+        const booked = await book(moderator, room, { date: '2030-05-01', time: '09:00', capacity: 20 });
+        assert.deepEqual(booked.body.location, { building: 'Science Hall', room: room.name, url: null });
+        assert.equal(booked.body.room.accessible, true);
+
+        const tooBig = await book(moderator, room, { date: '2030-05-02', time: '09:00', capacity: 21 });
+        assert.equal(tooBig.status, 400);
+        assert.equal(tooBig.body.errors[0].field, 'capacity');
+    });
+
+    it('refuses two rooms of the same name in a venue', async () => {
+        const room = await createRoom();
+        const { status } = await api.request('POST', `/api/venues/${venue.id}/rooms`, {
+            token: api.adminToken,
+            body: { name: room.name.toUpperCase() }
+        });
+        assert.equal(status, 409);
+    });
+});
+
+describe('room conflicts', () => {
+    it('refuses bookings overlapping an approved event', async () => {
+        const room = await createRoom();
+        const taken = await book(moderator, room, { title: 'Seminar', date: '2030-06-03', time: '10:00', endTime: '12:00' });
+
+        const { status, body } = await book(submitter, room, { date: '2030-06-03', time: '11:30', endTime: '13:00' });
+        assert.equal(status, 409);
+        assert.equal(body.canOverride, false);
+        assert.deepEqual(body.conflicts.map(conflict => conflict.id), [taken.body.id]);
+    });
+
+    it('allows back-to-back bookings and other rooms', async () => {
+        const room = await createRoom();
+        await book(moderator, room, { date: '2030-06-04', time: '10:00', endTime: '12:00' });
+
+        assert.equal((await book(submitter, room, { date: '2030-06-04', time: '12:00', endTime: '13:00' })).status, 201);
+        assert.equal((await book(submitter, await createRoom(), { date: '2030-06-04', time: '10:00', endTime: '12:00' })).status, 201);
+    });
+
+    it('holds the room for an hour for events without an end time', async () => {
+        const room = await createRoom();
+        await book(moderator, room, { date: '2030-06-05', time: '10:00' });
+
+        assert.equal((await book(submitter, room, { date: '2030-06-05', time: '10:45' })).status, 409);
+        assert.equal((await book(submitter, room, { date: '2030-06-05', time: '11:00' })).status, 201);
+    });
+
+    it('lets moderators override with a note that is kept in the history', async () => {
+        const room = await createRoom();
+        await book(moderator, room, { date: '2030-06-06', time: '10:00', endTime: '12:00' });
+
+        const refused = await book(moderator, room, { date: '2030-06-06', time: '11:00', endTime: '12:00' });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.canOverride, true);
+
+        const overridden = await book(moderator, room, { date: '2030-06-06', time: '11:00', endTime: '12:00', conflictNote: 'Shared session' });
+        assert.equal(overridden.status, 201);
+        const history = await api.request('GET', `/api/events/${overridden.body.id}/history`, { token: moderator.token });
+        assert.match(history.body[0].reason, /Shared session/);
+    });
+
+    it('lists pending clashes and blocks approving the second of them', async () => {
+        const room = await createRoom();
+        const first = await book(submitter, room, { title: 'First', date: '2030-06-07', time: '10:00', endTime: '11:00' });
+        const second = await book(submitter, room, { title: 'Second', date: '2030-06-07', time: '10:30', endTime: '11:30' });
+        assert.equal(second.status, 201);
+        assert.deepEqual(second.body.conflicts.map(conflict => conflict.id), [first.body.id]);
+
+        const approve = (event, body = {}) => api.request('PUT', `/api/events/${event.body.id}/approve`, { token: moderator.token, body });
+        assert.equal((await approve(first)).status, 200);
+        assert.equal((await approve(second)).status, 409);
+        assert.equal((await approve(second, { conflictNote: 'Both fit' })).status, 200);
+    });
+
+    it('checks every occurrence of a series, except cancelled ones', async () => {
+        const room = await createRoom();
+        const series = await book(moderator, room, {
+            title: 'Weekly lab',
+            date: '2030-07-01',
+            time: '14:00',
+            endTime: '16:00',
+            recurrence: { frequency: 'weekly', count: 6 }
+        });
+
+        const clash = { date: '2030-07-22', time: '15:00', endTime: '17:00' };
+        const refused = await book(submitter, room, clash);
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.conflicts[0].date, '2030-07-22');
+
+        await api.request('DELETE', `/api/events/${series.body.id}/occurrences/2030-07-22`, { token: moderator.token });
+        assert.equal((await book(submitter, room, clash)).status, 201);
+        assert.equal((await book(submitter, room, { ...clash, date: '2030-08-12' })).status, 201);
+    });
+
+    it('follows occurrences that were moved', async () => {
+        const room = await createRoom();
+        const series = await book(moderator, room, {
+            date: '2030-09-02',
+            time: '09:00',
+            endTime: '10:00',
+            recurrence: { frequency: 'weekly', count: 3 }
+        });
+        await api.request('PUT', `/api/events/${series.body.id}/occurrences/2030-09-09`, { token: moderator.token, body: { time: '13:00' } });
+
+        assert.equal((await book(submitter, room, { date: '2030-09-09', time: '09:00', endTime: '10:00' })).status, 201);
+        assert.equal((await book(submitter, room, { date: '2030-09-09', time: '13:30', endTime: '14:00' })).status, 409);
+    });
+
+    it('checks an occurrence moved into a booked slot', async () => {
+        const room = await createRoom();
+        await book(moderator, room, { title: 'Seminar', date: '2030-10-07', time: '10:00', endTime: '11:00' });
+        // Tuesdays from 2030-10-01
+        const series = await book(submitter, room, {
+            date: '2030-10-01',
+            time: '14:00',
+            endTime: '15:00',
+            recurrence: { frequency: 'weekly', count: 3 }
+        });
+        const move = (user, body) => api.request('PUT', `/api/events/${series.body.id}/occurrences/2030-10-08`, { token: user.token, body });
+
+        const refused = await move(submitter, { date: '2030-10-07', time: '10:30' });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.conflicts[0].title, 'Seminar');
+        assert.equal((await move(submitter, { date: '2030-10-07', time: '11:00' })).status, 200);
+
+        assert.equal((await move(moderator, { date: '2030-10-07', time: '10:30', conflictNote: 'Shared session' })).status, 200);
+        const history = await api.request('GET', `/api/events/${series.body.id}/history`, { token: moderator.token });
+        assert.match(history.body[history.body.length - 1].reason, /Shared session/);
+    });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchEvents, queryPieces } = require('../lib/search');
+
+const events = [
+    { id: 1, title: 'Database systems seminar', description: 'Query planning', tags: ['cs'], location: null },
+    { id: 2, title: 'Choir rehearsal', description: 'Bring your music', tags: [], location: { building: 'Arts Hall', room: '101', url: null } }
+];
+
+// The events a store would hand over for ranking
+const candidates = (query) => events.filter(event => {
+    const text = [event.title, event.description, ...event.tags, ...Object.values(event.location || {})].join(' ').toLowerCase();
+    return queryPieces(query).every(anyOf => anyOf.some(piece => text.includes(piece)));
+});
+
+describe('searchEvents', () => {
+    it('matches prefixes and small typos', () => {
+        assert.deepEqual(searchEvents(events, 'datab sem').map(result => result.event.id), [1]);
+        assert.deepEqual(searchEvents(events, 'rehersal').map(result => result.event.id), [2]);
+    });
+
+    it('finds the same events among the candidates the query pieces narrow to', () => {
+        for (const query of ['database', 'databse systms', 'dtabase', 'sytems', 'rehersal', 'arts', 'choir musik', 'planing']) {
+            const expected = searchEvents(events, query).map(result => result.event.id);
+            assert.ok(expected.length > 0, query);
+            assert.deepEqual(searchEvents(candidates(query), query).map(result => result.event.id), expected, query);
+        }
+        assert.deepEqual(candidates('choir database'), []);
+    });
+});
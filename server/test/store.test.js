@@ -0,0 +1,242 @@
+// The repository behaviour routes rely on (see db/index.js), checked against the in-memory
+// store. db/mssql.js must keep the same contract.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const createMemoryStore = require('../db/memory');
+
+let store;
+let users;
+
+beforeEach(async () => {
+    store = await createMemoryStore();
+    users = [];
+    for (const username of ['ann', 'ben', 'cat', 'dan']) {
+        users.push(await store.users.create({ username, email: `${username}@example.edu`, password: 'hash', role: 'viewer' }));
+    }
+});
+
+const createEvent = (fields = {}) => store.events.create({
+    title: 'Talk',
+    description: 'A talk',
+    userId: 'ann',
+    status: 'approved',
+    date: '2030-04-01',
+    time: '18:00',
+    ...fields
+});
+
+describe('users', () => {
+    it('finds usernames whatever their case, as SQL Server does', async () => {
+        assert.equal((await store.users.findByUsername('ANN')).id, users[0].id);
+        await assert.rejects(store.users.create({ username: 'Ann', email: 'ann2@example.edu', password: 'hash', role: 'viewer' }));
+    });
+
+    it('counts failed logins against an account whatever the case they were typed in', async () => {
+        const since = new Date(Date.now() - 60 * 1000);
+        await store.authEvents.record({ action: 'login', outcome: 'failure', username: 'BEN', ip: '10.0.0.1' });
+        await store.authEvents.record({ action: 'login', outcome: 'failure', username: 'ben', ip: '10.0.0.2' });
+
+        assert.equal((await store.authEvents.loginFailures({ username: 'Ben', ip: '10.0.0.3', since })).account.failures, 2);
+    });
+});
+
+describe('rsvps', () => {
+    it('seats people until the event is full, then waitlists them', async () => {
+        const event = await createEvent({ capacity: 2 });
+        const statuses = [];
+        for (const user of users.slice(0, 3)) statuses.push(await store.rsvps.add(event.id, user.id));
+        assert.deepEqual(statuses, ['going', 'going', 'waitlisted']);
+    });
+
+    it('seats everyone when there is no capacity', async () => {
+        const event = await createEvent();
+        for (const user of users) assert.equal(await store.rsvps.add(event.id, user.id), 'going');
+    });
+
+    it('returns the existing status for a repeated RSVP', async () => {
+        const event = await createEvent({ capacity: 1 });
+        await store.rsvps.add(event.id, users[0].id);
+        await store.rsvps.add(event.id, users[1].id);
+
+        assert.equal(await store.rsvps.add(event.id, users[1].id), 'waitlisted');
+        const summary = (await store.rsvps.summarize([event.id])).get(event.id);
+        assert.equal(summary.goingCount + summary.waitlistCount, 2);
+    });
+
+    it('removes an RSVP, returning the status it had', async () => {
+        const event = await createEvent({ capacity: 1 });
+        await store.rsvps.add(event.id, users[0].id);
+        await store.rsvps.add(event.id, users[1].id);
+
+        assert.equal(await store.rsvps.remove(event.id, users[1].id), 'waitlisted');
+        assert.equal(await store.rsvps.remove(event.id, users[1].id), null);
+        assert.equal(await store.rsvps.remove(event.id, users[0].id), 'going');
+    });
+
+    it('promotes the waitlist in RSVP order into open seats only', async () => {
+        const event = await createEvent({ capacity: 1 });
+        for (const user of users) await store.rsvps.add(event.id, user.id);
+
+        assert.deepEqual(await store.rsvps.promote(event.id), []);
+        await store.rsvps.remove(event.id, users[0].id);
+        const promoted = await store.rsvps.promote(event.id);
+        assert.deepEqual(promoted.map(user => user.username), ['ben']);
+        assert.deepEqual(Object.keys(promoted[0]).sort(), ['email', 'id', 'username']);
+    });
+
+    it('promotes as many as added seats allow', async () => {
+        const event = await createEvent({ capacity: 1 });
+        for (const user of users) await store.rsvps.add(event.id, user.id);
+
+        await store.events.update(event.id, { ...event, capacity: 3 });
+        assert.deepEqual((await store.rsvps.promote(event.id)).map(user => user.username), ['ben', 'cat']);
+    });
+
+    it('summarizes seats per event with the caller\'s own status', async () => {
+        const full = await createEvent({ capacity: 1 });
+        const open = await createEvent();
+        await store.rsvps.add(full.id, users[0].id);
+        await store.rsvps.add(full.id, users[1].id);
+        await store.rsvps.add(open.id, users[2].id);
+
+        const summary = await store.rsvps.summarize([full.id, open.id], users[1].id);
+        assert.deepEqual(summary.get(full.id), { eventId: full.id, goingCount: 1, waitlistCount: 1, myRsvp: 'waitlisted' });
+        assert.deepEqual(summary.get(open.id), { eventId: open.id, goingCount: 1, waitlistCount: 0, myRsvp: null });
+    });
+
+    it('lists people going before those waiting', async () => {
+        const event = await createEvent({ capacity: 1 });
+        for (const user of users.slice(0, 3)) await store.rsvps.add(event.id, user.id);
+
+        const attendees = await store.rsvps.listForEvent(event.id);
+        assert.deepEqual(attendees.map(a => [a.username, a.status]), [['ann', 'going'], ['ben', 'waitlisted'], ['cat', 'waitlisted']]);
+    });
+});
+
+describe('events', () => {
+    it('stores times as HH:MM:SS in the default zone', async () => {
+        const event = await createEvent({ time: '9:30 AM' });
+        assert.equal(event.time, '09:30:00');
+        assert.equal(event.timeZone, 'America/New_York');
+    });
+
+    it('keeps a rejection reason only while the event is rejected', async () => {
+        const event = await createEvent({ status: 'pending' });
+
+        assert.equal((await store.events.setStatus(event.id, 'rejected', 'No room')).rejectionReason, 'No room');
+        assert.equal((await store.events.setStatus(event.id, 'approved', 'Ignored')).rejectionReason, null);
+    });
+
+    it('lists only the requested statuses, approved by default', async () => {
+        await createEvent({ title: 'Approved' });
+        await createEvent({ title: 'Pending', status: 'pending' });
+
+        assert.deepEqual((await store.events.list()).map(event => event.title), ['Approved']);
+        assert.equal((await store.events.list({ statuses: ['pending', 'approved'] })).length, 2);
+    });
+
+    it('lists the events booked into any of the given rooms', async () => {
+        const venue = await store.venues.create({ name: 'Library' });
+        const rooms = [];
+        for (const name of ['120', '121', '122']) rooms.push(await store.rooms.create({ venueId: venue.id, name }));
+        for (const room of rooms) await createEvent({ title: `In ${room.name}`, roomId: room.id });
+        await createEvent({ title: 'Online' });
+
+        const listed = await store.events.list({ roomIds: [rooms[0].id, rooms[2].id] });
+        assert.deepEqual(listed.map(event => event.title).sort(), ['In 120', 'In 122']);
+    });
+
+    it('lists events containing one of the pieces of every search word', async () => {
+        await createEvent({ title: 'Database systems', tags: ['cs'] });
+        await createEvent({ title: 'Choir', location: { building: 'Arts Hall', room: null, url: null } });
+
+        const titles = async (pieces) => (await store.events.list({ pieces })).map(event => event.title);
+        assert.deepEqual(await titles([['DAT', 'xyz'], ['sys']]), ['Database systems']);
+        assert.deepEqual(await titles([['arts']]), ['Choir']);
+        assert.deepEqual(await titles([['arts'], ['cs']]), []);
+    });
+
+    it('deletes an event with its RSVPs, exceptions and comments', async () => {
+        const event = await createEvent({ recurrenceRule: 'FREQ=WEEKLY;COUNT=3' });
+        await store.rsvps.add(event.id, users[0].id);
+        await store.exceptions.upsert(event.id, '2030-04-08', { cancelled: true });
+        await store.comments.create({ eventId: event.id, userId: users[0].id, body: 'Hi' });
+
+        assert.equal(await store.events.delete(event.id), true);
+        assert.equal(await store.events.findById(event.id), null);
+        assert.deepEqual(await store.exceptions.listForEvents([event.id]), []);
+        assert.deepEqual(await store.comments.listForEvent(event.id), []);
+        assert.equal(await store.events.delete(event.id), false);
+    });
+});
+
+describe('exceptions', () => {
+    it('replaces the overrides of an occurrence and removes them', async () => {
+        const event = await createEvent({ recurrenceRule: 'FREQ=WEEKLY;COUNT=3' });
+        await store.exceptions.upsert(event.id, '2030-04-08', { title: 'Moved', time: '19:00' });
+        await store.exceptions.upsert(event.id, '2030-04-08', { cancelled: true });
+
+        assert.deepEqual(await store.exceptions.listForEvents([event.id]), [{
+            eventId: event.id, occurrenceDate: '2030-04-08', cancelled: true, title: null, description: null, date: null, time: null
+        }]);
+
+        await store.exceptions.delete(event.id, '2030-04-08');
+        assert.deepEqual(await store.exceptions.listForEvents([event.id]), []);
+    });
+});
+
+describe('rooms', () => {
+    it('reads capacity and accessibility left out as none', async () => {
+        const venue = await store.venues.create({ name: 'Library' });
+        const room = await store.rooms.create({ venueId: venue.id, name: '120' });
+        assert.equal(room.accessible, false);
+        assert.equal(room.capacity, null);
+
+        const updated = await store.rooms.update(room.id, { name: '121', accessible: true });
+        assert.equal(updated.accessible, true);
+        assert.equal((await store.rooms.findById(room.id)).venueName, 'Library');
+    });
+});
+
+describe('comments', () => {
+    it('pins one comment per thread', async () => {
+        const event = await createEvent();
+        const question = await store.comments.create({ eventId: event.id, userId: users[0].id, body: 'When?' });
+        const first = await store.comments.create({ eventId: event.id, parentId: question.id, userId: users[1].id, body: 'At six' });
+        const second = await store.comments.create({ eventId: event.id, parentId: question.id, userId: users[2].id, body: 'At 6 PM' });
+        await store.comments.setPinned(question.id, true);
+        await store.comments.setPinned(first.id, true);
+        await store.comments.setPinned(second.id, true);
+
+        const pinned = (await store.comments.listForEvent(event.id)).filter(comment => comment.pinned).map(comment => comment.id);
+        assert.deepEqual(pinned, [question.id, second.id]);
+    });
+
+    it('keeps a deleted comment with replies as a placeholder', async () => {
+        const event = await createEvent();
+        const question = await store.comments.create({ eventId: event.id, userId: users[0].id, body: 'When?' });
+        const reply = await store.comments.create({ eventId: event.id, parentId: question.id, userId: users[1].id, body: 'At six' });
+
+        await store.comments.delete(question.id);
+        const placeholder = await store.comments.findById(question.id);
+        assert.equal(placeholder.body, null);
+        assert.ok(placeholder.deletedAt);
+
+        await store.comments.delete(reply.id);
+        assert.equal(await store.comments.findById(reply.id), null);
+    });
+
+    it('counts comments that are neither hidden nor deleted', async () => {
+        const event = await createEvent();
+        const kept = await store.comments.create({ eventId: event.id, userId: users[0].id, body: 'Great' });
+        const hidden = await store.comments.create({ eventId: event.id, userId: users[1].id, body: 'Spam' });
+        await store.comments.setHidden(hidden.id, { hiddenBy: 'mona', reason: 'Spam' });
+
+        assert.equal((await store.comments.countForEvents([event.id])).get(event.id), 1);
+        await store.comments.setHidden(hidden.id, null);
+        await store.comments.delete(kept.id);
+        assert.equal((await store.comments.countForEvents([event.id])).get(event.id), 1);
+    });
+});
@@ -0,0 +1,68 @@
+// Starts the API over a fresh in-memory store for one test file, with helpers to call it the
+// way the app does. Each test file runs in its own process, so each gets its own store.
+
+// Background workers would race the tests for queued email; all accounts register from one address
+process.env.OUTBOX_WORKER = 'off';
+process.env.REMINDER_SCHEDULER = 'off';
+process.env.REGISTER_IP_MAX_PER_HOUR = '1000';
+
+const createMemoryStore = require('../db/memory');
+const { startServer } = require('../server');
+
+const ADMIN_PASSWORD = 'admin-password-1';
+const PASSWORD = 'password-123';
+
+// Resolves with { store, request, login, createUser, adminToken, stop }
+const startApi = async () => {
+    const store = await createMemoryStore({ seedAdminPassword: ADMIN_PASSWORD });
+    const server = await startServer({ store, port: 0 });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Resolves with { status, body }, the body parsed when it is JSON
+    const request = async (method, path, { token, body } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        const isJson = (response.headers.get('Content-Type') || '').includes('application/json');
+        return { status: response.status, body: isJson && text ? JSON.parse(text) : text };
+    };
+
+    const login = async (username, password = PASSWORD) => {
+        const { status, body } = await request('POST', '/api/login', { body: { username, password } });
+        if (status !== 200) throw new Error(`Login as ${username} failed: ${body.message}`);
+        return body.token;
+    };
+
+    const adminToken = await login('admin', ADMIN_PASSWORD);
+
+    // Registers `username`, follows the link in their verification email and gives them
+    // `role`. Resolves with { id, username, token }.
+    const createUser = async (username, role = 'submitter') => {
+        const email = `${username}@example.edu`;
+        const registered = await request('POST', '/api/register', { body: { username, email, password: PASSWORD } });
+        if (registered.status !== 201) throw new Error(`Registering ${username} failed: ${registered.body.message}`);
+
+        const messages = await store.outbox.claim({ limit: 100, claimSeconds: 3600 });
+        const verification = messages.find(message => message.to === email && /verify-email\?token=/.test(message.body));
+        const [, linkToken] = /verify-email\?token=(\S+)/.exec(verification.body);
+        await request('POST', '/api/verify-email', { body: { token: linkToken } });
+
+        const { id } = registered.body.user;
+        if (role !== 'submitter') {
+            await request('PUT', `/api/users/${id}/role`, { token: adminToken, body: { role } });
+        }
+        return { id, username, token: await login(username) };
+    };
+
+    const stop = () => new Promise(resolve => server.close(resolve));
+
+    return { store, request, login, createUser, adminToken, stop };
+};
+
+module.exports = { startApi, PASSWORD };
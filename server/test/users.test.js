@@ -0,0 +1,42 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApi } = require('./support');
+
+let api;
+let user;
+
+before(async () => {
+    api = await startApi();
+    user = await api.createUser('sam');
+});
+
+after(() => api.stop());
+
+describe('usernames', () => {
+    it('log in and clash whatever their case', async () => {
+        assert.ok(await api.login('SAM'));
+
+        const { status, body } = await api.request('POST', '/api/register', {
+            body: { username: 'Sam', email: 'other-sam@example.edu', password: 'password-123' }
+        });
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'username');
+    });
+});
+
+describe('profiles', () => {
+    it('refuses email addresses longer than registration allows', async () => {
+        const email = `${'a'.repeat(95)}@example.edu`;
+        const { status, body } = await api.request('PUT', '/api/users/me', { token: user.token, body: { email } });
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'email');
+    });
+
+    it('changes the display name without touching the address', async () => {
+        const { status, body } = await api.request('PUT', '/api/users/me', { token: user.token, body: { displayName: 'Sam Lee' } });
+        assert.equal(status, 200);
+        assert.equal(body.displayName, 'Sam Lee');
+        assert.equal(body.email, 'sam@example.edu');
+    });
+});